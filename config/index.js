@@ -55,6 +55,39 @@ const parseString = (value, defaultValue) => {
   return value !== undefined && value !== '' ? value : defaultValue;
 };
 
+// Durations such as '15m', '7d' or '3600' (plain numbers are seconds); returns seconds
+const parseDuration = (value, defaultValue) => {
+  if (value === undefined || value === '') return defaultValue;
+  const match = /^(\d+)\s*([smhd]?)$/i.exec(value.trim());
+  if (!match) return defaultValue;
+  const multipliers = { '': 1, s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+  return parseInt(match[1], 10) * multipliers[match[2].toLowerCase()];
+};
+
+/**
+ * PM2 instance number of this process ('' outside PM2); ecosystem.config.js
+ * names it INSTANCE_ID, PM2's own default is NODE_APP_INSTANCE
+ */
+const pm2Instance = parseString(process.env.INSTANCE_ID, parseString(process.env.NODE_APP_INSTANCE, ''));
+
+/**
+ * Default of the secrets below; a server must never run in production with it
+ */
+const PLACEHOLDER_SECRET = 'your-secret-key-change-in-production';
+
+/**
+ * Sample values of the example environment files, refused in production like
+ * the default since copying a sample file is the usual way of ending up with them
+ */
+const SAMPLE_SECRETS = [
+  PLACEHOLDER_SECRET,
+  'your-super-secret-session-key-change-in-production',
+  'your-super-secure-jwt-secret-key-change-this-in-production',
+  'your-cursor-signing-secret',
+  'replace-with-a-long-random-value',
+  'your-mfa-encryption-key'
+];
+
 /**
  * Configuration validation helper
  */
@@ -74,8 +107,12 @@ validateRequired('PORT', process.env.PORT);
  * Organized into logical sections for different aspects of the application:
  * - server: Basic server configuration
  * - logging: Logging system configuration  
- * - database: Database connection settings (prepared for future use)
+ * - database: Storage backend selection and connection settings
  * - api: API-specific configuration
+ * - users: User account lifecycle settings
+ * - auth: Authentication (access and refresh tokens, API keys, first administrator)
+ * - mail: Outgoing mail
+ * - webhooks: Outbound webhooks for user lifecycle events
  * - cors: Cross-Origin Resource Sharing settings
  * - security: Security middleware configuration
  * - compression: Response compression settings
@@ -114,8 +151,13 @@ const config = {
     httpLogFormat: parseString(process.env.HTTP_LOG_FORMAT, nodeEnv === 'production' ? 'combined' : 'dev')
   },
   
-  // Database configuration (prepared for future use)
+  // Database configuration (storage backend for repositories)
   database: {
+    // 'memory' or 'file'; production and PM2 workers default to file, since
+    // in-memory data is lost on restart and differs between workers
+    client: parseString(process.env.DB_CLIENT, nodeEnv === 'production' || pm2Instance ? 'file' : 'memory'),
+    pm2Instance,
+    filename: parseString(process.env.DB_FILENAME, 'data/hello_world.json'),
     url: parseString(process.env.DATABASE_URL, ''),
     host: parseString(process.env.DB_HOST, 'localhost'),
     port: parseNumber(process.env.DB_PORT, 5432),
@@ -142,16 +184,134 @@ const config = {
     requestTimeout: parseNumber(process.env.API_REQUEST_TIMEOUT, 30000),
     maxPayloadSize: parseString(process.env.API_MAX_PAYLOAD_SIZE, '10mb'),
     enableEtag: parseBoolean(process.env.API_ENABLE_ETAG, true),
+    requireIfMatch: parseBoolean(process.env.API_REQUIRE_IF_MATCH, false),
+    batchMaxOperations: parseNumber(process.env.API_BATCH_MAX_OPERATIONS, 50),
+    idempotency: {
+      enabled: parseBoolean(process.env.API_IDEMPOTENCY_ENABLED, true),
+      ttlSeconds: parseNumber(process.env.API_IDEMPOTENCY_TTL_SECONDS, 24 * 60 * 60), // 24 hours
+      lockTimeoutMs: parseNumber(process.env.API_IDEMPOTENCY_LOCK_TIMEOUT_MS, 60000)
+    },
+    cursorSecret: parseString(process.env.API_CURSOR_SECRET, parseString(process.env.SESSION_SECRET, PLACEHOLDER_SECRET)),
     enableTrustProxy: parseBoolean(process.env.API_TRUST_PROXY, false)
   },
   
+  // User account lifecycle configuration
+  users: {
+    trash: {
+      retentionDays: parseNumber(process.env.USER_TRASH_RETENTION_DAYS, 30),
+      purgeEnabled: parseBoolean(process.env.USER_TRASH_PURGE_ENABLED, true),
+      purgeInterval: parseNumber(process.env.USER_TRASH_PURGE_INTERVAL_MS, 60 * 60 * 1000) // 1 hour
+    },
+    import: {
+      maxRows: parseNumber(process.env.USER_IMPORT_MAX_ROWS, 10000)
+    },
+    export: {
+      batchSize: parseNumber(process.env.USER_EXPORT_BATCH_SIZE, 500)
+    },
+    // Business rules checked on every user change (see services/userRules.js)
+    rules: {
+      // Rule names to skip, e.g. admin-deletion
+      disabled: parseString(process.env.USER_RULES_DISABLED, '').split(',').map(rule => rule.trim()).filter(Boolean),
+      // Email domains new and changed addresses must use; empty allows any
+      emailDomains: parseString(process.env.USER_EMAIL_DOMAINS, '').split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean)
+    }
+  },
+  
+  // Authentication configuration (see routes/auth.js and middleware/auth.js)
+  auth: {
+    enabled: parseBoolean(process.env.AUTH_ENABLED, true),
+    jwtSecret: parseString(process.env.JWT_SECRET, parseString(process.env.SESSION_SECRET, PLACEHOLDER_SECRET)),
+    issuer: parseString(process.env.JWT_ISSUER, 'hello-world-api'),
+    accessTokenTtl: parseDuration(process.env.JWT_EXPIRES_IN, 15 * 60), // seconds
+    refreshTokenTtl: parseDuration(process.env.JWT_REFRESH_EXPIRES_IN, 7 * 24 * 60 * 60), // seconds
+    bootstrapAdmin: {
+      email: parseString(process.env.AUTH_BOOTSTRAP_ADMIN_EMAIL, ''),
+      password: parseString(process.env.AUTH_BOOTSTRAP_ADMIN_PASSWORD, ''),
+      name: parseString(process.env.AUTH_BOOTSTRAP_ADMIN_NAME, 'Administrator')
+    },
+    apiKeys: {
+      enabled: parseBoolean(process.env.API_KEYS_ENABLED, true),
+      defaultTtl: parseDuration(process.env.API_KEY_DEFAULT_TTL, 90 * 24 * 60 * 60), // seconds
+      maxTtl: parseDuration(process.env.API_KEY_MAX_TTL, 365 * 24 * 60 * 60) // seconds
+    },
+    passwordResetTtl: parseDuration(process.env.PASSWORD_RESET_TTL, 60 * 60), // seconds
+    emailVerificationTtl: parseDuration(process.env.EMAIL_VERIFICATION_TTL, 2 * 24 * 60 * 60), // seconds
+    // Shortest time between two reset or verification emails to the same user
+    accountEmailInterval: parseDuration(process.env.ACCOUNT_EMAIL_INTERVAL, 60), // seconds
+    // Invitations (see services/invitationService.js): default and longest lifetime
+    invitationTtl: parseDuration(process.env.INVITATION_TTL, 7 * 24 * 60 * 60), // seconds
+    invitationMaxTtl: parseDuration(process.env.INVITATION_MAX_TTL, 30 * 24 * 60 * 60), // seconds
+    // TOTP multi-factor authentication (see services/mfaService.js)
+    mfa: {
+      enabled: parseBoolean(process.env.MFA_ENABLED, true),
+      issuer: parseString(process.env.MFA_ISSUER, 'Hello World API'),
+      encryptionKey: parseString(process.env.MFA_ENCRYPTION_KEY, parseString(process.env.SESSION_SECRET, PLACEHOLDER_SECRET)),
+      // Roles that must use MFA until an administrator sets a policy through the API
+      requiredRoles: parseString(process.env.MFA_REQUIRED_ROLES, '').split(',').map(role => role.trim()).filter(Boolean),
+      challengeTtl: parseDuration(process.env.MFA_CHALLENGE_TTL, 5 * 60), // seconds
+      maxAttempts: parseNumber(process.env.MFA_MAX_ATTEMPTS, 5),
+      lockout: parseDuration(process.env.MFA_LOCKOUT, 15 * 60), // seconds
+      recoveryCodes: parseNumber(process.env.MFA_RECOVERY_CODES, 10)
+    },
+    // Failed login tracking (see services/lockoutService.js)
+    lockout: {
+      enabled: parseBoolean(process.env.LOGIN_LOCKOUT_ENABLED, true),
+      // Failures within the window that lock an account, or a client IP across accounts
+      maxFailures: parseNumber(process.env.LOGIN_LOCKOUT_MAX_FAILURES, 5),
+      ipMaxFailures: parseNumber(process.env.LOGIN_LOCKOUT_IP_MAX_FAILURES, 20),
+      window: parseDuration(process.env.LOGIN_LOCKOUT_WINDOW, 15 * 60), // seconds
+      // First lock; every further lock doubles it, up to maxDuration
+      duration: parseDuration(process.env.LOGIN_LOCKOUT_DURATION, 60), // seconds
+      maxDuration: parseDuration(process.env.LOGIN_LOCKOUT_MAX_DURATION, 60 * 60), // seconds
+      // Quiet time after which the doubling starts over
+      resetAfter: parseDuration(process.env.LOGIN_LOCKOUT_RESET_AFTER, 24 * 60 * 60) // seconds
+    }
+  },
+
+  // Outgoing mail (see mail/index.js)
+  mail: {
+    transport: parseString(process.env.MAIL_TRANSPORT, 'outbox'), // 'outbox' or 'smtp'
+    from: parseString(process.env.MAIL_FROM, 'Hello World API <no-reply@localhost>'),
+    outboxDir: parseString(process.env.MAIL_OUTBOX_DIR, './data/outbox'),
+    smtp: {
+      host: parseString(process.env.SMTP_HOST, ''),
+      port: parseNumber(process.env.SMTP_PORT, 587),
+      // TLS from the start (port 465); otherwise STARTTLS when the server offers it
+      secure: parseBoolean(process.env.SMTP_SECURE, process.env.SMTP_PORT === '465'),
+      requireTls: parseBoolean(process.env.SMTP_REQUIRE_TLS, nodeEnv === 'production'),
+      user: parseString(process.env.SMTP_USER, ''),
+      password: parseString(process.env.SMTP_PASSWORD, '')
+    },
+    // Base URL of the pages that the links in account emails lead to
+    appUrl: parseString(process.env.APP_URL, 'http://localhost:3000')
+  },
+
+  // Outbound webhooks (see services/webhookService.js)
+  webhooks: {
+    enabled: parseBoolean(process.env.WEBHOOKS_ENABLED, true),
+    // Plain http:// target URLs, for local receivers; https:// is always allowed
+    allowHttp: parseBoolean(process.env.WEBHOOK_ALLOW_HTTP, nodeEnv !== 'production'),
+    // Target hosts on loopback, link-local and private networks, for local receivers
+    allowPrivateNetworks: parseBoolean(process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS, nodeEnv !== 'production'),
+    timeout: parseDuration(process.env.WEBHOOK_TIMEOUT, 10), // seconds
+    // Attempts before a delivery moves to the dead letters
+    maxAttempts: parseNumber(process.env.WEBHOOK_MAX_ATTEMPTS, 8),
+    // Wait before the first retry; each further retry waits twice as long, up to retryMaxDelay
+    retryDelay: parseDuration(process.env.WEBHOOK_RETRY_DELAY, 30), // seconds
+    retryMaxDelay: parseDuration(process.env.WEBHOOK_RETRY_MAX_DELAY, 6 * 60 * 60), // seconds
+    pollInterval: parseDuration(process.env.WEBHOOK_POLL_INTERVAL, 5), // seconds
+    batchSize: parseNumber(process.env.WEBHOOK_BATCH_SIZE, 20),
+    // How long successful deliveries stay listed
+    deliveryRetention: parseDuration(process.env.WEBHOOK_DELIVERY_RETENTION, 7 * 24 * 60 * 60) // seconds
+  },
+  
   // CORS (Cross-Origin Resource Sharing) configuration
   cors: {
     enabled: parseBoolean(process.env.CORS_ENABLED, true),
     origin: parseString(process.env.CORS_ORIGIN, nodeEnv === 'development' ? true : false),
     methods: parseString(process.env.CORS_METHODS, 'GET,HEAD,PUT,PATCH,POST,DELETE'),
-    allowedHeaders: parseString(process.env.CORS_ALLOWED_HEADERS, 'Content-Type,Authorization'),
-    exposedHeaders: parseString(process.env.CORS_EXPOSED_HEADERS, ''),
+    allowedHeaders: parseString(process.env.CORS_ALLOWED_HEADERS, 'Content-Type,Authorization,If-Match,If-None-Match,Idempotency-Key,X-CSRF-Token'),
+    exposedHeaders: parseString(process.env.CORS_EXPOSED_HEADERS, 'ETag,Idempotent-Replayed'),
     credentials: parseBoolean(process.env.CORS_CREDENTIALS, false),
     maxAge: parseNumber(process.env.CORS_MAX_AGE, 86400), // 24 hours
     preflightContinue: parseBoolean(process.env.CORS_PREFLIGHT_CONTINUE, false),
@@ -178,7 +338,9 @@ const config = {
       xssFilter: parseBoolean(process.env.HELMET_XSS_FILTER, true)
     },
     session: {
-      secret: parseString(process.env.SESSION_SECRET, 'your-secret-key-change-in-production'),
+      enabled: parseBoolean(process.env.SESSION_ENABLED, true),
+      name: parseString(process.env.SESSION_COOKIE_NAME, 'hw.sid'),
+      secret: parseString(process.env.SESSION_SECRET, PLACEHOLDER_SECRET),
       secure: parseBoolean(process.env.SESSION_SECURE, nodeEnv === 'production'),
       httpOnly: parseBoolean(process.env.SESSION_HTTP_ONLY, true),
       maxAge: parseNumber(process.env.SESSION_MAX_AGE, 24 * 60 * 60 * 1000), // 24 hours
@@ -219,15 +381,34 @@ if (config.nodeEnv === 'development') {
 if (config.nodeEnv === 'production') {
   const productionChecks = [
     { key: 'SESSION_SECRET', value: process.env.SESSION_SECRET, default: config.security.session.secret },
+    { key: 'JWT_SECRET', value: process.env.JWT_SECRET, default: config.auth.jwtSecret },
     { key: 'LOG_LEVEL', value: process.env.LOG_LEVEL, default: config.logLevel },
     { key: 'CORS_ORIGIN', value: process.env.CORS_ORIGIN, default: config.cors.origin }
   ];
   
   productionChecks.forEach(check => {
-    if (check.value === undefined && check.default.includes('your-secret-key-change-in-production')) {
+    if (check.value === undefined && check.default.includes(PLACEHOLDER_SECRET)) {
       console.warn(`Warning: ${check.key} should be set in production environment`);
     }
   });
+
+  // Reset, verification and invitation links would never reach anyone
+  if (config.mail.transport === 'outbox') {
+    throw new Error('Refusing to start in production with MAIL_TRANSPORT=outbox, which writes account emails to disk instead of delivering them; set MAIL_TRANSPORT=smtp and SMTP_HOST');
+  }
+
+  // Anyone knowing a placeholder could forge CSRF tokens, access tokens and
+  // pagination cursors or read TOTP secrets, so refuse to start with one
+  const placeholderSecrets = [
+    { key: 'SESSION_SECRET', value: config.security.session.secret },
+    { key: 'JWT_SECRET', value: config.auth.jwtSecret },
+    { key: 'API_CURSOR_SECRET', value: config.api.cursorSecret },
+    { key: 'MFA_ENCRYPTION_KEY', value: config.auth.mfa.encryptionKey }
+  ].filter(secret => SAMPLE_SECRETS.includes(secret.value)).map(secret => secret.key);
+
+  if (placeholderSecrets.length > 0) {
+    throw new Error(`Refusing to start in production with the placeholder secret in ${placeholderSecrets.join(', ')}; set SESSION_SECRET (and JWT_SECRET) to long random values`);
+  }
 }
 
 module.exports = config;
\ No newline at end of file
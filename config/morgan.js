@@ -68,6 +68,11 @@ morgan.token('content-length-safe', function (req, res) {
   return length || '0';
 });
 
+// Authenticated caller (user:<id> or api_key:<id>); credentials are never logged
+morgan.token('principal', function (req, res) {
+  return req.user ? `${req.user.type === 'api_key' ? 'api_key' : 'user'}:${req.user.id}` : '-';
+});
+
 // Request timestamp in ISO format for precise time correlation
 morgan.token('timestamp-iso', function (req, res) {
   return new Date().toISOString();
@@ -93,6 +98,7 @@ const productionJsonFormat = JSON.stringify({
   userAgent: ':user-agent-extended',
   remoteAddr: ':remote-addr',
   remoteUser: ':remote-user',
+  principal: ':principal',
   referrer: ':referrer'
 });
 
@@ -0,0 +1,142 @@
+/**
+ * Role Permission Matrix
+ *
+ * Declares what each user role may do. Routes name the permission they need
+ * with the authorize() middleware (middleware/authorize.js); this module is
+ * the single place that decides which roles hold it.
+ *
+ * Permissions are "<resource>:<action>". A permission with the ":own" suffix
+ * grants the action only on the caller's own user record (the user whose ID
+ * is in the route), so "users:update:own" lets a user edit their own account
+ * but nobody else's. A role holding the unsuffixed permission may act on any
+ * user, except on users of a higher rank (see ROLE_RANKS): a moderator can
+ * never modify an administrator.
+ *
+ * Some fields of a user need a permission of their own on top of the
+ * permission to write the user (FIELD_PERMISSIONS). Without it a write that
+ * changes the field is denied, so users can update their own profile and name
+ * but not promote themselves or reactivate their own account.
+ *
+ * Usage:
+ *   const { ROLE_PERMISSIONS } = require('./config/permissions');
+ */
+
+/**
+ * Every permission checked by the API
+ *
+ * - users:list: List and search users (GET /api/users)
+ * - users:read: Read a user and its profile
+ * - users:create: Create users
+ * - users:update: Replace or patch a user's account fields
+ * - users:assign-role: Set or change a user's role
+ * - users:change-status: Pick a new user's status and move users between statuses
+ * - users:delete: Move a user to the trash
+ * - users:purge: Delete a user permanently (?hard=true)
+ * - users:restore: Restore a user from the trash
+ * - users:trash: List the trash
+ * - users:history: Read a user's change history
+ * - users:import / users:export: Bulk import and export
+ * - users:set-password: Set a user's password
+ * - users:sessions: List and revoke a user's sessions
+ * - users:reset-mfa: Turn off a user's MFA (for a user who lost their
+ *   authenticator app and recovery codes)
+ * - users:unlock: Lift the login lockout of a user after failed logins
+ * - profiles:update: Replace a user's profile
+ * - batch:run: Send batch requests (each operation is authorized on its own)
+ * - api-keys:manage: Create, list, rotate and revoke API keys
+ * - invitations:manage: Invite users by email, list, resend and revoke invitations
+ * - webhooks:manage: Subscribe URLs to user events and inspect or redeliver
+ *   their deliveries
+ * - mfa:policy: Choose the roles that must use MFA
+ */
+const PERMISSIONS = [
+  'users:list',
+  'users:read',
+  'users:create',
+  'users:update',
+  'users:assign-role',
+  'users:change-status',
+  'users:delete',
+  'users:purge',
+  'users:restore',
+  'users:trash',
+  'users:history',
+  'users:import',
+  'users:export',
+  'users:set-password',
+  'users:sessions',
+  'users:reset-mfa',
+  'users:unlock',
+  'profiles:update',
+  'batch:run',
+  'api-keys:manage',
+  'invitations:manage',
+  'webhooks:manage',
+  'mfa:policy'
+];
+
+/**
+ * Permissions held by each role
+ */
+const ROLE_PERMISSIONS = {
+  admin: [...PERMISSIONS],
+  moderator: [
+    'users:list',
+    'users:read',
+    'users:create',
+    'users:update',
+    'users:change-status',
+    'users:delete',
+    'users:restore',
+    'users:trash',
+    'users:history',
+    'users:export',
+    'users:set-password:own',
+    'users:sessions',
+    'profiles:update',
+    'batch:run'
+  ],
+  user: [
+    'users:read:own',
+    'users:update:own',
+    'users:history:own',
+    'users:set-password:own',
+    'users:sessions:own',
+    'profiles:update:own',
+    'batch:run'
+  ]
+};
+
+/**
+ * Rank of each role; a role cannot act on users of a higher rank except itself
+ */
+const ROLE_RANKS = {
+  user: 1,
+  moderator: 2,
+  admin: 3
+};
+
+/**
+ * User fields that need a permission to be set or changed, and the value a
+ * new user gets when the field is left out
+ */
+const FIELD_PERMISSIONS = {
+  role: { permission: 'users:assign-role', defaultValue: 'user' },
+  status: { permission: 'users:change-status', defaultValue: 'active' }
+};
+
+/**
+ * Permissions an API key may be granted as scopes. API keys act with exactly
+ * their scopes and no role; they can never manage API keys themselves, nor
+ * weaken the second factor of the people who can.
+ */
+const API_KEY_SCOPES = PERMISSIONS.filter(permission =>
+  !['api-keys:manage', 'users:reset-mfa', 'mfa:policy'].includes(permission));
+
+module.exports = {
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  ROLE_PERMISSIONS,
+  ROLE_RANKS,
+  FIELD_PERMISSIONS
+};
@@ -97,7 +97,7 @@ module.exports = {
         // Production security and performance settings
         HELMET_ENABLED: 'true',
         COMPRESSION_ENABLED: 'true',
-        TRUST_PROXY: 'true',
+        API_TRUST_PROXY: 'true',
         
         // Health check configuration
         HEALTH_CHECK_ENABLED: 'true',
@@ -0,0 +1,118 @@
+/**
+ * Trash Purge Job
+ *
+ * Permanently removes soft-deleted users once they have spent the configured
+ * retention period (config.users.trash.retentionDays) in the trash. The job
+ * runs on a timer in every process that calls startTrashPurge(); purging is a
+ * single repository transaction, so PM2 workers sharing the file backend can
+ * run it concurrently without removing anything twice.
+ *
+ * Purged users no longer exist in storage. Their deletion audit record
+ * (deletedAt, reason, deletedBy, requestId) is written to the application
+ * log so that the trail outlives the data.
+ */
+
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const { userRepository } = require('../repositories');
+
+/**
+ * Actor recorded in the user history for purges
+ */
+const PURGE_ACTOR = { type: 'system', id: 'trash-purge' };
+
+/**
+ * Milliseconds in one day
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compute when a soft-deleted user becomes eligible for purging
+ *
+ * @param {Object} user - Soft-deleted user record
+ * @returns {string|null} ISO timestamp, or null when the user is not deleted
+ */
+function purgeDateFor(user) {
+  if (!user.deletedAt) {
+    return null;
+  }
+  return new Date(Date.parse(user.deletedAt) + config.users.trash.retentionDays * DAY_MS).toISOString();
+}
+
+/**
+ * Purge every user whose retention period has elapsed
+ *
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {Promise<Array<Object>>} Purged user records
+ */
+async function purgeTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - config.users.trash.retentionDays * DAY_MS);
+  const purged = await userRepository.purgeDeleted(cutoff, { audit: { actor: PURGE_ACTOR } });
+
+  purged.forEach(user => {
+    logger.info('Trashed user purged', {
+      userId: user.id,
+      email: user.email,
+      deletedAt: user.deletedAt,
+      reason: user.deletion && user.deletion.reason,
+      deletedBy: user.deletion && user.deletion.deletedBy,
+      deletionRequestId: user.deletion && user.deletion.requestId,
+      retentionDays: config.users.trash.retentionDays
+    });
+  });
+
+  if (purged.length > 0) {
+    logger.info('Trash purge completed', {
+      purgedCount: purged.length,
+      cutoff: cutoff.toISOString()
+    });
+  }
+
+  return purged;
+}
+
+/**
+ * Start the periodic purge timer
+ *
+ * The timer is unref'd so it never keeps the process alive on its own.
+ *
+ * @returns {Object} Handle with a stop() method for graceful shutdown
+ */
+function startTrashPurge() {
+  const { purgeEnabled, purgeInterval, retentionDays } = config.users.trash;
+
+  if (!purgeEnabled) {
+    logger.info('Trash purge job disabled');
+    return { stop() {} };
+  }
+
+  const run = () => purgeTrash().catch(error => {
+    logger.error('Trash purge failed', {
+      error: error.message,
+      stack: error.stack
+    });
+  });
+
+  const startupTimer = setTimeout(run, 0);
+  const intervalTimer = setInterval(run, purgeInterval);
+  startupTimer.unref();
+  intervalTimer.unref();
+
+  logger.info('Trash purge job started', {
+    retentionDays,
+    intervalMs: purgeInterval
+  });
+
+  return {
+    stop() {
+      clearTimeout(startupTimer);
+      clearInterval(intervalTimer);
+    }
+  };
+}
+
+module.exports = {
+  purgeDateFor,
+  purgeTrash,
+  startTrashPurge
+};
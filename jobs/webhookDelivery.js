@@ -0,0 +1,57 @@
+/**
+ * Webhook Delivery Job
+ *
+ * Sends queued webhook deliveries every config.webhooks.pollInterval,
+ * including the retries that have come due (see services/webhookService.js).
+ * Every process that calls startWebhookDelivery() polls; deliveries are
+ * claimed before they are sent, so PM2 workers sharing the file backend
+ * never send the same delivery twice at once.
+ */
+
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const { dispatchDueDeliveries } = require('../services/webhookService');
+
+/**
+ * Start the periodic delivery timer
+ *
+ * The timer is unref'd so it never keeps the process alive on its own.
+ *
+ * @returns {Object} Handle with a stop() method for graceful shutdown
+ */
+function startWebhookDelivery() {
+  const { enabled, pollInterval, maxAttempts } = config.webhooks;
+
+  if (!enabled) {
+    logger.info('Webhook delivery job disabled');
+    return { stop() {} };
+  }
+
+  const run = () => dispatchDueDeliveries().catch(error => {
+    logger.error('Webhook dispatch failed', {
+      error: error.message,
+      stack: error.stack
+    });
+  });
+
+  const startupTimer = setTimeout(run, 0);
+  const intervalTimer = setInterval(run, pollInterval * 1000);
+  startupTimer.unref();
+  intervalTimer.unref();
+
+  logger.info('Webhook delivery job started', {
+    intervalMs: pollInterval * 1000,
+    maxAttempts
+  });
+
+  return {
+    stop() {
+      clearTimeout(startupTimer);
+      clearInterval(intervalTimer);
+    }
+  };
+}
+
+module.exports = {
+  startWebhookDelivery
+};
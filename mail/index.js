@@ -0,0 +1,100 @@
+/**
+ * Mail Delivery
+ *
+ * Renders the templates of mail/templates.js and hands the messages to the
+ * transport configured in config.mail.transport. Every module that sends
+ * mail should go through sendMail() so that the transport can be swapped
+ * without touching the senders.
+ *
+ * Supported Transports (config.mail.transport):
+ * - outbox: Write messages as JSON files to config.mail.outboxDir instead of
+ *   delivering them (development and testing; refused in production)
+ * - smtp: Deliver messages through the SMTP server in config.mail.smtp
+ *
+ * A transport is an object with an async send(message) method resolving with
+ * { messageId }; message is { id, from, to, subject, text, html, template,
+ * createdAt }. Add another delivery service (an HTTP mail API) by creating
+ * its transport under mail/transports/ and selecting it in createTransport().
+ */
+
+const path = require('path');
+const { v4: uuid } = require('uuid');
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const { renderTemplate } = require('./templates');
+const createOutboxTransport = require('./transports/outbox');
+const createSmtpTransport = require('./transports/smtp');
+
+/**
+ * Project root used to resolve a relative outbox directory
+ */
+const projectRoot = path.resolve(__dirname, '..');
+
+/**
+ * Create the transport selected in a mail configuration
+ *
+ * @param {Object} mailConfig - config.mail section (or a compatible object)
+ * @returns {Object} Mail transport
+ */
+function createTransport(mailConfig = config.mail) {
+  switch (mailConfig.transport) {
+    case 'outbox':
+      return createOutboxTransport({ directory: path.resolve(projectRoot, mailConfig.outboxDir) });
+    case 'smtp':
+      return createSmtpTransport(mailConfig.smtp);
+    default:
+      throw new Error(`Unsupported mail transport: ${mailConfig.transport}`);
+  }
+}
+
+const transport = createTransport();
+
+/**
+ * Build a link to a page of the application, carrying a token
+ *
+ * @param {string} page - Page path under config.mail.appUrl
+ * @param {string} token - Token to carry
+ * @returns {string} Absolute URL
+ */
+function appLink(page, token) {
+  return `${config.mail.appUrl.replace(/\/+$/, '')}/${page}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Render and send a message
+ *
+ * @param {Object} options - Message options
+ * @param {string} options.template - Template name (see mail/templates.js)
+ * @param {string} options.to - Recipient address
+ * @param {Object} options.variables - Template variables
+ * @returns {Promise<Object>} { messageId } as reported by the transport
+ */
+async function sendMail(options) {
+  const { template, to, variables } = options;
+
+  const message = {
+    id: uuid(),
+    from: config.mail.from,
+    to,
+    ...renderTemplate(template, variables),
+    template,
+    createdAt: new Date().toISOString()
+  };
+
+  const result = await transport.send(message);
+
+  logger.info('Mail sent', {
+    messageId: result.messageId,
+    template,
+    to,
+    transport: transport.name
+  });
+
+  return result;
+}
+
+module.exports = {
+  createTransport,
+  appLink,
+  sendMail
+};
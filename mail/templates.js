@@ -0,0 +1,138 @@
+/**
+ * Mail Templates
+ *
+ * The messages sent by the API, each with a subject, a plain text body and
+ * an HTML body. Placeholders are written {{name}} and filled from the
+ * variables passed to renderTemplate(); values are HTML-escaped in the HTML
+ * body. Every message also receives appName.
+ *
+ * Templates:
+ * - password-reset: { name, resetUrl, expiresInMinutes }
+ * - email-verification: { name, verificationUrl, expiresInHours }
+ * - invitation: { name, role, acceptUrl, expiresInDays }
+ */
+
+/**
+ * Name used in subjects and greetings
+ */
+const APP_NAME = 'Hello World API';
+
+const TEMPLATES = {
+  'password-reset': {
+    subject: 'Reset your {{appName}} password',
+    text: [
+      'Hello {{name}},',
+      '',
+      'Someone asked to reset the password of your {{appName}} account.',
+      'Choose a new password here within {{expiresInMinutes}} minutes:',
+      '',
+      '{{resetUrl}}',
+      '',
+      'If it was not you, ignore this email; your password stays the same.'
+    ].join('\n'),
+    html: [
+      '<p>Hello {{name}},</p>',
+      '<p>Someone asked to reset the password of your {{appName}} account.',
+      'Choose a new password within {{expiresInMinutes}} minutes:</p>',
+      '<p><a href="{{resetUrl}}">Reset password</a></p>',
+      '<p>If it was not you, ignore this email; your password stays the same.</p>'
+    ].join('\n')
+  },
+
+  'email-verification': {
+    subject: 'Confirm your email address for {{appName}}',
+    text: [
+      'Hello {{name}},',
+      '',
+      'Confirm that this is your email address to activate your {{appName}} account.',
+      'The link works for {{expiresInHours}} hours:',
+      '',
+      '{{verificationUrl}}'
+    ].join('\n'),
+    html: [
+      '<p>Hello {{name}},</p>',
+      '<p>Confirm that this is your email address to activate your {{appName}} account.',
+      'The link works for {{expiresInHours}} hours:</p>',
+      '<p><a href="{{verificationUrl}}">Confirm email address</a></p>'
+    ].join('\n')
+  },
+
+  invitation: {
+    subject: 'You are invited to {{appName}}',
+    text: [
+      'Hello {{name}},',
+      '',
+      'You have been invited to join {{appName}} as {{role}}.',
+      'Choose a password to create your account within {{expiresInDays}} days:',
+      '',
+      '{{acceptUrl}}',
+      '',
+      'If you were not expecting this invitation, ignore this email.'
+    ].join('\n'),
+    html: [
+      '<p>Hello {{name}},</p>',
+      '<p>You have been invited to join {{appName}} as {{role}}.',
+      'Choose a password to create your account within {{expiresInDays}} days:</p>',
+      '<p><a href="{{acceptUrl}}">Accept invitation</a></p>',
+      '<p>If you were not expecting this invitation, ignore this email.</p>'
+    ].join('\n')
+  }
+};
+
+/**
+ * Escape a value for HTML text and attribute content
+ *
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Fill the placeholders of a template string
+ *
+ * @param {string} source - Template string
+ * @param {Object} variables - Placeholder values
+ * @param {Function} escape - Applied to every value
+ * @returns {string} Rendered string
+ */
+function fill(source, variables, escape) {
+  return source.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+    if (variables[name] === undefined || variables[name] === null) {
+      throw new Error(`Mail template variable missing: ${name}`);
+    }
+    return escape(String(variables[name]));
+  });
+}
+
+/**
+ * Render a template
+ *
+ * @param {string} name - Template name
+ * @param {Object} variables - Placeholder values
+ * @returns {Object} { subject, text, html }
+ */
+function renderTemplate(name, variables = {}) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+
+  const values = { appName: APP_NAME, ...variables };
+  return {
+    subject: fill(template.subject, values, value => value),
+    text: fill(template.text, values, value => value),
+    html: fill(template.html, values, escapeHtml)
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate
+};
@@ -0,0 +1,49 @@
+/**
+ * Outbox Mail Transport
+ *
+ * Delivers nothing: every message is written as a JSON file to a directory,
+ * where developers and tests can read the links that would have been mailed.
+ * File names start with the send time, so a directory listing is in sending
+ * order:
+ *
+ *   data/outbox/2024-05-01T10-15-00-000Z-<message id>.json
+ *   { id, from, to, subject, text, html, template, createdAt }
+ *
+ * The outbox holds live reset and verification links; keep it out of reach
+ * of anyone who should not be able to take over accounts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create Outbox Mail Transport
+ *
+ * @param {Object} options - Transport options
+ * @param {string} options.directory - Absolute path of the outbox directory
+ * @returns {Object} Mail transport exposing send()
+ */
+function createOutboxTransport(options = {}) {
+  const { directory } = options;
+
+  if (!directory) {
+    throw new Error('Outbox mail transport requires a directory option');
+  }
+
+  return {
+    name: 'outbox',
+    directory,
+
+    async send(message) {
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const fileName = `${message.createdAt.replace(/[:.]/g, '-')}-${message.id}.json`;
+      const filePath = path.join(directory, fileName);
+      await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2), { mode: 0o600 });
+
+      return { messageId: message.id, location: filePath };
+    }
+  };
+}
+
+module.exports = createOutboxTransport;
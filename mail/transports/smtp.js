@@ -0,0 +1,61 @@
+/**
+ * SMTP Mail Transport
+ *
+ * Delivers messages through an SMTP server, such as a mail provider's relay
+ * or the organisation's own mail server, using nodemailer. Connections use
+ * STARTTLS when the server offers it (port 587) or TLS from the start with
+ * secure (port 465); with requireTls a server that does not offer STARTTLS
+ * is refused rather than sent credentials and reset links in clear text.
+ *
+ * send() resolves once the server has accepted the message, with the
+ * Message-ID it was sent under.
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Create SMTP Mail Transport
+ *
+ * @param {Object} options - Transport options
+ * @param {string} options.host - SMTP server host name
+ * @param {number} options.port - SMTP server port
+ * @param {boolean} options.secure - Use TLS from the start (port 465)
+ * @param {boolean} options.requireTls - Refuse servers without STARTTLS
+ * @param {string} options.user - Login name, empty for servers without authentication
+ * @param {string} options.password - Login password
+ * @returns {Object} Mail transport exposing send()
+ */
+function createSmtpTransport(options = {}) {
+  const { host, port, secure, requireTls, user, password } = options;
+
+  if (!host) {
+    throw new Error('SMTP mail transport requires a host option (SMTP_HOST)');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    requireTLS: requireTls,
+    auth: user ? { user, pass: password } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    host,
+
+    async send(message) {
+      const info = await transporter.sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      });
+
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+module.exports = createSmtpTransport;
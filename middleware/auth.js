@@ -0,0 +1,377 @@
+/**
+ * Authentication Middleware
+ *
+ * Authenticates requests with the access tokens issued by POST
+ * /api/auth/login and POST /api/auth/refresh, sent as
+ *
+ *   Authorization: Bearer <access token>
+ *
+ * On success req.user describes the caller ({ id, name, email, role, status,
+ * sessionId }). The token alone is not trusted beyond its signature and
+ * expiry: the user is loaded on every request, so a user who was deleted or
+ * deactivated, or whose session was ended by logout or a password change,
+ * is rejected at once instead of when the token expires.
+ *
+ * Server-to-server clients authenticate with an API key (see /api/keys)
+ * instead, sent as either of
+ *
+ *   Authorization: ApiKey <key>
+ *   X-API-Key: <key>
+ *
+ * and act as the key's principal: req.user is { type: 'api_key', id, name,
+ * role: null, scopes, expiresAt }, and the key's scopes are its permissions.
+ * Revoked and expired keys are rejected. API keys can be switched off with
+ * API_KEYS_ENABLED=false.
+ *
+ * Browsers may instead hold a cookie session started at POST
+ * /api/auth/session (config.security.session; SESSION_ENABLED=false turns
+ * cookie sessions off). The session cookie is only consulted when no
+ * Authorization or X-API-Key header is sent. Since browsers attach cookies to
+ * cross-site requests as well, cookie-authenticated requests with an unsafe
+ * method must also carry the session's CSRF token in the X-CSRF-Token header
+ * (see utils/cookies.js); without it they are refused with 403.
+ *
+ * req.authMethod records how the caller authenticated: bearer, api_key or
+ * session.
+ *
+ * When the MFA policy (see services/mfaService.js) requires a second factor
+ * for the caller's role and the caller has not enrolled yet, requests are
+ * refused with 403 (details.reason mfa_enrollment_required), except on the
+ * routes that let the caller enroll (the allowMfaEnrollment option). API keys
+ * are not affected.
+ *
+ * Failures are passed to the global error handler as 401 Unauthorized with a
+ * WWW-Authenticate challenge (RFC 6750); details.reason tells clients whether
+ * to refresh (token_expired) or to log in again.
+ *
+ * Authentication can be switched off with AUTH_ENABLED=false, for example
+ * behind a gateway that authenticates requests itself; req.user is then not set.
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const { v4: uuid } = require('uuid');
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const { userRepository, refreshTokenRepository, apiKeyRepository, sessionRepository } = require('../repositories');
+const { verifyAccessToken } = require('../utils/accessToken');
+const { toAuthenticatedUser } = require('../services/authService');
+const mfaService = require('../services/mfaService');
+const { parseCookies, sessionCookieOptions, csrfTokenMatches } = require('../utils/cookies');
+
+/**
+ * Methods that change state and therefore need a CSRF token under cookie authentication
+ */
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Client-facing description of each failure reason
+ */
+const FAILURE_MESSAGES = {
+  missing_token: 'Authentication required; send an access token or API key in the Authorization header',
+  invalid_token: 'Access token is invalid',
+  token_expired: 'Access token has expired; use the refresh token to obtain a new one',
+  session_ended: 'Session has ended; log in again',
+  invalid_session: 'Session cookie is invalid; log in again',
+  invalid_api_key: 'API key is invalid',
+  api_key_expired: 'API key has expired',
+  api_key_revoked: 'API key has been revoked'
+};
+
+/**
+ * Authentication failure reason for each rejected API key outcome of
+ * apiKeyRepository.authenticate()
+ */
+const API_KEY_FAILURES = {
+  invalid: 'invalid_api_key',
+  expired: 'api_key_expired',
+  revoked: 'api_key_revoked'
+};
+
+/**
+ * Build the 401 error for a failed authentication and set the challenge header
+ *
+ * @param {Object} res - Express response object
+ * @param {string} reason - Key of FAILURE_MESSAGES
+ * @param {string} requestId - Request ID for error details
+ * @param {string} scheme - Scheme of the rejected credentials (bearer, apikey
+ *   or session; cookie sessions are challenged like bearer tokens)
+ * @returns {Object} Structured error for the global error handler
+ */
+function authenticationError(res, reason, requestId, scheme = 'bearer') {
+  let challenge;
+  if (reason === 'missing_token') {
+    challenge = config.auth.apiKeys.enabled ? 'Bearer realm="api", ApiKey realm="api"' : 'Bearer realm="api"';
+  } else if (scheme === 'apikey') {
+    challenge = 'ApiKey realm="api"';
+  } else {
+    challenge = `Bearer realm="api", error="invalid_token", error_description="${FAILURE_MESSAGES[reason]}"`;
+  }
+  res.set('WWW-Authenticate', challenge);
+
+  return {
+    type: 'AuthenticationError',
+    message: FAILURE_MESSAGES[reason],
+    statusCode: StatusCodes.UNAUTHORIZED,
+    details: {
+      reason,
+      requestId
+    }
+  };
+}
+
+/**
+ * Extract the credentials of a request
+ *
+ * The Authorization header takes precedence over X-API-Key, and both over
+ * the session cookie.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Object|null|undefined} { scheme, token } where scheme is bearer,
+ *   apikey or session, null when the Authorization header uses another scheme
+ *   or is malformed, undefined when no credentials were sent
+ */
+function readCredentials(req) {
+  const header = req.get('Authorization');
+
+  if (header === undefined) {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+      return { scheme: 'apikey', token: apiKey.trim() };
+    }
+
+    const cookie = config.security.session.enabled
+      ? parseCookies(req.get('Cookie'))[config.security.session.name]
+      : undefined;
+    return cookie ? { scheme: 'session', token: cookie } : undefined;
+  }
+
+  const match = /^(Bearer|ApiKey)\s+(\S+)\s*$/i.exec(header);
+  return match ? { scheme: match[1].toLowerCase(), token: match[2] } : null;
+}
+
+/**
+ * Build the req.user object of a request authenticated with an API key
+ *
+ * @param {Object} apiKey - API key (without hashes)
+ * @returns {Object} { type, id, name, role, scopes, expiresAt }
+ */
+function toApiKeyPrincipal(apiKey) {
+  const { id, name, scopes, expiresAt } = apiKey;
+  return { type: 'api_key', id, name, role: null, scopes, expiresAt };
+}
+
+/**
+ * Authenticate a request with an API key
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} key - Presented API key
+ * @param {string} requestId - Request ID for logs and error details
+ * @returns {Promise<Object|null>} Error for the global error handler, or null
+ *   when req.user has been set
+ */
+async function authenticateApiKey(req, res, key, requestId) {
+  if (!config.auth.apiKeys.enabled) {
+    logger.warn('API key sent while API keys are disabled', { requestId, path: req.path });
+    return authenticationError(res, 'invalid_api_key', requestId, 'apikey');
+  }
+
+  const { outcome, apiKey } = await apiKeyRepository.authenticate(key);
+
+  if (outcome !== 'valid') {
+    logger.warn('Rejected API key', {
+      requestId,
+      outcome,
+      apiKeyId: apiKey ? apiKey.id : null,
+      path: req.path
+    });
+    return authenticationError(res, API_KEY_FAILURES[outcome], requestId, 'apikey');
+  }
+
+  req.user = toApiKeyPrincipal(apiKey);
+  req.authMethod = 'api_key';
+  return null;
+}
+
+/**
+ * Authenticate a request with a session cookie
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} token - Session cookie value
+ * @param {string} requestId - Request ID for logs and error details
+ * @returns {Promise<Object|null>} Error for the global error handler, or null
+ *   when req.user has been set
+ */
+async function authenticateSession(req, res, token, requestId) {
+  const { outcome, session, renewed } = await sessionRepository.authenticate(token, {
+    ttlMs: config.security.session.maxAge
+  });
+  const user = outcome === 'valid' ? await userRepository.findById(session.userId) : null;
+
+  if (!user || user.status !== 'active') {
+    logger.warn('Rejected session cookie', {
+      requestId,
+      outcome,
+      sessionId: session ? session.id : null,
+      userId: session ? session.userId : null,
+      path: req.path
+    });
+
+    // Stop the browser from sending a cookie that will never work again
+    const { maxAge, ...cookieOptions } = sessionCookieOptions();
+    res.clearCookie(config.security.session.name, cookieOptions);
+    return authenticationError(res, outcome === 'invalid' ? 'invalid_session' : 'session_ended', requestId, 'session');
+  }
+
+  if (!CSRF_SAFE_METHODS.includes(req.method) && !csrfTokenMatches(session.id, req.get('X-CSRF-Token'))) {
+    const reason = req.get('X-CSRF-Token') ? 'csrf_token_invalid' : 'csrf_token_missing';
+
+    logger.warn('Cookie-authenticated request without a valid CSRF token', {
+      requestId,
+      reason,
+      sessionId: session.id,
+      userId: user.id,
+      method: req.method,
+      path: req.path,
+      origin: req.get('Origin') || null
+    });
+
+    return {
+      type: 'AUTHORIZATION_ERROR',
+      message: 'Requests authenticated with the session cookie must send the session\'s CSRF token in the X-CSRF-Token header',
+      statusCode: StatusCodes.FORBIDDEN,
+      details: {
+        reason,
+        requestId
+      }
+    };
+  }
+
+  // Keep the cookie alive in the browser as long as the session on the server
+  if (renewed) {
+    res.cookie(config.security.session.name, token, sessionCookieOptions());
+  }
+
+  req.user = toAuthenticatedUser(user, session.id);
+  req.authMethod = 'session';
+  return null;
+}
+
+/**
+ * Build the 403 error for a user who has to enroll in MFA first
+ *
+ * @param {Object} req - Express request object (authenticated)
+ * @param {string} requestId - Request ID for logs and error details
+ * @returns {Object} Structured error for the global error handler
+ */
+function mfaEnrollmentError(req, requestId) {
+  logger.warn('Request refused - MFA enrollment required', {
+    requestId,
+    userId: req.user.id,
+    role: req.user.role,
+    method: req.method,
+    path: req.path
+  });
+
+  return {
+    type: 'AUTHORIZATION_ERROR',
+    message: 'Your role requires multi-factor authentication; enroll at /api/mfa/enrollment before using the API',
+    statusCode: StatusCodes.FORBIDDEN,
+    details: {
+      reason: 'mfa_enrollment_required',
+      requestId
+    }
+  };
+}
+
+/**
+ * Create authentication middleware
+ *
+ * @param {Object} options - Middleware options
+ * @param {boolean} options.optional - Let requests without credentials
+ *   through unauthenticated (default: false); credentials that are sent must
+ *   still be valid
+ * @param {boolean} options.allowMfaEnrollment - Let users who have to enroll
+ *   in MFA through (default: false), for the enrollment endpoints and logout
+ * @returns {Function} Express middleware
+ */
+function authenticate(options = {}) {
+  const { optional = false, allowMfaEnrollment = false } = options;
+
+  return async (req, res, next) => {
+    if (!config.auth.enabled) {
+      return next();
+    }
+
+    const requestId = req.id || uuid();
+    const credentials = readCredentials(req);
+
+    if (credentials === undefined && optional) {
+      return next();
+    }
+
+    if (!credentials) {
+      return next(authenticationError(res, credentials === null ? 'invalid_token' : 'missing_token', requestId));
+    }
+
+    try {
+      if (credentials.scheme === 'apikey') {
+        const apiKeyError = await authenticateApiKey(req, res, credentials.token, requestId);
+        return apiKeyError ? next(apiKeyError) : next();
+      }
+
+      if (credentials.scheme === 'session') {
+        const sessionError = await authenticateSession(req, res, credentials.token, requestId);
+        if (sessionError) {
+          return next(sessionError);
+        }
+      } else {
+        const { claims, reason } = verifyAccessToken(credentials.token);
+
+        if (!claims) {
+          logger.warn('Rejected access token', { requestId, reason, path: req.path });
+          return next(authenticationError(res, reason === 'expired' ? 'token_expired' : 'invalid_token', requestId));
+        }
+
+        const [user, session] = await Promise.all([
+          userRepository.findById(claims.sub),
+          refreshTokenRepository.findActive(claims.sid)
+        ]);
+
+        if (!user || user.status !== 'active' || !session || session.userId !== user.id) {
+          logger.warn('Access token of an ended session', {
+            requestId,
+            userId: claims.sub,
+            sessionId: claims.sid,
+            path: req.path
+          });
+          return next(authenticationError(res, 'session_ended', requestId));
+        }
+
+        req.user = toAuthenticatedUser(user, session.id);
+        req.authMethod = 'bearer';
+      }
+
+      if (!allowMfaEnrollment && await mfaService.enrollmentRequired(req.user)) {
+        return next(mfaEnrollmentError(req, requestId));
+      }
+      next();
+
+    } catch (error) {
+      logger.error('Authentication middleware error', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        path: req.path
+      });
+
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  authenticate
+};
@@ -0,0 +1,231 @@
+/**
+ * Authorization Middleware
+ *
+ * Enforces the role permission matrix in config/permissions.js. Routes
+ * declare the permission they need and, for routes addressing one user,
+ * the route parameter holding that user's ID:
+ *
+ *   router.delete('/users/:id', authorize('users:delete', { target: 'id' }), ...)
+ *
+ * The caller (req.user, set by middleware/auth.js) is allowed when its role
+ * holds the permission, or holds "<permission>:own" and the target is the
+ * caller. A caller acting on someone else through the unsuffixed permission
+ * is still refused when the target has a higher role rank than the caller.
+ *
+ * API keys (req.user.type === 'api_key') have no role: they hold exactly the
+ * permissions listed in their scopes, which are never ":own" permissions, and
+ * role ranks do not limit them.
+ *
+ * Field-level rules (FIELD_PERMISSIONS) cannot be decided before the new
+ * document is known; route handlers check them with authorizeFields() once
+ * the request body has been validated.
+ *
+ * Denied requests are passed to the global error handler as
+ * AUTHORIZATION_ERROR (403 Forbidden) naming the missing permission. When
+ * authentication is switched off (AUTH_ENABLED=false) nothing is checked.
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const { v4: uuid } = require('uuid');
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const { ROLE_PERMISSIONS, ROLE_RANKS, FIELD_PERMISSIONS } = require('../config/permissions');
+const { userRepository } = require('../repositories');
+
+/**
+ * Client-facing description of each denial reason
+ */
+const DENIAL_MESSAGES = {
+  missing_permission: (permission, field, user) => (user && user.type === 'api_key'
+    ? `The scopes of this API key do not include ${permission}`
+    : `Your role does not have the ${permission} permission`),
+  target_role_protected: () => 'Users with a higher role cannot be modified by your role',
+  field_not_permitted: (permission, field) => `Changing ${field} requires the ${permission} permission`
+};
+
+/**
+ * Build the 403 error for a denied request
+ *
+ * @param {Object} req - Express request object
+ * @param {string} reason - Key of DENIAL_MESSAGES
+ * @param {string} permission - Permission that was checked
+ * @param {Object} extra - Additional details (field, targetRole)
+ * @returns {Object} Structured error for the global error handler
+ */
+function authorizationError(req, reason, permission, extra = {}) {
+  const requestId = req.id || uuid();
+
+  logger.warn('Request denied by authorization', {
+    requestId,
+    userId: req.user ? req.user.id : null,
+    role: req.user ? req.user.role : null,
+    permission,
+    reason,
+    method: req.method,
+    path: req.path,
+    ...extra
+  });
+
+  return {
+    type: 'AUTHORIZATION_ERROR',
+    message: DENIAL_MESSAGES[reason](permission, extra.field, req.user),
+    statusCode: StatusCodes.FORBIDDEN,
+    details: {
+      permission,
+      reason,
+      ...extra,
+      requestId
+    }
+  };
+}
+
+/**
+ * Rank of a role (unknown roles rank lowest)
+ *
+ * @param {string} role - Role name
+ * @returns {number} Rank from ROLE_RANKS, or 0
+ */
+function rankOf(role) {
+  return ROLE_RANKS[role] || 0;
+}
+
+/**
+ * Rank a caller acts with; API keys are bounded by their scopes alone
+ *
+ * @param {Object} user - Authenticated caller (req.user)
+ * @returns {number} Rank of the caller's role, or Infinity for API keys
+ */
+function callerRank(user) {
+  return user.type === 'api_key' ? Infinity : rankOf(user.role);
+}
+
+/**
+ * Permissions held by a caller: the scopes of an API key, otherwise those of
+ * the user's role
+ *
+ * @param {Object} user - Authenticated caller (req.user)
+ * @returns {Array<string>} Permission names
+ */
+function permissionsOf(user) {
+  if (!user) {
+    return [];
+  }
+  return user.type === 'api_key' ? user.scopes : ROLE_PERMISSIONS[user.role] || [];
+}
+
+/**
+ * Check whether a user holds a permission
+ *
+ * @param {Object} user - Authenticated caller ({ id, role } or an API key { id, scopes })
+ * @param {string} permission - Permission name
+ * @param {Object} options - Check options
+ * @param {string} options.targetId - ID of the user acted on, for ":own" permissions
+ * @returns {string|null} 'any' when the role holds the permission, 'own' when
+ *   it holds the ":own" form and the target is the user, otherwise null
+ */
+function hasPermission(user, permission, options = {}) {
+  const permissions = permissionsOf(user);
+
+  if (permissions.includes(permission)) {
+    return 'any';
+  }
+  if (options.targetId !== undefined && options.targetId === user.id && permissions.includes(`${permission}:own`)) {
+    return 'own';
+  }
+  return null;
+}
+
+/**
+ * Create authorization middleware
+ *
+ * @param {string|Function} permission - Required permission, or a function of
+ *   the request returning it (for routes whose permission depends on the query)
+ * @param {Object} options - Middleware options
+ * @param {string} options.target - Route parameter holding the ID of the user acted on
+ * @param {boolean} options.includeDeleted - Look the target up in the trash as well
+ *   (default: false)
+ * @returns {Function} Express middleware
+ */
+function authorize(permission, options = {}) {
+  const { target, includeDeleted = false } = options;
+
+  return async (req, res, next) => {
+    if (!config.auth.enabled) {
+      return next();
+    }
+
+    const required = typeof permission === 'function' ? permission(req) : permission;
+    const targetId = target ? req.params[target] : undefined;
+
+    try {
+      const scope = hasPermission(req.user, required, { targetId });
+
+      if (!scope) {
+        return next(authorizationError(req, 'missing_permission', required));
+      }
+
+      if (scope === 'any' && targetId !== undefined && targetId !== req.user.id) {
+        const targetUser = await userRepository.findById(targetId, { includeDeleted });
+
+        // A missing target is reported by the route itself (404)
+        if (targetUser && rankOf(targetUser.role) > callerRank(req.user)) {
+          return next(authorizationError(req, 'target_role_protected', required, { targetRole: targetUser.role }));
+        }
+      }
+
+      next();
+
+    } catch (error) {
+      logger.error('Authorization middleware error', {
+        requestId: req.id,
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        path: req.path
+      });
+
+      next(error);
+    }
+  };
+}
+
+/**
+ * Check the field-level permissions of a user write
+ *
+ * A field needs its permission when the document sets it to a value other
+ * than the current one (for a new user: other than the default). Assigning a
+ * role above the caller's own rank is never allowed.
+ *
+ * @param {Object} req - Express request object (req.user is the caller)
+ * @param {Object|null} current - Stored user, or null for a new user
+ * @param {Object} document - Validated user fields being written
+ * @returns {Object|null} AUTHORIZATION_ERROR to pass to next(), or null when allowed
+ */
+function authorizeFields(req, current, document) {
+  if (!config.auth.enabled) {
+    return null;
+  }
+
+  for (const [field, rule] of Object.entries(FIELD_PERMISSIONS)) {
+    const before = current ? current[field] : rule.defaultValue;
+    const after = document[field];
+
+    if (after === undefined || after === before) {
+      continue;
+    }
+    if (!hasPermission(req.user, rule.permission)) {
+      return authorizationError(req, 'field_not_permitted', rule.permission, { field });
+    }
+    if (field === 'role' && rankOf(after) > callerRank(req.user)) {
+      return authorizationError(req, 'field_not_permitted', rule.permission, { field });
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  authorize,
+  authorizeFields,
+  hasPermission
+};
@@ -24,16 +24,21 @@
  *     "message": "Human-readable error description",
  *     "code": "ERROR_CODE",
  *     "timestamp": "2024-01-01T00:00:00.000Z",
- *     "requestId": "uuid-v4-request-identifier"
+ *     "requestId": "uuid-v4-request-identifier",
+ *     "details": { ... }
  *   },
  *   "success": false
  * }
+ *
+ * The details object is only present for client errors (4xx) that carry
+ * structured details, such as the failing fields of a validation error.
  */
 
 const { v4: uuid } = require('uuid');
 const { StatusCodes } = require('http-status-codes');
 const logger = require('../utils/logger');
 const config = require('../config/index');
+const { REDACTED_HEADERS, REDACTED_BODY_FIELDS, redactFields } = require('../utils/redact');
 
 /**
  * Error Type Classification
@@ -64,6 +69,31 @@ const ERROR_TYPES = {
     logLevel: 'info',
     message: 'Resource not found'
   },
+  CONFLICT_ERROR: {
+    statusCode: StatusCodes.CONFLICT,
+    logLevel: 'warn',
+    message: 'Request conflicts with the current state of the resource'
+  },
+  PRECONDITION_FAILED_ERROR: {
+    statusCode: StatusCodes.PRECONDITION_FAILED,
+    logLevel: 'info',
+    message: 'Resource has been modified by another request'
+  },
+  PRECONDITION_REQUIRED_ERROR: {
+    statusCode: StatusCodes.PRECONDITION_REQUIRED,
+    logLevel: 'info',
+    message: 'Conditional request required'
+  },
+  UNSUPPORTED_MEDIA_TYPE_ERROR: {
+    statusCode: StatusCodes.UNSUPPORTED_MEDIA_TYPE,
+    logLevel: 'warn',
+    message: 'Unsupported media type'
+  },
+  FAILED_DEPENDENCY_ERROR: {
+    statusCode: StatusCodes.FAILED_DEPENDENCY,
+    logLevel: 'info',
+    message: 'Request depends on an operation that failed'
+  },
   RATE_LIMIT_ERROR: {
     statusCode: StatusCodes.TOO_MANY_REQUESTS,
     logLevel: 'warn',
@@ -126,8 +156,18 @@ function determineErrorType(error) {
         return ERROR_TYPES.AUTHORIZATION_ERROR;
       case StatusCodes.NOT_FOUND:
         return ERROR_TYPES.NOT_FOUND_ERROR;
+      case StatusCodes.CONFLICT:
+        return ERROR_TYPES.CONFLICT_ERROR;
+      case StatusCodes.PRECONDITION_FAILED:
+        return ERROR_TYPES.PRECONDITION_FAILED_ERROR;
+      case StatusCodes.PRECONDITION_REQUIRED:
+        return ERROR_TYPES.PRECONDITION_REQUIRED_ERROR;
+      case StatusCodes.UNSUPPORTED_MEDIA_TYPE:
+        return ERROR_TYPES.UNSUPPORTED_MEDIA_TYPE_ERROR;
       case StatusCodes.UNPROCESSABLE_ENTITY:
         return ERROR_TYPES.UNPROCESSABLE_ENTITY_ERROR;
+      case StatusCodes.FAILED_DEPENDENCY:
+        return ERROR_TYPES.FAILED_DEPENDENCY_ERROR;
       case StatusCodes.TOO_MANY_REQUESTS:
         return ERROR_TYPES.RATE_LIMIT_ERROR;
       default:
@@ -183,13 +223,13 @@ function extractRequestContext(req) {
   
   // Include request headers for debugging (excluding sensitive ones in production)
   if (config.nodeEnv === 'development') {
-    // In development, include all headers for comprehensive debugging
-    context.headers = req.headers;
+    // In development, include all headers for comprehensive debugging (credentials masked)
+    context.headers = redactFields(req.headers, REDACTED_HEADERS);
     
     // Include request body for debugging (if available and not too large)
     if (req.body && Object.keys(req.body).length > 0) {
       const bodySize = JSON.stringify(req.body).length;
-      context.body = bodySize < 1024 ? req.body : { _note: `Body too large (${bodySize} bytes)` };
+      context.body = bodySize < 1024 ? redactFields(req.body, REDACTED_BODY_FIELDS) : { _note: `Body too large (${bodySize} bytes)` };
     }
     
     // Include query parameters
@@ -274,8 +314,18 @@ function generateErrorCode(errorType, error) {
       return 'ACCESS_FORBIDDEN';
     case StatusCodes.NOT_FOUND:
       return 'RESOURCE_NOT_FOUND';
+    case StatusCodes.CONFLICT:
+      return 'RESOURCE_CONFLICT';
+    case StatusCodes.PRECONDITION_FAILED:
+      return 'PRECONDITION_FAILED';
+    case StatusCodes.PRECONDITION_REQUIRED:
+      return 'PRECONDITION_REQUIRED';
+    case StatusCodes.UNSUPPORTED_MEDIA_TYPE:
+      return 'UNSUPPORTED_MEDIA_TYPE';
     case StatusCodes.UNPROCESSABLE_ENTITY:
       return 'UNPROCESSABLE_REQUEST';
+    case StatusCodes.FAILED_DEPENDENCY:
+      return 'FAILED_DEPENDENCY';
     case StatusCodes.TOO_MANY_REQUESTS:
       return 'RATE_LIMIT_EXCEEDED';
     case StatusCodes.INTERNAL_SERVER_ERROR:
@@ -352,7 +402,7 @@ function logError(error, req, errorType, requestId) {
  * @returns {Object} Structured JSON error response
  */
 function buildErrorResponse(error, errorType, requestId) {
-  return {
+  const response = {
     error: {
       message: formatErrorMessage(error, errorType),
       code: generateErrorCode(errorType, error),
@@ -361,6 +411,13 @@ function buildErrorResponse(error, errorType, requestId) {
     },
     success: false
   };
+
+  // Client errors may describe what to fix; server error details stay in the logs
+  if (errorType.statusCode >= 400 && errorType.statusCode < 500 && error.details && !error.stack) {
+    response.error.details = error.details;
+  }
+
+  return response;
 }
 
 /**
@@ -409,9 +466,12 @@ function errorHandler(err, req, res, next) {
   
   // Handle rate limiting specific response headers
   if (statusCode === StatusCodes.TOO_MANY_REQUESTS) {
-    // Add rate limit headers if available in the error object
+    // Add rate limit headers if available in the error object. resetTime may
+    // be a Date or milliseconds since the epoch; Retry-After is whole seconds,
+    // rounded up so that clients do not retry before the limit resets
     if (err.resetTime) {
-      res.set('Retry-After', Math.round((err.resetTime - Date.now()) / 1000));
+      const retryAfter = Math.ceil((new Date(err.resetTime).getTime() - Date.now()) / 1000);
+      res.set('Retry-After', String(Math.max(retryAfter, 1)));
     }
     
     if (err.limit) {
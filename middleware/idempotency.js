@@ -0,0 +1,258 @@
+/**
+ * Idempotency Key Middleware
+ *
+ * Makes unsafe requests safe to retry. A client that sends an
+ * Idempotency-Key header (any unique string, typically a UUID) gets the
+ * response of the first request for that key replayed unchanged on every
+ * retry, instead of the request running again:
+ *
+ * - First request: the key is reserved, the request runs and its response
+ *   (status, headers and body) is stored for config.api.idempotency.ttlSeconds
+ * - Retry with the same method, URL and body: the stored response is
+ *   returned with an Idempotent-Replayed: true header
+ * - Retry while the first request is still running: 409 Conflict with
+ *   Retry-After, so that the request never runs twice concurrently
+ * - Same key with a different request: 422 Unprocessable Entity
+ *
+ * Responses with a 5xx status are not stored; the key is released so that a
+ * retry runs the request again. A reservation whose worker never answers
+ * (for example because it crashed) lapses after
+ * config.api.idempotency.lockTimeoutMs. Requests without the header are not
+ * affected.
+ *
+ * The store is the shared storage backend (see idempotencyRepository.js), so
+ * keys are honoured across PM2 cluster workers when the file backend is used.
+ *
+ * Mount the middleware on each unsafe route after any route-level body
+ * parser, so that the whole payload is part of the request fingerprint, and
+ * after authorize(), so that a stored response is never replayed to a caller
+ * who may not make the request.
+ */
+
+const crypto = require('crypto');
+const { StatusCodes } = require('http-status-codes');
+const { v4: uuid } = require('uuid');
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const { idempotencyRepository } = require('../repositories');
+
+/**
+ * Methods that never need an idempotency key
+ */
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Valid key format: 1-255 visible ASCII characters
+ */
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Response headers that are not stored for replay because they describe the
+ * connection or encoding, or belong to the original request only. CORS
+ * headers (Access-Control-*) are skipped as well; they are recomputed for
+ * the origin of each retry.
+ */
+const VOLATILE_HEADERS = [
+  'connection', 'content-encoding', 'content-length', 'date', 'keep-alive',
+  'set-cookie', 'transfer-encoding', 'vary', 'x-response-time'
+];
+
+/**
+ * Fingerprint the parts of a request that must match on a retry
+ *
+ * The authenticated caller is part of the fingerprint, so a key reused by
+ * another user is refused (422) instead of replaying someone else's response.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string} SHA-256 of the caller, method, URL and parsed body
+ */
+function fingerprintRequest(req) {
+  const body = Buffer.isBuffer(req.body) ? req.body.toString('base64') : req.body;
+
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({
+      caller: req.user ? req.user.id : null,
+      method: req.method,
+      url: req.originalUrl,
+      body: body === undefined ? null : body
+    }))
+    .digest('hex');
+}
+
+/**
+ * Record what a route sends so that it can be stored when the response ends
+ *
+ * @param {Object} res - Express response object
+ * @param {Function} onEnd - Called with { statusCode, headers, body } when the response ends
+ */
+function captureResponse(res, onEnd) {
+  const chunks = [];
+  const { write, end } = res;
+
+  const collect = (chunk, encoding) => {
+    if (chunk !== undefined && chunk !== null && typeof chunk !== 'function') {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+    }
+  };
+
+  res.write = function captureWrite(chunk, encoding, ...rest) {
+    collect(chunk, encoding);
+    return write.call(this, chunk, encoding, ...rest);
+  };
+
+  res.end = function captureEnd(chunk, encoding, ...rest) {
+    collect(chunk, encoding);
+
+    const headers = Object.entries(res.getHeaders()).reduce((stored, [name, value]) => {
+      if (!VOLATILE_HEADERS.includes(name) && !name.startsWith('access-control-')) {
+        stored[name] = value;
+      }
+      return stored;
+    }, {});
+
+    onEnd({
+      statusCode: res.statusCode,
+      headers,
+      body: Buffer.concat(chunks).toString('utf8')
+    });
+
+    return end.call(this, chunk, encoding, ...rest);
+  };
+}
+
+/**
+ * Send a stored response again
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} response - Stored { statusCode, headers, body }
+ */
+function replayResponse(res, response) {
+  res.status(response.statusCode);
+  res.set(response.headers);
+  res.set('Idempotent-Replayed', 'true');
+  res.send(response.body);
+}
+
+/**
+ * Create Idempotency-Key middleware
+ *
+ * @param {Object} options - Middleware options
+ * @param {number} options.ttlSeconds - How long responses are kept (default: config.api.idempotency.ttlSeconds)
+ * @param {number} options.lockTimeoutMs - How long a reservation blocks retries before it is
+ *   considered abandoned (default: config.api.idempotency.lockTimeoutMs)
+ * @returns {Function} Express middleware
+ */
+function idempotency(options = {}) {
+  const {
+    ttlSeconds = config.api.idempotency.ttlSeconds,
+    lockTimeoutMs = config.api.idempotency.lockTimeoutMs
+  } = options;
+
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (!config.api.idempotency.enabled || key === undefined || SAFE_METHODS.includes(req.method)) {
+      return next();
+    }
+
+    const requestId = req.id || uuid();
+
+    if (!KEY_PATTERN.test(key)) {
+      return next({
+        type: 'ValidationError',
+        message: 'Idempotency-Key must be 1-255 visible ASCII characters',
+        statusCode: StatusCodes.BAD_REQUEST,
+        details: {
+          header: 'Idempotency-Key',
+          reason: 'invalid_idempotency_key',
+          requestId
+        }
+      });
+    }
+
+    try {
+      const { outcome, record } = await idempotencyRepository.begin(key, fingerprintRequest(req), {
+        ttlMs: ttlSeconds * 1000,
+        lockTimeoutMs
+      });
+
+      if (outcome === 'replay') {
+        logger.info('Replaying stored response for idempotency key', {
+          requestId,
+          method: req.method,
+          path: req.path,
+          statusCode: record.response.statusCode,
+          firstSeenAt: record.createdAt
+        });
+
+        return replayResponse(res, record.response);
+      }
+
+      if (outcome === 'mismatch') {
+        logger.warn('Idempotency key reused with a different request', {
+          requestId,
+          method: req.method,
+          path: req.path
+        });
+
+        return next({
+          type: 'BusinessLogicError',
+          message: 'Idempotency-Key has already been used for a different request; use a new key for a new request',
+          statusCode: StatusCodes.UNPROCESSABLE_ENTITY,
+          details: {
+            header: 'Idempotency-Key',
+            reason: 'idempotency_key_reused',
+            requestId
+          }
+        });
+      }
+
+      if (outcome === 'in_progress') {
+        res.set('Retry-After', '1');
+        return next({
+          type: 'Conflict',
+          message: 'A request with this Idempotency-Key is still being processed; retry later',
+          statusCode: StatusCodes.CONFLICT,
+          details: {
+            header: 'Idempotency-Key',
+            reason: 'idempotency_key_in_use',
+            requestId
+          }
+        });
+      }
+
+      // The route may keep running after the client disconnects, so the key
+      // stays reserved until the response is produced
+      captureResponse(res, response => {
+        const store = response.statusCode >= 500
+          ? idempotencyRepository.release(key)
+          : idempotencyRepository.complete(key, response);
+
+        store.catch(error => {
+          logger.error('Failed to store idempotent response', {
+            requestId,
+            error: error.message,
+            stack: error.stack
+          });
+        });
+      });
+
+      next();
+
+    } catch (error) {
+      logger.error('Idempotency middleware error', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        path: req.path
+      });
+
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  idempotency
+};
@@ -35,6 +35,25 @@
 
 const logger = require('../utils/logger');
 const morganConfig = require('../config/morgan');
+const { REDACTED_HEADERS, redactFields } = require('../utils/redact');
+
+/**
+ * Describe the authenticated caller of a request for the request log
+ *
+ * API keys are identified by key ID and name; the key itself is never logged.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Object|null} { type, id, name? }, or null for anonymous requests
+ */
+function describePrincipal(req) {
+  if (!req.user) {
+    return null;
+  }
+
+  return req.user.type === 'api_key'
+    ? { type: 'api_key', id: req.user.id, name: req.user.name }
+    : { type: 'user', id: req.user.id };
+}
 
 /**
  * Create Logging Middleware with Winston-Morgan Integration
@@ -110,6 +129,7 @@ function loggerMiddleware() {
         remoteAddr: req.ip || req.connection.remoteAddress,
         contentLength: res.get('Content-Length') || '0',
         referrer: req.get('Referrer'),
+        principal: describePrincipal(req),
         timestamp: new Date().toISOString()
       };
       
@@ -146,7 +166,7 @@ function loggerMiddleware() {
       requestId: req.requestId,
       method: req.method,
       url: req.url,
-      headers: req.headers,
+      headers: redactFields(req.headers, REDACTED_HEADERS),
       userAgent: req.get('User-Agent'),
       remoteAddr: req.ip || req.connection.remoteAddress,
       timestamp: new Date().toISOString(),
@@ -0,0 +1,69 @@
+/**
+ * Conditional Request Middleware
+ *
+ * Parses the If-Match header of write requests for optimistic concurrency
+ * control. Route handlers read the parsed header from req.ifMatch and pass
+ * the accepted versions to the repository, which rejects the write with
+ * 412 Precondition Failed when the stored version no longer matches.
+ *
+ * Behaviour is controlled by config.api:
+ * - enableEtag: When false, ETags are not issued and If-Match is ignored
+ * - requireIfMatch: When true, writes without If-Match are rejected with
+ *   428 Precondition Required so clients cannot overwrite changes blindly
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const { v4: uuid } = require('uuid');
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const { parseETagList } = require('../utils/etag');
+
+/**
+ * Create If-Match parsing middleware
+ *
+ * @param {Object} options - Middleware options
+ * @param {boolean} options.required - Require If-Match (default: config.api.requireIfMatch)
+ * @returns {Function} Express middleware setting req.ifMatch
+ */
+function checkIfMatch(options = {}) {
+  const { required = config.api.requireIfMatch } = options;
+
+  return (req, res, next) => {
+    const requestId = req.id || uuid();
+
+    if (!config.api.enableEtag) {
+      req.ifMatch = null;
+      return next();
+    }
+
+    const ifMatch = parseETagList(req.get('If-Match'));
+
+    if (ifMatch === null && required) {
+      const preconditionError = {
+        type: 'PreconditionRequired',
+        message: 'This request requires an If-Match header with the current ETag of the resource',
+        statusCode: StatusCodes.PRECONDITION_REQUIRED,
+        details: {
+          header: 'If-Match',
+          reason: 'precondition_required',
+          requestId
+        }
+      };
+
+      logger.warn('Conditional write rejected - If-Match missing', {
+        requestId,
+        method: req.method,
+        path: req.path
+      });
+
+      return next(preconditionError);
+    }
+
+    req.ifMatch = ifMatch;
+    next();
+  };
+}
+
+module.exports = {
+  checkIfMatch
+};
@@ -30,6 +30,8 @@ const { v4: uuid } = require('uuid');
 // Internal dependencies - accessing specified members from schema
 const config = require('../config/index');
 const logger = require('../utils/logger');
+const { decodeCursor, fingerprintQuery } = require('../utils/cursor');
+const { buildFilterSchema, buildExpressionSchema, combineFilters } = require('../utils/filterQuery');
 
 /**
  * Schema cache for performance optimization
@@ -48,6 +50,11 @@ const validationConfig = {
   logValidationAttempts: config.logLevel === 'debug'
 };
 
+/**
+ * Fields whose rejected values are never echoed in validation errors
+ */
+const SECRET_FIELDS = ['password', 'currentPassword', 'refreshToken'];
+
 /**
  * Creates a structured validation error response
  * 
@@ -64,10 +71,11 @@ function createValidationError(validationResult, requestId, validationType = 're
   if (validationResult.error && validationResult.error.details) {
     validationResult.error.details.forEach(detail => {
       const fieldPath = detail.path.join('.');
+      const isSecret = SECRET_FIELDS.includes(detail.path[detail.path.length - 1]);
       fieldErrors[fieldPath] = {
         message: detail.message,
         type: detail.type,
-        value: detail.context ? detail.context.value : undefined
+        value: detail.context && !isSecret ? detail.context.value : undefined
       };
     });
   }
@@ -85,6 +93,11 @@ function createValidationError(validationResult, requestId, validationType = 're
     timestamp: new Date().toISOString()
   };
 
+  // Custom validators report a single message rather than per-field details
+  if (Object.keys(fieldErrors).length === 0 && validationResult.error && validationResult.error.message) {
+    error.details.reason = validationResult.error.message;
+  }
+
   // Include additional debug information in development
   if (validationConfig.verboseErrors) {
     error.debug = {
@@ -104,6 +117,27 @@ function createValidationError(validationResult, requestId, validationType = 're
   return error;
 }
 
+/**
+ * Creates the validation error for a failed custom validator
+ *
+ * A custom validator returns true when the request is valid. Otherwise it
+ * returns a message, reported as details.reason, or an object with the
+ * Joi-style details of each failing field ([{ path, message, type, context }]),
+ * reported under details.fields like a schema validation error.
+ *
+ * @param {string|Object} customResult - Value returned by the custom validator
+ * @param {string} requestId - Unique identifier for error correlation
+ * @param {string} validationType - Type of validation (body_custom, query_custom, ...)
+ * @returns {Object} Structured error object for consistent API responses
+ */
+function createCustomValidationError(customResult, requestId, validationType) {
+  const error = customResult && typeof customResult === 'object'
+    ? customResult
+    : { message: customResult || 'Custom validation failed' };
+
+  return createValidationError({ error }, requestId, validationType);
+}
+
 /**
  * Creates and caches Joi validation schemas for performance
  * 
@@ -207,8 +241,13 @@ function sanitizeInput(input, options = {}) {
 /**
  * Factory function to create request body validation middleware
  * 
+ * Top-level fields listed in rawFields are validated exactly as sent, without
+ * sanitization; use it for secrets such as passwords, which must be hashed
+ * unchanged and are never rendered.
+ * 
  * @param {Object} schema - Joi schema definition for body validation
  * @param {Object} options - Validation options and configuration  
+ * @param {Array<string>} options.rawFields - Top-level fields exempt from sanitization
  * @returns {Function} Express middleware function for body validation
  */
 function validateBody(schema, options = {}) {
@@ -217,6 +256,7 @@ function validateBody(schema, options = {}) {
     stripUnknown = validationConfig.strictMode,
     abortEarly = false,
     sanitize = validationConfig.enableSanitization,
+    rawFields = [],
     customValidator = null
   } = options;
 
@@ -239,6 +279,11 @@ function validateBody(schema, options = {}) {
       let dataToValidate = req.body;
       if (sanitize) {
         dataToValidate = sanitizeInput(req.body);
+        if (dataToValidate && typeof dataToValidate === 'object' && !Array.isArray(dataToValidate)) {
+          rawFields
+            .filter(field => Object.prototype.hasOwnProperty.call(req.body, field))
+            .forEach(field => { dataToValidate[field] = req.body[field]; });
+        }
       }
 
       // Perform Joi schema validation
@@ -258,11 +303,7 @@ function validateBody(schema, options = {}) {
       if (customValidator && typeof customValidator === 'function') {
         const customResult = await customValidator(validationResult.value, req);
         if (customResult !== true) {
-          const customError = createValidationError(
-            { error: { message: customResult || 'Custom validation failed' } },
-            requestId,
-            'body_custom'
-          );
+          const customError = createCustomValidationError(customResult, requestId, 'body_custom');
           return next(customError);
         }
       }
@@ -338,11 +379,7 @@ function validateQuery(schema, options = {}) {
       if (customValidator && typeof customValidator === 'function') {
         const customResult = await customValidator(validationResult.value, req);
         if (customResult !== true) {
-          const customError = createValidationError(
-            { error: { message: customResult || 'Custom validation failed' } },
-            requestId,
-            'query_custom'
-          );
+          const customError = createCustomValidationError(customResult, requestId, 'query_custom');
           return next(customError);
         }
       }
@@ -418,11 +455,7 @@ function validateParams(schema, options = {}) {
       if (customValidator && typeof customValidator === 'function') {
         const customResult = await customValidator(validationResult.value, req);
         if (customResult !== true) {
-          const customError = createValidationError(
-            { error: { message: customResult || 'Custom validation failed' } },
-            requestId,
-            'params_custom'
-          );
+          const customError = createCustomValidationError(customResult, requestId, 'params_custom');
           return next(customError);
         }
       }
@@ -556,7 +589,14 @@ function validateId(paramName = 'id', options = {}) {
 
 /**
  * Pre-configured validation middleware for pagination parameters
- * Common pattern for validating page, limit, offset, and sort parameters
+ * Common pattern for validating page, limit, offset, and sort parameters.
+ * With allowCursor enabled, a signed cursor may replace page and offset;
+ * its sort and order take precedence over the query parameters.
+ * 
+ * With filterFields, filter[...] and q use the filter query language of
+ * utils/filterQuery.js and are combined into a single filter expression in
+ * req.query.filter. filterSchema (plain Joi rules for filter) remains for
+ * endpoints with simple equality filters.
  * 
  * @param {Object} options - Pagination validation options
  * @returns {Function} Express middleware function for pagination validation
@@ -569,7 +609,11 @@ function validatePagination(options = {}) {
     defaultPage = 1,
     allowedSortFields = [],
     defaultSort = 'createdAt',
-    allowedSortOrders = ['asc', 'desc', 'ascending', 'descending']
+    allowedSortOrders = ['asc', 'desc', 'ascending', 'descending'],
+    defaultOrder = 'asc',
+    filterSchema = null,
+    filterFields = null,
+    allowCursor = false
   } = options;
 
   const paginationSchema = {
@@ -603,7 +647,7 @@ function validatePagination(options = {}) {
     // Sort order validation
     order: Joi.string()
       .valid(...allowedSortOrders)
-      .default('asc')
+      .default(defaultOrder)
       .optional(),
     
     // Search query validation
@@ -611,21 +655,70 @@ function validatePagination(options = {}) {
       .max(100)
       .optional(),
     
-    // Filter parameters (flexible object)
-    filter: Joi.object().optional()
+    // Filter parameters (filter language, resource-specific schema, or flexible object)
+    filter: filterFields
+      ? buildFilterSchema(filterFields).optional()
+      : filterSchema
+        ? Joi.object(filterSchema).unknown(false).optional()
+        : Joi.object().optional()
   };
 
+  // Filter expression (alternative to, or combined with, filter[...])
+  if (filterFields) {
+    paginationSchema.q = buildExpressionSchema(filterFields).optional();
+  }
+
+  // Opaque cursor for keyset pagination (alternative to page and offset)
+  if (allowCursor) {
+    paginationSchema.cursor = Joi.string()
+      .max(2048)
+      .optional();
+  }
+
   return validateQuery(paginationSchema, {
     allowUnknown: true,
     stripUnknown: false,
     customValidator: async (validatedQuery, req) => {
+      // Both filter syntaxes narrow the same result set
+      if (filterFields) {
+        validatedQuery.filter = combineFilters(validatedQuery.filter, validatedQuery.q);
+      }
+
+      // Inspect the raw query so that the page default does not count as a supplied value
+      const hasPage = req.query.page !== undefined;
+      const hasOffset = req.query.offset !== undefined;
+
       // Ensure page and offset are not used together
-      if (validatedQuery.page && validatedQuery.offset) {
+      if (hasPage && hasOffset) {
         return 'Cannot use both page and offset parameters together';
       }
+
+      // Cursor mode: verify the cursor and adopt the ordering it was issued for
+      if (validatedQuery.cursor !== undefined) {
+        if (hasPage || hasOffset) {
+          return 'Cannot combine cursor with page or offset parameters';
+        }
+
+        const position = decodeCursor(validatedQuery.cursor);
+        if (!position) {
+          return 'Invalid or tampered pagination cursor';
+        }
+
+        if (position.q !== fingerprintQuery(validatedQuery)) {
+          return 'Pagination cursor does not match the current search or filter parameters';
+        }
+
+        validatedQuery.sort = position.s;
+        validatedQuery.order = position.o;
+        delete validatedQuery.page;
+        delete validatedQuery.offset;
+        return true;
+      }
       
-      // Calculate offset from page if not provided
-      if (validatedQuery.page && !validatedQuery.offset) {
+      // Calculate offset from page if not provided, or the page from an explicit offset
+      if (hasOffset) {
+        validatedQuery.page = Math.floor(validatedQuery.offset / validatedQuery.limit) + 1;
+      } else {
         validatedQuery.offset = (validatedQuery.page - 1) * validatedQuery.limit;
       }
       
@@ -699,6 +792,34 @@ const commonSchemas = {
     return value;
   }),
   
+  // IANA time zone name (e.g. Europe/Paris), checked against the runtime's time zone database
+  timezone: Joi.string().max(128).custom((value, helpers) => {
+    // HTML sanitization escapes the slash between zone name segments
+    const zone = value.replace(/&#x2F;/gi, '/');
+    if (zone.length > 64 || !/^[A-Za-z][\w+-]*(\/[\w+-]+)*$/.test(zone)) {
+      return helpers.error('any.invalid');
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    } catch (error) {
+      return helpers.error('any.invalid');
+    }
+    return zone;
+  }, 'IANA time zone').messages({
+    'any.invalid': '{{#label}} must be an IANA time zone name such as Europe/Paris'
+  }),
+
+  // BCP 47 language tag (e.g. en-US), returned in canonical case
+  language: Joi.string().max(35).custom((value, helpers) => {
+    try {
+      return Intl.getCanonicalLocales(value)[0];
+    } catch (error) {
+      return helpers.error('any.invalid');
+    }
+  }, 'BCP 47 language tag').messages({
+    'any.invalid': '{{#label}} must be a BCP 47 language tag such as en-US'
+  }),
+  
   // Date validation with range constraints
   dateRange: (minDate = null, maxDate = null) => {
     let schema = Joi.date().iso();
@@ -742,7 +863,8 @@ module.exports = {
   validatePagination,
   sanitizeInput,
   createValidationSchema,
-  createValidationError
+  createValidationError,
+  commonSchemas
 };
 
 /**
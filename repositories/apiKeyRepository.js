@@ -0,0 +1,296 @@
+/**
+ * API Key Repository
+ *
+ * Stores the API keys that server-to-server clients authenticate with
+ * instead of a user's password. A key is "hwk_<key id>.<secret>"; it is
+ * returned once, when the key is created or rotated, and only the SHA-256 of
+ * the secret is stored:
+ *
+ *   {
+ *     id: "uuid",
+ *     name: "nightly-export",
+ *     scopes: ["users:list", "users:export"],
+ *     keyHash: "sha256 hex",
+ *     previousKeyHash: "sha256 hex",        (during a rotation grace period only)
+ *     previousKeyExpiresAt: "ISO timestamp",
+ *     createdAt: "ISO timestamp",
+ *     createdBy: "user id",
+ *     expiresAt: "ISO timestamp",
+ *     rotatedAt: "ISO timestamp",           (rotated keys only)
+ *     lastUsedAt: "ISO timestamp",          (null until first use)
+ *     revokedAt: "ISO timestamp",           (revoked keys only)
+ *     revokedBy: "user id",
+ *     revokedReason: "string"
+ *   }
+ *
+ * Revoked and expired keys are kept so that the actions recorded against
+ * them stay attributable.
+ *
+ * lastUsedAt is written at most once per LAST_USED_RESOLUTION_MS for a key,
+ * so that a busy integration does not turn every request into a write.
+ *
+ * Repository Interface (all methods return Promises):
+ * - create(attributes): Create a key, resolving with { key, apiKey }
+ * - list(options): List keys, newest first ({ includeRevoked })
+ * - findById(id): Fetch a key, or null
+ * - rotate(id, options): Replace the secret, resolving with
+ *   { outcome, key, apiKey } where outcome is rotated, not_found, revoked or expired
+ * - revoke(id, options): Revoke a key, resolving with the key or null
+ * - authenticate(key): Check a presented key, resolving with
+ *   { outcome, apiKey } where outcome is valid, invalid, expired or revoked
+ *
+ * Keys returned by the repository never include the hashes.
+ */
+
+const crypto = require('crypto');
+const { v4: uuid } = require('uuid');
+
+/**
+ * Prefix marking a string as an API key of this service (helps secret scanners)
+ */
+const KEY_PREFIX = 'hwk_';
+
+/**
+ * Random bytes in the secret part of a key
+ */
+const SECRET_LENGTH = 32;
+
+/**
+ * Granularity of lastUsedAt
+ */
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Select the API keys of a state document
+ *
+ * @param {Object} state - Storage state
+ * @returns {Object} Keys by ID
+ */
+function selectKeys(state) {
+  return state.apiKeys || {};
+}
+
+/**
+ * Hash the secret part of a key
+ *
+ * @param {string} secret - Key secret
+ * @returns {string} SHA-256 hex digest
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Compare a key secret with a stored hash in constant time
+ *
+ * @param {string} secret - Secret supplied by a client
+ * @param {string} keyHash - Stored hash
+ * @returns {boolean} True when the secret matches
+ */
+function secretMatches(secret, keyHash) {
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  const expected = Buffer.from(keyHash || '', 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Generate a secret and the key string handed to the client
+ *
+ * @param {string} id - Key ID
+ * @returns {Object} { key, keyHash }
+ */
+function generateKey(id) {
+  const secret = crypto.randomBytes(SECRET_LENGTH).toString('base64url');
+  return { key: `${KEY_PREFIX}${id}.${secret}`, keyHash: hashSecret(secret) };
+}
+
+/**
+ * Split a key into key ID and secret
+ *
+ * @param {string} key - API key
+ * @returns {Object|null} { id, secret }, or null when malformed
+ */
+function parseKey(key) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  const parts = key.slice(KEY_PREFIX.length).split('.');
+  return parts.length === 2 && parts[0] && parts[1] ? { id: parts[0], secret: parts[1] } : null;
+}
+
+/**
+ * Strip the hashes from a stored key
+ *
+ * @param {Object} stored - Stored key
+ * @returns {Object} Key description safe to return
+ */
+function toApiKey(stored) {
+  const { keyHash, previousKeyHash, ...apiKey } = stored;
+  return apiKey;
+}
+
+/**
+ * Whether a key has passed its expiry
+ *
+ * @param {Object} stored - Stored key
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True when expired
+ */
+function isExpired(stored, now) {
+  return Date.parse(stored.expiresAt) <= now;
+}
+
+/**
+ * Create API Key Repository
+ *
+ * @param {Object} driver - Storage driver implementing read() and transaction()
+ * @returns {Object} API key repository
+ */
+function createApiKeyRepository(driver) {
+  return {
+    async create(attributes) {
+      const { name, scopes, expiresAt, createdBy = null } = attributes;
+
+      return driver.transaction(state => {
+        const keys = selectKeys(state);
+        const id = uuid();
+        const { key, keyHash } = generateKey(id);
+
+        keys[id] = {
+          id,
+          name,
+          scopes: [...scopes],
+          keyHash,
+          createdAt: new Date().toISOString(),
+          createdBy,
+          expiresAt,
+          lastUsedAt: null
+        };
+        state.apiKeys = keys;
+
+        return { key, apiKey: toApiKey(keys[id]) };
+      });
+    },
+
+    async list(options = {}) {
+      const { includeRevoked = false } = options;
+
+      return driver.read(state => Object.values(selectKeys(state))
+        .filter(stored => includeRevoked || !stored.revokedAt)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(toApiKey));
+    },
+
+    async findById(id) {
+      return driver.read(state => {
+        const stored = selectKeys(state)[id];
+        return stored ? toApiKey(stored) : null;
+      });
+    },
+
+    async rotate(id, options = {}) {
+      const { expiresAt, gracePeriodMs = 0 } = options;
+
+      return driver.transaction(state => {
+        const keys = selectKeys(state);
+        const stored = keys[id];
+        const now = Date.now();
+
+        if (!stored) {
+          return { outcome: 'not_found', key: null, apiKey: null };
+        }
+        if (stored.revokedAt) {
+          return { outcome: 'revoked', key: null, apiKey: toApiKey(stored) };
+        }
+        if (isExpired(stored, now)) {
+          return { outcome: 'expired', key: null, apiKey: toApiKey(stored) };
+        }
+
+        const { key, keyHash } = generateKey(id);
+        const { previousKeyHash, previousKeyExpiresAt, ...rest } = stored;
+
+        keys[id] = {
+          ...rest,
+          keyHash,
+          ...(gracePeriodMs > 0 && {
+            previousKeyHash: stored.keyHash,
+            previousKeyExpiresAt: new Date(now + gracePeriodMs).toISOString()
+          }),
+          expiresAt: expiresAt || stored.expiresAt,
+          rotatedAt: new Date(now).toISOString()
+        };
+        state.apiKeys = keys;
+
+        return { outcome: 'rotated', key, apiKey: toApiKey(keys[id]) };
+      });
+    },
+
+    async revoke(id, options = {}) {
+      const { reason = null, revokedBy = null } = options;
+
+      return driver.transaction(state => {
+        const keys = selectKeys(state);
+        const stored = keys[id];
+
+        if (!stored) {
+          return null;
+        }
+
+        if (!stored.revokedAt) {
+          const { previousKeyHash, previousKeyExpiresAt, ...rest } = stored;
+          keys[id] = { ...rest, revokedAt: new Date().toISOString(), revokedBy, revokedReason: reason };
+          state.apiKeys = keys;
+        }
+        return toApiKey(keys[id]);
+      });
+    },
+
+    async authenticate(key) {
+      const parsed = parseKey(key);
+      if (!parsed) {
+        return { outcome: 'invalid', apiKey: null };
+      }
+
+      const now = Date.now();
+      const { outcome, stored } = await driver.read(state => {
+        const found = selectKeys(state)[parsed.id];
+        const matches = found && (secretMatches(parsed.secret, found.keyHash) ||
+          (found.previousKeyHash && Date.parse(found.previousKeyExpiresAt) > now &&
+            secretMatches(parsed.secret, found.previousKeyHash)));
+
+        if (!matches) {
+          return { outcome: 'invalid', stored: null };
+        }
+        if (found.revokedAt) {
+          return { outcome: 'revoked', stored: found };
+        }
+        if (isExpired(found, now)) {
+          return { outcome: 'expired', stored: found };
+        }
+        return { outcome: 'valid', stored: found };
+      });
+
+      if (outcome !== 'valid') {
+        return { outcome, apiKey: stored ? toApiKey(stored) : null };
+      }
+
+      if (stored.lastUsedAt && now - Date.parse(stored.lastUsedAt) < LAST_USED_RESOLUTION_MS) {
+        return { outcome, apiKey: toApiKey(stored) };
+      }
+
+      const apiKey = await driver.transaction(state => {
+        const keys = selectKeys(state);
+        if (!keys[parsed.id]) {
+          return toApiKey(stored);
+        }
+        keys[parsed.id] = { ...keys[parsed.id], lastUsedAt: new Date(now).toISOString() };
+        return toApiKey(keys[parsed.id]);
+      });
+
+      return { outcome, apiKey };
+    }
+  };
+}
+
+module.exports = createApiKeyRepository;
@@ -0,0 +1,114 @@
+/**
+ * Credential Repository
+ *
+ * Password hashes are kept in their own collection, keyed by user ID, and
+ * never in the user record. User reads, exports, history snapshots and diffs
+ * therefore cannot leak them, whatever fields a client selects.
+ *
+ *   {
+ *     passwordHash: "scrypt$...",       (see utils/password.js)
+ *     passwordChangedAt: "ISO timestamp"
+ *   }
+ *
+ * Repository Interface (all methods return Promises):
+ * - findByUserId(userId): Fetch the credentials of a user, or null when the
+ *   user has no password
+ * - setPassword(userId, passwordHash, options): Store a new password hash for
+ *   an active user and end all of the user's sessions (see
+ *   refreshTokenRepository.js and sessionRepository.js), unless
+ *   options.keepSessions is set;
+ *   resolves with the credentials or null when the user does not exist
+ *
+ * The user repository stores and removes credentials together with the user
+ * through the helpers exported alongside the factory.
+ */
+
+const { revokeUserSessions } = require('./refreshTokenRepository');
+const { revokeUserCookieSessions } = require('./sessionRepository');
+const { removeUserMfa } = require('./mfaRepository');
+
+/**
+ * Select the credentials collection of a state document
+ *
+ * @param {Object} state - Storage state
+ * @returns {Object} Credentials keyed by user ID
+ */
+function selectCredentials(state) {
+  return state.credentials || {};
+}
+
+/**
+ * Store the credentials of a new user inside a transaction
+ *
+ * @param {Object} state - Storage state (modified in place)
+ * @param {string} userId - User ID
+ * @param {Object} credentials - { passwordHash } or undefined for a user without a password
+ * @param {string} timestamp - Creation time of the user
+ */
+function storeCredentials(state, userId, credentials, timestamp) {
+  if (!credentials || !credentials.passwordHash) {
+    return;
+  }
+
+  state.credentials = selectCredentials(state);
+  state.credentials[userId] = {
+    passwordHash: credentials.passwordHash,
+    passwordChangedAt: timestamp || new Date().toISOString()
+  };
+}
+
+/**
+ * Remove the credentials and sessions of a user inside a transaction
+ *
+ * @param {Object} state - Storage state (modified in place)
+ * @param {string} userId - User ID
+ */
+function removeCredentials(state, userId) {
+  if (state.credentials && state.credentials[userId]) {
+    delete state.credentials[userId];
+  }
+  revokeUserSessions(state, userId, 'user_deleted');
+  revokeUserCookieSessions(state, userId, 'user_deleted');
+  removeUserMfa(state, userId);
+}
+
+/**
+ * Create Credential Repository
+ *
+ * @param {Object} driver - Storage driver implementing read() and transaction()
+ * @returns {Object} Credential repository
+ */
+function createCredentialRepository(driver) {
+  return {
+    async findByUserId(userId) {
+      return driver.read(state => selectCredentials(state)[userId] || null);
+    },
+
+    async setPassword(userId, passwordHash, options = {}) {
+      const { keepSessions = false, timestamp } = options;
+
+      return driver.transaction(state => {
+        const user = (state.users || {})[userId];
+        if (!user || user.deletedAt) {
+          return null;
+        }
+
+        state.credentials = selectCredentials(state);
+        state.credentials[userId] = {
+          passwordHash,
+          passwordChangedAt: timestamp || new Date().toISOString()
+        };
+
+        if (!keepSessions) {
+          revokeUserSessions(state, userId, 'password_changed');
+          revokeUserCookieSessions(state, userId, 'password_changed');
+        }
+        return state.credentials[userId];
+      });
+    }
+  };
+}
+
+module.exports = createCredentialRepository;
+module.exports.storeCredentials = storeCredentials;
+module.exports.removeCredentials = removeCredentials;
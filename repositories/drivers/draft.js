@@ -0,0 +1,77 @@
+/**
+ * Transaction Draft
+ *
+ * Gives a driver transaction a writable view of the state that copies only
+ * the top-level collections the mutator uses (state.users, state.sessions,
+ * ...). A failed login then copies the login attempts and nothing else, so
+ * the cost of a write follows the collections it touches rather than the
+ * whole data set.
+ *
+ * A collection is copied on first access and counts as changed from then on,
+ * whether or not the mutator modified it; drivers write back the changed
+ * collections only.
+ */
+
+/**
+ * Create a draft over a state document
+ *
+ * @param {Object} state - Committed state, never modified
+ * @returns {Object} { state, changes } where state is the draft handed to the
+ *   mutator and changes() returns { written, deleted }: the copied
+ *   collections by name and the names of the removed ones
+ */
+function createDraft(state) {
+  const copies = {};
+  const deleted = new Set();
+  const has = name => !deleted.has(name) &&
+    (Object.prototype.hasOwnProperty.call(copies, name) || Object.prototype.hasOwnProperty.call(state, name));
+
+  const draft = new Proxy({}, {
+    get(target, name) {
+      if (typeof name !== 'string' || !has(name)) {
+        return undefined;
+      }
+      if (!Object.prototype.hasOwnProperty.call(copies, name)) {
+        copies[name] = structuredClone(state[name]);
+      }
+      return copies[name];
+    },
+    set(target, name, value) {
+      copies[name] = value;
+      deleted.delete(name);
+      return true;
+    },
+    deleteProperty(target, name) {
+      delete copies[name];
+      deleted.add(name);
+      return true;
+    },
+    has(target, name) {
+      return has(name);
+    },
+    ownKeys() {
+      return [...new Set([...Object.keys(state), ...Object.keys(copies)])].filter(has);
+    },
+    getOwnPropertyDescriptor(target, name) {
+      if (!has(name)) {
+        return undefined;
+      }
+      return { value: draft[name], writable: true, enumerable: true, configurable: true };
+    }
+  });
+
+  return {
+    state: draft,
+    changes() {
+      const written = Object.fromEntries(Object.entries(copies).filter(([, value]) => value !== undefined));
+      const removed = [...deleted, ...Object.keys(copies).filter(name => copies[name] === undefined)];
+
+      return {
+        written,
+        deleted: removed.filter(name => Object.prototype.hasOwnProperty.call(state, name))
+      };
+    }
+  };
+}
+
+module.exports = createDraft;
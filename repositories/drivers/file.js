@@ -0,0 +1,272 @@
+/**
+ * File-Backed Storage Driver
+ *
+ * Persists the application data set on disk so that data survives restarts
+ * and is shared between PM2 cluster workers running on the same host. Every
+ * write takes an exclusive lock file, re-reads the latest data, applies the
+ * change and atomically publishes it through a rename, which keeps concurrent
+ * workers from overwriting each other.
+ *
+ * Layout:
+ * Each top-level collection (users, sessions, ...) is a JSON file of its own
+ * in the directory <filePath>.d, named after the collection plus a random
+ * suffix. The document at filePath is a manifest naming the current file of
+ * every collection:
+ *
+ *   { "$collections": { "users": "users-3f9a0c1b2d4e.json", ... } }
+ *
+ * A write stores the collections it changed under new names and then renames
+ * a new manifest into place, so a write costs time in proportion to the
+ * collections it touches rather than to the whole data set, and readers see
+ * either all of a change or none of it. Replaced collection files are
+ * deleted afterwards; a reader that still held the old manifest reads again.
+ * A single JSON document written by earlier versions is read as is and split
+ * into collection files by the first write.
+ *
+ * Features:
+ * - Atomic writes using new files and a manifest rename
+ * - Cross-process write serialization using an exclusive lock file, waited
+ *   for with timers so that a contended worker keeps serving other requests
+ * - Stale lock recovery when a worker dies while holding the lock
+ * - Parsed manifest caching keyed on inode, size and modification time, and
+ *   collection caching keyed on file name (collection files never change)
+ *
+ * The driver implements the same read()/transaction() interface as the
+ * in-memory driver, except that transaction() returns a promise since it may
+ * have to wait for the lock. Mutators must be synchronous.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { setTimeout: sleep } = require('timers/promises');
+const createDraft = require('./draft');
+
+/**
+ * Manifest key listing the collection files
+ */
+const MANIFEST_KEY = '$collections';
+
+/**
+ * Create File-Backed Storage Driver
+ *
+ * @param {Object} options - Driver options
+ * @param {string} options.filePath - Absolute path of the manifest document
+ * @param {number} options.lockTimeout - Maximum time to wait for the lock in ms
+ * @param {number} options.staleLockAge - Age in ms after which a lock is considered abandoned
+ * @returns {Object} Storage driver exposing read() and transaction()
+ */
+function createFileDriver(options = {}) {
+  const {
+    filePath,
+    lockTimeout = 5000,
+    staleLockAge = 30000
+  } = options;
+
+  if (!filePath) {
+    throw new Error('File storage driver requires a filePath option');
+  }
+
+  const lockPath = `${filePath}.lock`;
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const collectionsDir = `${filePath}.d`;
+
+  fs.mkdirSync(collectionsDir, { recursive: true });
+
+  // files maps collection names to their files; empty for a single document
+  let cache = { signature: null, files: {}, state: {} };
+  let swept = false;
+
+  /**
+   * Signature of the manifest, which changes with every write
+   *
+   * @returns {string|null} Signature, or null when there is no data yet
+   */
+  function manifestSignature() {
+    try {
+      const stats = fs.statSync(filePath);
+      return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load the current state, reusing the cached parse of unchanged files
+   *
+   * @returns {Object} Committed state; never modify it
+   */
+  function load() {
+    for (;;) {
+      const signature = manifestSignature();
+      if (signature === null) {
+        cache = { signature: null, files: {}, state: {} };
+        return cache.state;
+      }
+      if (cache.signature === signature) {
+        return cache.state;
+      }
+
+      const contents = fs.readFileSync(filePath, 'utf8');
+      const document = contents ? JSON.parse(contents) : {};
+
+      if (!document[MANIFEST_KEY]) {
+        cache = { signature, files: {}, state: document };
+        return cache.state;
+      }
+
+      try {
+        const files = document[MANIFEST_KEY];
+        const state = {};
+        Object.entries(files).forEach(([name, file]) => {
+          state[name] = cache.files[name] === file
+            ? cache.state[name]
+            : JSON.parse(fs.readFileSync(path.join(collectionsDir, file), 'utf8'));
+        });
+
+        cache = { signature, files, state };
+        return cache.state;
+      } catch (error) {
+        // A newer write replaced a collection after the manifest was read
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Write the changed collections and publish them with a new manifest
+   *
+   * Must be called with the lock held, right after load().
+   *
+   * @param {Object} written - Changed collections by name
+   * @param {Array<string>} deleted - Names of the removed collections
+   */
+  function commit(written, deleted) {
+    const previous = cache.files;
+    const files = { ...previous };
+    const state = { ...cache.state, ...written };
+
+    // Collections of a single document get files of their own on the first write
+    const names = new Set([
+      ...Object.keys(written),
+      ...Object.keys(cache.state).filter(name => !previous[name])
+    ]);
+    deleted.forEach(name => names.add(name));
+
+    if (names.size === 0) {
+      return;
+    }
+
+    names.forEach(name => {
+      if (deleted.includes(name) || state[name] === undefined) {
+        delete files[name];
+        delete state[name];
+        return;
+      }
+
+      const file = `${encodeURIComponent(name)}-${crypto.randomBytes(6).toString('hex')}.json`;
+      fs.writeFileSync(path.join(collectionsDir, file), JSON.stringify(state[name]));
+      files[name] = file;
+    });
+
+    fs.writeFileSync(tempPath, JSON.stringify({ [MANIFEST_KEY]: files }));
+    fs.renameSync(tempPath, filePath);
+    cache = { signature: manifestSignature(), files, state };
+
+    // Files left behind by a worker that died mid-write are swept once
+    const current = new Set(Object.values(files));
+    const stale = swept
+      ? Object.values(previous).filter(file => !current.has(file))
+      : fs.readdirSync(collectionsDir).filter(file => !current.has(file));
+    swept = true;
+
+    stale.forEach(file => {
+      try {
+        fs.unlinkSync(path.join(collectionsDir, file));
+      } catch (error) {
+        // Already removed by another worker's sweep
+      }
+    });
+  }
+
+  /**
+   * Acquire the exclusive write lock, waiting for other workers if necessary
+   *
+   * @returns {Promise<void>} Resolves once the lock is held
+   */
+  async function acquireLock() {
+    const startedAt = Date.now();
+
+    for (;;) {
+      try {
+        const fd = fs.openSync(lockPath, 'wx');
+        fs.writeSync(fd, String(process.pid));
+        fs.closeSync(fd);
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      try {
+        const lockStats = fs.statSync(lockPath);
+        if (Date.now() - lockStats.mtimeMs > staleLockAge) {
+          fs.unlinkSync(lockPath);
+          continue;
+        }
+      } catch (error) {
+        // Lock was released between the open and stat calls - retry immediately
+        continue;
+      }
+
+      if (Date.now() - startedAt > lockTimeout) {
+        throw new Error(`Timed out waiting for storage lock: ${lockPath}`);
+      }
+
+      await sleep(5);
+    }
+  }
+
+  /**
+   * Release the exclusive write lock
+   */
+  function releaseLock() {
+    try {
+      fs.unlinkSync(lockPath);
+    } catch (error) {
+      // Lock already removed (for example by stale lock recovery)
+    }
+  }
+
+  return {
+    name: 'file',
+    filePath,
+
+    read(selector = (current) => current) {
+      return structuredClone(selector(load()));
+    },
+
+    async transaction(mutator) {
+      await acquireLock();
+      try {
+        const draft = createDraft(load());
+        const result = mutator(draft.state);
+        const { written, deleted } = draft.changes();
+
+        commit(written, deleted);
+
+        return structuredClone(result);
+      } finally {
+        releaseLock();
+      }
+    }
+  };
+}
+
+module.exports = createFileDriver;
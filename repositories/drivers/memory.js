@@ -0,0 +1,53 @@
+/**
+ * In-Memory Storage Driver
+ *
+ * Keeps the application data set in process memory. This driver is the
+ * default for development and is suitable for single-process deployments
+ * and local experimentation. Data is lost when the process exits and is
+ * not shared between PM2 cluster workers.
+ *
+ * Driver Interface (shared with the file driver):
+ * - read(selector): Runs selector against the current state and returns a
+ *   detached copy of its result
+ * - transaction(mutator): Runs mutator against a draft of the state and
+ *   commits the draft only if the mutator returns without throwing
+ *
+ * Mutators must be synchronous. Keeping transactions synchronous guarantees
+ * that no other request can observe or modify a half-applied change. The
+ * draft copies only the collections the mutator uses (see draft.js).
+ */
+
+const createDraft = require('./draft');
+
+/**
+ * Create In-Memory Storage Driver
+ *
+ * @param {Object} options - Driver options
+ * @param {Object} options.initialState - Optional state to start from
+ * @returns {Object} Storage driver exposing read() and transaction()
+ */
+function createMemoryDriver(options = {}) {
+  let state = options.initialState ? structuredClone(options.initialState) : {};
+
+  return {
+    name: 'memory',
+
+    read(selector = (current) => current) {
+      return structuredClone(selector(state));
+    },
+
+    transaction(mutator) {
+      const draft = createDraft(state);
+      const result = mutator(draft.state);
+      const { written, deleted } = draft.changes();
+
+      const next = { ...state, ...written };
+      deleted.forEach(name => { delete next[name]; });
+      state = next;
+
+      return structuredClone(result);
+    }
+  };
+}
+
+module.exports = createMemoryDriver;
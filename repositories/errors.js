@@ -0,0 +1,80 @@
+/**
+ * Repository Errors
+ *
+ * Builders for the structured errors raised by repositories inside their
+ * transactions. They use the plain { type, message, statusCode, details }
+ * shape understood by the global error handler, so route handlers can pass
+ * them to next() unchanged.
+ */
+
+const { StatusCodes } = require('http-status-codes');
+
+/**
+ * Build the business logic error raised when an email address is taken
+ *
+ * @param {string} email - Conflicting email address
+ * @returns {Object} Structured error for the global error handler
+ */
+function duplicateEmailError(email) {
+  return {
+    type: 'BusinessLogicError',
+    message: 'Email address already exists',
+    statusCode: StatusCodes.UNPROCESSABLE_ENTITY,
+    details: {
+      field: 'email',
+      value: email,
+      reason: 'duplicate_email'
+    }
+  };
+}
+
+/**
+ * Build the business logic error raised when a write would leave no active
+ * administrator
+ *
+ * @param {string} id - ID of the last active administrator
+ * @returns {Object} Structured error for the global error handler
+ */
+function lastActiveAdminError(id) {
+  return {
+    type: 'BusinessLogicError',
+    message: 'This is the last active administrator; make another user an active admin first',
+    statusCode: StatusCodes.UNPROCESSABLE_ENTITY,
+    details: {
+      rule: 'last-active-admin',
+      resource: 'user',
+      id,
+      reason: 'last_active_admin'
+    }
+  };
+}
+
+/**
+ * Build the error raised when a conditional write finds a newer version
+ *
+ * @param {string} id - ID of the versioned resource (as used in its ETag)
+ * @param {number} currentVersion - Version currently stored
+ * @param {string} resource - Resource name reported to the client (default: 'user')
+ * @returns {Object} Structured error for the global error handler
+ */
+function versionMismatchError(id, currentVersion, resource = 'user') {
+  const label = resource.charAt(0).toUpperCase() + resource.slice(1);
+
+  return {
+    type: 'PreconditionFailed',
+    message: `${label} has been modified since it was retrieved; fetch the latest version and retry`,
+    statusCode: StatusCodes.PRECONDITION_FAILED,
+    details: {
+      resource,
+      id,
+      currentVersion,
+      reason: 'version_mismatch'
+    }
+  };
+}
+
+module.exports = {
+  duplicateEmailError,
+  lastActiveAdminError,
+  versionMismatchError
+};
@@ -0,0 +1,136 @@
+/**
+ * User History Repository
+ *
+ * Keeps a versioned change history for every user. The user repository
+ * appends one entry per write inside the same transaction as the write
+ * itself, so the history can never disagree with the stored user:
+ *
+ *   {
+ *     version: 3,                      (user version produced by the change)
+ *     action: "update",                (create, update, status, delete, restore or purge)
+ *     timestamp: "ISO timestamp",
+ *     actor: { type: "api", ip: "..." },
+ *     requestId: "uuid",
+ *     reason: "string",                (status changes only)
+ *     changes: [{ field, op, from, to }],
+ *     snapshot: { ...user }            (the user as it was at this version)
+ *   }
+ *
+ * Diffs and snapshots cover the account record. Bookkeeping fields (version,
+ * updatedAt, metadata) are left out of the diff, and so is the profile,
+ * which is versioned on its own (see profileRepository.js). History is kept
+ * after a user is purged so that the audit trail outlives the account.
+ *
+ * Repository Interface (all methods return Promises):
+ * - list(userId, options): Page through a user's entries (without snapshots),
+ *   returning { entries, total, hasNext, hasPrev }
+ * - findVersion(userId, version): Fetch the entry for one version, or null
+ */
+
+const { applyQuery, paginate } = require('./query');
+const { diffRecords } = require('../utils/diff');
+
+/**
+ * Actions recorded in the history
+ */
+const HISTORY_ACTIONS = ['create', 'update', 'status', 'delete', 'restore', 'purge'];
+
+/**
+ * Fields excluded from history diffs
+ */
+const IGNORED_FIELDS = ['version', 'updatedAt', 'metadata', 'profile'];
+
+/**
+ * Select the history collection of a state document
+ *
+ * @param {Object} state - Storage state
+ * @returns {Object} History entry arrays keyed by user ID
+ */
+function selectHistory(state) {
+  return state.userHistory || {};
+}
+
+/**
+ * Strip the profile from a user record for a snapshot
+ *
+ * @param {Object|null} user - User record
+ * @returns {Object|null} Account record without profile
+ */
+function toSnapshot(user) {
+  if (!user) {
+    return null;
+  }
+  const { profile, ...account } = user;
+  return account;
+}
+
+/**
+ * Append a history entry for a user write
+ *
+ * Must be called inside a driver transaction.
+ *
+ * @param {Object} state - Draft storage state
+ * @param {Object} change - The change to record
+ * @param {string} change.action - create, update, status, delete, restore or purge
+ * @param {Object|null} change.before - User before the write (null on create)
+ * @param {Object|null} change.after - User after the write (null on purge)
+ * @param {Object} change.audit - { actor, requestId } of the write, and the
+ *   reason of a status change
+ * @returns {Object} Recorded entry
+ */
+function recordHistory(state, change) {
+  const { action, before, after, audit = {} } = change;
+  const user = after || before;
+  const previousVersion = before ? before.version || 1 : 0;
+
+  const entry = {
+    version: after ? after.version : previousVersion + 1,
+    action,
+    timestamp: new Date().toISOString(),
+    actor: audit.actor || null,
+    requestId: audit.requestId || null,
+    ...(audit.reason && { reason: audit.reason }),
+    changes: diffRecords(toSnapshot(before), toSnapshot(after), { ignore: IGNORED_FIELDS }),
+    snapshot: toSnapshot(after)
+  };
+
+  state.userHistory = selectHistory(state);
+  state.userHistory[user.id] = [...(state.userHistory[user.id] || []), entry];
+  return entry;
+}
+
+/**
+ * Create User History Repository
+ *
+ * @param {Object} driver - Storage driver implementing read() and transaction()
+ * @returns {Object} History repository
+ */
+function createHistoryRepository(driver) {
+  return {
+    async list(userId, options = {}) {
+      const { offset = 0, limit = 20, order = 'desc', filter } = options;
+
+      return driver.read(state => {
+        const entries = applyQuery(selectHistory(state)[userId] || [], { filter, sort: 'version', order });
+        const page = paginate(entries, { offset, limit });
+
+        return {
+          entries: page.items.map(({ snapshot, ...entry }) => entry),
+          total: entries.length,
+          hasNext: page.hasNext,
+          hasPrev: page.hasPrev
+        };
+      });
+    },
+
+    async findVersion(userId, version) {
+      return driver.read(state =>
+        (selectHistory(state)[userId] || []).find(entry => entry.version === version) || null
+      );
+    }
+  };
+}
+
+module.exports = createHistoryRepository;
+module.exports.HISTORY_ACTIONS = HISTORY_ACTIONS;
+module.exports.recordHistory = recordHistory;
@@ -0,0 +1,115 @@
+/**
+ * Idempotency Key Repository
+ *
+ * Remembers the responses of unsafe requests sent with an Idempotency-Key
+ * header so that retries can be answered without running the request again.
+ * Records live in the same storage driver as the rest of the data set; with
+ * the file backend, reserving a key is a single locked transaction on the
+ * shared data, so two PM2 workers can never both run a request for the
+ * same key.
+ *
+ *   {
+ *     fingerprint: "sha256",          (method, URL and body of the first request)
+ *     state: "pending|completed",
+ *     createdAt: "ISO timestamp",
+ *     lockedUntil: "ISO timestamp",   (pending only: when the reservation lapses)
+ *     expiresAt: "ISO timestamp",
+ *     response: { statusCode, headers, body }   (completed only)
+ *   }
+ *
+ * Expired records are pruned whenever a key is reserved.
+ *
+ * Repository Interface (all methods return Promises):
+ * - begin(key, fingerprint, options): Reserve a key or report why it cannot be
+ *   used, resolving with { outcome, record } where outcome is one of
+ *   started, replay, mismatch or in_progress
+ * - complete(key, response): Store the response for a reserved key
+ * - release(key): Drop a reservation so that the request may be retried
+ */
+
+/**
+ * Select the idempotency records of a state document
+ *
+ * @param {Object} state - Storage state
+ * @returns {Object} Records keyed by idempotency key
+ */
+function selectKeys(state) {
+  return state.idempotencyKeys || {};
+}
+
+/**
+ * Create Idempotency Key Repository
+ *
+ * @param {Object} driver - Storage driver implementing read() and transaction()
+ * @returns {Object} Idempotency key repository
+ */
+function createIdempotencyRepository(driver) {
+  return {
+    async begin(key, fingerprint, options = {}) {
+      const { ttlMs, lockTimeoutMs } = options;
+
+      return driver.transaction(state => {
+        const keys = selectKeys(state);
+        const now = Date.now();
+        state.idempotencyKeys = keys;
+
+        Object.keys(keys).forEach(storedKey => {
+          if (Date.parse(keys[storedKey].expiresAt) <= now) {
+            delete keys[storedKey];
+          }
+        });
+
+        const existing = keys[key];
+        if (existing) {
+          if (existing.fingerprint !== fingerprint) {
+            return { outcome: 'mismatch', record: existing };
+          }
+          if (existing.state === 'completed') {
+            return { outcome: 'replay', record: existing };
+          }
+          if (Date.parse(existing.lockedUntil) > now) {
+            return { outcome: 'in_progress', record: existing };
+          }
+          // The worker that reserved the key stopped before answering; take it over
+        }
+
+        keys[key] = {
+          fingerprint,
+          state: 'pending',
+          createdAt: new Date(now).toISOString(),
+          lockedUntil: new Date(now + lockTimeoutMs).toISOString(),
+          expiresAt: new Date(now + ttlMs).toISOString()
+        };
+
+        return { outcome: 'started', record: keys[key] };
+      });
+    },
+
+    async complete(key, response) {
+      return driver.transaction(state => {
+        const record = selectKeys(state)[key];
+        if (!record) {
+          return null;
+        }
+
+        const { lockedUntil, ...rest } = record;
+        state.idempotencyKeys[key] = { ...rest, state: 'completed', response };
+        return state.idempotencyKeys[key];
+      });
+    },
+
+    async release(key) {
+      return driver.transaction(state => {
+        const keys = selectKeys(state);
+        if (!keys[key] || keys[key].state !== 'pending') {
+          return false;
+        }
+
+        delete keys[key];
+        return true;
+      });
+    }
+  };
+}
+
+module.exports = createIdempotencyRepository;
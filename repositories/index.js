@@ -0,0 +1,149 @@
+/**
+ * Repository Registry
+ *
+ * Selects the storage driver configured in config.database and exposes the
+ * repositories built on top of it. Every module that needs persistent data
+ * should require repositories from here rather than creating its own driver,
+ * so that the whole application shares a single storage backend.
+ *
+ * Supported Backends (config.database.client):
+ * - memory: In-process storage, lost on restart and not shared between
+ *   workers; refused under PM2, where each worker would keep its own users,
+ *   sessions and lockouts
+ * - file: JSON files on disk, one per collection, listed by the manifest at
+ *   config.database.filename and shared between PM2 workers on the same host (the default in production and under PM2)
+ *
+ * DATABASE_URL may also select the backend, for example `memory:` or
+ * `file:./data/hello_world.json`. URLs of other schemes (postgresql://...)
+ * name databases this service cannot use yet; the server refuses to start
+ * with one rather than keep its data somewhere the operator did not ask for.
+ *
+ * The shared driver supports units of work (see unitOfWork.js): call
+ * driver.unitOfWork(work) to commit the changes of several repository calls
+ * together.
+ */
+
+const path = require('path');
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const createMemoryDriver = require('./drivers/memory');
+const createFileDriver = require('./drivers/file');
+const withUnitOfWork = require('./unitOfWork');
+const createUserRepository = require('./userRepository');
+const createProfileRepository = require('./profileRepository');
+const createHistoryRepository = require('./historyRepository');
+const createIdempotencyRepository = require('./idempotencyRepository');
+const createCredentialRepository = require('./credentialRepository');
+const createRefreshTokenRepository = require('./refreshTokenRepository');
+const createApiKeyRepository = require('./apiKeyRepository');
+const createSessionRepository = require('./sessionRepository');
+const createUserTokenRepository = require('./userTokenRepository');
+const createMfaRepository = require('./mfaRepository');
+const createLoginAttemptRepository = require('./loginAttemptRepository');
+const createInvitationRepository = require('./invitationRepository');
+const createWebhookRepository = require('./webhookRepository');
+const createWebhookDeliveryRepository = require('./webhookDeliveryRepository');
+
+/**
+ * Project root used to resolve relative storage paths
+ */
+const projectRoot = path.resolve(__dirname, '..');
+
+/**
+ * DATABASE_URL schemes that select a backend
+ */
+const URL_SCHEMES = ['memory', 'file'];
+
+/**
+ * Resolve backend settings from the database configuration section
+ *
+ * @param {Object} databaseConfig - config.database section
+ * @returns {Object} Resolved { client, filePath } settings
+ */
+function resolveStorageSettings(databaseConfig) {
+  let client = databaseConfig.client;
+  let filename = databaseConfig.filename;
+
+  const [scheme, ...rest] = databaseConfig.url ? databaseConfig.url.split(':') : [];
+
+  if (scheme && !URL_SCHEMES.includes(scheme)) {
+    throw new Error(`Unsupported DATABASE_URL scheme: ${scheme} (supported: ${URL_SCHEMES.join(', ')})`);
+  }
+
+  if (scheme) {
+    client = scheme;
+    if (scheme === 'file' && rest.join(':')) {
+      filename = rest.join(':').replace(/^\/\//, '');
+    }
+  }
+
+  if (client === 'memory' && databaseConfig.pm2Instance) {
+    throw new Error('The memory storage backend is not shared between PM2 workers; set DB_CLIENT=file');
+  }
+
+  return {
+    client,
+    filePath: path.resolve(projectRoot, filename)
+  };
+}
+
+/**
+ * Create a storage driver for the given database configuration
+ *
+ * @param {Object} databaseConfig - config.database section (or a compatible object)
+ * @returns {Object} Storage driver
+ */
+function createDriver(databaseConfig = config.database) {
+  const { client, filePath } = resolveStorageSettings(databaseConfig);
+
+  switch (client) {
+    case 'memory':
+      return createMemoryDriver();
+    case 'file':
+      return createFileDriver({ filePath });
+    default:
+      throw new Error(`Unsupported database client: ${client}`);
+  }
+}
+
+// Repositories share one driver, so a unit of work covers every collection
+const driver = withUnitOfWork(createDriver());
+
+logger.info('Storage backend initialized', {
+  client: driver.name,
+  filePath: driver.filePath
+});
+
+const userRepository = createUserRepository(driver);
+const profileRepository = createProfileRepository(driver);
+const historyRepository = createHistoryRepository(driver);
+const idempotencyRepository = createIdempotencyRepository(driver);
+const credentialRepository = createCredentialRepository(driver);
+const refreshTokenRepository = createRefreshTokenRepository(driver);
+const apiKeyRepository = createApiKeyRepository(driver);
+const sessionRepository = createSessionRepository(driver);
+const userTokenRepository = createUserTokenRepository(driver);
+const mfaRepository = createMfaRepository(driver);
+const loginAttemptRepository = createLoginAttemptRepository(driver);
+const invitationRepository = createInvitationRepository(driver);
+const webhookRepository = createWebhookRepository(driver);
+const webhookDeliveryRepository = createWebhookDeliveryRepository(driver);
+
+module.exports = {
+  driver,
+  createDriver,
+  userRepository,
+  profileRepository,
+  historyRepository,
+  idempotencyRepository,
+  credentialRepository,
+  refreshTokenRepository,
+  apiKeyRepository,
+  sessionRepository,
+  userTokenRepository,
+  mfaRepository,
+  loginAttemptRepository,
+  invitationRepository,
+  webhookRepository,
+  webhookDeliveryRepository
+};
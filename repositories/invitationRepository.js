@@ -0,0 +1,327 @@
+/**
+ * Invitation Repository
+ *
+ * Stores the invitations administrators send to people who do not have an
+ * account yet (see services/invitationService.js). The invitee receives a
+ * token "<invitation id>.<secret>" by email; only the SHA-256 of the secret
+ * is stored:
+ *
+ *   {
+ *     id: "uuid",
+ *     email: "ada@example.com",
+ *     name: "Ada Lovelace",            (null when the invitee chooses it)
+ *     role: "user",                    (role of the user created on acceptance)
+ *     userStatus: "active|pending",    (status of that user)
+ *     tokenHash: "sha256 hex",
+ *     createdAt: "ISO timestamp",
+ *     createdBy: "user id",
+ *     expiresAt: "ISO timestamp",
+ *     sentAt: "ISO timestamp",         (last delivery; null until mailed)
+ *     sendCount: 1,
+ *     acceptedAt: "ISO timestamp",     (accepted invitations only)
+ *     userId: "uuid",                  (user created on acceptance)
+ *     revokedAt: "ISO timestamp",      (revoked invitations only)
+ *     revokedBy: "user id"
+ *   }
+ *
+ * An invitation is open until it is accepted, revoked or expires. An email
+ * address has at most one open invitation. Closed invitations are kept as a
+ * record of who invited whom.
+ *
+ * Repository Interface (all methods return Promises):
+ * - create(attributes): Create an invitation, resolving with
+ *   { outcome, token, invitation } where outcome is created, or
+ *   invitation_exists with the open invitation of the email
+ * - list(options): List invitations, newest first ({ status })
+ * - findById(id): Fetch an invitation, or null
+ * - reissue(id, options): Replace the token of an open or expired invitation
+ *   and extend it to options.expiresAt, resolving with
+ *   { outcome, token, invitation } where outcome is reissued, not_found,
+ *   accepted, revoked or invitation_exists (a newer invitation of the email
+ *   is open)
+ * - markSent(id): Record a delivery, resolving with the invitation or null
+ * - revoke(id, options): Revoke an open or expired invitation, resolving with
+ *   { outcome, invitation } where outcome is revoked, not_found or accepted
+ * - check(token): Look a token up, resolving with { outcome, invitation }
+ *   where outcome is valid, invalid, expired, accepted or revoked
+ * - accept(token, userId): Close an invitation for the user created from it,
+ *   resolving with { outcome, invitation } like check()
+ *
+ * Invitations returned by the repository never include the token hash.
+ */
+
+const crypto = require('crypto');
+const { v4: uuid } = require('uuid');
+
+/**
+ * Random bytes in the secret part of a token
+ */
+const SECRET_LENGTH = 32;
+
+/**
+ * Select the invitations of a state document
+ *
+ * @param {Object} state - Storage state
+ * @returns {Object} Invitations keyed by ID
+ */
+function selectInvitations(state) {
+  return state.invitations || {};
+}
+
+/**
+ * Hash the secret part of a token
+ *
+ * @param {string} secret - Token secret
+ * @returns {string} SHA-256 hex digest
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Compare a token secret with a stored hash in constant time
+ *
+ * @param {string} secret - Secret supplied by a client
+ * @param {string} tokenHash - Stored hash
+ * @returns {boolean} True when the secret matches
+ */
+function secretMatches(secret, tokenHash) {
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  const expected = Buffer.from(tokenHash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Generate a secret and the token mailed to the invitee
+ *
+ * @param {string} id - Invitation ID
+ * @returns {Object} { token, tokenHash }
+ */
+function generateToken(id) {
+  const secret = crypto.randomBytes(SECRET_LENGTH).toString('base64url');
+  return { token: `${id}.${secret}`, tokenHash: hashSecret(secret) };
+}
+
+/**
+ * Split a token into invitation ID and secret
+ *
+ * @param {string} token - Token from an invitation link
+ * @returns {Object|null} { id, secret }, or null when malformed
+ */
+function parseToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  return parts.length === 2 && parts[0] && parts[1] ? { id: parts[0], secret: parts[1] } : null;
+}
+
+/**
+ * Strip the token hash from a stored invitation
+ *
+ * @param {Object} stored - Stored invitation
+ * @returns {Object} Invitation safe to return
+ */
+function toInvitation(stored) {
+  const { tokenHash, ...invitation } = stored;
+  return invitation;
+}
+
+/**
+ * State of an invitation at a point in time
+ *
+ * @param {Object} stored - Stored invitation
+ * @param {number} now - Milliseconds since the epoch
+ * @returns {string} pending, accepted, revoked or expired
+ */
+function statusOf(stored, now) {
+  if (stored.acceptedAt) {
+    return 'accepted';
+  }
+  if (stored.revokedAt) {
+    return 'revoked';
+  }
+  return Date.parse(stored.expiresAt) <= now ? 'expired' : 'pending';
+}
+
+/**
+ * Find the open invitation of an email address
+ *
+ * @param {Object} invitations - Invitations keyed by ID
+ * @param {string} email - Email address
+ * @param {number} now - Milliseconds since the epoch
+ * @returns {Object|undefined} Open invitation, if any
+ */
+function findOpenInvitation(invitations, email, now) {
+  const normalized = email.toLowerCase();
+  return Object.values(invitations).find(stored =>
+    stored.email.toLowerCase() === normalized && statusOf(stored, now) === 'pending');
+}
+
+/**
+ * Find the stored invitation a token refers to and classify it
+ *
+ * @param {Object} invitations - Invitations keyed by ID
+ * @param {string} token - Token supplied by a client
+ * @returns {Object} { outcome, stored }
+ */
+function classify(invitations, token) {
+  const parsed = parseToken(token);
+  const stored = parsed ? invitations[parsed.id] : null;
+
+  if (!stored || !secretMatches(parsed.secret, stored.tokenHash)) {
+    return { outcome: 'invalid', stored: null };
+  }
+
+  const status = statusOf(stored, Date.now());
+  return { outcome: status === 'pending' ? 'valid' : status, stored };
+}
+
+/**
+ * Create Invitation Repository
+ *
+ * @param {Object} driver - Storage driver implementing read() and transaction()
+ * @returns {Object} Invitation repository
+ */
+function createInvitationRepository(driver) {
+  return {
+    async create(attributes) {
+      const { email, name = null, role, userStatus, expiresAt, createdBy = null } = attributes;
+
+      return driver.transaction(state => {
+        const invitations = selectInvitations(state);
+        const open = findOpenInvitation(invitations, email, Date.now());
+
+        if (open) {
+          return { outcome: 'invitation_exists', token: null, invitation: toInvitation(open) };
+        }
+
+        const id = uuid();
+        const { token, tokenHash } = generateToken(id);
+
+        invitations[id] = {
+          id,
+          email,
+          name,
+          role,
+          userStatus,
+          tokenHash,
+          createdAt: new Date().toISOString(),
+          createdBy,
+          expiresAt,
+          sentAt: null,
+          sendCount: 0
+        };
+        state.invitations = invitations;
+
+        return { outcome: 'created', token, invitation: toInvitation(invitations[id]) };
+      });
+    },
+
+    async list(options = {}) {
+      const { status } = options;
+      const now = Date.now();
+
+      return driver.read(state => Object.values(selectInvitations(state))
+        .filter(stored => !status || statusOf(stored, now) === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(toInvitation));
+    },
+
+    async findById(id) {
+      return driver.read(state => {
+        const stored = selectInvitations(state)[id];
+        return stored ? toInvitation(stored) : null;
+      });
+    },
+
+    async reissue(id, options = {}) {
+      const { expiresAt } = options;
+
+      return driver.transaction(state => {
+        const invitations = selectInvitations(state);
+        const stored = invitations[id];
+        const now = Date.now();
+
+        if (!stored) {
+          return { outcome: 'not_found', token: null, invitation: null };
+        }
+
+        const status = statusOf(stored, now);
+        if (status === 'accepted' || status === 'revoked') {
+          return { outcome: status, token: null, invitation: toInvitation(stored) };
+        }
+
+        // An expired invitation may have been followed by a new one for the same email
+        const open = findOpenInvitation(invitations, stored.email, now);
+        if (open && open.id !== id) {
+          return { outcome: 'invitation_exists', token: null, invitation: toInvitation(open) };
+        }
+
+        const { token, tokenHash } = generateToken(id);
+        invitations[id] = { ...stored, tokenHash, expiresAt };
+        state.invitations = invitations;
+
+        return { outcome: 'reissued', token, invitation: toInvitation(invitations[id]) };
+      });
+    },
+
+    async markSent(id) {
+      return driver.transaction(state => {
+        const invitations = selectInvitations(state);
+        const stored = invitations[id];
+
+        if (!stored) {
+          return null;
+        }
+
+        invitations[id] = { ...stored, sentAt: new Date().toISOString(), sendCount: stored.sendCount + 1 };
+        state.invitations = invitations;
+        return toInvitation(invitations[id]);
+      });
+    },
+
+    async revoke(id, options = {}) {
+      const { revokedBy = null } = options;
+
+      return driver.transaction(state => {
+        const invitations = selectInvitations(state);
+        const stored = invitations[id];
+
+        if (!stored) {
+          return { outcome: 'not_found', invitation: null };
+        }
+        if (stored.acceptedAt) {
+          return { outcome: 'accepted', invitation: toInvitation(stored) };
+        }
+
+        if (!stored.revokedAt) {
+          invitations[id] = { ...stored, revokedAt: new Date().toISOString(), revokedBy };
+          state.invitations = invitations;
+        }
+        return { outcome: 'revoked', invitation: toInvitation(invitations[id]) };
+      });
+    },
+
+    async check(token) {
+      return driver.read(state => {
+        const { outcome, stored } = classify(selectInvitations(state), token);
+        return { outcome, invitation: stored ? toInvitation(stored) : null };
+      });
+    },
+
+    async accept(token, userId) {
+      return driver.transaction(state => {
+        const invitations = selectInvitations(state);
+        const { outcome, stored } = classify(invitations, token);
+
+        if (outcome !== 'valid') {
+          return { outcome, invitation: stored ? toInvitation(stored) : null };
+        }
+
+        invitations[stored.id] = { ...stored, acceptedAt: new Date().toISOString(), userId };
+        state.invitations = invitations;
+        return { outcome, invitation: toInvitation(invitations[stored.id]) };
+      });
+    }
+  };
+}
+
+module.exports = createInvitationRepository;
@@ -0,0 +1,159 @@
+/**
+ * Login Attempt Repository
+ *
+ * Counts failed logins per account and per client IP and keeps the locks
+ * they lead to (see services/lockoutService.js). Records live in the shared
+ * storage backend, so with the file backend every PM2 worker sees the same
+ * counts and locks:
+ *
+ *   {
+ *     key: "account:ada@example.com" or "ip:203.0.113.7",
+ *     failures: 3,                     (failures in the current window)
+ *     windowStartedAt: "ISO timestamp",
+ *     lastFailureAt: "ISO timestamp",
+ *     lockCount: 1,                    (locks since the last quiet period)
+ *     lockedUntil: "ISO timestamp"     (null when not locked)
+ *   }
+ *
+ * Records that are not locked and have seen no failure for policy.resetAfterMs
+ * are pruned whenever a failure is recorded.
+ *
+ * Repository Interface (all methods return Promises):
+ * - find(key): Fetch the record of a key, or null
+ * - findLocks(keys): Active locks among some keys, as [{ key, lockedUntil }]
+ * - recordFailure(key, policy): Count a failure, locking the key when it
+ *   reaches policy.maxFailures within policy.windowMs; resolves with
+ *   { failures, lockCount, lockedUntil, locked } where locked tells whether
+ *   this failure set the lock
+ * - clear(key): Delete the record of a key, resolving with it or null
+ *
+ * The policy passed to recordFailure() is { maxFailures, windowMs,
+ * durationMs, maxDurationMs, resetAfterMs }: the n-th lock lasts
+ * durationMs * 2^(n-1), at most maxDurationMs, and n starts over once a key
+ * has seen no failure for resetAfterMs.
+ */
+
+/**
+ * Select the login attempt records of a state document
+ *
+ * @param {Object} state - Storage state
+ * @returns {Object} Records keyed by key
+ */
+function selectAttempts(state) {
+  return state.loginAttempts || {};
+}
+
+/**
+ * Whether a record is locked at a point in time
+ *
+ * @param {Object} record - Login attempt record
+ * @param {number} now - Milliseconds since the epoch
+ * @returns {boolean} True while lockedUntil lies after now
+ */
+function isLocked(record, now) {
+  return Boolean(record.lockedUntil) && Date.parse(record.lockedUntil) > now;
+}
+
+/**
+ * Create Login Attempt Repository
+ *
+ * @param {Object} driver - Storage driver implementing read() and transaction()
+ * @returns {Object} Login attempt repository
+ */
+function createLoginAttemptRepository(driver) {
+  return {
+    async find(key) {
+      return driver.read(state => selectAttempts(state)[key] || null);
+    },
+
+    async findLocks(keys) {
+      return driver.read(state => {
+        const attempts = selectAttempts(state);
+        const now = Date.now();
+
+        return keys
+          .map(key => attempts[key])
+          .filter(record => record && isLocked(record, now))
+          .map(record => ({ key: record.key, lockedUntil: record.lockedUntil }));
+      });
+    },
+
+    async recordFailure(key, policy) {
+      const { maxFailures, windowMs, durationMs, maxDurationMs, resetAfterMs } = policy;
+
+      return driver.transaction(state => {
+        const attempts = selectAttempts(state);
+        const now = Date.now();
+        const timestamp = new Date(now).toISOString();
+
+        state.loginAttempts = attempts;
+        Object.keys(attempts).forEach(existingKey => {
+          const record = attempts[existingKey];
+          if (!isLocked(record, now) && now - Date.parse(record.lastFailureAt) >= resetAfterMs) {
+            delete attempts[existingKey];
+          }
+        });
+
+        const record = attempts[key] || {
+          key,
+          failures: 0,
+          windowStartedAt: timestamp,
+          lastFailureAt: timestamp,
+          lockCount: 0,
+          lockedUntil: null
+        };
+
+        // Another worker locked the key after the caller checked it
+        if (isLocked(record, now)) {
+          const { failures, lockCount, lockedUntil } = record;
+          return { failures, lockCount, lockedUntil, locked: false };
+        }
+
+        const windowExpired = now - Date.parse(record.windowStartedAt) >= windowMs;
+        const failures = (windowExpired ? 0 : record.failures) + 1;
+        const updated = {
+          ...record,
+          failures,
+          windowStartedAt: windowExpired ? timestamp : record.windowStartedAt,
+          lastFailureAt: timestamp
+        };
+
+        const locked = failures >= maxFailures;
+        if (locked) {
+          const lockCount = record.lockCount + 1;
+          const duration = Math.min(durationMs * 2 ** (lockCount - 1), maxDurationMs);
+
+          Object.assign(updated, {
+            failures: 0,
+            windowStartedAt: timestamp,
+            lockCount,
+            lockedUntil: new Date(now + duration).toISOString()
+          });
+        }
+
+        attempts[key] = updated;
+        return {
+          failures,
+          lockCount: updated.lockCount,
+          lockedUntil: updated.lockedUntil,
+          locked
+        };
+      });
+    },
+
+    async clear(key) {
+      return driver.transaction(state => {
+        const attempts = selectAttempts(state);
+        const record = attempts[key] || null;
+
+        if (record) {
+          state.loginAttempts = attempts;
+          delete attempts[key];
+        }
+        return record;
+      });
+    }
+  };
+}
+
+module.exports = createLoginAttemptRepository;
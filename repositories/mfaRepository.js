@@ -0,0 +1,219 @@
+/**
+ * MFA Repository
+ *
+ * Stores the TOTP second factor of each user, keyed by user ID, and the MFA
+ * policy set by administrators. Like password hashes, factors live apart from
+ * the user record:
+ *
+ *   {
+ *     userId: "uuid",
+ *     status: "pending|enabled",      (pending until the first code is confirmed)
+ *     secret: "v1....",                (sealed TOTP secret, see utils/secretBox.js)
+ *     createdAt: "ISO timestamp",
+ *     enabledAt: "ISO timestamp",
+ *     lastUsedStep: 56789012,          (newest accepted time step; older codes are refused)
+ *     recoveryCodes: [{ hash: "sha256 hex", usedAt: "ISO timestamp|null" }],
+ *     failedAttempts: 0,               (consecutive wrong codes)
+ *     lockedUntil: "ISO timestamp"     (set after too many wrong codes)
+ *   }
+ *
+ * Repository Interface (all methods return Promises):
+ * - findByUserId(userId): Fetch the factor of a user, or null
+ * - startEnrollment(userId, secret): Store a pending factor, replacing an
+ *   earlier pending one; resolves with { outcome, factor } where outcome is
+ *   started or already_enabled
+ * - enable(userId, options): Turn a pending factor on with its first step and
+ *   recovery code hashes, resolving with the factor or null
+ * - acceptStep(userId, step): Record a used time step; resolves with false
+ *   when the step is not newer than the last one (a replayed code)
+ * - useRecoveryCode(userId, hash): Use a recovery code up, resolving with the
+ *   number of codes left, or null when no unused code matches
+ * - replaceRecoveryCodes(userId, hashes): Store a new set of recovery codes
+ * - recordFailure(userId, options): Count a wrong code, locking the factor
+ *   for options.lockoutMs after options.maxAttempts in a row; resolves with
+ *   { failedAttempts, lockedUntil }
+ * - remove(userId): Delete the factor, resolving with it or null
+ * - getPolicy(): Stored MFA policy ({ requiredRoles, updatedAt, updatedBy }) or null
+ * - setPolicy(policy): Store the MFA policy
+ *
+ * Accepting a step or a recovery code clears the failure count.
+ * removeUserMfa(state, userId) is exported for the removal of a user.
+ */
+
+/**
+ * Select the factors of a state document
+ *
+ * @param {Object} state - Storage state
+ * @returns {Object} Factors keyed by user ID
+ */
+function selectFactors(state) {
+  return state.mfa || {};
+}
+
+/**
+ * Remove the factor of a user inside a transaction
+ *
+ * @param {Object} state - Storage state (modified in place)
+ * @param {string} userId - User whose factor goes
+ */
+function removeUserMfa(state, userId) {
+  if (state.mfa && state.mfa[userId]) {
+    delete state.mfa[userId];
+  }
+}
+
+/**
+ * Create MFA Repository
+ *
+ * @param {Object} driver - Storage driver implementing read() and transaction()
+ * @returns {Object} MFA repository
+ */
+function createMfaRepository(driver) {
+  /**
+   * Apply a change to an existing factor in a transaction
+   *
+   * @param {string} userId - Owner of the factor
+   * @param {Function} change - Receives the factor, returns [updated factor, result]
+   *   or null to leave it untouched and resolve with null
+   * @returns {Promise<*>} Result of change
+   */
+  function updateFactor(userId, change) {
+    return driver.transaction(state => {
+      const factors = selectFactors(state);
+      const factor = factors[userId];
+      if (!factor) {
+        return null;
+      }
+
+      const outcome = change(factor);
+      if (!outcome) {
+        return null;
+      }
+
+      const [updated, result] = outcome;
+      state.mfa = factors;
+      factors[userId] = updated;
+      return result;
+    });
+  }
+
+  return {
+    async findByUserId(userId) {
+      return driver.read(state => selectFactors(state)[userId] || null);
+    },
+
+    async startEnrollment(userId, secret) {
+      return driver.transaction(state => {
+        const factors = selectFactors(state);
+        const existing = factors[userId];
+
+        if (existing && existing.status === 'enabled') {
+          return { outcome: 'already_enabled', factor: existing };
+        }
+
+        state.mfa = factors;
+        factors[userId] = {
+          userId,
+          status: 'pending',
+          secret,
+          createdAt: new Date().toISOString(),
+          enabledAt: null,
+          lastUsedStep: null,
+          recoveryCodes: [],
+          failedAttempts: existing ? existing.failedAttempts : 0,
+          lockedUntil: existing ? existing.lockedUntil : null
+        };
+        return { outcome: 'started', factor: factors[userId] };
+      });
+    },
+
+    async enable(userId, options) {
+      const { step, recoveryCodeHashes } = options;
+
+      return updateFactor(userId, factor => {
+        if (factor.status !== 'pending') {
+          return null;
+        }
+
+        const enabled = {
+          ...factor,
+          status: 'enabled',
+          enabledAt: new Date().toISOString(),
+          lastUsedStep: step,
+          recoveryCodes: recoveryCodeHashes.map(hash => ({ hash, usedAt: null })),
+          failedAttempts: 0,
+          lockedUntil: null
+        };
+        return [enabled, enabled];
+      });
+    },
+
+    async acceptStep(userId, step) {
+      const accepted = await updateFactor(userId, factor => {
+        if (factor.lastUsedStep !== null && step <= factor.lastUsedStep) {
+          return null;
+        }
+        return [{ ...factor, lastUsedStep: step, failedAttempts: 0, lockedUntil: null }, true];
+      });
+      return Boolean(accepted);
+    },
+
+    async useRecoveryCode(userId, hash) {
+      return updateFactor(userId, factor => {
+        const index = factor.recoveryCodes.findIndex(code => code.hash === hash && !code.usedAt);
+        if (factor.status !== 'enabled' || index === -1) {
+          return null;
+        }
+
+        const recoveryCodes = factor.recoveryCodes.map((code, i) =>
+          (i === index ? { ...code, usedAt: new Date().toISOString() } : code));
+        const remaining = recoveryCodes.filter(code => !code.usedAt).length;
+        return [{ ...factor, recoveryCodes, failedAttempts: 0, lockedUntil: null }, remaining];
+      });
+    },
+
+    async replaceRecoveryCodes(userId, hashes) {
+      return updateFactor(userId, factor => {
+        const updated = { ...factor, recoveryCodes: hashes.map(hash => ({ hash, usedAt: null })) };
+        return [updated, updated];
+      });
+    },
+
+    async recordFailure(userId, options) {
+      const { maxAttempts, lockoutMs } = options;
+
+      return updateFactor(userId, factor => {
+        const failedAttempts = factor.failedAttempts + 1;
+        const locked = failedAttempts >= maxAttempts;
+        const updated = {
+          ...factor,
+          failedAttempts: locked ? 0 : failedAttempts,
+          lockedUntil: locked ? new Date(Date.now() + lockoutMs).toISOString() : factor.lockedUntil
+        };
+        return [updated, { failedAttempts, lockedUntil: updated.lockedUntil }];
+      });
+    },
+
+    async remove(userId) {
+      return driver.transaction(state => {
+        const factor = selectFactors(state)[userId] || null;
+        removeUserMfa(state, userId);
+        return factor;
+      });
+    },
+
+    async getPolicy() {
+      return driver.read(state => (state.settings && state.settings.mfaPolicy) || null);
+    },
+
+    async setPolicy(policy) {
+      return driver.transaction(state => {
+        state.settings = { ...(state.settings || {}), mfaPolicy: policy };
+        return policy;
+      });
+    }
+  };
+}
+
+module.exports = createMfaRepository;
+module.exports.removeUserMfa = removeUserMfa;
@@ -0,0 +1,211 @@
+/**
+ * Profile Repository
+ *
+ * User profiles (firstName, lastName, avatar, timezone, language) are stored
+ * in their own collection, keyed by user ID, rather than inside the user
+ * record. Profile edits therefore never rewrite the core account fields
+ * (email, role, status) and carry their own version, so a profile change does
+ * not invalidate the ETag a client holds for the user and vice versa.
+ *
+ * Repository Interface (all methods return Promises):
+ * - findByUserId(userId): Fetch the profile of an active user, or null when
+ *   the user does not exist or is in the trash
+ * - replace(userId, fields, options): Replace the profile of an active user,
+ *   returning the result or null; accepts expectedVersion like the user repository
+ *
+ * A profile is returned as { userId, ...fields, version, updatedAt }. A user
+ * whose profile was never stored has an empty profile at version 1.
+ *
+ * The user repository keeps user representations unchanged by joining the
+ * profile back in through the helpers exported alongside the factory.
+ */
+
+const { versionMismatchError } = require('./errors');
+
+/**
+ * Profile fields stored for a user
+ */
+const PROFILE_FIELDS = ['firstName', 'lastName', 'avatar', 'timezone', 'language'];
+
+/**
+ * Select the profiles collection of a state document
+ *
+ * @param {Object} state - Storage state
+ * @returns {Object} Profiles keyed by user ID
+ */
+function selectProfiles(state) {
+  return state.profiles || {};
+}
+
+/**
+ * Keep only the profile fields that hold a value
+ *
+ * @param {Object} source - Profile-like object
+ * @returns {Object} Profile fields without null or undefined values
+ */
+function pickProfileFields(source = {}) {
+  return PROFILE_FIELDS.reduce((fields, field) => {
+    if (source[field] !== undefined && source[field] !== null) {
+      fields[field] = source[field];
+    }
+    return fields;
+  }, {});
+}
+
+/**
+ * Read the stored profile of a user
+ *
+ * Users written before profiles had their own collection still carry the
+ * profile inside the user record; it is used until the profile is rewritten.
+ *
+ * @param {Object} state - Storage state
+ * @param {Object} user - Stored user record
+ * @returns {Object} { fields, version, updatedAt }
+ */
+function readProfile(state, user) {
+  const stored = selectProfiles(state)[user.id];
+  if (stored) {
+    return { fields: pickProfileFields(stored), version: stored.version, updatedAt: stored.updatedAt };
+  }
+  return { fields: pickProfileFields(user.profile), version: 1, updatedAt: null };
+}
+
+/**
+ * Return a user record with its profile joined in
+ *
+ * The profile property is omitted when the profile is empty, as it is for
+ * users created without one.
+ *
+ * @param {Object} state - Storage state
+ * @param {Object} user - Stored user record
+ * @returns {Object} User representation
+ */
+function attachProfile(state, user) {
+  const { profile: embedded, ...core } = user;
+  const { fields } = readProfile(state, user);
+  return Object.keys(fields).length > 0 ? { ...core, profile: fields } : core;
+}
+
+/**
+ * Store the profile of a new user at version 1
+ *
+ * Must be called inside a driver transaction.
+ *
+ * @param {Object} state - Draft storage state
+ * @param {string} userId - ID of the user being created
+ * @param {Object} profile - Profile fields (null or undefined for an empty profile)
+ * @param {string} timestamp - Creation time
+ */
+function createProfile(state, userId, profile, timestamp) {
+  state.profiles = selectProfiles(state);
+  state.profiles[userId] = { ...pickProfileFields(profile || {}), version: 1, updatedAt: timestamp };
+}
+
+/**
+ * Store the profile of an existing user as part of a user write
+ *
+ * The profile version is only bumped when the fields actually change, so
+ * rewriting a user with the same profile leaves profile ETags valid.
+ * Must be called inside a driver transaction.
+ *
+ * @param {Object} state - Draft storage state
+ * @param {Object} user - Stored user record (before the write)
+ * @param {Object} profile - New profile fields (null or undefined for an empty profile)
+ * @param {string} timestamp - Time of the change
+ */
+function writeProfile(state, user, profile, timestamp) {
+  state.profiles = selectProfiles(state);
+  const current = readProfile(state, user);
+  const fields = pickProfileFields(profile || {});
+  const materialized = !!state.profiles[user.id] || !user.profile;
+
+  if (materialized && JSON.stringify(fields) === JSON.stringify(current.fields)) {
+    return;
+  }
+
+  state.profiles[user.id] = { ...fields, version: current.version + 1, updatedAt: timestamp };
+}
+
+/**
+ * Remove the stored profile of a user
+ *
+ * Must be called inside a driver transaction.
+ *
+ * @param {Object} state - Draft storage state
+ * @param {string} userId - User ID
+ */
+function removeProfile(state, userId) {
+  state.profiles = selectProfiles(state);
+  delete state.profiles[userId];
+}
+
+/**
+ * Build the profile resource of a user
+ *
+ * @param {Object} state - Storage state
+ * @param {Object} user - Stored user record
+ * @returns {Object} { userId, ...fields, version, updatedAt }
+ */
+function toProfileResource(state, user) {
+  const { fields, version, updatedAt } = readProfile(state, user);
+  return { userId: user.id, ...fields, version, updatedAt: updatedAt || user.createdAt };
+}
+
+/**
+ * Create Profile Repository
+ *
+ * @param {Object} driver - Storage driver implementing read() and transaction()
+ * @returns {Object} Profile repository
+ */
+function createProfileRepository(driver) {
+  const findActiveUser = (state, userId) => {
+    const user = (state.users || {})[userId];
+    return user && !user.deletedAt ? user : null;
+  };
+
+  return {
+    async findByUserId(userId) {
+      return driver.read(state => {
+        const user = findActiveUser(state, userId);
+        return user ? toProfileResource(state, user) : null;
+      });
+    },
+
+    async replace(userId, fields, options = {}) {
+      return driver.transaction(state => {
+        const user = findActiveUser(state, userId);
+        if (!user) {
+          return null;
+        }
+
+        const { version } = readProfile(state, user);
+        if (options.expectedVersion !== undefined && ![].concat(options.expectedVersion).includes(version)) {
+          throw versionMismatchError(`${userId}.profile`, version, 'profile');
+        }
+
+        // A PUT always creates a new version, even when the fields are unchanged
+        state.profiles = selectProfiles(state);
+        state.profiles[userId] = {
+          ...pickProfileFields(fields),
+          version: version + 1,
+          updatedAt: options.timestamp || new Date().toISOString()
+        };
+
+        // Drop a profile still embedded in the user record by older versions
+        if (user.profile) {
+          const { profile, ...core } = user;
+          state.users[userId] = core;
+        }
+
+        return toProfileResource(state, user);
+      });
+    }
+  };
+}
+
+module.exports = createProfileRepository;
+module.exports.PROFILE_FIELDS = PROFILE_FIELDS;
+module.exports.attachProfile = attachProfile;
+module.exports.createProfile = createProfile;
+module.exports.writeProfile = writeProfile;
+module.exports.removeProfile = removeProfile;
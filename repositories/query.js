@@ -0,0 +1,309 @@
+/**
+ * Collection Query Helpers
+ *
+ * Shared search, filter and sort logic for repositories whose storage drivers
+ * hand back plain record collections. Keeping this logic in one place gives
+ * every list endpoint the same query semantics.
+ *
+ * Filter Format:
+ * - A filter expression as produced by utils/filterQuery.js:
+ *   { field, op, value } with op one of eq, ne, in, nin, gt, gte, lt, lte or
+ *   prefix, combined with { and: [...] }, { or: [...] } and { not: ... }
+ * - For internal callers, a plain object of conditions that must all match:
+ *   { field: value } matches records whose field equals value, and
+ *   { field: { from, to } } records whose field lies in the inclusive range;
+ *   either bound may be omitted.
+ *
+ * Dates may be given as Date objects or ISO strings and are compared as
+ * points in time. Prefix matching ignores case.
+ */
+
+/**
+ * Sort orders accepted by validatePagination mapped to a direction multiplier
+ */
+const SORT_DIRECTIONS = {
+  asc: 1,
+  ascending: 1,
+  desc: -1,
+  descending: -1
+};
+
+/**
+ * Read a possibly nested field (for example 'profile.timezone') from a record
+ *
+ * @param {Object} record - Record to read from
+ * @param {string} field - Dot-separated field path
+ * @returns {any} Field value or undefined
+ */
+function getField(record, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+/**
+ * Convert a value into something comparable with the relational operators
+ *
+ * @param {any} value - Raw value (Date, ISO string, number or string)
+ * @returns {any} Comparable value
+ */
+function toComparable(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value === 'string' && !isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return Date.parse(value);
+  }
+  return value;
+}
+
+/**
+ * Check whether a record matches a case-insensitive search term
+ *
+ * @param {Object} record - Record to test
+ * @param {string} search - Search term
+ * @param {Array<string>} fields - Fields searched for the term
+ * @returns {boolean} True when any field contains the term
+ */
+function matchesSearch(record, search, fields) {
+  if (!search) {
+    return true;
+  }
+
+  const searchLower = search.toLowerCase();
+  return fields.some(field => {
+    const value = getField(record, field);
+    return value != null && String(value).toLowerCase().includes(searchLower);
+  });
+}
+
+/**
+ * Check whether two values are equal, comparing dates as points in time
+ *
+ * @param {any} left - Record value
+ * @param {any} right - Filter value
+ * @returns {boolean} True when the values are equal
+ */
+function valuesEqual(left, right) {
+  return toComparable(left) === toComparable(right);
+}
+
+/**
+ * Check whether a record matches a single filter condition
+ *
+ * @param {Object} record - Record to test
+ * @param {Object} condition - Condition { field, op, value }
+ * @returns {boolean} True when the condition holds
+ */
+function matchesCondition(record, condition) {
+  const { field, op, value } = condition;
+  const actual = getField(record, field);
+
+  switch (op) {
+    case 'eq':
+      return valuesEqual(actual, value);
+    case 'ne':
+      return !valuesEqual(actual, value);
+    case 'in':
+      return value.some(candidate => valuesEqual(actual, candidate));
+    case 'nin':
+      return !value.some(candidate => valuesEqual(actual, candidate));
+    case 'prefix':
+      return typeof actual === 'string' && actual.toLowerCase().startsWith(String(value).toLowerCase());
+    default: {
+      const comparable = toComparable(actual);
+      const bound = toComparable(value);
+      if (comparable === undefined || comparable === null) {
+        return false;
+      }
+      switch (op) {
+        case 'gt': return comparable > bound;
+        case 'gte': return comparable >= bound;
+        case 'lt': return comparable < bound;
+        case 'lte': return comparable <= bound;
+        default: return false;
+      }
+    }
+  }
+}
+
+/**
+ * Check whether a record matches every condition of a plain filter object
+ *
+ * @param {Object} record - Record to test
+ * @param {Object} filter - Filter conditions keyed by field
+ * @returns {boolean} True when all conditions match
+ */
+function matchesConditionMap(record, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (condition === undefined) {
+      return true;
+    }
+
+    const value = getField(record, field);
+
+    if (condition !== null && typeof condition === 'object' && !(condition instanceof Date)) {
+      const comparable = toComparable(value);
+      if (comparable === undefined || comparable === null) {
+        return false;
+      }
+      if (condition.from !== undefined && comparable < toComparable(condition.from)) {
+        return false;
+      }
+      if (condition.to !== undefined && comparable > toComparable(condition.to)) {
+        return false;
+      }
+      return true;
+    }
+
+    return value === condition;
+  });
+}
+
+/**
+ * Check whether a record matches a filter (expression or plain object)
+ *
+ * @param {Object} record - Record to test
+ * @param {Object} filter - Filter expression or plain filter object
+ * @returns {boolean} True when the record matches
+ */
+function matchesFilter(record, filter) {
+  if (!filter) {
+    return true;
+  }
+  if (Array.isArray(filter.and)) {
+    return filter.and.every(expression => matchesFilter(record, expression));
+  }
+  if (Array.isArray(filter.or)) {
+    return filter.or.some(expression => matchesFilter(record, expression));
+  }
+  if (filter.not) {
+    return !matchesFilter(record, filter.not);
+  }
+  if (typeof filter.op === 'string' && typeof filter.field === 'string') {
+    return matchesCondition(record, filter);
+  }
+  return matchesConditionMap(record, filter);
+}
+
+/**
+ * Build a comparator sorting records by a field, using the ID as tie-breaker
+ * so that ordering stays deterministic for records with equal sort values
+ *
+ * @param {string} field - Field to sort on
+ * @param {string} order - Sort order (asc, ascending, desc, descending)
+ * @returns {Function} Comparator for Array.prototype.sort
+ */
+function compareBy(field, order = 'asc') {
+  const direction = SORT_DIRECTIONS[order] || 1;
+
+  return (a, b) => {
+    const left = getField(a, field);
+    const right = getField(b, field);
+
+    let result = 0;
+    if (left == null && right != null) {
+      result = -1;
+    } else if (left != null && right == null) {
+      result = 1;
+    } else if (typeof left === 'string' && typeof right === 'string') {
+      result = left.localeCompare(right);
+    } else if (left < right) {
+      result = -1;
+    } else if (left > right) {
+      result = 1;
+    }
+
+    if (result === 0 && field !== 'id') {
+      result = String(a.id).localeCompare(String(b.id));
+    }
+
+    return result * direction;
+  };
+}
+
+/**
+ * Apply search, filter and sort options to a collection
+ *
+ * @param {Array<Object>} records - Records to query
+ * @param {Object} options - Query options
+ * @param {string} options.search - Case-insensitive search term
+ * @param {Array<string>} options.searchFields - Fields searched for the term
+ * @param {Object} options.filter - Filter expression or plain filter object
+ * @param {string} options.sort - Field to sort on
+ * @param {string} options.order - Sort order
+ * @returns {Array<Object>} Matching records in sorted order
+ */
+function applyQuery(records, options = {}) {
+  const {
+    search,
+    searchFields = [],
+    filter,
+    sort = 'createdAt',
+    order = 'asc'
+  } = options;
+
+  return records
+    .filter(record => matchesSearch(record, search, searchFields) && matchesFilter(record, filter))
+    .sort(compareBy(sort, order));
+}
+
+/**
+ * Take one page from a sorted collection using either offset or keyset paging
+ *
+ * In keyset mode the cursor describes a boundary record by its sort key and
+ * ID. The page starts strictly after (or ends strictly before) that position,
+ * so inserting or deleting records never shifts rows between pages, and a
+ * deleted boundary record still yields a valid position.
+ *
+ * @param {Array<Object>} records - Records already sorted with compareBy(sort, order)
+ * @param {Object} options - Paging options
+ * @param {number} options.offset - Number of records to skip (offset mode)
+ * @param {number} options.limit - Maximum number of records to return
+ * @param {Object} options.cursor - Decoded cursor { d, k, id } (keyset mode)
+ * @param {string} options.sort - Sort field the records are ordered by
+ * @param {string} options.order - Sort order the records are ordered by
+ * @returns {Object} { items, hasNext, hasPrev }
+ */
+function paginate(records, options = {}) {
+  const { offset = 0, limit = 20, cursor = null, sort = 'createdAt', order = 'asc' } = options;
+
+  let start;
+  let end;
+
+  if (cursor) {
+    const compare = compareBy(sort, order);
+    const anchor = { id: cursor.id };
+    sort.split('.').reduce((target, key, index, keys) => {
+      target[key] = index === keys.length - 1 ? cursor.k : {};
+      return target[key];
+    }, anchor);
+
+    if (cursor.d === 'prev') {
+      end = records.findIndex(record => compare(record, anchor) >= 0);
+      end = end === -1 ? records.length : end;
+      start = Math.max(0, end - limit);
+    } else {
+      start = records.findIndex(record => compare(record, anchor) > 0);
+      start = start === -1 ? records.length : start;
+      end = Math.min(records.length, start + limit);
+    }
+  } else {
+    start = Math.min(offset, records.length);
+    end = Math.min(records.length, start + limit);
+  }
+
+  return {
+    items: records.slice(start, end),
+    hasNext: end < records.length,
+    hasPrev: start > 0
+  };
+}
+
+module.exports = {
+  SORT_DIRECTIONS,
+  getField,
+  matchesSearch,
+  matchesFilter,
+  compareBy,
+  applyQuery,
+  paginate
+};
@@ -0,0 +1,278 @@
+/**
+ * Refresh Token Repository
+ *
+ * Stores the login sessions behind refresh tokens. Each login starts a token
+ * family; every refresh rotates the family to a new token and invalidates the
+ * previous one. Presenting a token that has already been rotated means it was
+ * copied, so the whole family is revoked and both the thief and the owner
+ * have to log in again.
+ *
+ * A refresh token is "<family id>.<secret>". Only the SHA-256 of the current
+ * secret is stored:
+ *
+ *   {
+ *     id: "uuid",                     (family ID, the sid claim of access tokens)
+ *     userId: "uuid",
+ *     tokenHash: "sha256 hex",
+ *     generation: 1,                  (incremented by each rotation)
+ *     createdAt: "ISO timestamp",
+ *     rotatedAt: "ISO timestamp",
+ *     expiresAt: "ISO timestamp",     (pushed back by each rotation)
+ *     revokedAt: "ISO timestamp",     (revoked families only)
+ *     revokedReason: "logout|reuse_detected|password_changed|...",
+ *     client: { ip, userAgent }
+ *   }
+ *
+ * Families are pruned once they have expired.
+ *
+ * Repository Interface (all methods return Promises):
+ * - issue(userId, options): Start a family, resolving with { token, session }
+ * - rotate(token, options): Exchange a token for a new one, resolving with
+ *   { outcome, token, session } where outcome is rotated, invalid, expired,
+ *   revoked or reused
+ * - findActive(id): Fetch a family that is neither expired nor revoked, or null
+ * - listByUser(userId): Active families of a user, most recently rotated first
+ * - revoke(id, reason): Revoke a family, resolving with the session or null
+ * - revokeToken(token, reason): Revoke the family of a current token,
+ *   resolving with the session or null when the token is not current
+ *
+ * revokeUserSessions(state, userId, reason) is exported for writes of other
+ * repositories that must end every session of a user in their transaction.
+ */
+
+const crypto = require('crypto');
+const { v4: uuid } = require('uuid');
+
+/**
+ * Random bytes in the secret part of a token
+ */
+const SECRET_LENGTH = 32;
+
+/**
+ * Select the refresh token families of a state document
+ *
+ * @param {Object} state - Storage state
+ * @returns {Object} Families keyed by ID
+ */
+function selectFamilies(state) {
+  return state.refreshTokens || {};
+}
+
+/**
+ * Hash the secret part of a token
+ *
+ * @param {string} secret - Token secret
+ * @returns {string} SHA-256 hex digest
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Compare a token secret with a stored hash in constant time
+ *
+ * @param {string} secret - Token secret supplied by a client
+ * @param {string} tokenHash - Stored hash
+ * @returns {boolean} True when the secret matches
+ */
+function secretMatches(secret, tokenHash) {
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  const expected = Buffer.from(tokenHash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Split a token into family ID and secret
+ *
+ * @param {string} token - Refresh token
+ * @returns {Object|null} { id, secret }, or null when malformed
+ */
+function parseToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  return parts.length === 2 && parts[0] && parts[1] ? { id: parts[0], secret: parts[1] } : null;
+}
+
+/**
+ * Strip the token hash from a stored family
+ *
+ * @param {Object} family - Stored family
+ * @returns {Object} Session description safe to return
+ */
+function toSession(family) {
+  const { tokenHash, ...session } = family;
+  return session;
+}
+
+/**
+ * Revoke every active session of a user inside a transaction
+ *
+ * @param {Object} state - Storage state (modified in place)
+ * @param {string} userId - User whose sessions end
+ * @param {string} reason - Recorded revocation reason
+ * @returns {number} Number of sessions revoked
+ */
+function revokeUserSessions(state, userId, reason) {
+  const families = selectFamilies(state);
+  const revokedAt = new Date().toISOString();
+  let revoked = 0;
+
+  Object.values(families).forEach(family => {
+    if (family.userId === userId && !family.revokedAt) {
+      families[family.id] = { ...family, revokedAt, revokedReason: reason };
+      revoked++;
+    }
+  });
+
+  if (revoked > 0) {
+    state.refreshTokens = families;
+  }
+  return revoked;
+}
+
+/**
+ * Create Refresh Token Repository
+ *
+ * @param {Object} driver - Storage driver implementing read() and transaction()
+ * @returns {Object} Refresh token repository
+ */
+function createRefreshTokenRepository(driver) {
+  return {
+    async issue(userId, options = {}) {
+      const { ttlMs, client = {} } = options;
+
+      return driver.transaction(state => {
+        const families = selectFamilies(state);
+        const now = Date.now();
+        state.refreshTokens = families;
+
+        Object.keys(families).forEach(id => {
+          if (Date.parse(families[id].expiresAt) <= now) {
+            delete families[id];
+          }
+        });
+
+        const id = uuid();
+        const secret = crypto.randomBytes(SECRET_LENGTH).toString('base64url');
+        const timestamp = new Date(now).toISOString();
+
+        families[id] = {
+          id,
+          userId,
+          tokenHash: hashSecret(secret),
+          generation: 1,
+          createdAt: timestamp,
+          rotatedAt: timestamp,
+          expiresAt: new Date(now + ttlMs).toISOString(),
+          client: { ip: client.ip || null, userAgent: client.userAgent || null }
+        };
+
+        return { token: `${id}.${secret}`, session: toSession(families[id]) };
+      });
+    },
+
+    async rotate(token, options = {}) {
+      const { ttlMs } = options;
+      const parsed = parseToken(token);
+
+      if (!parsed) {
+        return { outcome: 'invalid', token: null, session: null };
+      }
+
+      return driver.transaction(state => {
+        const families = selectFamilies(state);
+        const family = families[parsed.id];
+        const now = Date.now();
+
+        if (!family) {
+          return { outcome: 'invalid', token: null, session: null };
+        }
+        if (family.revokedAt) {
+          return { outcome: 'revoked', token: null, session: toSession(family) };
+        }
+        if (Date.parse(family.expiresAt) <= now) {
+          return { outcome: 'expired', token: null, session: toSession(family) };
+        }
+
+        state.refreshTokens = families;
+
+        if (!secretMatches(parsed.secret, family.tokenHash)) {
+          // An earlier token of the family was presented again after rotation
+          families[family.id] = {
+            ...family,
+            revokedAt: new Date(now).toISOString(),
+            revokedReason: 'reuse_detected'
+          };
+          return { outcome: 'reused', token: null, session: toSession(families[family.id]) };
+        }
+
+        const secret = crypto.randomBytes(SECRET_LENGTH).toString('base64url');
+        families[family.id] = {
+          ...family,
+          tokenHash: hashSecret(secret),
+          generation: family.generation + 1,
+          rotatedAt: new Date(now).toISOString(),
+          expiresAt: new Date(now + ttlMs).toISOString()
+        };
+
+        return { outcome: 'rotated', token: `${family.id}.${secret}`, session: toSession(families[family.id]) };
+      });
+    },
+
+    async findActive(id) {
+      return driver.read(state => {
+        const family = selectFamilies(state)[id];
+        if (!family || family.revokedAt || Date.parse(family.expiresAt) <= Date.now()) {
+          return null;
+        }
+        return toSession(family);
+      });
+    },
+
+    async listByUser(userId) {
+      const now = Date.now();
+
+      return driver.read(state => Object.values(selectFamilies(state))
+        .filter(family => family.userId === userId && !family.revokedAt && Date.parse(family.expiresAt) > now)
+        .sort((a, b) => b.rotatedAt.localeCompare(a.rotatedAt))
+        .map(toSession));
+    },
+
+    async revoke(id, reason) {
+      return driver.transaction(state => {
+        const families = selectFamilies(state);
+        const family = families[id];
+        if (!family) {
+          return null;
+        }
+
+        if (!family.revokedAt) {
+          state.refreshTokens = families;
+          families[id] = { ...family, revokedAt: new Date().toISOString(), revokedReason: reason };
+        }
+        return toSession(families[id]);
+      });
+    },
+
+    async revokeToken(token, reason) {
+      const parsed = parseToken(token);
+      if (!parsed) {
+        return null;
+      }
+
+      return driver.transaction(state => {
+        const family = selectFamilies(state)[parsed.id];
+        if (!family || !secretMatches(parsed.secret, family.tokenHash)) {
+          return null;
+        }
+
+        if (!family.revokedAt) {
+          state.refreshTokens[family.id] = { ...family, revokedAt: new Date().toISOString(), revokedReason: reason };
+        }
+        return toSession(state.refreshTokens[family.id]);
+      });
+    }
+  };
+}
+
+module.exports = createRefreshTokenRepository;
+module.exports.revokeUserSessions = revokeUserSessions;
@@ -0,0 +1,264 @@
+/**
+ * Cookie Session Repository
+ *
+ * Stores the server-side sessions of browser clients, which authenticate
+ * with a session cookie instead of bearer tokens (see middleware/auth.js).
+ * The cookie holds "<session id>.<secret>"; only the SHA-256 of the secret
+ * is stored:
+ *
+ *   {
+ *     id: "uuid",
+ *     userId: "uuid",
+ *     tokenHash: "sha256 hex",
+ *     createdAt: "ISO timestamp",
+ *     lastSeenAt: "ISO timestamp",
+ *     expiresAt: "ISO timestamp",     (lastSeenAt + the session max age)
+ *     revokedAt: "ISO timestamp",     (revoked sessions only)
+ *     revokedReason: "logout|revoked|password_changed|user_deleted|...",
+ *     client: { ip, userAgent }
+ *   }
+ *
+ * Sessions expire after a period without requests: every use pushes
+ * expiresAt back, at most once per LAST_SEEN_RESOLUTION_MS so that an active
+ * browser does not turn every request into a write. Expired sessions are
+ * pruned when a new session starts. Because sessions live in the shared
+ * storage backend, the file backend keeps them across restarts and PM2
+ * reloads and shares them between workers.
+ *
+ * Repository Interface (all methods return Promises):
+ * - create(userId, options): Start a session, resolving with { token, session }
+ * - authenticate(token, options): Check a session cookie, resolving with
+ *   { outcome, session, renewed } where outcome is valid, invalid, expired or
+ *   revoked and renewed tells whether the expiry was pushed back
+ * - findById(id): Fetch a session, or null
+ * - listByUser(userId): Active sessions of a user, most recently used first
+ * - revoke(id, reason): Revoke a session, resolving with the session or null
+ *
+ * revokeUserCookieSessions(state, userId, reason) is exported for writes of
+ * other repositories that must end every session of a user in their
+ * transaction.
+ */
+
+const crypto = require('crypto');
+const { v4: uuid } = require('uuid');
+
+/**
+ * Random bytes in the secret part of a session cookie
+ */
+const SECRET_LENGTH = 32;
+
+/**
+ * Granularity of lastSeenAt (and therefore of the sliding expiry)
+ */
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Select the sessions of a state document
+ *
+ * @param {Object} state - Storage state
+ * @returns {Object} Sessions keyed by ID
+ */
+function selectSessions(state) {
+  return state.sessions || {};
+}
+
+/**
+ * Hash the secret part of a session cookie
+ *
+ * @param {string} secret - Cookie secret
+ * @returns {string} SHA-256 hex digest
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Compare a cookie secret with a stored hash in constant time
+ *
+ * @param {string} secret - Secret supplied by a client
+ * @param {string} tokenHash - Stored hash
+ * @returns {boolean} True when the secret matches
+ */
+function secretMatches(secret, tokenHash) {
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  const expected = Buffer.from(tokenHash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Split a session cookie into session ID and secret
+ *
+ * @param {string} token - Cookie value
+ * @returns {Object|null} { id, secret }, or null when malformed
+ */
+function parseToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  return parts.length === 2 && parts[0] && parts[1] ? { id: parts[0], secret: parts[1] } : null;
+}
+
+/**
+ * Strip the token hash from a stored session
+ *
+ * @param {Object} stored - Stored session
+ * @returns {Object} Session description safe to return
+ */
+function toSession(stored) {
+  const { tokenHash, ...session } = stored;
+  return session;
+}
+
+/**
+ * Whether a stored session can still be used
+ *
+ * @param {Object} stored - Stored session
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True when neither revoked nor expired
+ */
+function isActive(stored, now) {
+  return !stored.revokedAt && Date.parse(stored.expiresAt) > now;
+}
+
+/**
+ * Revoke every active cookie session of a user inside a transaction
+ *
+ * @param {Object} state - Storage state (modified in place)
+ * @param {string} userId - User whose sessions end
+ * @param {string} reason - Recorded revocation reason
+ * @returns {number} Number of sessions revoked
+ */
+function revokeUserCookieSessions(state, userId, reason) {
+  const sessions = selectSessions(state);
+  const revokedAt = new Date().toISOString();
+  let revoked = 0;
+
+  Object.values(sessions).forEach(stored => {
+    if (stored.userId === userId && !stored.revokedAt) {
+      sessions[stored.id] = { ...stored, revokedAt, revokedReason: reason };
+      revoked++;
+    }
+  });
+
+  if (revoked > 0) {
+    state.sessions = sessions;
+  }
+  return revoked;
+}
+
+/**
+ * Create Cookie Session Repository
+ *
+ * @param {Object} driver - Storage driver implementing read() and transaction()
+ * @returns {Object} Cookie session repository
+ */
+function createSessionRepository(driver) {
+  return {
+    async create(userId, options = {}) {
+      const { ttlMs, client = {} } = options;
+
+      return driver.transaction(state => {
+        const sessions = selectSessions(state);
+        const now = Date.now();
+        state.sessions = sessions;
+
+        Object.keys(sessions).forEach(id => {
+          if (Date.parse(sessions[id].expiresAt) <= now) {
+            delete sessions[id];
+          }
+        });
+
+        const id = uuid();
+        const secret = crypto.randomBytes(SECRET_LENGTH).toString('base64url');
+        const timestamp = new Date(now).toISOString();
+
+        sessions[id] = {
+          id,
+          userId,
+          tokenHash: hashSecret(secret),
+          createdAt: timestamp,
+          lastSeenAt: timestamp,
+          expiresAt: new Date(now + ttlMs).toISOString(),
+          client: { ip: client.ip || null, userAgent: client.userAgent || null }
+        };
+
+        return { token: `${id}.${secret}`, session: toSession(sessions[id]) };
+      });
+    },
+
+    async authenticate(token, options = {}) {
+      const { ttlMs } = options;
+      const parsed = parseToken(token);
+
+      if (!parsed) {
+        return { outcome: 'invalid', session: null };
+      }
+
+      const now = Date.now();
+      const stored = await driver.read(state => selectSessions(state)[parsed.id] || null);
+
+      if (!stored || !secretMatches(parsed.secret, stored.tokenHash)) {
+        return { outcome: 'invalid', session: null };
+      }
+      if (stored.revokedAt) {
+        return { outcome: 'revoked', session: toSession(stored) };
+      }
+      if (Date.parse(stored.expiresAt) <= now) {
+        return { outcome: 'expired', session: toSession(stored) };
+      }
+      if (now - Date.parse(stored.lastSeenAt) < LAST_SEEN_RESOLUTION_MS) {
+        return { outcome: 'valid', session: toSession(stored) };
+      }
+
+      return driver.transaction(state => {
+        const sessions = selectSessions(state);
+        const current = sessions[parsed.id];
+
+        // Revoked by another request since it was read
+        if (!current || !isActive(current, now)) {
+          return { outcome: current && current.revokedAt ? 'revoked' : 'expired', session: current ? toSession(current) : null };
+        }
+
+        sessions[parsed.id] = {
+          ...current,
+          lastSeenAt: new Date(now).toISOString(),
+          expiresAt: new Date(now + ttlMs).toISOString()
+        };
+        return { outcome: 'valid', session: toSession(sessions[parsed.id]), renewed: true };
+      });
+    },
+
+    async findById(id) {
+      return driver.read(state => {
+        const stored = selectSessions(state)[id];
+        return stored ? toSession(stored) : null;
+      });
+    },
+
+    async listByUser(userId) {
+      const now = Date.now();
+
+      return driver.read(state => Object.values(selectSessions(state))
+        .filter(stored => stored.userId === userId && isActive(stored, now))
+        .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt))
+        .map(toSession));
+    },
+
+    async revoke(id, reason) {
+      return driver.transaction(state => {
+        const sessions = selectSessions(state);
+        const stored = sessions[id];
+        if (!stored) {
+          return null;
+        }
+
+        if (!stored.revokedAt) {
+          state.sessions = sessions;
+          sessions[id] = { ...stored, revokedAt: new Date().toISOString(), revokedReason: reason };
+        }
+        return toSession(sessions[id]);
+      });
+    }
+  };
+}
+
+module.exports = createSessionRepository;
+module.exports.revokeUserCookieSessions = revokeUserCookieSessions;
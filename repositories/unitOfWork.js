@@ -0,0 +1,345 @@
+/**
+ * Unit of Work
+ *
+ * Wraps a storage driver so that a sequence of asynchronous operations can
+ * be staged and committed together. Driver transactions run a synchronous
+ * mutator and cover a single repository call; a unit of work spans many calls (for
+ * example every operation of a transactional batch request) by giving them a
+ * private copy of the state:
+ *
+ * - Reads and transactions issued inside the unit of work (tracked with
+ *   AsyncLocalStorage, so no state has to be threaded through the
+ *   repositories) see and modify the private copy only
+ * - Other requests keep seeing the committed state until the unit commits
+ * - Committing writes the records the unit changed back in one driver
+ *   transaction, provided nobody else changed a record the unit read or
+ *   wrote in the meantime; otherwise the commit is rejected with a 409
+ *   conflict and nothing is written
+ * - Discarding the private copy is all it takes to roll back
+ *
+ * Records:
+ * A record is one entry of a top-level collection (state.users[id],
+ * state.sessions[id], ...). Reads are tracked through proxies over the state
+ * and its collections: looking up an entry reads that record, while listing
+ * a collection (Object.values(), for...in) reads all of it, so that a user
+ * created elsewhere still conflicts with a unit that searched the users.
+ * Writes are found by comparing the private copy with the state the unit
+ * started from. Changes to unrelated records, such as another client's
+ * failed login or session renewal, therefore never fail a unit of work.
+ *
+ * Side effects:
+ * Mail and other messages about a change must not go out before the change
+ * is committed. driver.afterCommit(effect) runs effect right away outside a
+ * unit of work; inside one it waits until the unit commits and is dropped
+ * when the unit rolls back or conflicts.
+ *
+ * The wrapped driver exposes the usual read()/transaction() interface plus
+ * unitOfWork(work) and afterCommit(effect).
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { StatusCodes } = require('http-status-codes');
+const logger = require('../utils/logger');
+
+/**
+ * Build the error raised when the data changed while a unit of work was open
+ *
+ * @returns {Object} Conflict error for the global error handler
+ */
+function concurrentModificationError() {
+  return {
+    type: 'TransactionConflict',
+    message: 'The data was modified by another request while the transaction was running; no changes were saved',
+    statusCode: StatusCodes.CONFLICT,
+    details: { reason: 'concurrent_modification' }
+  };
+}
+
+/**
+ * Whether a value is a plain object whose entries are records
+ *
+ * @param {any} value - Top-level state value
+ * @returns {boolean} True for non-array objects
+ */
+function isCollection(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Compare two stored values
+ *
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} True when they serialize alike
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Look up the value at a record path
+ *
+ * @param {Object} state - State document
+ * @param {Array<string>} path - [] for the whole state, [collection] or [collection, key]
+ * @returns {any} Value, or undefined when it does not exist
+ */
+function valueAt(state, path) {
+  return path.reduce((node, key) => (isCollection(node) && Object.prototype.hasOwnProperty.call(node, key)
+    ? node[key]
+    : undefined), state);
+}
+
+/**
+ * List the record paths whose values differ between two states
+ *
+ * @param {Object} before - State the unit of work started from
+ * @param {Object} after - Private state of the unit of work
+ * @returns {Array<Array<string>>} Changed paths ([collection, key], or
+ *   [collection] for top-level values that are not collections)
+ */
+function changedPaths(before, after) {
+  const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  return [...names].flatMap(name => {
+    // A collection created by the unit is compared entry by entry as well
+    const previous = before[name] === undefined && isCollection(after[name]) ? {} : before[name];
+    const current = after[name] === undefined && isCollection(before[name]) ? {} : after[name];
+
+    if (!isCollection(previous) || !isCollection(current)) {
+      return sameValue(previous, current) ? [] : [[name]];
+    }
+
+    const keys = new Set([...Object.keys(previous), ...Object.keys(current)]);
+    return [...keys]
+      .filter(key => !sameValue(previous[key], current[key]))
+      .map(key => [name, key]);
+  });
+}
+
+/**
+ * Create a read tracker over a state document
+ *
+ * The returned state behaves like the document (writes go straight through)
+ * while every record it reads is added to reads as a path joined with NUL.
+ *
+ * @param {Object} target - State document
+ * @param {Set<string>} reads - Read paths, filled in as the state is used
+ * @returns {Object} { state, detach } where detach(value) turns a value
+ *   taken from the tracked state into a plain copy
+ */
+function trackReads(target, reads) {
+  const targets = new WeakMap();
+  const record = (...path) => reads.add(path.join('\u0000'));
+  const unwrap = value => (targets.has(value) ? targets.get(value) : value);
+
+  const collectionProxy = (name, collection) => {
+    const proxy = new Proxy(collection, {
+      get(node, key, receiver) {
+        if (typeof key === 'string') {
+          record(name, key);
+        }
+        return Reflect.get(node, key, receiver);
+      },
+      has(node, key) {
+        record(name, key);
+        return Reflect.has(node, key);
+      },
+      getOwnPropertyDescriptor(node, key) {
+        record(name, key);
+        return Reflect.getOwnPropertyDescriptor(node, key);
+      },
+      ownKeys(node) {
+        record(name);
+        return Reflect.ownKeys(node);
+      },
+      set(node, key, value) {
+        return Reflect.set(node, key, unwrap(value));
+      }
+    });
+    targets.set(proxy, collection);
+    return proxy;
+  };
+
+  const proxies = new Map();
+  const state = new Proxy(target, {
+    get(node, name, receiver) {
+      const value = Reflect.get(node, name, receiver);
+      if (typeof name !== 'string') {
+        return value;
+      }
+      if (!isCollection(value)) {
+        record(name);
+        return value;
+      }
+      if (!proxies.has(name) || targets.get(proxies.get(name)) !== value) {
+        proxies.set(name, collectionProxy(name, value));
+      }
+      return proxies.get(name);
+    },
+    ownKeys(node) {
+      record();
+      return Reflect.ownKeys(node);
+    },
+    set(node, name, value) {
+      return Reflect.set(node, name, unwrap(value));
+    }
+  });
+  targets.set(state, target);
+
+  const detach = value => {
+    if (targets.has(value)) {
+      // Handing out a whole collection reads all of it
+      const raw = targets.get(value);
+      if (value === state) {
+        record();
+      } else {
+        record([...proxies.entries()].find(([, proxy]) => proxy === value)[0]);
+      }
+      return structuredClone(raw);
+    }
+    if (Array.isArray(value)) {
+      return value.map(detach);
+    }
+    if (isCollection(value) && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, detach(item)]));
+    }
+    return structuredClone(value);
+  };
+
+  return { state, detach };
+}
+
+/**
+ * Run a side effect without letting its failure escape
+ *
+ * @param {Function} effect - Side effect, possibly async
+ */
+function runEffect(effect) {
+  Promise.resolve()
+    .then(effect)
+    .catch(error => {
+      logger.error('Side effect after commit failed', {
+        error: error.message,
+        stack: error.stack
+      });
+    });
+}
+
+/**
+ * Add unit of work support to a storage driver
+ *
+ * @param {Object} driver - Storage driver exposing read() and transaction()
+ * @returns {Object} Driver with the same interface plus unitOfWork(work)
+ *   and afterCommit(effect)
+ */
+function withUnitOfWork(driver) {
+  const scopes = new AsyncLocalStorage();
+
+  return {
+    ...driver,
+
+    read(selector = (current) => current) {
+      const scope = scopes.getStore();
+      if (!scope) {
+        return driver.read(selector);
+      }
+
+      const { state, detach } = trackReads(scope.state, scope.reads);
+      return detach(selector(state));
+    },
+
+    transaction(mutator) {
+      const scope = scopes.getStore();
+      if (!scope) {
+        return driver.transaction(mutator);
+      }
+
+      const draft = structuredClone(scope.state);
+      const { state, detach } = trackReads(draft, scope.reads);
+      const result = mutator(state);
+      scope.state = draft;
+      scope.dirty = true;
+      return detach(result);
+    },
+
+    /**
+     * Run a side effect once the current changes are committed
+     *
+     * Effects run in the order they were registered, outside the unit of
+     * work; a failing effect is logged.
+     *
+     * @param {Function} effect - Side effect, possibly async
+     */
+    afterCommit(effect) {
+      const scope = scopes.getStore();
+      if (!scope) {
+        runEffect(effect);
+        return;
+      }
+
+      scope.effects.push(effect);
+    },
+
+    /**
+     * Run work against a private copy of the state and commit it afterwards
+     *
+     * The changes are committed when work resolves and discarded when it
+     * rejects. Nested units of work join the enclosing one.
+     *
+     * @param {Function} work - Async function performing repository calls
+     * @returns {Promise<any>} Value resolved by work
+     * @throws {Object} The rejection of work, or a 409 error when a record
+     *   the unit read or wrote changed outside it before it could commit
+     */
+    async unitOfWork(work) {
+      if (scopes.getStore()) {
+        return work();
+      }
+
+      const serialized = JSON.stringify(driver.read());
+      const snapshot = JSON.parse(serialized);
+      const scope = { state: JSON.parse(serialized), reads: new Set(), dirty: false, effects: [] };
+
+      const result = await scopes.run(scope, work);
+
+      if (scope.dirty) {
+        const writes = changedPaths(snapshot, scope.state);
+        const reads = [...scope.reads].map(path => (path === '' ? [] : path.split('\u0000')));
+
+        await driver.transaction(state => {
+          const conflict = [...reads, ...writes].some(path => !sameValue(valueAt(state, path), valueAt(snapshot, path)));
+          if (conflict) {
+            throw concurrentModificationError();
+          }
+
+          writes.forEach(([name, key]) => {
+            const value = key === undefined ? scope.state[name] : valueAt(scope.state, [name, key]);
+
+            if (key === undefined) {
+              if (value === undefined) {
+                delete state[name];
+              } else {
+                state[name] = value;
+              }
+              return;
+            }
+
+            if (!isCollection(state[name])) {
+              state[name] = {};
+            }
+            if (value === undefined) {
+              delete state[name][key];
+            } else {
+              state[name][key] = value;
+            }
+          });
+        });
+      }
+
+      scope.effects.forEach(runEffect);
+      return result;
+    }
+  };
+}
+
+module.exports = withUnitOfWork;
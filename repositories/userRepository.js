@@ -0,0 +1,530 @@
+/**
+ * User Repository
+ *
+ * Provides the persistence interface for user accounts. Route handlers read and
+ * write users exclusively through this repository, which keeps them independent
+ * of the storage backend selected in config.database.
+ *
+ * Repository Interface (all methods return Promises):
+ * - list(options): Search, filter, sort and page through users (by offset or by
+ *   decoded cursor), returning { users, total, hasNext, hasPrev } where total
+ *   counts every match across the collection; onlyDeleted lists the trash
+ * - scan(options): Async iterator over every matching user in batches of
+ *   batchSize; the query runs once and the batches are read by ID, so the
+ *   whole set is never copied at once
+ * - findById(id, options): Fetch a single user or null
+ * - findByEmail(email, options): Fetch a single user by email address or null
+ * - create(user, options): Persist a new user at version 1, enforcing email uniqueness
+ * - createMany(users, options): Persist many users in one transaction, skipping
+ *   duplicate emails; returns one { user, created, reason } result per user
+ * - update(id, changes, options): Merge changes into an existing user, returning the result or null
+ * - transitionStatus(id, transition, options): Move a user from one of
+ *   transition.from to transition.to, resolving with { outcome, user } where
+ *   outcome is changed, not_allowed (the user's status is not in
+ *   transition.from) or not_found
+ * - replace(id, user, options): Replace an existing user record entirely, returning the result or null
+ * - softDelete(id, deletion, options): Mark a user as deleted while keeping its data
+ * - hardDelete(id, options): Permanently remove a user
+ * - restore(id, restoration, options): Return a soft-deleted user to the active collection
+ * - purgeDeleted(cutoff, options): Permanently remove users soft-deleted at or before cutoff
+ *
+ * Active administrators:
+ * Updates, status transitions and deletes that would leave no active admin
+ * are rejected with the 422 error of the last-active-admin rule (see
+ * services/userRules.js) unless config.users.rules.disabled lists it. Like
+ * email uniqueness, the check runs inside the write transaction, so two
+ * concurrent demotions of the last two admins cannot both succeed.
+ *
+ * Soft-deleted users carry a deletedAt timestamp and the deletion audit record
+ * (reason, deletedBy, requestId), and are hidden from reads unless
+ * includeDeleted is requested.
+ *
+ * Versioning:
+ * Every write increments the user's integer version. Write methods accept an
+ * expectedVersion option (a version or list of versions); when the stored
+ * version does not match, the write is rejected with 412 Precondition Failed.
+ * The check runs inside the write transaction, so two concurrent writers
+ * holding the same version can never both succeed.
+ *
+ * Profiles:
+ * The profile of a user lives in its own collection (see profileRepository.js).
+ * Users are returned with their profile joined in, and writes that carry a
+ * profile store it there in the same transaction.
+ *
+ * Credentials:
+ * Password hashes live in their own collection (see credentialRepository.js).
+ * create() accepts a credentials option { passwordHash } stored in the same
+ * transaction, and permanently removing a user removes its credentials and
+ * ends its sessions.
+ *
+ * History:
+ * Every write appends a change history entry (see historyRepository.js) in
+ * the same transaction. Write methods accept an audit option
+ * { actor, requestId } identifying who made the change.
+ *
+ * Webhooks:
+ * The same transaction queues the matching webhook event for delivery (see
+ * webhookDeliveryRepository.js).
+ */
+
+const { applyQuery, paginate } = require('./query');
+const config = require('../config/index');
+const { duplicateEmailError, lastActiveAdminError, versionMismatchError } = require('./errors');
+const { attachProfile, createProfile, writeProfile, removeProfile } = require('./profileRepository');
+const { recordHistory } = require('./historyRepository');
+const { queueUserEvent } = require('./webhookDeliveryRepository');
+const { storeCredentials, removeCredentials } = require('./credentialRepository');
+
+/**
+ * Fields matched by the free-text search parameter
+ */
+const SEARCH_FIELDS = ['name', 'email'];
+
+/**
+ * Read the version of a stored user (records written before versioning count as version 1)
+ *
+ * @param {Object} user - Stored user record
+ * @returns {number} Current version
+ */
+function versionOf(user) {
+  return user.version || 1;
+}
+
+/**
+ * Enforce the expectedVersion option of a conditional write
+ *
+ * @param {Object} user - Stored user record
+ * @param {number|Array<number>|undefined} expectedVersion - Accepted version(s)
+ */
+function assertVersion(user, expectedVersion) {
+  if (expectedVersion !== undefined && ![].concat(expectedVersion).includes(versionOf(user))) {
+    throw versionMismatchError(user.id, versionOf(user));
+  }
+}
+
+/**
+ * Check whether a stored user is visible for the given read options
+ *
+ * @param {Object} user - Stored user record
+ * @param {boolean} includeDeleted - Whether soft-deleted users are visible
+ * @returns {boolean} True when the user should be returned
+ */
+function isVisible(user, includeDeleted) {
+  return includeDeleted || !user.deletedAt;
+}
+
+/**
+ * Find an active user holding the given email address
+ *
+ * @param {Object} users - Users collection keyed by ID
+ * @param {string} email - Email address to look up
+ * @param {string} excludeId - User ID to ignore (the user being updated)
+ * @returns {Object|undefined} Conflicting user, if any
+ */
+function findEmailOwner(users, email, excludeId = null) {
+  const normalized = email.toLowerCase();
+  return Object.values(users).find(user =>
+    !user.deletedAt && user.id !== excludeId && user.email.toLowerCase() === normalized
+  );
+}
+
+/**
+ * Whether a user counts as an active administrator
+ *
+ * @param {Object|null} user - User record
+ * @returns {boolean} True for active admins outside the trash
+ */
+function isActiveAdmin(user) {
+  return Boolean(user) && !user.deletedAt && user.role === 'admin' && user.status === 'active';
+}
+
+/**
+ * Reject a write that would leave no active administrator
+ *
+ * @param {Object} users - Users collection keyed by ID, before the write
+ * @param {Object} before - Stored user
+ * @param {Object|null} after - User after the write (null when removed)
+ * @throws {Object} 422 error of the last-active-admin rule
+ */
+function assertActiveAdminRemains(users, before, after) {
+  if (!isActiveAdmin(before) || isActiveAdmin(after) || config.users.rules.disabled.includes('last-active-admin')) {
+    return;
+  }
+  if (!Object.values(users).some(user => user.id !== before.id && isActiveAdmin(user))) {
+    throw lastActiveAdminError(before.id);
+  }
+}
+
+/**
+ * Decide which of a set of new users can be created against the current state
+ *
+ * A user is skipped when its email belongs to an existing active user or to an
+ * earlier user of the same set.
+ *
+ * @param {Object} users - Users collection keyed by ID
+ * @param {Array<Object>} candidates - New user records
+ * @returns {Array<Object>} One { user, created, reason, duplicateOf } result per candidate
+ */
+function planCreates(users, candidates) {
+  const claimed = new Map();
+
+  return candidates.map((user, index) => {
+    const email = user.email.toLowerCase();
+    const owner = findEmailOwner(users, email);
+
+    if (owner) {
+      return { user, created: false, reason: 'duplicate_email', duplicateOf: owner.id };
+    }
+    if (claimed.has(email)) {
+      return { user, created: false, reason: 'duplicate_in_batch', duplicateOf: claimed.get(email) };
+    }
+
+    claimed.set(email, index);
+    return { user: { ...user, version: 1 }, created: true, reason: null, duplicateOf: null };
+  });
+}
+
+/**
+ * Record a user write in the history and queue its webhook event
+ *
+ * @param {Object} state - Draft storage state
+ * @param {Object} change - { action, before, after, audit }
+ * @returns {Object} History entry
+ */
+function recordChange(state, change) {
+  const entry = recordHistory(state, change);
+  queueUserEvent(state, change, entry);
+  return entry;
+}
+
+/**
+ * Create User Repository
+ *
+ * @param {Object} driver - Storage driver implementing read() and transaction()
+ * @returns {Object} User repository
+ */
+function createUserRepository(driver) {
+  const selectUsers = (state) => state.users || {};
+
+  return {
+    async list(options = {}) {
+      const {
+        offset = 0,
+        limit = 20,
+        cursor = null,
+        search,
+        filter,
+        sort = 'createdAt',
+        order = 'asc',
+        includeDeleted = false,
+        onlyDeleted = false
+      } = options;
+
+      // Query inside the selector so that only the requested page is copied out
+      return driver.read(state => {
+        const visibleUsers = Object.values(selectUsers(state))
+          .filter(user => (onlyDeleted ? !!user.deletedAt : isVisible(user, includeDeleted)));
+        const users = applyQuery(visibleUsers, { search, searchFields: SEARCH_FIELDS, filter, sort, order });
+        const page = paginate(users, { offset, limit, cursor, sort, order });
+
+        return {
+          users: page.items.map(user => attachProfile(state, user)),
+          total: users.length,
+          hasNext: page.hasNext,
+          hasPrev: page.hasPrev
+        };
+      });
+    },
+
+    async *scan(options = {}) {
+      const {
+        batchSize = 500,
+        search,
+        filter,
+        sort = 'createdAt',
+        order = 'asc',
+        includeDeleted = false,
+        onlyDeleted = false
+      } = options;
+      const matches = user => (onlyDeleted ? !!user.deletedAt : isVisible(user, includeDeleted));
+
+      // Filter and sort once, copying out only the IDs in result order
+      const ids = await driver.read(state => {
+        const visibleUsers = Object.values(selectUsers(state)).filter(matches);
+        return applyQuery(visibleUsers, { search, searchFields: SEARCH_FIELDS, filter, sort, order })
+          .map(user => user.id);
+      });
+
+      // Read each batch as currently stored; users removed from the matched
+      // set (deleted, restored, purged) since the query are left out
+      for (let start = 0; start < ids.length; start += batchSize) {
+        const batchIds = ids.slice(start, start + batchSize);
+        const users = await driver.read(state => {
+          const stored = selectUsers(state);
+          return batchIds
+            .filter(id => stored[id] && matches(stored[id]))
+            .map(id => attachProfile(state, stored[id]));
+        });
+
+        if (users.length > 0) {
+          yield users;
+        }
+      }
+    },
+
+    async findById(id, options = {}) {
+      const { includeDeleted = false } = options;
+      return driver.read(state => {
+        const user = selectUsers(state)[id];
+        return user && isVisible(user, includeDeleted) ? attachProfile(state, user) : null;
+      });
+    },
+
+    async findByEmail(email, options = {}) {
+      const { includeDeleted = false } = options;
+      const normalized = email.toLowerCase();
+      return driver.read(state => {
+        const user = Object.values(selectUsers(state)).find(candidate =>
+          isVisible(candidate, includeDeleted) && candidate.email.toLowerCase() === normalized
+        );
+        return user ? attachProfile(state, user) : null;
+      });
+    },
+
+    async create(user, options = {}) {
+      return driver.transaction(state => {
+        state.users = selectUsers(state);
+
+        if (findEmailOwner(state.users, user.email)) {
+          throw duplicateEmailError(user.email);
+        }
+
+        const { profile, ...core } = user;
+        state.users[user.id] = { ...core, version: 1 };
+        createProfile(state, user.id, profile, user.createdAt);
+        storeCredentials(state, user.id, options.credentials, user.createdAt);
+        recordChange(state, { action: 'create', before: null, after: state.users[user.id], audit: options.audit });
+        return attachProfile(state, state.users[user.id]);
+      });
+    },
+
+    async createMany(users, options = {}) {
+      const { dryRun = false, audit } = options;
+
+      if (dryRun) {
+        return driver.read(state => planCreates(selectUsers(state), users));
+      }
+
+      return driver.transaction(state => {
+        state.users = selectUsers(state);
+        const results = planCreates(state.users, users);
+
+        results.filter(result => result.created).forEach(({ user }) => {
+          const { profile, ...core } = user;
+          state.users[user.id] = core;
+          createProfile(state, user.id, profile, user.createdAt);
+          recordChange(state, { action: 'create', before: null, after: core, audit });
+        });
+        return results;
+      });
+    },
+
+    async update(id, changes, options = {}) {
+      return driver.transaction(state => {
+        state.users = selectUsers(state);
+        const existing = state.users[id];
+
+        if (!existing || existing.deletedAt) {
+          return null;
+        }
+
+        assertVersion(existing, options.expectedVersion);
+
+        if (changes.email && findEmailOwner(state.users, changes.email, id)) {
+          throw duplicateEmailError(changes.email);
+        }
+
+        const { profile, ...coreChanges } = changes;
+        if (profile !== undefined) {
+          writeProfile(state, existing, profile, changes.updatedAt || new Date().toISOString());
+        }
+
+        const { profile: embedded, ...core } = existing;
+        const updated = { ...(profile === undefined ? existing : core), ...coreChanges, id, version: versionOf(existing) + 1 };
+        assertActiveAdminRemains(state.users, existing, updated);
+        state.users[id] = updated;
+        recordChange(state, { action: 'update', before: existing, after: state.users[id], audit: options.audit });
+        return attachProfile(state, state.users[id]);
+      });
+    },
+
+    async transitionStatus(id, transition, options = {}) {
+      const { from, to, reason, updatedBy, requestId } = transition;
+
+      return driver.transaction(state => {
+        state.users = selectUsers(state);
+        const existing = state.users[id];
+
+        if (!existing || existing.deletedAt) {
+          return { outcome: 'not_found', user: null };
+        }
+
+        assertVersion(existing, options.expectedVersion);
+
+        // Checked here rather than by the caller, so that concurrent transitions cannot both apply
+        if (!from.includes(existing.status)) {
+          return { outcome: 'not_allowed', user: attachProfile(state, existing) };
+        }
+
+        const timestamp = new Date().toISOString();
+        const updated = {
+          ...existing,
+          status: to,
+          updatedAt: timestamp,
+          metadata: { ...existing.metadata, lastUpdated: timestamp, updatedBy, requestId },
+          version: versionOf(existing) + 1
+        };
+        assertActiveAdminRemains(state.users, existing, updated);
+        state.users[id] = updated;
+        recordChange(state, {
+          action: 'status',
+          before: existing,
+          after: state.users[id],
+          audit: { ...options.audit, reason }
+        });
+        return { outcome: 'changed', user: attachProfile(state, state.users[id]) };
+      });
+    },
+
+    async replace(id, user, options = {}) {
+      return driver.transaction(state => {
+        state.users = selectUsers(state);
+        const existing = state.users[id];
+
+        if (!existing || existing.deletedAt) {
+          return null;
+        }
+
+        assertVersion(existing, options.expectedVersion);
+
+        if (findEmailOwner(state.users, user.email, id)) {
+          throw duplicateEmailError(user.email);
+        }
+
+        // A replacement without a profile clears it, like any other omitted field
+        const { profile, ...core } = user;
+        writeProfile(state, existing, profile, user.updatedAt || new Date().toISOString());
+
+        const replaced = { ...core, id, version: versionOf(existing) + 1 };
+        assertActiveAdminRemains(state.users, existing, replaced);
+        state.users[id] = replaced;
+        recordChange(state, { action: 'update', before: existing, after: state.users[id], audit: options.audit });
+        return attachProfile(state, state.users[id]);
+      });
+    },
+
+    async softDelete(id, deletion = {}, options = {}) {
+      return driver.transaction(state => {
+        state.users = selectUsers(state);
+        const existing = state.users[id];
+
+        if (!existing || existing.deletedAt) {
+          return null;
+        }
+
+        assertVersion(existing, options.expectedVersion);
+
+        const deleted = {
+          ...existing,
+          version: versionOf(existing) + 1,
+          deletedAt: deletion.deletedAt || new Date().toISOString(),
+          deletion: {
+            reason: deletion.reason,
+            deletedBy: deletion.deletedBy,
+            requestId: deletion.requestId
+          }
+        };
+        assertActiveAdminRemains(state.users, existing, deleted);
+        state.users[id] = deleted;
+        recordChange(state, { action: 'delete', before: existing, after: deleted, audit: options.audit });
+        return attachProfile(state, deleted);
+      });
+    },
+
+    async hardDelete(id, options = {}) {
+      return driver.transaction(state => {
+        state.users = selectUsers(state);
+        const existing = state.users[id];
+
+        if (!existing) {
+          return null;
+        }
+
+        assertVersion(existing, options.expectedVersion);
+
+        assertActiveAdminRemains(state.users, existing, null);
+
+        const removed = attachProfile(state, existing);
+        delete state.users[id];
+        removeProfile(state, id);
+        removeCredentials(state, id);
+        recordChange(state, { action: 'purge', before: existing, after: null, audit: options.audit });
+        return removed;
+      });
+    },
+
+    async restore(id, restoration = {}, options = {}) {
+      return driver.transaction(state => {
+        state.users = selectUsers(state);
+        const existing = state.users[id];
+
+        if (!existing || !existing.deletedAt) {
+          return null;
+        }
+
+        assertVersion(existing, options.expectedVersion);
+
+        // The address may have been taken by another user while this one was in the trash
+        if (findEmailOwner(state.users, existing.email, id)) {
+          throw duplicateEmailError(existing.email);
+        }
+
+        const { deletedAt, deletion, ...restored } = existing;
+        restored.version = versionOf(existing) + 1;
+        restored.restoration = {
+          restoredAt: restoration.restoredAt || new Date().toISOString(),
+          restoredBy: restoration.restoredBy,
+          requestId: restoration.requestId,
+          previousDeletion: { ...deletion, deletedAt }
+        };
+        state.users[id] = restored;
+        recordChange(state, { action: 'restore', before: existing, after: restored, audit: options.audit });
+        return attachProfile(state, restored);
+      });
+    },
+
+    async purgeDeleted(cutoff, options = {}) {
+      const cutoffTime = new Date(cutoff).getTime();
+
+      return driver.transaction(state => {
+        state.users = selectUsers(state);
+        const purged = Object.values(state.users).filter(user =>
+          user.deletedAt && Date.parse(user.deletedAt) <= cutoffTime
+        );
+
+        purged.forEach(user => {
+          delete state.users[user.id];
+          removeProfile(state, user.id);
+          removeCredentials(state, user.id);
+          recordChange(state, { action: 'purge', before: user, after: null, audit: options.audit });
+        });
+        return purged;
+      });
+    }
+  };
+}
+
+module.exports = createUserRepository;
+module.exports.duplicateEmailError = duplicateEmailError;
+module.exports.versionMismatchError = versionMismatchError;
+module.exports.isActiveAdmin = isActiveAdmin;
@@ -0,0 +1,215 @@
+/**
+ * User Token Repository
+ *
+ * Stores the single-use tokens mailed to users by the account flows of
+ * services/accountService.js (password reset links and email verification
+ * links) and the MFA challenges handed out between the two steps of a login
+ * (services/mfaService.js). A token is "<token id>.<secret>"; only the
+ * SHA-256 of the secret is stored:
+ *
+ *   {
+ *     id: "uuid",
+ *     userId: "uuid",
+ *     purpose: "password_reset|email_verification|mfa_challenge",
+ *     email: "address the token was sent to",
+ *     data: { ... },                  (purpose-specific, e.g. how a login continues)
+ *     tokenHash: "sha256 hex",
+ *     createdAt: "ISO timestamp",
+ *     expiresAt: "ISO timestamp",
+ *     usedAt: "ISO timestamp"         (consumed tokens only)
+ *   }
+ *
+ * A user holds at most one unused token per purpose: issuing a new one
+ * replaces the previous one, so only the most recent link works. Expired and
+ * consumed tokens are pruned whenever a token is issued.
+ *
+ * Repository Interface (all methods return Promises):
+ * - issue(userId, purpose, options): Issue a token, resolving with
+ *   { token, record }, or { throttled: true } when the previous token of the
+ *   purpose is younger than options.minIntervalMs
+ * - check(token, purpose): Look a token up without using it, resolving with
+ *   { outcome, record } like consume()
+ * - consume(token, purpose): Use a token up, resolving with { outcome, record }
+ *   where outcome is valid, invalid, expired or used
+ */
+
+const crypto = require('crypto');
+const { v4: uuid } = require('uuid');
+
+/**
+ * Token purposes
+ */
+const TOKEN_PURPOSES = ['password_reset', 'email_verification', 'mfa_challenge'];
+
+/**
+ * Random bytes in the secret part of a token
+ */
+const SECRET_LENGTH = 32;
+
+/**
+ * Select the tokens of a state document
+ *
+ * @param {Object} state - Storage state
+ * @returns {Object} Tokens keyed by ID
+ */
+function selectTokens(state) {
+  return state.userTokens || {};
+}
+
+/**
+ * Hash the secret part of a token
+ *
+ * @param {string} secret - Token secret
+ * @returns {string} SHA-256 hex digest
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Compare a token secret with a stored hash in constant time
+ *
+ * @param {string} secret - Secret supplied by a client
+ * @param {string} tokenHash - Stored hash
+ * @returns {boolean} True when the secret matches
+ */
+function secretMatches(secret, tokenHash) {
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  const expected = Buffer.from(tokenHash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Split a token into token ID and secret
+ *
+ * @param {string} token - Token from a link
+ * @returns {Object|null} { id, secret }, or null when malformed
+ */
+function parseToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  return parts.length === 2 && parts[0] && parts[1] ? { id: parts[0], secret: parts[1] } : null;
+}
+
+/**
+ * Strip the token hash from a stored token
+ *
+ * @param {Object} stored - Stored token
+ * @returns {Object} Token record safe to return
+ */
+function toRecord(stored) {
+  const { tokenHash, ...record } = stored;
+  return record;
+}
+
+/**
+ * Find the stored token a client token refers to and classify it
+ *
+ * @param {Object} tokens - Tokens keyed by ID
+ * @param {Object} parsed - { id, secret } from parseToken()
+ * @param {string} purpose - Expected purpose
+ * @returns {Object} { outcome, stored }
+ */
+function classify(tokens, parsed, purpose) {
+  const stored = tokens[parsed.id];
+
+  if (!stored || stored.purpose !== purpose || !secretMatches(parsed.secret, stored.tokenHash)) {
+    return { outcome: 'invalid', stored: null };
+  }
+  if (stored.usedAt) {
+    return { outcome: 'used', stored };
+  }
+  if (Date.parse(stored.expiresAt) <= Date.now()) {
+    return { outcome: 'expired', stored };
+  }
+  return { outcome: 'valid', stored };
+}
+
+/**
+ * Create User Token Repository
+ *
+ * @param {Object} driver - Storage driver implementing read() and transaction()
+ * @returns {Object} User token repository
+ */
+function createUserTokenRepository(driver) {
+  return {
+    async issue(userId, purpose, options = {}) {
+      const { ttlMs, email, data, minIntervalMs = 0 } = options;
+
+      if (!TOKEN_PURPOSES.includes(purpose)) {
+        throw new Error(`Unknown user token purpose: ${purpose}`);
+      }
+
+      return driver.transaction(state => {
+        const tokens = selectTokens(state);
+        const now = Date.now();
+        const previous = Object.values(tokens).find(stored =>
+          stored.userId === userId && stored.purpose === purpose && !stored.usedAt && Date.parse(stored.expiresAt) > now);
+
+        if (previous && now - Date.parse(previous.createdAt) < minIntervalMs) {
+          return { throttled: true };
+        }
+
+        state.userTokens = tokens;
+        Object.keys(tokens).forEach(id => {
+          const stored = tokens[id];
+          if (stored.usedAt || Date.parse(stored.expiresAt) <= now || (previous && id === previous.id)) {
+            delete tokens[id];
+          }
+        });
+
+        const id = uuid();
+        const secret = crypto.randomBytes(SECRET_LENGTH).toString('base64url');
+
+        tokens[id] = {
+          id,
+          userId,
+          purpose,
+          email,
+          ...(data ? { data } : {}),
+          tokenHash: hashSecret(secret),
+          createdAt: new Date(now).toISOString(),
+          expiresAt: new Date(now + ttlMs).toISOString()
+        };
+
+        return { token: `${id}.${secret}`, record: toRecord(tokens[id]) };
+      });
+    },
+
+    async check(token, purpose) {
+      const parsed = parseToken(token);
+
+      if (!parsed) {
+        return { outcome: 'invalid', record: null };
+      }
+
+      return driver.read(state => {
+        const { outcome, stored } = classify(selectTokens(state), parsed, purpose);
+        return { outcome, record: stored ? toRecord(stored) : null };
+      });
+    },
+
+    async consume(token, purpose) {
+      const parsed = parseToken(token);
+
+      if (!parsed) {
+        return { outcome: 'invalid', record: null };
+      }
+
+      return driver.transaction(state => {
+        const tokens = selectTokens(state);
+        const { outcome, stored } = classify(tokens, parsed, purpose);
+
+        if (outcome !== 'valid') {
+          return { outcome, record: stored ? toRecord(stored) : null };
+        }
+
+        state.userTokens = tokens;
+        tokens[parsed.id] = { ...stored, usedAt: new Date().toISOString() };
+        return { outcome: 'valid', record: toRecord(tokens[parsed.id]) };
+      });
+    }
+  };
+}
+
+module.exports = createUserTokenRepository;
+module.exports.TOKEN_PURPOSES = TOKEN_PURPOSES;
@@ -0,0 +1,371 @@
+/**
+ * Webhook Delivery Repository
+ *
+ * Queues the events sent to webhooks and tracks each delivery until the
+ * receiver accepts it or it is given up on:
+ *
+ *   {
+ *     id: "uuid",                       (sent as X-Webhook-Delivery)
+ *     webhookId: "uuid",
+ *     eventId: "uuid",                  (shared by the deliveries of one event)
+ *     event: "user.updated",
+ *     payload: { id, type, createdAt, data },
+ *     status: "pending|delivered|dead",
+ *     attempts: 2,
+ *     nextAttemptAt: "ISO timestamp",   (pending deliveries only)
+ *     lastAttemptAt: "ISO timestamp",
+ *     lastStatusCode: 503,              (null when no response was received)
+ *     lastError: "HTTP 503",
+ *     createdAt: "ISO timestamp",
+ *     deliveredAt: "ISO timestamp",     (delivered deliveries only)
+ *     redeliveredAt, redeliveredBy      (after a manual redelivery)
+ *   }
+ *
+ * Events of a user change are queued by queueUserEvent() inside the user
+ * write's transaction, like its history entry, so that an event is queued
+ * exactly when the change is committed; a rolled back unit of work queues
+ * nothing. A delivery being sent is claimed (claimId, claimedUntil) so that
+ * the PM2 workers sharing the file backend never send it twice at once.
+ *
+ * User events:
+ * - user.created, user.updated, user.deleted (moved to the trash),
+ *   user.restored, user.purged (permanently deleted)
+ * - user.activated, user.deactivated, user.suspended (status transitions,
+ *   including the activation of a pending user by email verification)
+ *
+ * Repository Interface (all methods return Promises):
+ * - list(options): Page through deliveries, newest first, without payloads
+ *   ({ webhookId, status, event, offset, limit }), returning { deliveries, total, hasNext }
+ * - findById(id): Fetch a delivery, or null
+ * - queue(webhookId, event): Queue an event for one webhook, whatever its
+ *   event filter, resolving with the delivery or null
+ * - claimDue(options): Claim up to limit pending deliveries of active
+ *   webhooks that are due ({ limit, leaseMs })
+ * - recordAttempt(id, claimId, result): Store the outcome of a claimed
+ *   delivery ({ status, statusCode, error, nextAttemptAt }), resolving with
+ *   the delivery or null when the claim was lost
+ * - redeliver(id, options): Queue a delivery again from its first attempt,
+ *   resolving with { outcome, delivery } where outcome is queued, not_found
+ *   or in_flight
+ * - prune(cutoff): Remove deliveries delivered before cutoff
+ */
+
+const { v4: uuid } = require('uuid');
+const config = require('../config/index');
+const { paginate } = require('./query');
+
+/**
+ * Events a webhook can subscribe to
+ */
+const WEBHOOK_EVENTS = [
+  'user.created',
+  'user.updated',
+  'user.activated',
+  'user.deactivated',
+  'user.suspended',
+  'user.deleted',
+  'user.restored',
+  'user.purged'
+];
+
+/**
+ * Delivery states
+ */
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+/**
+ * Event of each history action other than status
+ */
+const ACTION_EVENTS = {
+  create: 'user.created',
+  update: 'user.updated',
+  delete: 'user.deleted',
+  restore: 'user.restored',
+  purge: 'user.purged'
+};
+
+/**
+ * Event of each status a transition leads to
+ */
+const STATUS_EVENTS = {
+  active: 'user.activated',
+  inactive: 'user.deactivated',
+  suspended: 'user.suspended'
+};
+
+/**
+ * Select the deliveries of a state document
+ *
+ * @param {Object} state - Storage state
+ * @returns {Object} Deliveries by ID
+ */
+function selectDeliveries(state) {
+  return state.webhookDeliveries || {};
+}
+
+/**
+ * Strip the claim from a stored delivery
+ *
+ * @param {Object} stored - Stored delivery
+ * @returns {Object} Delivery safe to return
+ */
+function toDelivery(stored) {
+  const { claimId, claimedUntil, ...delivery } = stored;
+  return delivery;
+}
+
+/**
+ * Whether a webhook subscribed to an event
+ *
+ * @param {Object} webhook - Stored webhook
+ * @param {string} type - Event type
+ * @returns {boolean} True when the filter matches
+ */
+function subscribes(webhook, type) {
+  return webhook.active && (webhook.events.includes('*') || webhook.events.includes(type));
+}
+
+/**
+ * Whether a delivery should be sent now
+ *
+ * @param {Object} delivery - Stored delivery
+ * @param {Object} webhooks - Stored webhooks by ID
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True for unclaimed pending deliveries of active webhooks
+ *   whose next attempt is due
+ */
+function isDue(delivery, webhooks, now) {
+  return delivery.status === 'pending' &&
+    Date.parse(delivery.nextAttemptAt) <= now &&
+    (!delivery.claimedUntil || Date.parse(delivery.claimedUntil) <= now) &&
+    Boolean(webhooks[delivery.webhookId]) && webhooks[delivery.webhookId].active;
+}
+
+/**
+ * Add a pending delivery of an event to the state
+ *
+ * @param {Object} state - Draft storage state
+ * @param {string} webhookId - Receiving webhook
+ * @param {Object} event - { id, type, createdAt, data }
+ * @returns {Object} Stored delivery
+ */
+function addDelivery(state, webhookId, event) {
+  const deliveries = selectDeliveries(state);
+  const id = uuid();
+
+  deliveries[id] = {
+    id,
+    webhookId,
+    eventId: event.id,
+    event: event.type,
+    payload: event,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: event.createdAt,
+    lastAttemptAt: null,
+    lastStatusCode: null,
+    lastError: null,
+    createdAt: event.createdAt
+  };
+  state.webhookDeliveries = deliveries;
+  return deliveries[id];
+}
+
+/**
+ * Queue the event of a user write for every subscribed webhook
+ *
+ * Must be called inside a driver transaction, with the history entry the
+ * write recorded.
+ *
+ * @param {Object} state - Draft storage state
+ * @param {Object} change - { action, before, after } as passed to recordHistory()
+ * @param {Object} entry - History entry of the write
+ * @returns {Array<Object>} Queued deliveries
+ */
+function queueUserEvent(state, change, entry) {
+  const webhooks = Object.values(state.webhooks || {});
+  if (!config.webhooks.enabled || webhooks.length === 0) {
+    return [];
+  }
+
+  const user = change.after || change.before;
+  const type = change.action === 'status'
+    ? STATUS_EVENTS[user.status] || 'user.updated'
+    : ACTION_EVENTS[change.action];
+
+  const matching = webhooks.filter(webhook => subscribes(webhook, type));
+  if (matching.length === 0) {
+    return [];
+  }
+
+  const { profile, ...account } = user;
+  const event = {
+    id: uuid(),
+    type,
+    createdAt: entry.timestamp,
+    data: {
+      user: account,
+      version: entry.version,
+      changes: entry.changes,
+      ...(entry.reason && { reason: entry.reason }),
+      actor: entry.actor ? { type: entry.actor.type, id: entry.actor.id || null } : null,
+      requestId: entry.requestId
+    }
+  };
+
+  return matching.map(webhook => addDelivery(state, webhook.id, event));
+}
+
+/**
+ * Create Webhook Delivery Repository
+ *
+ * @param {Object} driver - Storage driver implementing read() and transaction()
+ * @returns {Object} Webhook delivery repository
+ */
+function createWebhookDeliveryRepository(driver) {
+  return {
+    async list(options = {}) {
+      const { webhookId, status, event, offset = 0, limit = 20 } = options;
+
+      return driver.read(state => {
+        const deliveries = Object.values(selectDeliveries(state))
+          .filter(delivery => (!webhookId || delivery.webhookId === webhookId) &&
+            (!status || delivery.status === status) &&
+            (!event || delivery.event === event))
+          .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+        const page = paginate(deliveries, { offset, limit });
+
+        return {
+          deliveries: page.items.map(stored => {
+            const { payload, ...delivery } = toDelivery(stored);
+            return delivery;
+          }),
+          total: deliveries.length,
+          hasNext: page.hasNext
+        };
+      });
+    },
+
+    async findById(id) {
+      return driver.read(state => {
+        const stored = selectDeliveries(state)[id];
+        return stored ? toDelivery(stored) : null;
+      });
+    },
+
+    async queue(webhookId, event) {
+      return driver.transaction(state => {
+        if (!(state.webhooks || {})[webhookId]) {
+          return null;
+        }
+        return toDelivery(addDelivery(state, webhookId, event));
+      });
+    },
+
+    async claimDue(options = {}) {
+      const { limit = 20, leaseMs = 60 * 1000 } = options;
+
+      // Polling must not turn into a write when there is nothing to send
+      const anyDue = await driver.read(state => Object.values(selectDeliveries(state))
+        .some(delivery => isDue(delivery, state.webhooks || {}, Date.now())));
+      if (!anyDue) {
+        return [];
+      }
+
+      return driver.transaction(state => {
+        const deliveries = selectDeliveries(state);
+        const webhooks = state.webhooks || {};
+        const now = Date.now();
+
+        const due = Object.values(deliveries)
+          .filter(delivery => isDue(delivery, webhooks, now))
+          .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+          .slice(0, limit);
+
+        const claimedUntil = new Date(now + leaseMs).toISOString();
+        return due.map(delivery => {
+          deliveries[delivery.id] = { ...delivery, claimId: uuid(), claimedUntil };
+          return { ...toDelivery(deliveries[delivery.id]), claimId: deliveries[delivery.id].claimId };
+        });
+      });
+    },
+
+    async recordAttempt(id, claimId, result) {
+      const { status, statusCode = null, error = null, nextAttemptAt = null } = result;
+
+      return driver.transaction(state => {
+        const deliveries = selectDeliveries(state);
+        const stored = deliveries[id];
+
+        // Redelivered or removed while it was being sent
+        if (!stored || stored.claimId !== claimId) {
+          return null;
+        }
+
+        const timestamp = new Date().toISOString();
+        const { claimId: claim, claimedUntil, ...rest } = stored;
+        deliveries[id] = {
+          ...rest,
+          status,
+          attempts: stored.attempts + 1,
+          nextAttemptAt: status === 'pending' ? nextAttemptAt : null,
+          lastAttemptAt: timestamp,
+          lastStatusCode: statusCode,
+          lastError: error,
+          ...(status === 'delivered' && { deliveredAt: timestamp })
+        };
+        return toDelivery(deliveries[id]);
+      });
+    },
+
+    async redeliver(id, options = {}) {
+      const { redeliveredBy = null } = options;
+
+      return driver.transaction(state => {
+        const deliveries = selectDeliveries(state);
+        const stored = deliveries[id];
+        const now = Date.now();
+
+        if (!stored) {
+          return { outcome: 'not_found', delivery: null };
+        }
+        if (stored.claimedUntil && Date.parse(stored.claimedUntil) > now) {
+          return { outcome: 'in_flight', delivery: toDelivery(stored) };
+        }
+
+        const { claimId, claimedUntil, deliveredAt, ...rest } = stored;
+        const timestamp = new Date(now).toISOString();
+        deliveries[id] = {
+          ...rest,
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: timestamp,
+          redeliveredAt: timestamp,
+          redeliveredBy
+        };
+        return { outcome: 'queued', delivery: toDelivery(deliveries[id]) };
+      });
+    },
+
+    async prune(cutoff) {
+      const isExpired = delivery => delivery.status === 'delivered' && Date.parse(delivery.deliveredAt) <= cutoff.getTime();
+
+      if (!await driver.read(state => Object.values(selectDeliveries(state)).some(isExpired))) {
+        return 0;
+      }
+
+      return driver.transaction(state => {
+        const deliveries = selectDeliveries(state);
+        const removed = Object.values(deliveries).filter(isExpired);
+
+        removed.forEach(delivery => { delete deliveries[delivery.id]; });
+        return removed.length;
+      });
+    }
+  };
+}
+
+module.exports = createWebhookDeliveryRepository;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
+module.exports.queueUserEvent = queueUserEvent;
@@ -0,0 +1,168 @@
+/**
+ * Webhook Repository
+ *
+ * Stores the webhook subscriptions that receive user lifecycle events (see
+ * webhookDeliveryRepository.js for the events and their deliveries):
+ *
+ *   {
+ *     id: "uuid",
+ *     url: "https://crm.example.com/hooks/users",
+ *     events: ["user.created", "user.deactivated"],   (or ["*"] for every event)
+ *     description: "string",                          (null when not given)
+ *     active: true,                                   (inactive webhooks get no new events)
+ *     secret: "sealed",                               (see utils/secretBox.js)
+ *     createdAt: "ISO timestamp",
+ *     createdBy: "user id",
+ *     updatedAt: "ISO timestamp"
+ *   }
+ *
+ * The signing secret ("whsec_<random>") is returned once, when the webhook
+ * is created. It is stored sealed rather than hashed, since every delivery
+ * is signed with it.
+ *
+ * Repository Interface (all methods return Promises):
+ * - create(attributes): Create a webhook, resolving with { secret, webhook }
+ * - list(): List webhooks, newest first
+ * - findById(id): Fetch a webhook, or null
+ * - update(id, changes): Change url, events, description or active,
+ *   resolving with the webhook or null
+ * - remove(id): Delete a webhook and its deliveries, resolving with the
+ *   webhook or null
+ * - signingSecret(id): Read the secret of a webhook, or null
+ *
+ * Webhooks returned by the repository never include the secret.
+ */
+
+const crypto = require('crypto');
+const { v4: uuid } = require('uuid');
+const { seal, open } = require('../utils/secretBox');
+
+/**
+ * Prefix of webhook signing secrets (helps secret scanners)
+ */
+const SECRET_PREFIX = 'whsec_';
+
+/**
+ * Fields a webhook update may change
+ */
+const UPDATABLE_FIELDS = ['url', 'events', 'description', 'active'];
+
+/**
+ * Select the webhooks of a state document
+ *
+ * @param {Object} state - Storage state
+ * @returns {Object} Webhooks by ID
+ */
+function selectWebhooks(state) {
+  return state.webhooks || {};
+}
+
+/**
+ * Strip the secret from a stored webhook
+ *
+ * @param {Object} stored - Stored webhook
+ * @returns {Object} Webhook safe to return
+ */
+function toWebhook(stored) {
+  const { secret, ...webhook } = stored;
+  return webhook;
+}
+
+/**
+ * Create Webhook Repository
+ *
+ * @param {Object} driver - Storage driver implementing read() and transaction()
+ * @returns {Object} Webhook repository
+ */
+function createWebhookRepository(driver) {
+  return {
+    async create(attributes) {
+      const { url, events, description = null, createdBy = null } = attributes;
+      const secret = `${SECRET_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+      return driver.transaction(state => {
+        const webhooks = selectWebhooks(state);
+        const id = uuid();
+        const timestamp = new Date().toISOString();
+
+        webhooks[id] = {
+          id,
+          url,
+          events: [...events],
+          description,
+          active: true,
+          secret: seal(secret),
+          createdAt: timestamp,
+          createdBy,
+          updatedAt: timestamp
+        };
+        state.webhooks = webhooks;
+
+        return { secret, webhook: toWebhook(webhooks[id]) };
+      });
+    },
+
+    async list() {
+      return driver.read(state => Object.values(selectWebhooks(state))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(toWebhook));
+    },
+
+    async findById(id) {
+      return driver.read(state => {
+        const stored = selectWebhooks(state)[id];
+        return stored ? toWebhook(stored) : null;
+      });
+    },
+
+    async update(id, changes) {
+      return driver.transaction(state => {
+        const webhooks = selectWebhooks(state);
+        if (!webhooks[id]) {
+          return null;
+        }
+
+        const updates = {};
+        UPDATABLE_FIELDS
+          .filter(field => changes[field] !== undefined)
+          .forEach(field => { updates[field] = changes[field]; });
+
+        webhooks[id] = { ...webhooks[id], ...updates, updatedAt: new Date().toISOString() };
+        state.webhooks = webhooks;
+        return toWebhook(webhooks[id]);
+      });
+    },
+
+    async remove(id) {
+      return driver.transaction(state => {
+        const webhooks = selectWebhooks(state);
+        const stored = webhooks[id];
+        if (!stored) {
+          return null;
+        }
+
+        delete webhooks[id];
+        state.webhooks = webhooks;
+
+        // Deliveries cannot be sent without their webhook
+        const deliveries = state.webhookDeliveries || {};
+        Object.values(deliveries)
+          .filter(delivery => delivery.webhookId === id)
+          .forEach(delivery => { delete deliveries[delivery.id]; });
+        state.webhookDeliveries = deliveries;
+
+        return toWebhook(stored);
+      });
+    },
+
+    async signingSecret(id) {
+      const sealed = await driver.read(state => {
+        const stored = selectWebhooks(state)[id];
+        return stored ? stored.secret : null;
+      });
+      return sealed ? open(sealed) : null;
+    }
+  };
+}
+
+module.exports = createWebhookRepository;
@@ -16,32 +16,106 @@
  * - Error handling that forwards to global error handler middleware
  * - Support for query parameters, request body parsing, and route parameters
  * - Thread-safe, stateless route handlers supporting PM2 clustering
- * - Production-ready placeholder endpoints ready for business logic implementation
- * 
+ * - User persistence through the pluggable user repository (see repositories/)
+ * - Streaming bulk export and import of users (CSV, NDJSON, JSON)
+ * - User profiles stored and versioned separately from core account fields
+ * - Per-user change history recording actor, request ID and field-level diffs
+ * - Sparse fieldsets (?fields=) and expansion of related resources (?expand=) on user reads
+ * - Filter query language for collections: filter[field][op]=value and q= expressions
+ * - Soft-delete lifecycle: trash listing, restore and retention-based purge
+ * - Batch requests: several operations per call, with references between
+ *   operations and optional all-or-nothing transactions
+ * - Optimistic concurrency: versioned users with strong ETags, If-Match on
+ *   writes (412 on mismatch, optional 428 when missing) and If-None-Match on reads
+ * - Safe retries: an Idempotency-Key header on any write replays the first
+ *   response instead of repeating the operation (middleware/idempotency.js)
+ * - Authentication: user and batch endpoints require a bearer access token
+ *   or session cookie obtained from /api/auth (see routes/auth.js and
+ *   middleware/auth.js) or an API key; writes are attributed to the signed-in
+ *   user or the key in metadata and history
+ * - Role-based access control: each endpoint requires a permission of the
+ *   admin, moderator and user matrix in config/permissions.js, checked by
+ *   middleware/authorize.js (403 when the caller's role lacks it)
+ *
  * Supported Endpoints:
  * - GET /api - API information and version details
- * - GET /api/users - List all users with pagination and filtering support
+ * - GET /api/users - List all users with pagination, filtering and field selection
  * - POST /api/users - Create new user with validation and ID generation
+ * - POST /api/users/import - Bulk-create users from a CSV or NDJSON upload
+ * - GET /api/users/export - Stream matching users as CSV, NDJSON or JSON
+ * - GET /api/users/trash - List soft-deleted users awaiting purge
  * - GET /api/users/:id - Retrieve specific user by ID with validation
- * - PUT /api/users/:id - Update existing user with validation and ID verification
+ * - PUT /api/users/:id - Replace existing user with validation and ID verification
+ * - PATCH /api/users/:id - Partially update a user with a JSON Merge Patch or JSON Patch document
  * - DELETE /api/users/:id - Delete user by ID with validation and confirmation
+ * - GET /api/users/:id/profile - Retrieve a user's profile
+ * - PUT /api/users/:id/profile - Replace a user's profile without touching core account fields
+ * - PUT /api/users/:id/password - Set the password a user logs in with
+ * - GET /api/users/:id/sessions - List a user's active sessions
+ * - DELETE /api/users/:id/sessions - End every session of a user
+ * - DELETE /api/users/:id/sessions/:sessionId - End one session of a user
+ * - DELETE /api/users/:id/mfa - Turn off a user's multi-factor authentication
+ * - POST /api/users/:id/unlock - Lift the login lockout of a user
+ * - POST /api/users/:id/activate - Activate a deactivated or suspended user
+ * - POST /api/users/:id/deactivate - Deactivate a user
+ * - POST /api/users/:id/suspend - Suspend an active user
+ * - GET /api/users/:id/history - List a user's change history with field-level diffs
+ * - GET /api/users/:id/history/:version - Show a user as it was at one version
+ * - POST /api/users/:id/restore - Restore a soft-deleted user from the trash
+ * - POST /api/batch - Run several API operations in one request
  * - GET /api/health - API health status and metrics
  * 
+ * Authentication endpoints (POST /api/auth/login, /refresh and /logout) are
+ * served by routes/auth.js, API key management (/api/keys) by routes/keys.js,
+ * multi-factor authentication of the caller (/api/mfa) by routes/mfa.js,
+ * user invitations (/api/invitations) by routes/invitations.js and webhook
+ * subscriptions for user events (/api/webhooks) by routes/webhooks.js.
+ * 
  * Integration:
  * - Winston Logger: Comprehensive request tracking and error logging
  * - Validation Middleware: Input validation, sanitization, and error handling
  * - HTTP Status Codes: Semantic status code constants for maintainability
  * - UUID Generation: Unique identifier creation for resources and correlation
+ * - User Repository: Storage backend selected through config.database
  * - Express Router: Modular routing with middleware pipeline integration
  */
 
 const express = require('express');
+const bodyParser = require('body-parser');
 const { StatusCodes } = require('http-status-codes');
 const { v4: uuid } = require('uuid');
 
 // Internal dependencies - accessing specified members from schema
 const logger = require('../utils/logger');
-const { validateBody, validateQuery, validateParams, validateId, validatePagination } = require('../middleware/validation');
+const config = require('../config/index');
+const Joi = require('joi');
+const { validateBody, validateQuery, validateParams, validateId, validatePagination, sanitizeInput, createValidationError } = require('../middleware/validation');
+const { driver, userRepository, profileRepository, historyRepository, credentialRepository } = require('../repositories');
+const { HISTORY_ACTIONS } = require('../repositories/historyRepository');
+const { versionMismatchError } = require('../repositories/userRepository');
+const { checkIfMatch } = require('../middleware/preconditions');
+const { idempotency } = require('../middleware/idempotency');
+const { authenticate } = require('../middleware/auth');
+const { authorize, authorizeFields, hasPermission } = require('../middleware/authorize');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { decodeCursor, fingerprintQuery, cursorFor } = require('../utils/cursor');
+const { PATCH_MEDIA_TYPES, applyMergePatch, applyJsonPatch } = require('../utils/jsonPatch');
+const { EDITABLE_USER_FIELDS, createUserWithPasswordSchema, changePasswordSchema, replaceUserSchema, replaceProfileSchema, USER_SORT_FIELDS, USER_FILTER_FIELDS } = require('../schemas/user');
+const { entityTag, expectedVersions } = require('../utils/etag');
+const { purgeDateFor } = require('../jobs/trashPurge');
+const { buildUserRecord, importUsers } = require('../services/userService');
+const { listSessions, revokeSession, revokeSessions } = require('../services/authService');
+const { sendVerificationEmail } = require('../services/accountService');
+const mfaService = require('../services/mfaService');
+const lockoutService = require('../services/lockoutService');
+const { allowedTransitions, changeStatus } = require('../services/userStatus');
+const { evaluateUserRules } = require('../services/userRules');
+const { parseCsv } = require('../utils/csv');
+const { findReferences, isBatchPath, runBatch } = require('../services/batch');
+const { EXPORT_FORMATS, EXPORT_FIELDS, DEFAULT_EXPORT_FIELDS, writeUserExport } = require('../services/userExport');
+const { userViewQuery, resolveUserView, expansionPermissions, renderUser, renderUsers } = require('../services/userView');
+const { parseFieldList } = require('../utils/projection');
+const { buildFilterSchema, buildExpressionSchema, combineFilters } = require('../utils/filterQuery');
 
 /**
  * Create Express Router Instance
@@ -52,6 +126,300 @@ const { validateBody, validateQuery, validateParams, validateId, validatePaginat
  */
 const router = express.Router();
 
+/**
+ * Every user and batch endpoint requires an authenticated caller (see
+ * middleware/auth.js); GET /api and GET /api/health stay public
+ */
+router.use(['/users', '/batch'], authenticate());
+
+/**
+ * Compiled rules for a complete user document, applied to the result of a PATCH
+ */
+const userDocumentSchema = Joi.object(replaceUserSchema);
+
+/**
+ * Extract the client-editable fields of a stored user
+ *
+ * @param {Object} user - Stored user record
+ * @returns {Object} Document containing only EDITABLE_USER_FIELDS
+ */
+function toEditableDocument(user) {
+  return EDITABLE_USER_FIELDS.reduce((document, field) => {
+    if (user[field] !== undefined) {
+      document[field] = user[field];
+    }
+    return document;
+  }, {});
+}
+
+/**
+ * Media types accepted by the user import endpoint
+ */
+const IMPORT_MEDIA_TYPES = {
+  CSV: 'text/csv',
+  NDJSON: 'application/x-ndjson'
+};
+
+/**
+ * Parse an import upload into numbered rows
+ *
+ * Rows that cannot be parsed are returned with an error so that they appear
+ * in the import report; a CSV document that cannot be split into records at
+ * all is rejected as a whole.
+ *
+ * @param {string} format - Matched media type (IMPORT_MEDIA_TYPES value)
+ * @param {string} text - Upload body
+ * @param {string} requestId - Request ID for error details
+ * @returns {Array<Object>} Rows as { row, line, data, error }
+ */
+function parseImportRows(format, text, requestId) {
+  if (format === IMPORT_MEDIA_TYPES.CSV) {
+    try {
+      return parseCsv(text).rows.map((entry, index) => ({ row: index + 1, ...entry }));
+    } catch (error) {
+      throw {
+        type: 'InvalidImport',
+        message: `Malformed CSV upload: ${error.message}`,
+        statusCode: StatusCodes.BAD_REQUEST,
+        details: { reason: 'invalid_csv', requestId }
+      };
+    }
+  }
+
+  const rows = [];
+  text.split(/\r?\n/).forEach((content, index) => {
+    if (content.trim() === '') {
+      return;
+    }
+
+    const entry = { row: rows.length + 1, line: index + 1, data: null, error: null };
+    try {
+      entry.data = JSON.parse(content);
+      if (entry.data === null || typeof entry.data !== 'object' || Array.isArray(entry.data)) {
+        entry.data = null;
+        entry.error = 'Each line must be a JSON object';
+      }
+    } catch (error) {
+      entry.error = `Invalid JSON: ${error.message}`;
+    }
+    rows.push(entry);
+  });
+  return rows;
+}
+
+/**
+ * Build the pagination block of a list response
+ *
+ * @param {Object} query - Validated query parameters (req.query after validatePagination)
+ * @param {Object} result - Repository list result { users, total, hasNext, hasPrev }
+ * @param {Object|null} cursor - Decoded cursor of the request, if any
+ * @returns {Object} Pagination metadata including next and previous cursors
+ */
+function buildPagination(query, result, cursor) {
+  const { page = 1, limit = 20, offset = 0, sort = 'createdAt', order = 'asc' } = query;
+  const { users, total, hasNext, hasPrev } = result;
+
+  const cursorOptions = { sort, order, fingerprint: fingerprintQuery(query) };
+  const pagination = {
+    mode: cursor ? 'cursor' : 'offset',
+    limit: parseInt(limit),
+    total,
+    hasNext,
+    hasPrev,
+    nextCursor: hasNext && users.length > 0 ? cursorFor(users[users.length - 1], 'next', cursorOptions) : null,
+    prevCursor: hasPrev && users.length > 0 ? cursorFor(users[0], 'prev', cursorOptions) : null,
+    sort,
+    order
+  };
+
+  if (!cursor) {
+    pagination.page = parseInt(page);
+    pagination.offset = parseInt(offset);
+    pagination.totalPages = Math.ceil(total / limit);
+  }
+
+  return pagination;
+}
+
+/**
+ * Set the strong ETag header for a user representation
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} user - User being returned
+ */
+function setEntityTag(res, user) {
+  if (config.api.enableEtag) {
+    res.set('ETag', entityTag(user));
+  }
+}
+
+/**
+ * Authorize the resources requested with ?expand=
+ *
+ * Runs after resolveUserView() and checks each permission of
+ * expansionPermissions() as authorize() would, so that an expansion is never
+ * a way around its own endpoint (expand=history needs users:history).
+ *
+ * @param {Object} options - authorize() options, e.g. { target: 'id' }; without
+ *   a target the permission must be held for any user
+ * @returns {Function} Express middleware
+ */
+function authorizeExpansions(options = {}) {
+  return (req, res, next) => {
+    const checks = expansionPermissions(req.query.expand).map(permission => authorize(permission, options));
+    const run = index => {
+      if (index === checks.length) {
+        return next();
+      }
+      return checks[index](req, res, error => (error ? next(error) : run(index + 1)));
+    };
+    run(0);
+  };
+}
+
+/**
+ * Resolve the If-Match condition of a write against the stored resource
+ *
+ * Failing early gives the client its 412 before any other processing; the
+ * returned versions are also passed to the repository, which repeats the
+ * check atomically when it writes.
+ *
+ * @param {Object} req - Express request object (req.ifMatch set by checkIfMatch)
+ * @param {Object} record - Stored versioned record ({ id, version } as used in its ETag)
+ * @param {string} resource - Resource name for the error (default: 'user')
+ * @returns {Object} { expectedVersion, error } where error is null when the condition holds
+ */
+function resolvePrecondition(req, record, resource = 'user') {
+  const expectedVersion = expectedVersions(req.ifMatch || null, record.id);
+  const currentVersion = record.version || 1;
+  const error = expectedVersion !== undefined && !expectedVersion.includes(currentVersion)
+    ? versionMismatchError(record.id, currentVersion, resource)
+    : null;
+
+  return { expectedVersion, error };
+}
+
+/**
+ * Describe who is making a request, for the user change history
+ *
+ * Authenticated requests are attributed to the signed-in user or to the API
+ * key used; requests reach the repository unauthenticated only when
+ * AUTH_ENABLED is false.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} requestId - Request ID
+ * @returns {Object} Audit context { actor, requestId } for repository writes
+ */
+function auditContext(req, requestId) {
+  let actor = { type: 'api', ip: req.ip || null };
+
+  if (req.user && req.user.type === 'api_key') {
+    actor = { type: 'api_key', id: req.user.id, name: req.user.name, ip: req.ip || null };
+  } else if (req.user) {
+    actor = { type: 'user', id: req.user.id, email: req.user.email, ip: req.ip || null };
+  }
+
+  return { actor, requestId };
+}
+
+/**
+ * Name the caller in user metadata and deletion records
+ *
+ * @param {Object} req - Express request object
+ * @returns {string} ID of the authenticated user, "apikey:<key id>" for API
+ *   keys, or 'api'
+ */
+function actorId(req) {
+  if (!req.user) {
+    return 'api';
+  }
+  return req.user.type === 'api_key' ? `apikey:${req.user.id}` : req.user.id;
+}
+
+/**
+ * Identify a profile for ETags and preconditions
+ *
+ * Profiles are versioned independently of their user, so their tags use a
+ * distinct ID ("<userId>.profile") that never matches a user's tag.
+ *
+ * @param {Object} profile - Profile resource { userId, version }
+ * @returns {Object} { id, version } accepted by setEntityTag and resolvePrecondition
+ */
+function profileEntity(profile) {
+  return { id: `${profile.userId}.profile`, version: profile.version };
+}
+
+/**
+ * Build the record replacing a stored user
+ *
+ * Editable fields come solely from the new document, so fields it omits are
+ * removed; server-maintained fields are carried over from the stored record.
+ *
+ * @param {Object} existingUser - Stored user record
+ * @param {Object} document - Validated editable fields
+ * @param {string} requestId - Request ID recorded in the update metadata
+ * @param {string} updatedBy - Actor recorded in the update metadata (default: 'api')
+ * @returns {Object} Replacement user record
+ */
+function buildReplacement(existingUser, document, requestId, updatedBy = 'api') {
+  const timestamp = new Date().toISOString();
+  const replacement = { ...existingUser };
+  EDITABLE_USER_FIELDS.forEach(field => delete replacement[field]);
+
+  return {
+    id: existingUser.id,
+    ...document,
+    ...replacement,
+    updatedAt: timestamp,
+    metadata: {
+      ...existingUser.metadata,
+      lastUpdated: timestamp,
+      updatedBy,
+      requestId
+    }
+  };
+}
+
+/**
+ * Refuse a PUT or PATCH document that changes a user's status
+ *
+ * Statuses move only through the transition endpoints, which apply the
+ * guards of services/userStatus.js and record a reason.
+ *
+ * @param {Object} existingUser - Stored user record
+ * @param {Object} document - Validated editable fields
+ * @param {string} requestId - Request ID for error details
+ * @param {Object} caller - Authenticated caller (req.user), if any
+ * @returns {Object|null} 409 error naming the transitions open to the
+ *   caller, or null
+ */
+function statusChangeError(existingUser, document, requestId, caller = null) {
+  if (document.status === undefined || document.status === existingUser.status) {
+    return null;
+  }
+
+  const mayChangeStatus = !config.auth.enabled || !caller ||
+    Boolean(hasPermission(caller, 'users:change-status', { targetId: existingUser.id }));
+  const ownAccount = Boolean(caller) && caller.type !== 'api_key' && caller.id === existingUser.id;
+
+  return {
+    type: 'ResourceConflict',
+    message: 'Change the status of a user with POST /api/users/:id/activate, /deactivate or /suspend',
+    statusCode: StatusCodes.CONFLICT,
+    details: {
+      resource: 'user',
+      id: existingUser.id,
+      reason: 'status_transition_required',
+      currentStatus: existingUser.status,
+      requestedStatus: document.status,
+      allowedTransitions: mayChangeStatus
+        ? allowedTransitions(existingUser.status, { ownAccount })
+        : [],
+      requestId
+    }
+  };
+}
+
 /**
  * API Information Endpoint
  * 
@@ -100,9 +468,65 @@ router.get('/', (req, res, next) => {
         { method: 'GET', path: '/api/users', description: 'List all users with pagination' },
         { method: 'POST', path: '/api/users', description: 'Create new user' },
         { method: 'GET', path: '/api/users/:id', description: 'Get specific user by ID' },
-        { method: 'PUT', path: '/api/users/:id', description: 'Update existing user' },
+        { method: 'PUT', path: '/api/users/:id', description: 'Replace existing user' },
+        { method: 'PATCH', path: '/api/users/:id', description: 'Partially update user (JSON Merge Patch or JSON Patch)' },
         { method: 'DELETE', path: '/api/users/:id', description: 'Delete user by ID' },
-        { method: 'GET', path: '/api/health', description: 'API health status and metrics' }
+        { method: 'GET', path: '/api/users/:id/profile', description: 'Get user profile' },
+        { method: 'PUT', path: '/api/users/:id/profile', description: 'Replace user profile' },
+        { method: 'PUT', path: '/api/users/:id/password', description: 'Set user password' },
+        { method: 'GET', path: '/api/users/:id/sessions', description: 'List user sessions' },
+        { method: 'DELETE', path: '/api/users/:id/sessions', description: 'End all user sessions' },
+        { method: 'DELETE', path: '/api/users/:id/sessions/:sessionId', description: 'End a user session' },
+        { method: 'DELETE', path: '/api/users/:id/mfa', description: 'Reset user multi-factor authentication' },
+        { method: 'POST', path: '/api/users/:id/unlock', description: 'Unlock user after failed logins' },
+        { method: 'POST', path: '/api/users/:id/activate', description: 'Activate user' },
+        { method: 'POST', path: '/api/users/:id/deactivate', description: 'Deactivate user' },
+        { method: 'POST', path: '/api/users/:id/suspend', description: 'Suspend user' },
+        { method: 'GET', path: '/api/users/:id/history', description: 'List user change history' },
+        { method: 'GET', path: '/api/users/:id/history/:version', description: 'Get user at a version' },
+        { method: 'POST', path: '/api/users/import', description: 'Import users from CSV or NDJSON' },
+        { method: 'GET', path: '/api/users/export', description: 'Export users as CSV, NDJSON or JSON' },
+        { method: 'GET', path: '/api/users/trash', description: 'List soft-deleted users' },
+        { method: 'POST', path: '/api/users/:id/restore', description: 'Restore soft-deleted user' },
+        { method: 'POST', path: '/api/batch', description: 'Run multiple API operations in one request' },
+        { method: 'GET', path: '/api/health', description: 'API health status and metrics' },
+        { method: 'POST', path: '/api/auth/login', description: 'Log in with email and password' },
+        { method: 'POST', path: '/api/auth/refresh', description: 'Exchange a refresh token for new tokens' },
+        { method: 'POST', path: '/api/auth/session', description: 'Log in with a session cookie' },
+        { method: 'POST', path: '/api/auth/mfa/verify', description: 'Complete a login with a second factor' },
+        { method: 'GET', path: '/api/auth/session', description: 'Get the current cookie session' },
+        { method: 'POST', path: '/api/auth/logout', description: 'End a session' },
+        { method: 'POST', path: '/api/auth/forgot-password', description: 'Request a password reset email' },
+        { method: 'POST', path: '/api/auth/reset-password', description: 'Set a new password with a reset token' },
+        { method: 'POST', path: '/api/auth/verify-email', description: 'Verify an email address' },
+        { method: 'POST', path: '/api/auth/verify-email/resend', description: 'Request a new verification email' },
+        { method: 'POST', path: '/api/keys', description: 'Create an API key' },
+        { method: 'GET', path: '/api/keys', description: 'List API keys' },
+        { method: 'GET', path: '/api/keys/:id', description: 'Get an API key' },
+        { method: 'POST', path: '/api/keys/:id/rotate', description: 'Rotate an API key' },
+        { method: 'DELETE', path: '/api/keys/:id', description: 'Revoke an API key' },
+        { method: 'GET', path: '/api/mfa', description: 'Get your multi-factor authentication status' },
+        { method: 'POST', path: '/api/mfa/enrollment', description: 'Start multi-factor authentication enrollment' },
+        { method: 'POST', path: '/api/mfa/enrollment/confirm', description: 'Confirm enrollment with a first code' },
+        { method: 'POST', path: '/api/mfa/recovery-codes', description: 'Replace your recovery codes' },
+        { method: 'POST', path: '/api/mfa/disable', description: 'Turn off multi-factor authentication' },
+        { method: 'GET', path: '/api/mfa/policy', description: 'Get the MFA policy' },
+        { method: 'PUT', path: '/api/mfa/policy', description: 'Set the roles that must use MFA' },
+        { method: 'POST', path: '/api/invitations', description: 'Invite a user by email' },
+        { method: 'GET', path: '/api/invitations', description: 'List invitations' },
+        { method: 'GET', path: '/api/invitations/:id', description: 'Get an invitation' },
+        { method: 'POST', path: '/api/invitations/:id/resend', description: 'Resend an invitation' },
+        { method: 'DELETE', path: '/api/invitations/:id', description: 'Revoke an invitation' },
+        { method: 'POST', path: '/api/invitations/accept', description: 'Accept an invitation' },
+        { method: 'POST', path: '/api/webhooks', description: 'Subscribe a URL to user events' },
+        { method: 'GET', path: '/api/webhooks', description: 'List webhooks' },
+        { method: 'GET', path: '/api/webhooks/deliveries', description: 'List webhook deliveries (status=dead for the dead letters)' },
+        { method: 'GET', path: '/api/webhooks/deliveries/:deliveryId', description: 'Get a webhook delivery with its payload' },
+        { method: 'POST', path: '/api/webhooks/deliveries/:deliveryId/redeliver', description: 'Send a webhook delivery again' },
+        { method: 'GET', path: '/api/webhooks/:id', description: 'Get a webhook' },
+        { method: 'PATCH', path: '/api/webhooks/:id', description: 'Update a webhook' },
+        { method: 'DELETE', path: '/api/webhooks/:id', description: 'Delete a webhook' },
+        { method: 'POST', path: '/api/webhooks/:id/ping', description: 'Send a test event to a webhook' }
       ],
       serverTime: new Date().toISOString(),
       uptime: process.uptime(),
@@ -142,17 +566,41 @@ router.get('/', (req, res, next) => {
  * 
  * GET /api/users
  * 
+ * Permission: users:list
+ * 
  * Retrieves a paginated list of users with optional filtering and sorting.
- * Supports query parameters for pagination, search, and result customization.
+ * Search, filters and sorting are applied to the whole collection before
+ * pagination, so the pagination totals describe the filtered result set.
  * Includes comprehensive parameter validation and structured response format.
  * 
+ * Two pagination modes are supported. Offset mode uses page or offset and is
+ * capped at page 1000. Cursor mode follows the opaque nextCursor/prevCursor
+ * values returned in the pagination block; cursors are signed, keep the sort
+ * order they were issued with, and never skip or repeat users when users are
+ * created or deleted between requests.
+ * 
  * Query Parameters:
  * - page: Page number for pagination (default: 1, max: 1000)
+ * - offset: Number of users to skip (alternative to page)
+ * - cursor: Opaque cursor from a previous response (alternative to page/offset)
  * - limit: Number of results per page (default: 20, max: 100)
- * - sort: Sort field (default: 'createdAt')
+ * - sort: Sort field, one of id, name, email, createdAt, updatedAt (default: 'createdAt')
  * - order: Sort order ('asc' or 'desc', default: 'asc')
- * - search: Search query for filtering users
- * - filter: Additional filter parameters
+ * - search: Case-insensitive search across name and email
+ * - filter[<field>] or filter[<field>][<op>]: Filter conditions, all of which must match
+ * - q: Filter expression with boolean combinations, e.g. or(eq(role,admin),prefix(email,ann))
+ * 
+ * Filters use the language described in utils/filterQuery.js. Filterable fields
+ * and their operators:
+ * - status, role: eq, ne, in, nin (status: active, inactive, pending, suspended; role: admin, moderator, user)
+ * - name, email: eq, ne, in, nin, prefix
+ * - createdAt, updatedAt: eq, ne, gt, gte, lt, lte (ISO 8601), plus from/to as an inclusive range
+ * 
+ * Examples: filter[status][in]=active,pending, filter[createdAt][gte]=2024-01-01,
+ * q=and(ne(role,admin),not(prefix(email,test)))
+ * - fields: Comma-separated fields to return, e.g. id,name,profile.timezone (default: all)
+ * - expand: Comma-separated related resources to inline (profile, history;
+ *   history also needs users:history)
  * 
  * Response Format:
  * {
@@ -160,12 +608,16 @@ router.get('/', (req, res, next) => {
  *   data: {
  *     users: [...],
  *     pagination: {
- *       page: 1,
+ *       mode: "offset|cursor",
+ *       page: 1,               (offset mode only)
+ *       offset: 0,             (offset mode only)
+ *       totalPages: 5,         (offset mode only)
  *       limit: 20,
  *       total: 100,
- *       totalPages: 5,
  *       hasNext: true,
- *       hasPrev: false
+ *       hasPrev: false,
+ *       nextCursor: "opaque cursor or null",
+ *       prevCursor: "opaque cursor or null"
  *     }
  *   },
  *   message: "Users retrieved successfully"
@@ -176,12 +628,18 @@ router.get('/', (req, res, next) => {
  * - 400 Bad Request: Invalid query parameters
  * - 500 Internal Server Error: Unexpected server error
  */
-router.get('/users', validatePagination({
-  allowedSortFields: ['id', 'name', 'email', 'createdAt', 'updatedAt'],
+router.get('/users', authorize('users:list'), validatePagination({
+  allowedSortFields: USER_SORT_FIELDS,
   defaultSort: 'createdAt',
   maxLimit: 100,
-  defaultLimit: 20
-}), (req, res, next) => {
+  defaultLimit: 20,
+  allowCursor: true,
+  filterFields: USER_FILTER_FIELDS
+}), validateQuery(userViewQuery, {
+  // The pagination validator has already sanitized the whole query string
+  sanitize: false,
+  customValidator: resolveUserView
+}), authorizeExpansions(), async (req, res, next) => {
   const requestId = req.id || uuid();
   
   try {
@@ -195,67 +653,41 @@ router.get('/users', validatePagination({
 
     // Extract validated pagination parameters
     const { page = 1, limit = 20, offset = 0, sort = 'createdAt', order = 'asc', search, filter } = req.query;
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
 
-    // Generate sample users data for demonstration
-    const totalUsers = 250;
-    const sampleUsers = [];
-    const startIndex = offset;
-    const endIndex = Math.min(startIndex + limit, totalUsers);
-
-    for (let i = startIndex; i < endIndex; i++) {
-      const userId = uuid();
-      const user = {
-        id: userId,
-        name: `User ${i + 1}`,
-        email: `user${i + 1}@example.com`,
-        status: i % 3 === 0 ? 'inactive' : 'active',
-        role: i % 5 === 0 ? 'admin' : 'user',
-        createdAt: new Date(Date.now() - Math.random() * 365 * 24 * 60 * 60 * 1000).toISOString(),
-        updatedAt: new Date().toISOString()
-      };
-      
-      // Apply search filtering if provided
-      if (search) {
-        const searchLower = search.toLowerCase();
-        if (user.name.toLowerCase().includes(searchLower) || 
-            user.email.toLowerCase().includes(searchLower)) {
-          sampleUsers.push(user);
-        }
-      } else {
-        sampleUsers.push(user);
-      }
-    }
-
-    // Calculate pagination metadata
-    const totalPages = Math.ceil(totalUsers / limit);
-    const pagination = {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      total: totalUsers,
-      totalPages,
-      hasNext: page < totalPages,
-      hasPrev: page > 1,
+    // Query the repository: search, filter and sort apply to the whole collection
+    const result = await userRepository.list({
+      offset,
+      limit,
+      cursor,
+      search,
+      filter,
       sort,
       order
-    };
+    });
+    const { total: totalUsers } = result;
+
+    // Calculate pagination metadata from the filtered result set
+    const pagination = buildPagination(req.query, result, cursor);
+    const users = await renderUsers(result.users, req.query);
 
     const response = {
       success: true,
       data: {
-        users: sampleUsers,
+        users,
         pagination
       },
-      message: `Users retrieved successfully. Found ${sampleUsers.length} users.`
+      message: `Users retrieved successfully. Found ${users.length} users.`
     };
 
     logger.info('Users list returned successfully', {
       requestId,
-      userCount: sampleUsers.length,
+      userCount: users.length,
       totalUsers,
       page,
       limit,
-      hasSearch: !!search
+      hasSearch: !!search,
+      hasFilter: !!filter
     });
 
     res.status(StatusCodes.OK).json(response);
@@ -279,18 +711,38 @@ router.get('/users', validatePagination({
  * 
  * POST /api/users
  * 
+ * Permission: users:create; setting a role or status other than the default also needs
+ *   users:assign-role or users:change-status
+ * 
  * Creates a new user with the provided data. Validates request body according
  * to user schema requirements and generates unique ID for the new resource.
  * Returns the created user data with proper status code and location header.
  * 
+ * Headers:
+ * - Idempotency-Key: Unique key making the request safe to retry (optional);
+ *   a retry with the same key and body replays the first response instead of
+ *   creating another user
+ * 
  * Request Body:
  * {
  *   name: "string" (required, 2-100 characters),
  *   email: "string" (required, valid email format),
  *   role: "string" (optional, default: "user"),
- *   status: "string" (optional, default: "active")
+ *   status: "string" (optional, default: "active"),
+ *   profile: { firstName, lastName, avatar, timezone, language } (optional),
+ *   password: "string" (optional, 8-128 characters with a lowercase and an
+ *     uppercase letter, a digit and one of @$!%*?&; lets the user log in)
  * }
  * 
+ * The password is hashed and stored apart from the user record; it is never
+ * returned. Users created without one cannot log in until a password is set
+ * with PUT /api/users/:id/password.
+ * 
+ * A user created with status "pending" is mailed an email verification link
+ * (see POST /api/auth/verify-email) and becomes active once it is followed.
+ * The user is created even when the email cannot be sent; the link can be
+ * requested again at POST /api/auth/verify-email/resend.
+ * 
  * Response Format:
  * {
  *   success: true,
@@ -309,15 +761,13 @@ router.get('/users', validatePagination({
  * Status Codes:
  * - 201 Created: User created successfully
  * - 400 Bad Request: Invalid request body or validation errors
- * - 422 Unprocessable Entity: Business logic validation failed
+ * - 409 Conflict: A request with the same Idempotency-Key is still running
+ * - 422 Unprocessable Entity: A business rule of services/userRules.js was
+ *   broken (details.rule), or the Idempotency-Key was already used for a
+ *   different request
  * - 500 Internal Server Error: Unexpected server error
  */
-router.post('/users', validateBody({
-  name: require('joi').string().min(2).max(100).trim().required(),
-  email: require('joi').string().email().trim().lowercase().required(),
-  role: require('joi').string().valid('admin', 'moderator', 'user').default('user'),
-  status: require('joi').string().valid('active', 'inactive', 'pending').default('active')
-}), (req, res, next) => {
+router.post('/users', authorize('users:create'), idempotency(), validateBody(createUserWithPasswordSchema, { rawFields: ['password'] }), async (req, res, next) => {
   const requestId = req.id || uuid();
   
   try {
@@ -330,55 +780,30 @@ router.post('/users', validateBody({
       clientIp: req.ip || req.connection.remoteAddress
     });
 
-    // Extract validated user data from request body
-    const { name, email, role, status } = req.body;
-    
-    // Generate unique ID for new user
-    const userId = uuid();
-    const currentTimestamp = new Date().toISOString();
-    
-    // Create new user object with generated data
-    const newUser = {
-      id: userId,
-      name: name.trim(),
-      email: email.trim().toLowerCase(),
-      role: role || 'user',
-      status: status || 'active',
-      createdAt: currentTimestamp,
-      updatedAt: currentTimestamp,
-      metadata: {
-        createdBy: 'api',
-        source: 'direct_creation',
-        requestId
-      }
-    };
+    // Create new user object with generated ID and timestamps from the validated body
+    const { password, ...userData } = req.body;
 
-    // Simulate business logic validation
-    const existingEmails = ['admin@example.com', 'test@example.com']; // Mock existing emails
-    if (existingEmails.includes(newUser.email)) {
-      const validationError = {
-        type: 'BusinessLogicError',
-        message: 'Email address already exists',
-        statusCode: StatusCodes.UNPROCESSABLE_ENTITY,
-        details: {
-          field: 'email',
-          value: newUser.email,
-          reason: 'duplicate_email'
-        }
-      };
-      
-      logger.warn('User creation failed - duplicate email', {
-        requestId,
-        email: newUser.email,
-        error: validationError
-      });
-      
-      return next(validationError);
+    const fieldError = authorizeFields(req, null, userData);
+    if (fieldError) {
+      return next(fieldError);
+    }
+
+    const newUser = buildUserRecord(userData, { requestId, source: 'direct_creation', createdBy: actorId(req) });
+    const userId = newUser.id;
+
+    const ruleError = await evaluateUserRules({ operation: 'create', after: newUser, actor: req.user, requestId });
+    if (ruleError) {
+      return next(ruleError);
     }
 
+    const createdUser = await userRepository.create(newUser, {
+      credentials: password ? { passwordHash: await hashPassword(password) } : undefined,
+      audit: auditContext(req, requestId)
+    });
+
     const response = {
       success: true,
-      data: newUser,
+      data: createdUser,
       message: 'User created successfully'
     };
 
@@ -387,21 +812,35 @@ router.post('/users', validateBody({
       userId: newUser.id,
       email: newUser.email,
       role: newUser.role,
-      status: newUser.status
+      status: newUser.status,
+      hasPassword: Boolean(password)
     });
 
-    // Set Location header for created resource
+    // Inside a transactional batch the user may still be rolled back
+    if (createdUser.status === 'pending') {
+      driver.afterCommit(() => sendVerificationEmail(createdUser).catch(error => {
+        logger.error('Verification email for new user not sent', {
+          requestId,
+          userId: createdUser.id,
+          error: error.message
+        });
+      }));
+    }
+
+    // Set Location and ETag headers for created resource
     res.location(`/api/users/${userId}`);
+    setEntityTag(res, createdUser);
     res.status(StatusCodes.CREATED).json(response);
 
   } catch (error) {
+    const { password, ...requestBody } = req.body || {};
     logger.error('Error in create user endpoint', {
       requestId,
       error: error.message,
       stack: error.stack,
       method: req.method,
       path: req.path,
-      requestBody: req.body
+      requestBody
     });
 
     next(error);
@@ -409,295 +848,2555 @@ router.post('/users', validateBody({
 });
 
 /**
- * Get User by ID Endpoint
- * 
- * GET /api/users/:id
- * 
- * Retrieves a specific user by their unique identifier. Validates the ID
- * parameter format and returns detailed user information or appropriate
- * error response if the user is not found.
- * 
- * Route Parameters:
- * - id: User UUID (required, valid UUID format)
- * 
- * Response Format:
- * {
- *   success: true,
- *   data: {
- *     id: "uuid",
- *     name: "John Doe",
- *     email: "john@example.com",
- *     role: "user",
- *     status: "active",
- *     createdAt: "ISO timestamp",
- *     updatedAt: "ISO timestamp",
- *     profile: { ... }
- *   },
- *   message: "User retrieved successfully"
- * }
+ * Import Users Endpoint
  * 
- * Status Codes:
- * - 200 OK: User found and returned successfully
- * - 400 Bad Request: Invalid ID format
- * - 404 Not Found: User not found with specified ID
- * - 500 Internal Server Error: Unexpected server error
- */
-router.get('/users/:id', validateId('id', { type: 'uuid' }), (req, res, next) => {
-  const requestId = req.id || uuid();
-  
-  try {
-    logger.info('Get user by ID endpoint accessed', {
-      requestId,
-      method: req.method,
-      path: req.path,
-      userId: req.params.id,
-      clientIp: req.ip || req.connection.remoteAddress
-    });
-
-    const { id } = req.params;
-    
-    // Simulate user lookup (in real application, this would query a database)
-    const mockUsers = {
-      '123e4567-e89b-12d3-a456-426614174000': {
-        id: '123e4567-e89b-12d3-a456-426614174000',
-        name: 'John Doe',
-        email: 'john@example.com',
-        role: 'user',
-        status: 'active',
-        createdAt: '2023-01-15T10:30:00.000Z',
-        updatedAt: '2023-12-01T14:22:00.000Z',
-        profile: {
-          firstName: 'John',
-          lastName: 'Doe',
-          avatar: null,
-          timezone: 'UTC',
-          language: 'en'
-        },
-        metadata: {
-          lastLogin: '2023-12-01T14:20:00.000Z',
-          loginCount: 157,
-          source: 'registration'
-        }
-      }
-    };
-
-    const user = mockUsers[id];
-    
-    if (!user) {
-      const notFoundError = {
-        type: 'ResourceNotFound',
-        message: `User not found with ID: ${id}`,
-        statusCode: StatusCodes.NOT_FOUND,
-        details: {
-          resource: 'user',
-          id: id,
-          requestId
-        }
-      };
-      
-      logger.warn('User not found', {
-        requestId,
-        userId: id,
-        error: notFoundError
-      });
-      
-      return next(notFoundError);
-    }
-
-    const response = {
-      success: true,
-      data: user,
-      message: 'User retrieved successfully'
-    };
-
-    logger.info('User retrieved successfully', {
-      requestId,
-      userId: user.id,
-      userName: user.name,
-      userRole: user.role
-    });
-
-    res.status(StatusCodes.OK).json(response);
-
-  } catch (error) {
-    logger.error('Error in get user by ID endpoint', {
-      requestId,
-      error: error.message,
-      stack: error.stack,
-      method: req.method,
-      path: req.path,
-      userId: req.params.id
-    });
-
-    next(error);
-  }
-});
-
-/**
- * Update User Endpoint
+ * POST /api/users/import
  * 
- * PUT /api/users/:id
+ * Permission: users:import
  * 
- * Updates an existing user with the provided data. Validates both the ID
- * parameter and request body, then returns the updated user information.
- * Supports partial updates while maintaining data integrity.
+ * Creates many users from one upload. Every row is validated with the same
+ * rules as POST /api/users and the duplicate email rule applies both to
+ * existing users and to earlier rows of the same upload. The response reports
+ * the outcome of every row.
  * 
- * Route Parameters:
- * - id: User UUID (required, valid UUID format)
+ * Upload Formats (selected by Content-Type):
+ * - text/csv: Header row followed by one user per record. Columns: name,
+ *   email, role, status and profile fields in dot notation (profile.firstName).
+ *   Empty cells are treated as absent, so role and status fall back to defaults.
+ * - application/x-ndjson: One JSON user object per line
  * 
- * Request Body:
- * {
- *   name: "string" (optional, 2-100 characters),
- *   email: "string" (optional, valid email format),
- *   role: "string" (optional),
- *   status: "string" (optional)
- * }
+ * Query Parameters:
+ * - dryRun: Validate and report without creating users (default: false)
+ * - mode: 'partial' creates every valid row; 'atomic' creates nothing when
+ *   any row fails (default: 'partial'). Duplicate emails are skipped, not
+ *   failed, in both modes.
  * 
  * Response Format:
  * {
  *   success: true,
  *   data: {
- *     id: "uuid",
- *     name: "Updated Name",
- *     email: "updated@example.com",
- *     role: "user",
- *     status: "active",
- *     createdAt: "ISO timestamp",
- *     updatedAt: "ISO timestamp"
+ *     summary: { total, created, skipped, failed, mode, dryRun, committed },
+ *     rows: [
+ *       { row: 1, line: 2, status: "created", id: "uuid", email: "..." },
+ *       { row: 2, line: 3, status: "skipped", reason: "duplicate_email", email: "...", duplicateOf: { userId } },
+ *       { row: 3, line: 4, status: "failed", reason: "validation_failed", errors: { email: "..." } },
+ *       { row: 4, line: 5, status: "failed", reason: "rule_violation", rule: "email-domain", message: "..." }
+ *     ]
  *   },
- *   message: "User updated successfully"
+ *   message: "Import completed"
  * }
  * 
  * Status Codes:
- * - 200 OK: User updated successfully
- * - 400 Bad Request: Invalid ID format or request body
- * - 404 Not Found: User not found with specified ID
- * - 422 Unprocessable Entity: Business logic validation failed
+ * - 200 OK: Dry run completed, or no rows were created
+ * - 201 Created: At least one user was created
+ * - 400 Bad Request: Malformed upload or invalid query parameters
+ * - 415 Unsupported Media Type: Content-Type is not text/csv or application/x-ndjson
+ * - 422 Unprocessable Entity: Too many rows, or an atomic import was aborted
+ *   (the row report is returned in error.details)
  * - 500 Internal Server Error: Unexpected server error
  */
-router.put('/users/:id', 
-  validateId('id', { type: 'uuid' }),
-  validateBody({
-    name: require('joi').string().min(2).max(100).trim().optional(),
-    email: require('joi').string().email().trim().lowercase().optional(),
-    role: require('joi').string().valid('admin', 'moderator', 'user').optional(),
-    status: require('joi').string().valid('active', 'inactive', 'pending').optional()
+router.post('/users/import',
+  authorize('users:import'),
+  bodyParser.text({
+    type: Object.values(IMPORT_MEDIA_TYPES),
+    limit: config.api.maxPayloadSize
+  }),
+  idempotency(),
+  validateQuery({
+    dryRun: Joi.boolean().default(false),
+    mode: Joi.string().valid('partial', 'atomic').default('partial')
   }),
-  (req, res, next) => {
+  async (req, res, next) => {
     const requestId = req.id || uuid();
-    
+    const acceptedTypes = Object.values(IMPORT_MEDIA_TYPES);
+
     try {
-      logger.info('Update user endpoint accessed', {
+      logger.info('Import users endpoint accessed', {
         requestId,
         method: req.method,
         path: req.path,
-        userId: req.params.id,
-        updateFields: req.body ? Object.keys(req.body) : [],
+        contentType: req.get('Content-Type'),
+        contentLength: req.get('Content-Length'),
+        queryParams: req.query,
         clientIp: req.ip || req.connection.remoteAddress
       });
 
-      const { id } = req.params;
-      const updateData = req.body;
-      
-      // Simulate user lookup
-      const existingUser = {
-        id: id,
-        name: 'Original Name',
-        email: 'original@example.com',
-        role: 'user',
-        status: 'active',
-        createdAt: '2023-01-15T10:30:00.000Z',
-        updatedAt: '2023-11-01T12:00:00.000Z'
-      };
+      const format = req.is(acceptedTypes);
 
-      // Check if user exists
-      if (!existingUser && id !== '123e4567-e89b-12d3-a456-426614174000') {
-        const notFoundError = {
-          type: 'ResourceNotFound',
-          message: `User not found with ID: ${id}`,
-          statusCode: StatusCodes.NOT_FOUND,
+      if (!format) {
+        const mediaTypeError = {
+          type: 'UnsupportedMediaType',
+          message: `Import requires Content-Type ${acceptedTypes.join(' or ')}`,
+          statusCode: StatusCodes.UNSUPPORTED_MEDIA_TYPE,
           details: {
-            resource: 'user',
-            id: id,
-            operation: 'update',
+            contentType: req.get('Content-Type') || null,
+            acceptedTypes,
             requestId
           }
         };
-        
-        logger.warn('User not found for update', {
+
+        logger.warn('User import rejected - unsupported media type', {
           requestId,
-          userId: id,
-          error: notFoundError
+          contentType: req.get('Content-Type')
         });
-        
-        return next(notFoundError);
+
+        return next(mediaTypeError);
       }
 
-      // Merge existing user data with updates
-      const updatedUser = {
-        ...existingUser,
-        ...updateData,
-        id: id, // Ensure ID cannot be changed
-        updatedAt: new Date().toISOString(),
-        metadata: {
-          ...existingUser.metadata,
-          lastUpdated: new Date().toISOString(),
-          updatedBy: 'api',
-          requestId
-        }
-      };
+      const { dryRun, mode } = req.query;
+      const rows = parseImportRows(format, typeof req.body === 'string' ? req.body : '', requestId);
 
-      // Simulate email uniqueness check for email updates
-      if (updateData.email && updateData.email !== existingUser.email) {
-        const existingEmails = ['admin@example.com', 'test@example.com'];
-        if (existingEmails.includes(updateData.email)) {
-          const validationError = {
-            type: 'BusinessLogicError',
-            message: 'Email address already exists',
-            statusCode: StatusCodes.UNPROCESSABLE_ENTITY,
-            details: {
-              field: 'email',
-              value: updateData.email,
-              reason: 'duplicate_email'
-            }
-          };
-          
-          logger.warn('User update failed - duplicate email', {
-            requestId,
-            userId: id,
-            email: updateData.email,
-            error: validationError
-          });
-          
-          return next(validationError);
-        }
+      if (rows.length === 0) {
+        return next({
+          type: 'InvalidImport',
+          message: 'The upload contains no user rows',
+          statusCode: StatusCodes.BAD_REQUEST,
+          details: { reason: 'empty_import', requestId }
+        });
       }
 
-      const response = {
+      if (rows.length > config.users.import.maxRows) {
+        const limitError = {
+          type: 'BusinessLogicError',
+          message: `Imports are limited to ${config.users.import.maxRows} rows; split the upload into smaller files`,
+          statusCode: StatusCodes.UNPROCESSABLE_ENTITY,
+          details: {
+            rowCount: rows.length,
+            maxRows: config.users.import.maxRows,
+            reason: 'too_many_rows',
+            requestId
+          }
+        };
+
+        logger.warn('User import rejected - too many rows', {
+          requestId,
+          rowCount: rows.length
+        });
+
+        return next(limitError);
+      }
+
+      const report = await importUsers(rows, {
+        dryRun,
+        atomic: mode === 'atomic',
+        requestId,
+        actor: auditContext(req, requestId).actor,
+        caller: req.user
+      });
+
+      // All-or-nothing imports that did not commit are reported as an error
+      if (mode === 'atomic' && !dryRun && !report.summary.committed) {
+        const abortError = {
+          type: 'BusinessLogicError',
+          message: `Import aborted: ${report.summary.failed} of ${report.summary.total} rows could not be imported`,
+          statusCode: StatusCodes.UNPROCESSABLE_ENTITY,
+          details: {
+            reason: 'import_aborted',
+            ...report,
+            requestId
+          }
+        };
+
+        logger.warn('Atomic user import aborted', {
+          requestId,
+          ...report.summary
+        });
+
+        return next(abortError);
+      }
+
+      const response = {
+        success: true,
+        data: report,
+        message: dryRun
+          ? `Dry run completed: ${report.summary.created} users would be created`
+          : `Import completed: ${report.summary.created} created, ${report.summary.skipped} skipped, ${report.summary.failed} failed`
+      };
+
+      res.status(!dryRun && report.summary.created > 0 ? StatusCodes.CREATED : StatusCodes.OK).json(response);
+
+    } catch (error) {
+      logger.error('Error in import users endpoint', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        path: req.path,
+        queryParams: req.query
+      });
+
+      next(error);
+    }
+  }
+);
+
+/**
+ * Export Users Endpoint
+ * 
+ * GET /api/users/export
+ * 
+ * Permission: users:export
+ * 
+ * Streams every user matching the search, filter and sort parameters of
+ * GET /api/users as a downloadable file. Users are read and written in
+ * batches, so exports of any size are served without holding the full result
+ * set in memory. Soft-deleted users are not exported.
+ * 
+ * Query Parameters:
+ * - format: csv (default), ndjson or json
+ * - fields: Comma-separated fields to export, in column order
+ *   (default: id,name,email,role,status,createdAt,updatedAt; profile fields
+ *   use dot notation, e.g. profile.firstName)
+ * - search, filter[...], q, sort, order: As for GET /api/users
+ * 
+ * Response:
+ * - csv: Header row followed by one row per user (RFC 4180, CRLF line endings)
+ * - ndjson: One JSON object per line
+ * - json: A single JSON array of user objects
+ * 
+ * Response Headers:
+ * - Content-Type: Media type of the selected format
+ * - Content-Disposition: attachment; filename="users-<timestamp>.<extension>"
+ * 
+ * Status Codes:
+ * - 200 OK: Export streamed (an empty result set yields a header-only or empty file)
+ * - 400 Bad Request: Invalid format, fields or listing parameters
+ * - 500 Internal Server Error: Unexpected server error before streaming started
+ *
+ * A failure after streaming has started cannot change the status code; the
+ * connection is closed instead, so clients never mistake a partial file for
+ * a complete one.
+ */
+router.get('/users/export', authorize('users:export'), validateQuery({
+  format: Joi.string().valid(...Object.keys(EXPORT_FORMATS)).default('csv'),
+  fields: Joi.string().max(1000).optional(),
+  search: Joi.string().max(100).optional(),
+  filter: buildFilterSchema(USER_FILTER_FIELDS).optional(),
+  q: buildExpressionSchema(USER_FILTER_FIELDS).optional(),
+  sort: Joi.string().valid(...USER_SORT_FIELDS).default('createdAt'),
+  order: Joi.string().valid('asc', 'desc', 'ascending', 'descending').default('asc')
+}, {
+  customValidator: async (validatedQuery) => {
+    validatedQuery.filter = combineFilters(validatedQuery.filter, validatedQuery.q);
+
+    if (validatedQuery.fields === undefined) {
+      validatedQuery.fields = DEFAULT_EXPORT_FIELDS;
+      return true;
+    }
+
+    const fields = parseFieldList(validatedQuery.fields);
+    const unknownFields = fields.filter(field => !EXPORT_FIELDS.includes(field));
+
+    if (fields.length === 0) {
+      return 'At least one export field is required';
+    }
+    if (unknownFields.length > 0) {
+      return `Unknown export fields: ${unknownFields.join(', ')}. Allowed fields: ${EXPORT_FIELDS.join(', ')}`;
+    }
+
+    validatedQuery.fields = fields;
+    return true;
+  }
+}), async (req, res, next) => {
+  const requestId = req.id || uuid();
+  const startTime = Date.now();
+
+  try {
+    logger.info('Export users endpoint accessed', {
+      requestId,
+      method: req.method,
+      path: req.path,
+      queryParams: req.query,
+      clientIp: req.ip || req.connection.remoteAddress
+    });
+
+    const { format, fields, search, filter, sort, order } = req.query;
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, 'Z');
+
+    res.status(StatusCodes.OK);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="users-${timestamp}.${extension}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    const count = await writeUserExport(res, {
+      format,
+      fields,
+      query: { search, filter, sort, order }
+    });
+
+    if (res.destroyed) {
+      logger.warn('User export aborted by client', {
+        requestId,
+        format,
+        exportedCount: count
+      });
+      return;
+    }
+
+    res.end();
+
+    logger.info('User export completed', {
+      requestId,
+      format,
+      fieldCount: fields.length,
+      exportedCount: count,
+      duration: Date.now() - startTime,
+      hasSearch: !!search,
+      hasFilter: !!filter
+    });
+
+  } catch (error) {
+    logger.error('Error in export users endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path,
+      queryParams: req.query,
+      headersSent: res.headersSent
+    });
+
+    // Once the body has started the status line is gone; drop the connection
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    res.removeHeader('Content-Disposition');
+    next(error);
+  }
+});
+
+/**
+ * List Trash Endpoint
+ * 
+ * GET /api/users/trash
+ * 
+ * Permission: users:trash
+ * 
+ * Lists soft-deleted users, which are hidden from every other read. Each
+ * entry keeps the deletion audit record (reason, deletedBy, requestId) and
+ * reports when the purge job will remove it permanently, based on the
+ * configured retention period. Supports the same pagination modes as
+ * GET /api/users; results default to the most recently deleted first.
+ * 
+ * Registered before GET /api/users/:id so that "trash" is not taken for an ID.
+ * 
+ * Query Parameters:
+ * - page, offset, cursor, limit: As for GET /api/users
+ * - sort: Sort field, one of deletedAt, name, email, createdAt (default: 'deletedAt')
+ * - order: Sort order ('asc' or 'desc', default: 'desc')
+ * - search: Case-insensitive search across name and email
+ * - filter[...], q: As for GET /api/users, with deletedAt as an additional date field
+ * 
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: {
+ *     users: [{ ...user, deletedAt, deletion: { reason, deletedBy, requestId }, purgeAt }],
+ *     pagination: { ... },
+ *     retentionDays: 30
+ *   },
+ *   message: "Trash retrieved successfully"
+ * }
+ * 
+ * Status Codes:
+ * - 200 OK: Trash listing returned successfully
+ * - 400 Bad Request: Invalid query parameters
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.get('/users/trash', authorize('users:trash'), validatePagination({
+  allowedSortFields: ['deletedAt', 'name', 'email', 'createdAt'],
+  defaultSort: 'deletedAt',
+  defaultOrder: 'desc',
+  maxLimit: 100,
+  defaultLimit: 20,
+  allowCursor: true,
+  filterFields: {
+    ...USER_FILTER_FIELDS,
+    deletedAt: { type: 'date' }
+  }
+}), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    logger.info('Trash list endpoint accessed', {
+      requestId,
+      method: req.method,
+      path: req.path,
+      queryParams: req.query,
+      clientIp: req.ip || req.connection.remoteAddress
+    });
+
+    const { limit = 20, offset = 0, sort = 'deletedAt', order = 'desc', search, filter } = req.query;
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+
+    const result = await userRepository.list({
+      offset,
+      limit,
+      cursor,
+      search,
+      filter,
+      sort,
+      order,
+      onlyDeleted: true
+    });
+
+    const response = {
+      success: true,
+      data: {
+        users: result.users.map(user => ({ ...user, purgeAt: purgeDateFor(user) })),
+        pagination: buildPagination(req.query, result, cursor),
+        retentionDays: config.users.trash.retentionDays
+      },
+      message: `Trash retrieved successfully. Found ${result.users.length} users.`
+    };
+
+    logger.info('Trash list returned successfully', {
+      requestId,
+      userCount: result.users.length,
+      totalUsers: result.total
+    });
+
+    res.status(StatusCodes.OK).json(response);
+
+  } catch (error) {
+    logger.error('Error in trash list endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path,
+      queryParams: req.query
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Get User by ID Endpoint
+ * 
+ * GET /api/users/:id
+ * 
+ * Permission: users:read (users:read:own for the caller's own account)
+ * 
+ * Retrieves a specific user by their unique identifier. Validates the ID
+ * parameter format and returns detailed user information or appropriate
+ * error response if the user is not found.
+ * 
+ * The response carries the user's strong ETag. Clients send it back in
+ * If-Match when writing, or in If-None-Match to revalidate a cached copy.
+ * Responses with expand carry a content-based weak ETag instead, as they
+ * also change when an expanded resource changes.
+ * 
+ * Route Parameters:
+ * - id: User UUID (required, valid UUID format)
+ * 
+ * Query Parameters:
+ * - fields: Comma-separated fields to return, e.g. id,name,profile.timezone (default: all)
+ * - expand: Comma-separated related resources to inline (profile, history;
+ *   history also needs users:history)
+ * 
+ * Headers:
+ * - If-None-Match: ETag of a cached copy (optional, 304 when unchanged)
+ * 
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: {
+ *     id: "uuid",
+ *     name: "John Doe",
+ *     email: "john@example.com",
+ *     role: "user",
+ *     status: "active",
+ *     createdAt: "ISO timestamp",
+ *     updatedAt: "ISO timestamp",
+ *     version: 3,
+ *     profile: { ... }
+ *   },
+ *   message: "User retrieved successfully"
+ * }
+ * 
+ * Status Codes:
+ * - 200 OK: User found and returned successfully
+ * - 304 Not Modified: If-None-Match matches the current ETag
+ * - 400 Bad Request: Invalid ID format, unknown fields or expansions
+ * - 404 Not Found: User not found with specified ID
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.get('/users/:id',
+  validateId('id', { type: 'uuid' }),
+  authorize('users:read', { target: 'id' }),
+  validateQuery(userViewQuery, { customValidator: resolveUserView }),
+  authorizeExpansions({ target: 'id' }),
+  async (req, res, next) => {
+    const requestId = req.id || uuid();
+  
+    try {
+      logger.info('Get user by ID endpoint accessed', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id,
+        clientIp: req.ip || req.connection.remoteAddress
+      });
+
+      const { id } = req.params;
+    
+      const user = await userRepository.findById(id);
+    
+      if (!user) {
+        const notFoundError = {
+          type: 'ResourceNotFound',
+          message: `User not found with ID: ${id}`,
+          statusCode: StatusCodes.NOT_FOUND,
+          details: {
+            resource: 'user',
+            id: id,
+            requestId
+          }
+        };
+      
+        logger.warn('User not found', {
+          requestId,
+          userId: id,
+          error: notFoundError
+        });
+      
+        return next(notFoundError);
+      }
+
+      const response = {
+        success: true,
+        data: await renderUser(user, req.query),
+        message: 'User retrieved successfully'
+      };
+
+      logger.info('User retrieved successfully', {
+        requestId,
+        userId: user.id,
+        userName: user.name,
+        userRole: user.role
+      });
+
+      // Express answers a matching If-None-Match with 304 using this ETag. An
+      // expanded representation also changes with the related resources, so
+      // it keeps the content-based ETag Express generates instead.
+      if (req.query.expand.length === 0) {
+        setEntityTag(res, user);
+      }
+      res.status(StatusCodes.OK).json(response);
+
+    } catch (error) {
+      logger.error('Error in get user by ID endpoint', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id
+      });
+
+      next(error);
+    }
+  }
+);
+
+/**
+ * Replace User Endpoint
+ * 
+ * PUT /api/users/:id
+ * 
+ * Permission: users:update (users:update:own for the caller's own account); changing
+ *   the role also needs users:assign-role
+ * 
+ * Replaces an existing user with the provided representation. Every core
+ * field is required; optional fields left out of the body (such as profile)
+ * are removed from the stored user. Server-maintained fields (id, createdAt,
+ * metadata) cannot be set by the client and are preserved. Use PATCH for
+ * partial updates.
+ * 
+ * The status must stay as it is; change it with POST /api/users/:id/activate,
+ * /deactivate or /suspend.
+ * 
+ * Route Parameters:
+ * - id: User UUID (required, valid UUID format)
+ * 
+ * Headers:
+ * - If-Match: Current ETag of the user (required when config.api.requireIfMatch is set)
+ * 
+ * Request Body:
+ * {
+ *   name: "string" (required, 2-100 characters),
+ *   email: "string" (required, valid email format),
+ *   role: "string" (required),
+ *   status: "string" (required, the current status),
+ *   profile: { firstName, lastName, avatar, timezone, language } (optional)
+ * }
+ * 
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: {
+ *     id: "uuid",
+ *     name: "Updated Name",
+ *     email: "updated@example.com",
+ *     role: "user",
+ *     status: "active",
+ *     createdAt: "ISO timestamp",
+ *     updatedAt: "ISO timestamp"
+ *   },
+ *   message: "User updated successfully"
+ * }
+ * 
+ * Status Codes:
+ * - 200 OK: User replaced successfully
+ * - 400 Bad Request: Invalid ID format, missing required fields or invalid request body
+ * - 404 Not Found: User not found with specified ID
+ * - 409 Conflict: The body changes the status (details.reason
+ *   status_transition_required, with details.allowedTransitions)
+ * - 412 Precondition Failed: If-Match does not match the current ETag
+ * - 422 Unprocessable Entity: A business rule was broken (details.rule names it)
+ * - 428 Precondition Required: If-Match missing while required
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.put('/users/:id', 
+  validateId('id', { type: 'uuid' }),
+  authorize('users:update', { target: 'id' }),
+  idempotency(),
+  checkIfMatch(),
+  validateBody(replaceUserSchema),
+  async (req, res, next) => {
+    const requestId = req.id || uuid();
+    
+    try {
+      logger.info('Replace user endpoint accessed', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id,
+        updateFields: req.body ? Object.keys(req.body) : [],
+        clientIp: req.ip || req.connection.remoteAddress
+      });
+
+      const { id } = req.params;
+      const replacementData = req.body;
+      
+      // Look up the user to replace
+      const existingUser = await userRepository.findById(id);
+
+      // Check if user exists
+      if (!existingUser) {
+        const notFoundError = {
+          type: 'ResourceNotFound',
+          message: `User not found with ID: ${id}`,
+          statusCode: StatusCodes.NOT_FOUND,
+          details: {
+            resource: 'user',
+            id: id,
+            operation: 'update',
+            requestId
+          }
+        };
+        
+        logger.warn('User not found for update', {
+          requestId,
+          userId: id,
+          error: notFoundError
+        });
+        
+        return next(notFoundError);
+      }
+
+      // Reject the write when the client's copy is out of date
+      const { expectedVersion, error: preconditionError } = resolvePrecondition(req, existingUser);
+      if (preconditionError) {
+        logger.warn('User update rejected - version mismatch', {
+          requestId,
+          userId: id,
+          ifMatch: req.get('If-Match'),
+          currentVersion: preconditionError.details.currentVersion
+        });
+
+        return next(preconditionError);
+      }
+
+      const fieldError = authorizeFields(req, existingUser, replacementData);
+      if (fieldError) {
+        return next(fieldError);
+      }
+
+      const statusError = statusChangeError(existingUser, replacementData, requestId, req.user);
+      if (statusError) {
+        logger.warn('User update rejected - status changed outside a transition', {
+          requestId,
+          userId: id,
+          currentStatus: existingUser.status,
+          requestedStatus: replacementData.status
+        });
+
+        return next(statusError);
+      }
+
+      // Replace the editable fields, keeping server-maintained fields
+      const replacement = buildReplacement(existingUser, replacementData, requestId, actorId(req));
+
+      const ruleError = await evaluateUserRules({
+        operation: 'update',
+        before: existingUser,
+        after: replacement,
+        actor: req.user,
+        requestId
+      });
+      if (ruleError) {
+        return next(ruleError);
+      }
+
+      const updatedUser = await userRepository.replace(id, replacement, {
+        expectedVersion,
+        audit: auditContext(req, requestId)
+      });
+
+      const response = {
+        success: true,
+        data: updatedUser,
+        message: 'User updated successfully'
+      };
+
+      logger.info('User replaced successfully', {
+        requestId,
+        userId: updatedUser.id,
+        updatedFields: Object.keys(replacementData),
+        email: updatedUser.email,
+        role: updatedUser.role,
+        version: updatedUser.version
+      });
+
+      setEntityTag(res, updatedUser);
+      res.status(StatusCodes.OK).json(response);
+
+    } catch (error) {
+      logger.error('Error in replace user endpoint', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id,
+        requestBody: req.body
+      });
+
+      next(error);
+    }
+  }
+);
+
+/**
+ * Patch User Endpoint
+ * 
+ * PATCH /api/users/:id
+ * 
+ * Permission: users:update (users:update:own for the caller's own account); changing
+ *   the role also needs users:assign-role
+ * 
+ * Partially updates a user. The patch is applied to the user's editable
+ * fields (name, email, role, status, profile) and the result is validated
+ * with the same rules as PUT before it is stored, so a patch can never leave
+ * a user in a state PUT would reject; in particular it cannot change the
+ * status. The patch document format is selected
+ * by the Content-Type header:
+ * 
+ * - application/merge-patch+json (RFC 7396): members replace the matching
+ *   fields; null removes a field, e.g. { "profile": { "avatar": null } }
+ * - application/json-patch+json (RFC 6902): an array of operations, e.g.
+ *   [{ "op": "test", "path": "/email", "value": "old@example.com" },
+ *    { "op": "replace", "path": "/email", "value": "new@example.com" }]
+ * 
+ * JSON Patch operations are applied atomically: when any operation fails,
+ * including a failed test, the user is left unchanged.
+ * 
+ * Route Parameters:
+ * - id: User UUID (required, valid UUID format)
+ * 
+ * Headers:
+ * - If-Match: Current ETag of the user (required when config.api.requireIfMatch is set)
+ * 
+ * Response Format: same as PUT /api/users/:id
+ * 
+ * Status Codes:
+ * - 200 OK: User patched successfully
+ * - 400 Bad Request: Invalid ID format or malformed patch document
+ * - 404 Not Found: User not found with specified ID
+ * - 409 Conflict: A JSON Patch test operation failed, or the patch changes
+ *   the status (status_transition_required)
+ * - 412 Precondition Failed: If-Match does not match the current ETag
+ * - 415 Unsupported Media Type: Content-Type is not a supported patch format
+ * - 422 Unprocessable Entity: Patch targets a missing location, the patched
+ *   user fails validation, or a business rule was broken (details.rule)
+ * - 428 Precondition Required: If-Match missing while required
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.patch('/users/:id',
+  validateId('id', { type: 'uuid' }),
+  authorize('users:update', { target: 'id' }),
+  idempotency(),
+  checkIfMatch(),
+  async (req, res, next) => {
+    const requestId = req.id || uuid();
+    const acceptedTypes = [PATCH_MEDIA_TYPES.MERGE_PATCH, PATCH_MEDIA_TYPES.JSON_PATCH];
+
+    try {
+      logger.info('Patch user endpoint accessed', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id,
+        contentType: req.get('Content-Type'),
+        clientIp: req.ip || req.connection.remoteAddress
+      });
+
+      const { id } = req.params;
+      const patchFormat = req.is(acceptedTypes);
+
+      // The patch format is negotiated through Content-Type only
+      if (!patchFormat) {
+        const mediaTypeError = {
+          type: 'UnsupportedMediaType',
+          message: `PATCH requires Content-Type ${acceptedTypes.join(' or ')}`,
+          statusCode: StatusCodes.UNSUPPORTED_MEDIA_TYPE,
+          details: {
+            contentType: req.get('Content-Type') || null,
+            acceptedTypes,
+            requestId
+          }
+        };
+
+        logger.warn('User patch rejected - unsupported media type', {
+          requestId,
+          userId: id,
+          contentType: req.get('Content-Type')
+        });
+
+        res.set('Accept-Patch', acceptedTypes.join(', '));
+        return next(mediaTypeError);
+      }
+
+      // Look up the user to patch
+      const existingUser = await userRepository.findById(id);
+
+      if (!existingUser) {
+        const notFoundError = {
+          type: 'ResourceNotFound',
+          message: `User not found with ID: ${id}`,
+          statusCode: StatusCodes.NOT_FOUND,
+          details: {
+            resource: 'user',
+            id: id,
+            operation: 'patch',
+            requestId
+          }
+        };
+
+        logger.warn('User not found for patch', {
+          requestId,
+          userId: id,
+          error: notFoundError
+        });
+
+        return next(notFoundError);
+      }
+
+      // Reject the write when the client's copy is out of date
+      const { expectedVersion, error: preconditionError } = resolvePrecondition(req, existingUser);
+      if (preconditionError) {
+        logger.warn('User patch rejected - version mismatch', {
+          requestId,
+          userId: id,
+          ifMatch: req.get('If-Match'),
+          currentVersion: preconditionError.details.currentVersion
+        });
+
+        return next(preconditionError);
+      }
+
+      // Apply the patch to the editable fields. Only the values supplied by
+      // the client are sanitized; JSON Pointers must reach the patch intact.
+      const currentDocument = toEditableDocument(existingUser);
+      const patchedDocument = patchFormat === PATCH_MEDIA_TYPES.MERGE_PATCH
+        ? applyMergePatch(currentDocument, sanitizeInput(req.body))
+        : applyJsonPatch(currentDocument, Array.isArray(req.body)
+          ? req.body.map(operation => (operation && typeof operation === 'object' && 'value' in operation
+            ? { ...operation, value: sanitizeInput(operation.value) }
+            : operation))
+          : req.body);
+
+      // The patched user must satisfy the same rules as a PUT body
+      const validationResult = userDocumentSchema.validate(patchedDocument, {
+        abortEarly: false,
+        allowUnknown: false,
+        convert: true
+      });
+
+      if (validationResult.error) {
+        const validationError = {
+          ...createValidationError(validationResult, requestId, 'patch'),
+          statusCode: StatusCodes.UNPROCESSABLE_ENTITY
+        };
+
+        logger.warn('User patch failed - patched user is invalid', {
+          requestId,
+          userId: id,
+          fields: Object.keys(validationError.details.fields)
+        });
+
+        return next(validationError);
+      }
+
+      const patchedData = validationResult.value;
+
+      const fieldError = authorizeFields(req, existingUser, patchedData);
+      if (fieldError) {
+        return next(fieldError);
+      }
+
+      const statusError = statusChangeError(existingUser, patchedData, requestId, req.user);
+      if (statusError) {
+        logger.warn('User patch rejected - status changed outside a transition', {
+          requestId,
+          userId: id,
+          currentStatus: existingUser.status,
+          requestedStatus: patchedData.status
+        });
+
+        return next(statusError);
+      }
+
+      const replacement = buildReplacement(existingUser, patchedData, requestId, actorId(req));
+
+      const ruleError = await evaluateUserRules({
+        operation: 'update',
+        before: existingUser,
+        after: replacement,
+        actor: req.user,
+        requestId
+      });
+      if (ruleError) {
+        return next(ruleError);
+      }
+
+      const updatedUser = await userRepository.replace(id, replacement, {
+        expectedVersion,
+        audit: auditContext(req, requestId)
+      });
+
+      const response = {
+        success: true,
+        data: updatedUser,
+        message: 'User updated successfully'
+      };
+
+      logger.info('User patched successfully', {
+        requestId,
+        userId: updatedUser.id,
+        patchFormat,
+        changedFields: EDITABLE_USER_FIELDS.filter(field =>
+          JSON.stringify(existingUser[field]) !== JSON.stringify(updatedUser[field])),
+        version: updatedUser.version
+      });
+
+      setEntityTag(res, updatedUser);
+      res.status(StatusCodes.OK).json(response);
+
+    } catch (error) {
+      logger.error('Error in patch user endpoint', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id,
+        requestBody: req.body
+      });
+
+      next(error);
+    }
+  }
+);
+
+/**
+ * Delete User Endpoint
+ * 
+ * DELETE /api/users/:id
+ * 
+ * Permission: users:delete, or users:purge with ?hard=true
+ * 
+ * Deletes a user by their unique identifier. Validates the ID parameter
+ * and performs soft or hard deletion based on business requirements.
+ * Returns confirmation of deletion or appropriate error response.
+ * 
+ * Soft-deleted users move to the trash (GET /api/users/trash), where they
+ * can be restored (POST /api/users/:id/restore) until the purge job removes
+ * them after config.users.trash.retentionDays.
+ * 
+ * Route Parameters:
+ * - id: User UUID (required, valid UUID format)
+ * 
+ * Headers:
+ * - If-Match: Current ETag of the user (required when config.api.requireIfMatch is set)
+ * 
+ * Query Parameters:
+ * - hard: Boolean flag for hard deletion (optional, default: false)
+ * - reason: Deletion reason for audit trail (optional)
+ * 
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: {
+ *     id: "uuid",
+ *     deletedAt: "ISO timestamp",
+ *     deletionType: "soft|hard",
+ *     reason: "deletion reason"
+ *   },
+ *   message: "User deleted successfully"
+ * }
+ * 
+ * Status Codes:
+ * - 200 OK: User deleted successfully
+ * - 400 Bad Request: Invalid ID format
+ * - 404 Not Found: User not found with specified ID
+ * - 412 Precondition Failed: If-Match does not match the current ETag
+ * - 422 Unprocessable Entity: User cannot be deleted due to business rules
+ *   (admin-deletion, last-active-admin; details.rule names it)
+ * - 428 Precondition Required: If-Match missing while required
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.delete('/users/:id', 
+  validateId('id', { type: 'uuid' }),
+  validateQuery({
+    hard: require('joi').boolean().default(false).optional(),
+    reason: require('joi').string().max(200).trim().optional()
+  }),
+  authorize(req => (req.query.hard ? 'users:purge' : 'users:delete'), { target: 'id' }),
+  idempotency(),
+  checkIfMatch(),
+  async (req, res, next) => {
+    const requestId = req.id || uuid();
+    
+    try {
+      logger.info('Delete user endpoint accessed', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id,
+        hardDelete: req.query.hard,
+        reason: req.query.reason,
+        clientIp: req.ip || req.connection.remoteAddress
+      });
+
+      const { id } = req.params;
+      const { hard = false, reason } = req.query;
+      
+      // Look up the user to delete
+      const existingUser = await userRepository.findById(id);
+
+      // Check if user exists
+      if (!existingUser) {
+        const notFoundError = {
+          type: 'ResourceNotFound',
+          message: `User not found with ID: ${id}`,
+          statusCode: StatusCodes.NOT_FOUND,
+          details: {
+            resource: 'user',
+            id: id,
+            operation: 'delete',
+            requestId
+          }
+        };
+        
+        logger.warn('User not found for deletion', {
+          requestId,
+          userId: id,
+          error: notFoundError
+        });
+        
+        return next(notFoundError);
+      }
+
+      // Reject the write when the client's copy is out of date
+      const { expectedVersion, error: preconditionError } = resolvePrecondition(req, existingUser);
+      if (preconditionError) {
+        logger.warn('User deletion rejected - version mismatch', {
+          requestId,
+          userId: id,
+          ifMatch: req.get('If-Match'),
+          currentVersion: preconditionError.details.currentVersion
+        });
+
+        return next(preconditionError);
+      }
+
+      const ruleError = await evaluateUserRules({ operation: 'delete', before: existingUser, actor: req.user, requestId });
+      if (ruleError) {
+        return next(ruleError);
+      }
+
+      // Perform deletion
+      const deletionResult = {
+        id: id,
+        deletedAt: new Date().toISOString(),
+        deletionType: hard ? 'hard' : 'soft',
+        reason: reason || 'No reason provided',
+        deletedBy: actorId(req),
+        requestId,
+        originalData: hard ? null : existingUser // Keep original data for soft deletes
+      };
+
+      if (hard) {
+        await userRepository.hardDelete(id, { expectedVersion, audit: auditContext(req, requestId) });
+      } else {
+        await userRepository.softDelete(id, deletionResult, { expectedVersion, audit: auditContext(req, requestId) });
+      }
+
+      const response = {
+        success: true,
+        data: deletionResult,
+        message: `User ${hard ? 'permanently deleted' : 'deleted'} successfully`
+      };
+
+      logger.info('User deleted successfully', {
+        requestId,
+        userId: id,
+        deletionType: deletionResult.deletionType,
+        reason: deletionResult.reason,
+        userName: existingUser.name
+      });
+
+      res.status(StatusCodes.OK).json(response);
+
+    } catch (error) {
+      logger.error('Error in delete user endpoint', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id,
+        queryParams: req.query
+      });
+
+      next(error);
+    }
+  }
+);
+
+/**
+ * Get User Profile Endpoint
+ * 
+ * GET /api/users/:id/profile
+ * 
+ * Permission: users:read (users:read:own for the caller's own account)
+ * 
+ * Returns the profile of an active user. Profiles are stored separately from
+ * the core account fields and carry their own version and ETag, so they can
+ * be cached and updated independently of the user. A user without a stored
+ * profile has an empty profile at version 1.
+ * 
+ * Route Parameters:
+ * - id: User UUID (required, valid UUID format)
+ * 
+ * Headers:
+ * - If-None-Match: ETag of a cached copy (optional, 304 when unchanged)
+ * 
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: {
+ *     userId: "uuid",
+ *     firstName: "John",
+ *     lastName: "Doe",
+ *     avatar: "https://example.com/avatar.png",
+ *     timezone: "Europe/Paris",
+ *     language: "fr-FR",
+ *     version: 2,
+ *     updatedAt: "ISO timestamp"
+ *   },
+ *   message: "Profile retrieved successfully"
+ * }
+ * 
+ * Status Codes:
+ * - 200 OK: Profile returned successfully
+ * - 304 Not Modified: If-None-Match matches the current ETag
+ * - 400 Bad Request: Invalid ID format
+ * - 404 Not Found: User not found with specified ID
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.get('/users/:id/profile', validateId('id', { type: 'uuid' }), authorize('users:read', { target: 'id' }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    logger.info('Get user profile endpoint accessed', {
+      requestId,
+      method: req.method,
+      path: req.path,
+      userId: req.params.id,
+      clientIp: req.ip || req.connection.remoteAddress
+    });
+
+    const { id } = req.params;
+
+    const profile = await profileRepository.findByUserId(id);
+
+    if (!profile) {
+      const notFoundError = {
+        type: 'ResourceNotFound',
+        message: `User not found with ID: ${id}`,
+        statusCode: StatusCodes.NOT_FOUND,
+        details: {
+          resource: 'user',
+          id: id,
+          requestId
+        }
+      };
+
+      logger.warn('User not found for profile retrieval', {
+        requestId,
+        userId: id,
+        error: notFoundError
+      });
+
+      return next(notFoundError);
+    }
+
+    const response = {
+      success: true,
+      data: profile,
+      message: 'Profile retrieved successfully'
+    };
+
+    logger.info('User profile retrieved successfully', {
+      requestId,
+      userId: id,
+      version: profile.version
+    });
+
+    setEntityTag(res, profileEntity(profile));
+    res.status(StatusCodes.OK).json(response);
+
+  } catch (error) {
+    logger.error('Error in get user profile endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path,
+      userId: req.params.id
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Replace User Profile Endpoint
+ * 
+ * PUT /api/users/:id/profile
+ * 
+ * Permission: profiles:update (profiles:update:own for the caller's own profile)
+ * 
+ * Replaces the profile of an active user. Fields left out of the body (or
+ * set to null) are cleared. Only the profile is written: the user's core
+ * fields, including role and status, and the user's version and ETag are
+ * left untouched.
+ * 
+ * Route Parameters:
+ * - id: User UUID (required, valid UUID format)
+ * 
+ * Headers:
+ * - If-Match: Current ETag of the profile (required when config.api.requireIfMatch is set)
+ * 
+ * Request Body:
+ * {
+ *   firstName: "string" (optional, max 50 characters),
+ *   lastName: "string" (optional, max 50 characters),
+ *   avatar: "string" (optional, http(s) URL),
+ *   timezone: "string" (optional, IANA time zone name such as Europe/Paris),
+ *   language: "string" (optional, BCP 47 language tag such as en-US)
+ * }
+ * 
+ * Response Format: same as GET /api/users/:id/profile
+ * 
+ * Status Codes:
+ * - 200 OK: Profile replaced successfully
+ * - 400 Bad Request: Invalid ID format or invalid profile fields
+ * - 404 Not Found: User not found with specified ID
+ * - 412 Precondition Failed: If-Match does not match the current profile ETag
+ * - 428 Precondition Required: If-Match missing while required
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.put('/users/:id/profile',
+  validateId('id', { type: 'uuid' }),
+  authorize('profiles:update', { target: 'id' }),
+  idempotency(),
+  checkIfMatch(),
+  validateBody(replaceProfileSchema),
+  async (req, res, next) => {
+    const requestId = req.id || uuid();
+
+    try {
+      logger.info('Replace user profile endpoint accessed', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id,
+        profileFields: Object.keys(req.body),
+        clientIp: req.ip || req.connection.remoteAddress
+      });
+
+      const { id } = req.params;
+
+      const existingProfile = await profileRepository.findByUserId(id);
+
+      const notFoundError = {
+        type: 'ResourceNotFound',
+        message: `User not found with ID: ${id}`,
+        statusCode: StatusCodes.NOT_FOUND,
+        details: {
+          resource: 'user',
+          id: id,
+          operation: 'update_profile',
+          requestId
+        }
+      };
+
+      if (!existingProfile) {
+        logger.warn('User not found for profile update', {
+          requestId,
+          userId: id,
+          error: notFoundError
+        });
+
+        return next(notFoundError);
+      }
+
+      // Reject the write when the client's copy is out of date
+      const { expectedVersion, error: preconditionError } = resolvePrecondition(req, profileEntity(existingProfile), 'profile');
+      if (preconditionError) {
+        logger.warn('Profile update rejected - version mismatch', {
+          requestId,
+          userId: id,
+          ifMatch: req.get('If-Match'),
+          currentVersion: preconditionError.details.currentVersion
+        });
+
+        return next(preconditionError);
+      }
+
+      const profile = await profileRepository.replace(id, req.body, { expectedVersion });
+
+      // The user was deleted between the lookup and the write
+      if (!profile) {
+        return next(notFoundError);
+      }
+
+      const response = {
+        success: true,
+        data: profile,
+        message: 'Profile updated successfully'
+      };
+
+      logger.info('User profile replaced successfully', {
+        requestId,
+        userId: id,
+        version: profile.version
+      });
+
+      setEntityTag(res, profileEntity(profile));
+      res.status(StatusCodes.OK).json(response);
+
+    } catch (error) {
+      logger.error('Error in replace user profile endpoint', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id
+      });
+
+      next(error);
+    }
+  }
+);
+
+/**
+ * Set User Password Endpoint
+ * 
+ * PUT /api/users/:id/password
+ * 
+ * Permission: users:set-password (users:set-password:own for the caller's own password)
+ * 
+ * Sets the password a user logs in with (see POST /api/auth/login). The
+ * password is hashed with scrypt and stored apart from the user record, so
+ * the user's version and ETag do not change. Every session of the user ends:
+ * refresh tokens are revoked and access tokens stop being accepted, including
+ * those of the caller when users change their own password.
+ * 
+ * Users changing their own password must also send the current one.
+ * 
+ * Route Parameters:
+ * - id: User UUID (required, valid UUID format)
+ * 
+ * Request Body:
+ * {
+ *   password: "string" (required, 8-128 characters with a lowercase and an
+ *     uppercase letter, a digit and one of @$!%*?&),
+ *   currentPassword: "string" (required when changing one's own password)
+ * }
+ * 
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: {
+ *     userId: "uuid",
+ *     passwordChangedAt: "ISO timestamp",
+ *     sessionsEnded: true
+ *   },
+ *   message: "Password updated successfully"
+ * }
+ * 
+ * Status Codes:
+ * - 200 OK: Password set successfully
+ * - 400 Bad Request: Invalid ID format or password too weak
+ * - 401 Unauthorized: Missing or invalid access token
+ * - 403 Forbidden: Current password missing or incorrect
+ * - 404 Not Found: User not found with specified ID
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.put('/users/:id/password',
+  validateId('id', { type: 'uuid' }),
+  authorize('users:set-password', { target: 'id' }),
+  idempotency(),
+  validateBody(changePasswordSchema, { rawFields: ['password', 'currentPassword'] }),
+  async (req, res, next) => {
+    const requestId = req.id || uuid();
+
+    try {
+      const { id } = req.params;
+      const isSelf = Boolean(req.user) && req.user.id === id;
+
+      logger.info('Set user password endpoint accessed', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        userId: id,
+        isSelf,
+        clientIp: req.ip || req.connection.remoteAddress
+      });
+
+      const notFoundError = {
+        type: 'ResourceNotFound',
+        message: `User not found with ID: ${id}`,
+        statusCode: StatusCodes.NOT_FOUND,
+        details: {
+          resource: 'user',
+          id: id,
+          operation: 'set_password',
+          requestId
+        }
+      };
+
+      if (!await userRepository.findById(id)) {
+        return next(notFoundError);
+      }
+
+      // Someone holding a stolen access token must not be able to lock the owner out
+      const credentials = await credentialRepository.findByUserId(id);
+      if (isSelf && credentials && !await verifyPassword(req.body.currentPassword || '', credentials.passwordHash)) {
+        logger.warn('Password change rejected - current password mismatch', {
+          requestId,
+          userId: id
+        });
+
+        return next({
+          type: 'AuthorizationError',
+          message: 'Current password is missing or incorrect',
+          statusCode: StatusCodes.FORBIDDEN,
+          details: {
+            field: 'currentPassword',
+            reason: 'invalid_current_password',
+            requestId
+          }
+        });
+      }
+
+      const stored = await credentialRepository.setPassword(id, await hashPassword(req.body.password));
+
+      // The user was deleted between the lookup and the write
+      if (!stored) {
+        return next(notFoundError);
+      }
+
+      logger.info('User password updated successfully', {
+        requestId,
+        userId: id,
+        isSelf
+      });
+
+      res.status(StatusCodes.OK).json({
+        success: true,
+        data: {
+          userId: id,
+          passwordChangedAt: stored.passwordChangedAt,
+          sessionsEnded: true
+        },
+        message: 'Password updated successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error in set user password endpoint', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id
+      });
+
+      next(error);
+    }
+  }
+);
+
+/**
+ * List User Sessions Endpoint
+ * 
+ * GET /api/users/:id/sessions
+ * 
+ * Permission: users:sessions (users:sessions:own for the caller's own sessions)
+ * 
+ * Lists the sessions in which a user is signed in: token sessions started
+ * at POST /api/auth/login and cookie sessions started at POST
+ * /api/auth/session. Ended and expired sessions are left out. For token
+ * sessions lastSeenAt is the last refresh.
+ * 
+ * Route Parameters:
+ * - id: User UUID (required, valid UUID format)
+ * 
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: {
+ *     userId: "uuid",
+ *     sessions: [{
+ *       id: "uuid",
+ *       type: "token|cookie",
+ *       createdAt: "ISO timestamp",
+ *       lastSeenAt: "ISO timestamp",
+ *       expiresAt: "ISO timestamp",
+ *       client: { ip, userAgent },
+ *       current: true                  (the session of this request)
+ *     }]
+ *   },
+ *   message: "User sessions retrieved successfully"
+ * }
+ * 
+ * Status Codes:
+ * - 200 OK: Sessions returned successfully
+ * - 400 Bad Request: Invalid ID format
+ * - 404 Not Found: User not found with specified ID
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.get('/users/:id/sessions',
+  validateId('id', { type: 'uuid' }),
+  authorize('users:sessions', { target: 'id' }),
+  async (req, res, next) => {
+    const requestId = req.id || uuid();
+
+    try {
+      const { id } = req.params;
+
+      logger.info('List user sessions endpoint accessed', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        userId: id,
+        clientIp: req.ip || req.connection.remoteAddress
+      });
+
+      if (!await userRepository.findById(id)) {
+        return next({
+          type: 'ResourceNotFound',
+          message: `User not found with ID: ${id}`,
+          statusCode: StatusCodes.NOT_FOUND,
+          details: {
+            resource: 'user',
+            id: id,
+            requestId
+          }
+        });
+      }
+
+      const currentSessionId = req.user ? req.user.sessionId : null;
+      const sessions = (await listSessions(id)).map(session => ({
+        ...session,
+        current: session.id === currentSessionId
+      }));
+
+      res.set('Cache-Control', 'no-store');
+      res.status(StatusCodes.OK).json({
+        success: true,
+        data: {
+          userId: id,
+          sessions
+        },
+        message: 'User sessions retrieved successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error in list user sessions endpoint', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id
+      });
+
+      next(error);
+    }
+  }
+);
+
+/**
+ * End All User Sessions Endpoint
+ * 
+ * DELETE /api/users/:id/sessions
+ * 
+ * Permission: users:sessions (users:sessions:own for the caller's own sessions)
+ * 
+ * Signs a user out everywhere: every token and cookie session of the user
+ * ends, and their access tokens and cookies stop being accepted. Use
+ * ?exceptCurrent=true to stay signed in on the session making the request,
+ * e.g. for a "sign out other devices" button.
+ * 
+ * Route Parameters:
+ * - id: User UUID (required, valid UUID format)
+ * 
+ * Query Parameters:
+ * - exceptCurrent: Keep the session of this request (optional, default: false)
+ * 
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: {
+ *     userId: "uuid",
+ *     revoked: ["session uuid", ...]
+ *   },
+ *   message: "2 sessions ended"
+ * }
+ * 
+ * Status Codes:
+ * - 200 OK: Sessions ended (possibly none)
+ * - 400 Bad Request: Invalid ID format or query parameters
+ * - 404 Not Found: User not found with specified ID
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.delete('/users/:id/sessions',
+  validateId('id', { type: 'uuid' }),
+  validateQuery({
+    exceptCurrent: Joi.boolean().default(false)
+  }),
+  authorize('users:sessions', { target: 'id' }),
+  idempotency(),
+  async (req, res, next) => {
+    const requestId = req.id || uuid();
+
+    try {
+      const { id } = req.params;
+
+      logger.info('End user sessions endpoint accessed', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        userId: id,
+        exceptCurrent: req.query.exceptCurrent,
+        clientIp: req.ip || req.connection.remoteAddress
+      });
+
+      if (!await userRepository.findById(id)) {
+        return next({
+          type: 'ResourceNotFound',
+          message: `User not found with ID: ${id}`,
+          statusCode: StatusCodes.NOT_FOUND,
+          details: {
+            resource: 'user',
+            id: id,
+            requestId
+          }
+        });
+      }
+
+      const revoked = await revokeSessions(id, {
+        except: req.query.exceptCurrent && req.user ? req.user.sessionId : undefined
+      });
+
+      logger.info('User sessions ended', {
+        requestId,
+        userId: id,
+        sessionIds: revoked.map(session => session.id)
+      });
+
+      res.status(StatusCodes.OK).json({
+        success: true,
+        data: {
+          userId: id,
+          revoked: revoked.map(session => session.id)
+        },
+        message: `${revoked.length} ${revoked.length === 1 ? 'session' : 'sessions'} ended`
+      });
+
+    } catch (error) {
+      logger.error('Error in end user sessions endpoint', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id
+      });
+
+      next(error);
+    }
+  }
+);
+
+/**
+ * End User Session Endpoint
+ * 
+ * DELETE /api/users/:id/sessions/:sessionId
+ * 
+ * Permission: users:sessions (users:sessions:own for the caller's own sessions)
+ * 
+ * Ends one session of a user, for example a device that was lost. The
+ * session's refresh token, access tokens or cookie stop being accepted at
+ * once. Ending the session of the request itself is allowed and amounts to
+ * a logout.
+ * 
+ * Route Parameters:
+ * - id: User UUID (required, valid UUID format)
+ * - sessionId: Session UUID, as listed by GET /api/users/:id/sessions
+ * 
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: { id, type, createdAt, lastSeenAt, expiresAt, client },
+ *   message: "Session ended successfully"
+ * }
+ * 
+ * Status Codes:
+ * - 200 OK: Session ended
+ * - 400 Bad Request: Invalid ID format
+ * - 404 Not Found: The user has no active session with this ID
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.delete('/users/:id/sessions/:sessionId',
+  validateParams({
+    id: Joi.string().uuid().required(),
+    sessionId: Joi.string().uuid().required()
+  }),
+  authorize('users:sessions', { target: 'id' }),
+  idempotency(),
+  async (req, res, next) => {
+    const requestId = req.id || uuid();
+
+    try {
+      const { id, sessionId } = req.params;
+
+      logger.info('End user session endpoint accessed', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        userId: id,
+        sessionId,
+        clientIp: req.ip || req.connection.remoteAddress
+      });
+
+      const session = await revokeSession(id, sessionId);
+
+      if (!session) {
+        return next({
+          type: 'ResourceNotFound',
+          message: `No active session with ID ${sessionId} for user ${id}`,
+          statusCode: StatusCodes.NOT_FOUND,
+          details: {
+            resource: 'session',
+            id: sessionId,
+            userId: id,
+            requestId
+          }
+        });
+      }
+
+      logger.info('User session ended', {
+        requestId,
+        userId: id,
+        sessionId,
+        type: session.type
+      });
+
+      res.status(StatusCodes.OK).json({
+        success: true,
+        data: session,
+        message: 'Session ended successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error in end user session endpoint', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id
+      });
+
+      next(error);
+    }
+  }
+);
+
+/**
+ * Reset User MFA Endpoint
+ * 
+ * DELETE /api/users/:id/mfa
+ * 
+ * Permission: users:reset-mfa (administrators only)
+ * 
+ * Turns off the multi-factor authentication of a user who lost both their
+ * authenticator app and their recovery codes, or cancels a pending
+ * enrollment. The user then logs in with their password alone and can enroll
+ * again at /api/mfa/enrollment; if the MFA policy covers their role they
+ * have to. Sessions of the user are left alone; end them at
+ * /api/users/:id/sessions when the account may be compromised.
+ * 
+ * Route Parameters:
+ * - id: User UUID (required, valid UUID format)
+ * 
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: { userId: "uuid", mfaEnabled: false, previousStatus: "enabled|pending" },
+ *   message: "MFA reset successfully"
+ * }
+ * 
+ * Status Codes:
+ * - 200 OK: MFA turned off
+ * - 400 Bad Request: Invalid ID format
+ * - 404 Not Found: User not found, or the user has no MFA enrolled
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.delete('/users/:id/mfa',
+  validateId('id', { type: 'uuid' }),
+  authorize('users:reset-mfa', { target: 'id' }),
+  idempotency(),
+  async (req, res, next) => {
+    const requestId = req.id || uuid();
+
+    try {
+      const { id } = req.params;
+
+      logger.info('Reset user MFA endpoint accessed', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        userId: id,
+        clientIp: req.ip || req.connection.remoteAddress
+      });
+
+      if (!await userRepository.findById(id)) {
+        return next({
+          type: 'ResourceNotFound',
+          message: `User not found with ID: ${id}`,
+          statusCode: StatusCodes.NOT_FOUND,
+          details: {
+            resource: 'user',
+            id: id,
+            requestId
+          }
+        });
+      }
+
+      const factor = await mfaService.disable(id);
+
+      if (!factor) {
+        return next({
+          type: 'ResourceNotFound',
+          message: `User ${id} has no multi-factor authentication to reset`,
+          statusCode: StatusCodes.NOT_FOUND,
+          details: {
+            resource: 'mfa',
+            id: id,
+            requestId
+          }
+        });
+      }
+
+      logger.warn('User MFA reset by administrator', {
+        requestId,
+        userId: id,
+        previousStatus: factor.status,
+        resetBy: req.user ? req.user.id : null
+      });
+
+      res.status(StatusCodes.OK).json({
+        success: true,
+        data: {
+          userId: id,
+          mfaEnabled: false,
+          previousStatus: factor.status
+        },
+        message: 'MFA reset successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error in reset user MFA endpoint', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id
+      });
+
+      next(error);
+    }
+  }
+);
+
+/**
+ * Unlock User Endpoint
+ * 
+ * POST /api/users/:id/unlock
+ * 
+ * Permission: users:unlock (administrators only)
+ * 
+ * Lifts the lock that repeated wrong passwords put on a user's email and
+ * forgets the failures counted so far, so that the next lock starts again at
+ * the shortest duration. With an ip in the body the lock and failures of that
+ * client IP (reason ip_locked, clientIp in the logs) are lifted as well.
+ * Answers 200 whether or not the user was locked; data.wasLocked tells which.
+ * 
+ * Route Parameters:
+ * - id: User UUID (required, valid UUID format)
+ * 
+ * Request Body (optional):
+ * - ip: Client IP address to unlock as well
+ * 
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: {
+ *     userId: "uuid",
+ *     wasLocked: true,
+ *     lockedUntil: "ISO timestamp",   (end of the lifted lock, null if none)
+ *     failures: 0,                    (failures counted since the last lock)
+ *     ipLock: {                       (null without an ip in the body)
+ *       ip: "203.0.113.7",
+ *       wasLocked: true,
+ *       lockedUntil: "ISO timestamp",
+ *       failures: 20
+ *     }
+ *   },
+ *   message: "User unlocked successfully"
+ * }
+ * 
+ * Status Codes:
+ * - 200 OK: Lock and failures cleared
+ * - 400 Bad Request: Invalid ID format
+ * - 404 Not Found: User not found
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/users/:id/unlock',
+  validateId('id', { type: 'uuid' }),
+  authorize('users:unlock', { target: 'id' }),
+  idempotency(),
+  validateBody({
+    ip: Joi.string().trim().ip({ cidr: 'forbidden' })
+  }),
+  async (req, res, next) => {
+    const requestId = req.id || uuid();
+
+    try {
+      const { id } = req.params;
+
+      logger.info('Unlock user endpoint accessed', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        userId: id,
+        clientIp: req.ip || req.connection.remoteAddress
+      });
+
+      const user = await userRepository.findById(id);
+
+      if (!user) {
+        return next({
+          type: 'ResourceNotFound',
+          message: `User not found with ID: ${id}`,
+          statusCode: StatusCodes.NOT_FOUND,
+          details: {
+            resource: 'user',
+            id: id,
+            requestId
+          }
+        });
+      }
+
+      const previous = await lockoutService.unlockAccount(user.email);
+      const { ip } = req.body;
+      const previousIp = ip ? await lockoutService.unlockIp(ip) : null;
+
+      logger.warn('User login lockout cleared by administrator', {
+        requestId,
+        userId: id,
+        wasLocked: previous.locked,
+        lockedUntil: previous.lockedUntil,
+        failures: previous.failures,
+        unlockedBy: req.user ? req.user.id : null
+      });
+
+      if (previousIp) {
+        logger.warn('Client IP login lockout cleared by administrator', {
+          requestId,
+          clientIp: ip,
+          wasLocked: previousIp.locked,
+          lockedUntil: previousIp.lockedUntil,
+          failures: previousIp.failures,
+          unlockedBy: req.user ? req.user.id : null
+        });
+      }
+
+      res.status(StatusCodes.OK).json({
+        success: true,
+        data: {
+          userId: id,
+          wasLocked: previous.locked,
+          lockedUntil: previous.lockedUntil,
+          failures: previous.failures,
+          ipLock: previousIp && {
+            ip,
+            wasLocked: previousIp.locked,
+            lockedUntil: previousIp.lockedUntil,
+            failures: previousIp.failures
+          }
+        },
+        message: 'User unlocked successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error in unlock user endpoint', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id
+      });
+
+      next(error);
+    }
+  }
+);
+
+/**
+ * Client-facing description of each refused transition
+ */
+const TRANSITION_REFUSALS = {
+  own_account: action => `You cannot ${action} your own account`,
+  verification_required: () => 'A pending user becomes active by verifying their email address',
+  transition_not_allowed: (action, status) => `Cannot ${action} a user whose status is ${status}`
+};
+
+/**
+ * Middleware shared by the status transition endpoints
+ */
+const statusTransitionMiddleware = [
+  validateId('id', { type: 'uuid' }),
+  authorize('users:change-status', { target: 'id' }),
+  idempotency(),
+  checkIfMatch(),
+  validateBody({
+    reason: Joi.string().trim().min(1).max(500).required()
+  })
+];
+
+/**
+ * Create the handler of a status transition endpoint
+ *
+ * @param {string} action - Key of STATUS_TRANSITIONS in services/userStatus.js
+ * @returns {Function} Express route handler
+ */
+function statusTransitionHandler(action) {
+  return async (req, res, next) => {
+    const requestId = req.id || uuid();
+
+    try {
+      const { id } = req.params;
+
+      logger.info('User status transition endpoint accessed', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        userId: id,
+        action,
+        clientIp: req.ip || req.connection.remoteAddress
+      });
+
+      const existingUser = await userRepository.findById(id);
+
+      if (!existingUser) {
+        return next({
+          type: 'ResourceNotFound',
+          message: `User not found with ID: ${id}`,
+          statusCode: StatusCodes.NOT_FOUND,
+          details: {
+            resource: 'user',
+            id: id,
+            operation: action,
+            requestId
+          }
+        });
+      }
+
+      // Reject the transition when the client's copy is out of date
+      const { expectedVersion, error: preconditionError } = resolvePrecondition(req, existingUser);
+      if (preconditionError) {
+        logger.warn('User status transition rejected - version mismatch', {
+          requestId,
+          userId: id,
+          action,
+          ifMatch: req.get('If-Match'),
+          currentVersion: preconditionError.details.currentVersion
+        });
+
+        return next(preconditionError);
+      }
+
+      const result = await changeStatus(id, action, {
+        reason: req.body.reason,
+        actor: req.user,
+        updatedBy: actorId(req),
+        audit: auditContext(req, requestId),
+        expectedVersion
+      });
+
+      if (result.reason === 'not_found') {
+        return next({
+          type: 'ResourceNotFound',
+          message: `User not found with ID: ${id}`,
+          statusCode: StatusCodes.NOT_FOUND,
+          details: {
+            resource: 'user',
+            id: id,
+            operation: action,
+            requestId
+          }
+        });
+      }
+
+      if (result.reason === 'rule_violation') {
+        return next(result.error);
+      }
+
+      if (result.reason) {
+        logger.warn('User status transition refused', {
+          requestId,
+          userId: id,
+          action,
+          reason: result.reason,
+          currentStatus: result.user.status
+        });
+
+        return next({
+          type: 'ResourceConflict',
+          message: TRANSITION_REFUSALS[result.reason](action, result.user.status),
+          statusCode: StatusCodes.CONFLICT,
+          details: {
+            resource: 'user',
+            id: id,
+            action,
+            reason: result.reason,
+            currentStatus: result.user.status,
+            allowedTransitions: result.allowed,
+            requestId
+          }
+        });
+      }
+
+      const { user, from, sessionsEnded } = result;
+
+      logger.warn('User status changed', {
+        requestId,
+        userId: id,
+        action,
+        from,
+        to: user.status,
+        sessionsEnded,
+        changedBy: actorId(req),
+        version: user.version
+      });
+
+      setEntityTag(res, user);
+      res.status(StatusCodes.OK).json({
+        success: true,
+        data: user,
+        message: `User status changed from ${from} to ${user.status}`
+      });
+
+    } catch (error) {
+      logger.error('Error in user status transition endpoint', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id,
+        action
+      });
+
+      next(error);
+    }
+  };
+}
+
+/**
+ * User Status Transition Endpoints
+ * 
+ * POST /api/users/:id/activate
+ * POST /api/users/:id/deactivate
+ * POST /api/users/:id/suspend
+ * 
+ * Permission: users:change-status
+ * 
+ * Move a user to another status. Each endpoint accepts users in some
+ * statuses only:
+ * 
+ *   endpoint     new status   allowed from
+ *   activate     active       inactive, suspended
+ *   deactivate   inactive     active, pending, suspended
+ *   suspend      suspended    active
+ * 
+ * Pending users become active by verifying their email address, so activate
+ * refuses them. Callers cannot deactivate or suspend their own account.
+ * Deactivating or suspending a user ends all of their sessions; a suspended
+ * user is refused at login with the reason account_suspended.
+ * 
+ * The transition is recorded in the user's change history with the action
+ * "status", the reason and the actor.
+ * 
+ * Route Parameters:
+ * - id: User UUID (required, valid UUID format)
+ * 
+ * Headers:
+ * - If-Match: Current ETag of the user (required when config.api.requireIfMatch is set)
+ * - Idempotency-Key: Unique key making the request safe to retry (optional)
+ * 
+ * Request Body:
+ * {
+ *   reason: "string" (required, 1-500 characters)
+ * }
+ * 
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: { id: "uuid", status: "suspended", version: 4, ... },
+ *   message: "User status changed from active to suspended"
+ * }
+ * 
+ * Error details of a refused transition:
+ * {
+ *   reason: "transition_not_allowed",   (or own_account, verification_required)
+ *   currentStatus: "inactive",
+ *   allowedTransitions: [{ action: "activate", to: "active" }]
+ * }
+ * 
+ * Status Codes:
+ * - 200 OK: Status changed
+ * - 400 Bad Request: Invalid ID format or missing reason
+ * - 404 Not Found: User not found with specified ID
+ * - 409 Conflict: The transition is not allowed from the user's status
+ * - 422 Unprocessable Entity: A business rule was broken, e.g. the user is the
+ *   last active administrator (details.rule last-active-admin)
+ * - 412 Precondition Failed: If-Match does not match the current ETag
+ * - 428 Precondition Required: If-Match missing while required
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/users/:id/activate', statusTransitionMiddleware, statusTransitionHandler('activate'));
+router.post('/users/:id/deactivate', statusTransitionMiddleware, statusTransitionHandler('deactivate'));
+router.post('/users/:id/suspend', statusTransitionMiddleware, statusTransitionHandler('suspend'));
+
+/**
+ * User Change History Endpoint
+ * 
+ * GET /api/users/:id/history
+ * 
+ * Permission: users:history (users:history:own for the caller's own account)
+ * 
+ * Lists the change history of a user: one entry per create, update, delete,
+ * restore, purge and status transition, each with the version it produced,
+ * the actor, the request ID and a field-level diff; status entries also
+ * carry the reason given for the transition. Entries stay available after the user
+ * is moved to the trash or purged. Snapshots are left out of the list; fetch
+ * a single version to see the user as it was.
+ * 
+ * Route Parameters:
+ * - id: User UUID (required, valid UUID format)
+ * 
+ * Query Parameters:
+ * - page: Page number (optional, default: 1)
+ * - limit: Entries per page (optional, default: 20, max: 100)
+ * - offset: Number of entries to skip (optional, alternative to page)
+ * - order: Version order, asc or desc (optional, default: desc)
+ * - filter[...], q: Filters in the language of GET /api/users on action (create,
+ *   update, delete, restore, purge, status; eq, ne, in, nin) and timestamp (date operators),
+ *   e.g. filter[action][in]=delete,restore
+ * 
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: {
+ *     userId: "uuid",
+ *     entries: [{
+ *       version: 2,
+ *       action: "update",
+ *       timestamp: "ISO timestamp",
+ *       actor: { type: "api", ip: "127.0.0.1" },
+ *       requestId: "uuid",
+ *       changes: [{ field: "role", op: "changed", from: "user", to: "moderator" }]
+ *     }],
+ *     pagination: { page, offset, limit, total, totalPages, hasNext, hasPrev, order }
+ *   },
+ *   message: "User history retrieved successfully"
+ * }
+ * 
+ * Status Codes:
+ * - 200 OK: History returned successfully
+ * - 400 Bad Request: Invalid ID format or query parameters
+ * - 404 Not Found: No history and no user with this ID
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.get('/users/:id/history',
+  validateId('id', { type: 'uuid' }),
+  authorize('users:history', { target: 'id' }),
+  validatePagination({
+    allowedSortFields: ['version'],
+    defaultSort: 'version',
+    defaultOrder: 'desc',
+    maxLimit: 100,
+    defaultLimit: 20,
+    filterFields: {
+      action: { type: 'string', values: HISTORY_ACTIONS },
+      timestamp: { type: 'date' }
+    }
+  }),
+  async (req, res, next) => {
+    const requestId = req.id || uuid();
+
+    try {
+      logger.info('User history endpoint accessed', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id,
+        queryParams: req.query,
+        clientIp: req.ip || req.connection.remoteAddress
+      });
+
+      const { id } = req.params;
+      const { page = 1, limit = 20, offset = 0, order = 'desc', filter } = req.query;
+
+      const result = await historyRepository.list(id, { offset, limit, order, filter });
+
+      // Users from before the history was kept have no entries but still exist
+      if (result.total === 0 && !(await userRepository.findById(id, { includeDeleted: true }))) {
+        const notFoundError = {
+          type: 'ResourceNotFound',
+          message: `User not found with ID: ${id}`,
+          statusCode: StatusCodes.NOT_FOUND,
+          details: {
+            resource: 'user',
+            id: id,
+            requestId
+          }
+        };
+
+        logger.warn('User not found for history retrieval', {
+          requestId,
+          userId: id,
+          error: notFoundError
+        });
+
+        return next(notFoundError);
+      }
+
+      const response = {
         success: true,
-        data: updatedUser,
-        message: 'User updated successfully'
+        data: {
+          userId: id,
+          entries: result.entries,
+          pagination: {
+            page: parseInt(page),
+            offset: parseInt(offset),
+            limit: parseInt(limit),
+            total: result.total,
+            totalPages: Math.ceil(result.total / limit),
+            hasNext: result.hasNext,
+            hasPrev: result.hasPrev,
+            order
+          }
+        },
+        message: `User history retrieved successfully. Found ${result.entries.length} entries.`
       };
 
-      logger.info('User updated successfully', {
+      logger.info('User history returned successfully', {
         requestId,
-        userId: updatedUser.id,
-        updatedFields: Object.keys(updateData),
-        email: updatedUser.email,
-        role: updatedUser.role
+        userId: id,
+        entryCount: result.entries.length,
+        totalEntries: result.total
       });
 
       res.status(StatusCodes.OK).json(response);
 
     } catch (error) {
-      logger.error('Error in update user endpoint', {
+      logger.error('Error in user history endpoint', {
         requestId,
         error: error.message,
         stack: error.stack,
         method: req.method,
         path: req.path,
+        userId: req.params.id
+      });
+
+      next(error);
+    }
+  }
+);
+
+/**
+ * User Version Endpoint
+ * 
+ * GET /api/users/:id/history/:version
+ * 
+ * Permission: users:history (users:history:own for the caller's own account)
+ * 
+ * Returns one history entry together with a snapshot of the user as it was
+ * at that version. The snapshot covers the account record; profiles are
+ * versioned separately. A purge entry has a null snapshot.
+ * 
+ * Route Parameters:
+ * - id: User UUID (required, valid UUID format)
+ * - version: User version (required, positive integer)
+ * 
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: {
+ *     userId: "uuid",
+ *     version: 2,
+ *     action: "update",
+ *     timestamp: "ISO timestamp",
+ *     actor: { type: "api", ip: "127.0.0.1" },
+ *     requestId: "uuid",
+ *     changes: [{ field, op, from, to }],
+ *     user: { id, name, email, role, status, ..., version: 2 }
+ *   },
+ *   message: "User version retrieved successfully"
+ * }
+ * 
+ * Status Codes:
+ * - 200 OK: Version returned successfully
+ * - 400 Bad Request: Invalid ID or version format
+ * - 404 Not Found: No history entry for this user and version
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.get('/users/:id/history/:version',
+  validateParams({
+    id: Joi.string().uuid().required(),
+    version: Joi.number().integer().min(1).required()
+  }),
+  authorize('users:history', { target: 'id' }),
+  async (req, res, next) => {
+    const requestId = req.id || uuid();
+
+    try {
+      logger.info('User version endpoint accessed', {
+        requestId,
+        method: req.method,
+        path: req.path,
         userId: req.params.id,
-        requestBody: req.body
+        version: req.params.version,
+        clientIp: req.ip || req.connection.remoteAddress
+      });
+
+      const { id, version } = req.params;
+
+      const entry = await historyRepository.findVersion(id, version);
+
+      if (!entry) {
+        const notFoundError = {
+          type: 'ResourceNotFound',
+          message: `Version ${version} not found for user ${id}`,
+          statusCode: StatusCodes.NOT_FOUND,
+          details: {
+            resource: 'user',
+            id: id,
+            version,
+            reason: 'version_not_found',
+            requestId
+          }
+        };
+
+        logger.warn('User version not found', {
+          requestId,
+          userId: id,
+          version
+        });
+
+        return next(notFoundError);
+      }
+
+      const { snapshot, ...details } = entry;
+
+      const response = {
+        success: true,
+        data: {
+          userId: id,
+          ...details,
+          user: snapshot
+        },
+        message: 'User version retrieved successfully'
+      };
+
+      logger.info('User version retrieved successfully', {
+        requestId,
+        userId: id,
+        version
+      });
+
+      res.status(StatusCodes.OK).json(response);
+
+    } catch (error) {
+      logger.error('Error in user version endpoint', {
+        requestId,
+        error: error.message,
+        stack: error.stack,
+        method: req.method,
+        path: req.path,
+        userId: req.params.id
       });
 
       next(error);
@@ -706,76 +3405,71 @@ router.put('/users/:id',
 );
 
 /**
- * Delete User Endpoint
+ * Restore User Endpoint
  * 
- * DELETE /api/users/:id
+ * POST /api/users/:id/restore
  * 
- * Deletes a user by their unique identifier. Validates the ID parameter
- * and performs soft or hard deletion based on business requirements.
- * Returns confirmation of deletion or appropriate error response.
+ * Permission: users:restore
+ * 
+ * Moves a soft-deleted user out of the trash, making it visible to normal
+ * reads again. The deletion audit record is kept on the restored user under
+ * restoration.previousDeletion. Restoring fails when another user has taken
+ * the email address in the meantime.
  * 
  * Route Parameters:
  * - id: User UUID (required, valid UUID format)
  * 
- * Query Parameters:
- * - hard: Boolean flag for hard deletion (optional, default: false)
- * - reason: Deletion reason for audit trail (optional)
+ * Headers:
+ * - If-Match: Current ETag of the trashed user (required when config.api.requireIfMatch is set)
  * 
  * Response Format:
  * {
  *   success: true,
  *   data: {
  *     id: "uuid",
- *     deletedAt: "ISO timestamp",
- *     deletionType: "soft|hard",
- *     reason: "deletion reason"
+ *     ...user fields,
+ *     restoration: {
+ *       restoredAt: "ISO timestamp",
+ *       restoredBy: "api",
+ *       requestId: "uuid",
+ *       previousDeletion: { deletedAt, reason, deletedBy, requestId }
+ *     }
  *   },
- *   message: "User deleted successfully"
+ *   message: "User restored successfully"
  * }
  * 
  * Status Codes:
- * - 200 OK: User deleted successfully
+ * - 200 OK: User restored successfully
  * - 400 Bad Request: Invalid ID format
- * - 404 Not Found: User not found with specified ID
- * - 422 Unprocessable Entity: User cannot be deleted due to business rules
+ * - 404 Not Found: No user with this ID exists
+ * - 409 Conflict: The user is not in the trash
+ * - 412 Precondition Failed: If-Match does not match the current ETag
+ * - 422 Unprocessable Entity: The email address is now used by another user
+ * - 428 Precondition Required: If-Match missing while required
  * - 500 Internal Server Error: Unexpected server error
  */
-router.delete('/users/:id', 
+router.post('/users/:id/restore',
   validateId('id', { type: 'uuid' }),
-  validateQuery({
-    hard: require('joi').boolean().default(false).optional(),
-    reason: require('joi').string().max(200).trim().optional()
-  }),
-  (req, res, next) => {
+  authorize('users:restore', { target: 'id', includeDeleted: true }),
+  idempotency(),
+  checkIfMatch(),
+  async (req, res, next) => {
     const requestId = req.id || uuid();
-    
+
     try {
-      logger.info('Delete user endpoint accessed', {
+      logger.info('Restore user endpoint accessed', {
         requestId,
         method: req.method,
         path: req.path,
         userId: req.params.id,
-        hardDelete: req.query.hard,
-        reason: req.query.reason,
         clientIp: req.ip || req.connection.remoteAddress
       });
 
       const { id } = req.params;
-      const { hard = false, reason } = req.query;
-      
-      // Simulate user lookup
-      const existingUser = {
-        id: id,
-        name: 'User to Delete',
-        email: 'delete@example.com',
-        role: 'user',
-        status: 'active',
-        createdAt: '2023-01-15T10:30:00.000Z',
-        updatedAt: '2023-11-01T12:00:00.000Z'
-      };
 
-      // Check if user exists
-      if (!existingUser && id !== '123e4567-e89b-12d3-a456-426614174000') {
+      const existingUser = await userRepository.findById(id, { includeDeleted: true });
+
+      if (!existingUser) {
         const notFoundError = {
           type: 'ResourceNotFound',
           message: `User not found with ID: ${id}`,
@@ -783,81 +3477,99 @@ router.delete('/users/:id',
           details: {
             resource: 'user',
             id: id,
-            operation: 'delete',
+            operation: 'restore',
             requestId
           }
         };
-        
-        logger.warn('User not found for deletion', {
+
+        logger.warn('User not found for restore', {
           requestId,
           userId: id,
           error: notFoundError
         });
-        
+
         return next(notFoundError);
       }
 
-      // Business logic: prevent deletion of admin users
-      if (existingUser.role === 'admin') {
-        const businessError = {
-          type: 'BusinessLogicError',
-          message: 'Admin users cannot be deleted',
-          statusCode: StatusCodes.UNPROCESSABLE_ENTITY,
+      if (!existingUser.deletedAt) {
+        const conflictError = {
+          type: 'ResourceConflict',
+          message: 'User is not in the trash',
+          statusCode: StatusCodes.CONFLICT,
           details: {
             resource: 'user',
             id: id,
-            role: existingUser.role,
-            reason: 'admin_protection',
+            reason: 'not_deleted',
             requestId
           }
         };
-        
-        logger.warn('Admin user deletion blocked', {
+
+        logger.warn('User restore rejected - user is not deleted', {
+          requestId,
+          userId: id
+        });
+
+        return next(conflictError);
+      }
+
+      // Reject the restore when the client's copy is out of date
+      const { expectedVersion, error: preconditionError } = resolvePrecondition(req, existingUser);
+      if (preconditionError) {
+        logger.warn('User restore rejected - version mismatch', {
           requestId,
           userId: id,
-          userRole: existingUser.role,
-          error: businessError
+          ifMatch: req.get('If-Match'),
+          currentVersion: preconditionError.details.currentVersion
         });
-        
-        return next(businessError);
+
+        return next(preconditionError);
       }
 
-      // Perform deletion (simulated)
-      const deletionResult = {
-        id: id,
-        deletedAt: new Date().toISOString(),
-        deletionType: hard ? 'hard' : 'soft',
-        reason: reason || 'No reason provided',
-        deletedBy: 'api',
-        requestId,
-        originalData: hard ? null : existingUser // Keep original data for soft deletes
-      };
+      const restoredUser = await userRepository.restore(id, {
+        restoredBy: actorId(req),
+        requestId
+      }, { expectedVersion, audit: auditContext(req, requestId) });
+
+      // The user may have been restored or purged since it was read
+      if (!restoredUser) {
+        return next({
+          type: 'ResourceConflict',
+          message: 'User is no longer in the trash',
+          statusCode: StatusCodes.CONFLICT,
+          details: {
+            resource: 'user',
+            id: id,
+            reason: 'not_deleted',
+            requestId
+          }
+        });
+      }
 
       const response = {
         success: true,
-        data: deletionResult,
-        message: `User ${hard ? 'permanently deleted' : 'deleted'} successfully`
+        data: restoredUser,
+        message: 'User restored successfully'
       };
 
-      logger.info('User deleted successfully', {
+      logger.info('User restored successfully', {
         requestId,
         userId: id,
-        deletionType: deletionResult.deletionType,
-        reason: deletionResult.reason,
-        userName: existingUser.name
+        deletedAt: existingUser.deletedAt,
+        deletionReason: existingUser.deletion && existingUser.deletion.reason,
+        version: restoredUser.version
       });
 
+      setEntityTag(res, restoredUser);
       res.status(StatusCodes.OK).json(response);
 
     } catch (error) {
-      logger.error('Error in delete user endpoint', {
+      logger.error('Error in restore user endpoint', {
         requestId,
         error: error.message,
         stack: error.stack,
         method: req.method,
         path: req.path,
-        userId: req.params.id,
-        queryParams: req.query
+        userId: req.params.id
       });
 
       next(error);
@@ -865,6 +3577,146 @@ router.delete('/users/:id',
   }
 );
 
+/**
+ * Batch Request Endpoint
+ * 
+ * POST /api/batch
+ * 
+ * Permission: batch:run; every operation is authorized on its own as well
+ * 
+ * Runs several API operations in one HTTP request. Each operation is
+ * dispatched through this router exactly like an individual call, so the
+ * usual validation, preconditions and error responses apply, and produces
+ * one entry in the results. Operations run sequentially, in order.
+ * 
+ * Request Body:
+ * {
+ *   operations: [                       (required, 1 to API_BATCH_MAX_OPERATIONS)
+ *     {
+ *       id: "newUser",                  (optional, names the operation for references)
+ *       method: "POST",                 (GET, POST, PUT, PATCH or DELETE)
+ *       path: "/api/users",             (absolute API path, query string allowed)
+ *       headers: { "If-Match": "..." }, (optional)
+ *       body: { ... }                   (optional, JSON unless a Content-Type header says otherwise)
+ *     },
+ *     {
+ *       method: "PATCH",
+ *       path: "/api/users/{{newUser.body.data.id}}",
+ *       headers: { "If-Match": "{{newUser.headers.etag}}" },
+ *       body: { "name": "Renamed User" }
+ *     }
+ *   ],
+ *   transaction: false                  (optional, all-or-nothing execution)
+ * }
+ * 
+ * References:
+ * {{<id>.<path>}} placeholders in an operation's path, headers or body are
+ * replaced with values from the response of an earlier operation, addressed
+ * as { status, headers, body }. Header names are lower case. An operation
+ * that depends on a failed operation is answered with 424 Failed Dependency.
+ * 
+ * Transactions:
+ * With transaction: true the first failing operation stops the batch, the
+ * changes made by earlier operations are discarded, and the endpoint answers
+ * 422 with the results so far in error.details. A transaction that overlaps
+ * with changes made by other requests is not committed (409).
+ * 
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: {
+ *     results: [{ index: 0, id: "newUser", status: 201, headers: { ... }, body: { ... } }, ...],
+ *     summary: { total, succeeded, failed, skipped, transaction, committed }
+ *   },
+ *   message: "Batch completed: 2 succeeded, 0 failed"
+ * }
+ * 
+ * Status Codes:
+ * - 200 OK: Batch executed (individual operations may still have failed)
+ * - 400 Bad Request: Invalid batch document, unknown or forward references
+ * - 409 Conflict: Transaction not committed because a user or other record it
+ *   read or wrote was changed by another request meanwhile
+ * - 422 Unprocessable Entity: Transaction rolled back because an operation failed
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/batch', authorize('batch:run'), idempotency(), validateBody({
+  operations: Joi.array().items(Joi.object({
+    id: Joi.string().pattern(/^[A-Za-z][\w-]*$/, 'operation id').max(64).optional(),
+    method: Joi.string().uppercase().valid('GET', 'POST', 'PUT', 'PATCH', 'DELETE').required(),
+    path: Joi.string().pattern(/^\/api\//, 'absolute API path').max(2048).required(),
+    headers: Joi.object().pattern(/^[\w-]+$/, Joi.string().max(8192)).optional(),
+    body: Joi.any().optional()
+  })).min(1).max(config.api.batchMaxOperations).required(),
+  transaction: Joi.boolean().default(false)
+}, {
+  // Operation bodies are sanitized by the validation of the operation's own route
+  sanitize: false,
+  customValidator: async (body) => {
+    const seen = new Set();
+
+    for (const [index, operation] of body.operations.entries()) {
+      if (isBatchPath(operation.path)) {
+        return `Operation ${index} is a batch request; batches cannot be nested`;
+      }
+
+      const references = findReferences([operation.path, operation.headers, operation.body]);
+      const unknown = references.find(reference => !seen.has(reference));
+      if (unknown) {
+        return `Operation ${index} references "${unknown}", which is not the id of an earlier operation`;
+      }
+
+      if (operation.id) {
+        if (seen.has(operation.id)) {
+          return `Operation id "${operation.id}" is used more than once`;
+        }
+        seen.add(operation.id);
+      }
+    }
+
+    return true;
+  }
+}), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { operations, transaction } = req.body;
+
+    logger.info('Batch endpoint accessed', {
+      requestId,
+      method: req.method,
+      path: req.path,
+      operationCount: operations.length,
+      transaction,
+      clientIp: req.ip || req.connection.remoteAddress
+    });
+
+    const report = await runBatch(operations, {
+      handler: router,
+      parentReq: req,
+      transaction
+    });
+
+    const response = {
+      success: true,
+      data: report,
+      message: `Batch completed: ${report.summary.succeeded} succeeded, ${report.summary.failed} failed`
+    };
+
+    res.status(StatusCodes.OK).json(response);
+
+  } catch (error) {
+    logger.error('Error in batch endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
 /**
  * API Health Check Endpoint
  * 
@@ -0,0 +1,1146 @@
+/**
+ * Authentication Routes Module
+ *
+ * Issues and renews the credentials required by the user and batch endpoints
+ * of the API. Mounted at /api/auth, ahead of the API router.
+ *
+ * A login returns two tokens:
+ * - accessToken: Short-lived signed token (config.auth.accessTokenTtl, 15
+ *   minutes by default) sent as "Authorization: Bearer <token>" on API calls
+ * - refreshToken: Opaque single-use token (config.auth.refreshTokenTtl, 7
+ *   days by default) exchanged at /api/auth/refresh for a new pair
+ *
+ * Refresh tokens rotate: each one can be used once. Using a refresh token a
+ * second time revokes the whole session, since only a copied token can be
+ * presented after it was rotated; clients must therefore store the refresh
+ * token returned by every refresh and must not refresh concurrently.
+ *
+ * Browser clients can sign in with a cookie session instead
+ * (config.security.session): POST /api/auth/session sets an HttpOnly session
+ * cookie and returns the CSRF token that cookie-authenticated requests with
+ * unsafe methods must send in the X-CSRF-Token header. The session lives on
+ * the server and ends after config.security.session.maxAge without requests,
+ * at logout, or when it is revoked at /api/users/:id/sessions.
+ *
+ * Supported Endpoints:
+ * - POST /api/auth/login - Exchange email and password for tokens
+ * - POST /api/auth/refresh - Exchange a refresh token for new tokens
+ * - POST /api/auth/session - Exchange email and password for a session cookie
+ * - POST /api/auth/mfa/verify - Complete a login with a second factor
+ * - GET /api/auth/session - Describe the current cookie session
+ * - POST /api/auth/logout - End a session
+ * - POST /api/auth/forgot-password - Mail a password reset link
+ * - POST /api/auth/reset-password - Set a new password with a reset token
+ * - POST /api/auth/verify-email - Activate a pending user with a verification token
+ * - POST /api/auth/verify-email/resend - Mail a new verification link
+ *
+ * Users who turned on multi-factor authentication (see /api/mfa) get an MFA
+ * challenge from either login instead of tokens or a cookie, and complete
+ * the login at /api/auth/mfa/verify with a code from their authenticator app
+ * or a recovery code.
+ *
+ * Repeated wrong passwords lock the email, and from one client IP the IP,
+ * for a growing time (config.auth.lockout); both logins then answer 429 with
+ * Retry-After until the lock ends or an administrator unlocks the account
+ * at POST /api/users/:id/unlock.
+ *
+ * Password reset and email verification mail single-use links through the
+ * transport of mail/index.js; see services/accountService.js. The endpoints
+ * that take an email address answer 202 whether or not it has an account.
+ *
+ * Token responses carry Cache-Control: no-store so that no intermediary keeps
+ * them. Rotation, reuse detection and password checks live in
+ * services/authService.js.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { StatusCodes } = require('http-status-codes');
+const { v4: uuid } = require('uuid');
+
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const { sessionCookieOptions, csrfTokenFor } = require('../utils/cookies');
+const { validateBody } = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
+const authService = require('../services/authService');
+const accountService = require('../services/accountService');
+const { userPasswordSchema } = require('../schemas/user');
+const { sessionRepository } = require('../repositories');
+
+const router = express.Router();
+
+/**
+ * Body of the login endpoints
+ */
+const credentialsSchema = {
+  email: Joi.string().email().trim().lowercase().required(),
+  password: Joi.string().max(128).required()
+};
+
+/**
+ * Build the error of a refused login and log it
+ *
+ * @param {string} reason - invalid_credentials, email_not_verified,
+ *   account_suspended, account_inactive or locked
+ * @param {Object} context - { requestId, email, user, client }, and
+ *   { lockReason, lockedUntil } for locked
+ * @returns {Object} Structured error for the global error handler
+ */
+function loginError(reason, context) {
+  const { requestId, email, user, client, lockReason, lockedUntil } = context;
+
+  if (reason === 'locked') {
+    logger.warn('Login refused - locked after repeated failures', {
+      requestId,
+      email,
+      userId: user ? user.id : null,
+      lockReason,
+      lockedUntil,
+      clientIp: client.ip
+    });
+
+    return {
+      type: 'RATE_LIMIT_ERROR',
+      message: 'Too many failed logins; try again later',
+      statusCode: StatusCodes.TOO_MANY_REQUESTS,
+      resetTime: Date.parse(lockedUntil),
+      details: {
+        reason: lockReason,
+        retryAt: lockedUntil,
+        requestId
+      }
+    };
+  }
+
+  if (reason === 'email_not_verified') {
+    logger.warn('Login failed - email not verified', {
+      requestId,
+      userId: user.id,
+      clientIp: client.ip
+    });
+
+    return {
+      type: 'AuthorizationError',
+      message: 'Confirm your email address with the link sent to it before logging in',
+      statusCode: StatusCodes.FORBIDDEN,
+      details: {
+        reason,
+        requestId
+      }
+    };
+  }
+
+  if (reason === 'account_suspended') {
+    logger.warn('Login failed - account suspended', {
+      requestId,
+      userId: user.id,
+      clientIp: client.ip
+    });
+
+    return {
+      type: 'AuthorizationError',
+      message: 'Account is suspended',
+      statusCode: StatusCodes.FORBIDDEN,
+      details: {
+        reason,
+        requestId
+      }
+    };
+  }
+
+  if (reason === 'account_inactive') {
+    logger.warn('Login failed - account not active', {
+      requestId,
+      userId: user.id,
+      status: user.status,
+      clientIp: client.ip
+    });
+
+    return {
+      type: 'AuthorizationError',
+      message: 'Account is not active',
+      statusCode: StatusCodes.FORBIDDEN,
+      details: {
+        reason,
+        requestId
+      }
+    };
+  }
+
+  logger.warn('Login failed - invalid credentials', {
+    requestId,
+    email,
+    userId: user ? user.id : null,
+    clientIp: client.ip
+  });
+
+  return {
+    type: 'AuthenticationError',
+    message: 'Invalid email or password',
+    statusCode: StatusCodes.UNAUTHORIZED,
+    details: {
+      reason,
+      requestId
+    }
+  };
+}
+
+/**
+ * Answer a login that passed the password step with an MFA challenge
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} challenge - Challenge from authService
+ * @param {Object} context - { requestId, user, client } for the log
+ */
+function sendMfaChallenge(res, challenge, context) {
+  const { requestId, user, client } = context;
+
+  logger.info('Login awaiting second factor', {
+    requestId,
+    userId: user.id,
+    clientIp: client.ip
+  });
+
+  res.set('Cache-Control', 'no-store');
+  res.status(StatusCodes.OK).json({
+    success: true,
+    data: challenge,
+    message: 'Second factor required; complete the login at /api/auth/mfa/verify'
+  });
+}
+
+/**
+ * Build the error of a rejected second login step
+ *
+ * @param {Object} result - Failed result of authService.completeMfaLogin()
+ * @param {string} requestId - Request ID for error details
+ * @returns {Object} Structured error for the global error handler
+ */
+function mfaLoginError(result, requestId) {
+  const { reason, lockedUntil } = result;
+
+  if (reason === 'locked') {
+    return {
+      type: 'RATE_LIMIT_ERROR',
+      message: 'Too many wrong codes; try again later',
+      statusCode: StatusCodes.TOO_MANY_REQUESTS,
+      resetTime: Date.parse(lockedUntil),
+      details: {
+        reason: 'mfa_locked',
+        retryAt: lockedUntil,
+        requestId
+      }
+    };
+  }
+
+  if (reason === 'account_inactive') {
+    return {
+      type: 'AuthorizationError',
+      message: 'Account is not active',
+      statusCode: StatusCodes.FORBIDDEN,
+      details: {
+        reason,
+        requestId
+      }
+    };
+  }
+
+  if (reason === 'invalid_code') {
+    return {
+      type: 'AuthenticationError',
+      message: 'The code is not valid',
+      statusCode: StatusCodes.UNAUTHORIZED,
+      details: {
+        reason: 'mfa_code_invalid',
+        requestId
+      }
+    };
+  }
+
+  // challenge_invalid, challenge_expired, challenge_used
+  return {
+    type: 'AuthenticationError',
+    message: 'The login has expired or was already completed; log in again',
+    statusCode: StatusCodes.UNAUTHORIZED,
+    details: {
+      reason: `mfa_${reason}`,
+      requestId
+    }
+  };
+}
+
+/**
+ * Build the error of a rejected reset or verification token
+ *
+ * @param {string} kind - reset or verification
+ * @param {string} reason - invalid, expired or used
+ * @param {string} requestId - Request ID for error details
+ * @returns {Object} Structured error for the global error handler
+ */
+function accountTokenError(kind, reason, requestId) {
+  const messages = {
+    invalid: 'The link is not valid; request a new one',
+    expired: 'The link has expired; request a new one',
+    used: 'The link has already been used'
+  };
+
+  return {
+    type: 'ValidationError',
+    message: messages[reason],
+    statusCode: StatusCodes.BAD_REQUEST,
+    details: {
+      field: 'token',
+      reason: `${kind}_token_${reason}`,
+      requestId
+    }
+  };
+}
+
+/**
+ * Response of the endpoints that mail a link to an address
+ *
+ * The same for every address, so that clients cannot probe for accounts.
+ *
+ * @param {Object} res - Express response object
+ * @param {string} message - Response message
+ */
+function sendAccepted(res, message) {
+  res.status(StatusCodes.ACCEPTED).json({
+    success: true,
+    data: { accepted: true },
+    message
+  });
+}
+
+/**
+ * Describe a cookie session to its browser
+ *
+ * @param {Object} session - Cookie session
+ * @param {Object} user - req.user object of the session
+ * @returns {Object} { user, csrfToken, createdAt, expiresAt }
+ */
+function describeCookieSession(session, user) {
+  return {
+    user,
+    csrfToken: csrfTokenFor(session.id),
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Token response shape shared by login and refresh
+ *
+ * {
+ *   success: true,
+ *   data: {
+ *     tokenType: "Bearer",
+ *     accessToken: "signed token",
+ *     expiresIn: 900,                       (seconds)
+ *     accessTokenExpiresAt: "ISO timestamp",
+ *     refreshToken: "opaque token",
+ *     refreshTokenExpiresAt: "ISO timestamp",
+ *     user: { id, name, email, role, status, sessionId }
+ *   },
+ *   message: "..."
+ * }
+ */
+
+/**
+ * Login Endpoint
+ *
+ * POST /api/auth/login
+ *
+ * Checks an email and password and starts a session. Only active users with
+ * a password can log in. Unknown emails and wrong passwords get the same
+ * answer.
+ *
+ * Request Body:
+ * {
+ *   email: "string" (required),
+ *   password: "string" (required)
+ * }
+ *
+ * Response Format: token response, message "Login successful"; for users
+ * with MFA turned on, an MFA challenge instead:
+ * {
+ *   success: true,
+ *   data: {
+ *     mfaRequired: true,
+ *     challengeToken: "string",            (send to /api/auth/mfa/verify)
+ *     challengeExpiresAt: "ISO timestamp",
+ *     methods: ["totp", "recovery_code"]
+ *   },
+ *   message: "Second factor required; ..."
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Credentials accepted (tokens or MFA challenge)
+ * - 400 Bad Request: Missing or malformed fields
+ * - 401 Unauthorized: Unknown email or wrong password
+ * - 403 Forbidden: Correct credentials, but the account is not active
+ *   (details.reason account_inactive), is suspended (account_suspended) or
+ *   its email is not verified yet (email_not_verified)
+ * - 429 Too Many Requests: The email (details.reason account_locked) or the
+ *   client IP (ip_locked) is locked after repeated wrong passwords; see the
+ *   Retry-After header and details.retryAt
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/login', validateBody(credentialsSchema, { rawFields: ['password'] }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { email, password } = req.body;
+    const client = { ip: req.ip || null, userAgent: req.get('User-Agent') || null, requestId };
+    const { tokens, challenge, reason, user, lockReason, lockedUntil } = await authService.login(email, password, client);
+
+    if (reason) {
+      return next(loginError(reason, { requestId, email, user, client, lockReason, lockedUntil }));
+    }
+    if (challenge) {
+      return sendMfaChallenge(res, challenge, { requestId, user, client });
+    }
+
+    logger.info('User logged in', {
+      requestId,
+      userId: tokens.user.id,
+      sessionId: tokens.user.sessionId,
+      clientIp: client.ip
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: tokens,
+      message: 'Login successful'
+    });
+
+  } catch (error) {
+    logger.error('Error in login endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Refresh Endpoint
+ *
+ * POST /api/auth/refresh
+ *
+ * Exchanges the current refresh token of a session for a new access token
+ * and a new refresh token. The refresh token sent is no longer valid
+ * afterwards.
+ *
+ * Request Body:
+ * {
+ *   refreshToken: "string" (required)
+ * }
+ *
+ * Response Format: token response, message "Tokens refreshed successfully"
+ *
+ * Status Codes:
+ * - 200 OK: Tokens rotated
+ * - 400 Bad Request: Missing refresh token
+ * - 401 Unauthorized: Unknown, expired, revoked or reused refresh token, or
+ *   the user can no longer sign in; details.reason names the cause
+ *   (refresh_token_invalid, refresh_token_expired, refresh_token_revoked,
+ *   refresh_token_reused, account_inactive)
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/refresh', validateBody({
+  refreshToken: Joi.string().max(512).required()
+}, { rawFields: ['refreshToken'] }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { tokens, reason, session } = await authService.refresh(req.body.refreshToken);
+
+    if (!tokens) {
+      const logContext = {
+        requestId,
+        reason,
+        sessionId: session ? session.id : null,
+        userId: session ? session.userId : null,
+        clientIp: req.ip || null
+      };
+
+      if (reason === 'reused') {
+        logger.warn('Refresh token reused - session revoked', logContext);
+      } else {
+        logger.info('Refresh rejected', logContext);
+      }
+
+      return next({
+        type: 'AuthenticationError',
+        message: 'Refresh token is not valid; log in again',
+        statusCode: StatusCodes.UNAUTHORIZED,
+        details: {
+          reason: reason === 'account_inactive' ? reason : `refresh_token_${reason}`,
+          requestId
+        }
+      });
+    }
+
+    logger.info('Tokens refreshed', {
+      requestId,
+      userId: tokens.user.id,
+      sessionId: tokens.user.sessionId
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: tokens,
+      message: 'Tokens refreshed successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in refresh endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Cookie Login Endpoint
+ *
+ * POST /api/auth/session
+ *
+ * Checks an email and password like /api/auth/login, but starts a cookie
+ * session: the response sets the session cookie (config.security.session:
+ * HttpOnly, SameSite and, in production, Secure; scoped to /api) and returns
+ * the CSRF token of the session. Keep the token in memory and send it as
+ * X-CSRF-Token on every POST, PUT, PATCH and DELETE; it stays the same for
+ * the lifetime of the session and can be fetched again from GET
+ * /api/auth/session after a page reload.
+ *
+ * Request Body:
+ * {
+ *   email: "string" (required),
+ *   password: "string" (required)
+ * }
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: {
+ *     user: { id, name, email, role, status, sessionId },
+ *     csrfToken: "string",
+ *     createdAt: "ISO timestamp",
+ *     expiresAt: "ISO timestamp"    (pushed back as the session is used)
+ *   },
+ *   message: "Session started"
+ * }
+ *
+ * Users with MFA turned on get an MFA challenge as from /api/auth/login, and
+ * the cookie is set by /api/auth/mfa/verify.
+ *
+ * Status Codes:
+ * - 200 OK: Credentials accepted, cookie set (or MFA challenge returned)
+ * - 400 Bad Request: Missing or malformed fields
+ * - 401 Unauthorized: Unknown email or wrong password
+ * - 403 Forbidden: Correct credentials, but the account is not active
+ *   (details.reason account_inactive), is suspended (account_suspended) or
+ *   its email is not verified yet (email_not_verified)
+ * - 429 Too Many Requests: The email (details.reason account_locked) or the
+ *   client IP (ip_locked) is locked after repeated wrong passwords; see the
+ *   Retry-After header and details.retryAt
+ * - 404 Not Found: Cookie sessions are disabled (SESSION_ENABLED=false)
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/session', validateBody(credentialsSchema, { rawFields: ['password'] }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    if (!config.security.session.enabled) {
+      return next({
+        type: 'NotFoundError',
+        message: 'Cookie sessions are disabled; use /api/auth/login',
+        statusCode: StatusCodes.NOT_FOUND,
+        details: {
+          reason: 'sessions_disabled',
+          requestId
+        }
+      });
+    }
+
+    const { email, password } = req.body;
+    const client = { ip: req.ip || null, userAgent: req.get('User-Agent') || null, requestId };
+    const { token, session, challenge, reason, user, lockReason, lockedUntil } = await authService.startCookieSession(email, password, client);
+
+    if (reason) {
+      return next(loginError(reason, { requestId, email, user, client, lockReason, lockedUntil }));
+    }
+    if (challenge) {
+      return sendMfaChallenge(res, challenge, { requestId, user, client });
+    }
+
+    logger.info('User started a cookie session', {
+      requestId,
+      userId: user.id,
+      sessionId: session.id,
+      clientIp: client.ip
+    });
+
+    res.cookie(config.security.session.name, token, sessionCookieOptions());
+    res.set('Cache-Control', 'no-store');
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: describeCookieSession(session, user),
+      message: 'Session started'
+    });
+
+  } catch (error) {
+    logger.error('Error in cookie login endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * MFA Verification Endpoint
+ *
+ * POST /api/auth/mfa/verify
+ *
+ * Completes a login that answered with an MFA challenge. Send the challenge
+ * token with either the current code of the authenticator app or one of the
+ * recovery codes handed out at enrollment (each recovery code works once).
+ * The response is the one the login would have given without MFA: tokens
+ * for /api/auth/login, the session cookie and CSRF token for
+ * /api/auth/session.
+ *
+ * A wrong code leaves the challenge valid until it expires
+ * (config.auth.mfa.challengeTtl, 5 minutes by default). After
+ * config.auth.mfa.maxAttempts wrong codes in a row the user's second factor
+ * is locked for config.auth.mfa.lockout (15 minutes by default).
+ *
+ * Request Body:
+ * {
+ *   challengeToken: "string" (required),
+ *   code: "string" (6 digits; required unless recoveryCode is sent),
+ *   recoveryCode: "string" (required unless code is sent)
+ * }
+ *
+ * Response Format: token response or cookie session description (see above),
+ * message "Login successful", with data.mfa = { method, recoveryCodesRemaining }
+ *
+ * Status Codes:
+ * - 200 OK: Second factor accepted
+ * - 400 Bad Request: Missing fields, or both code and recoveryCode sent
+ * - 401 Unauthorized: Wrong code (details.reason mfa_code_invalid), or the
+ *   challenge is unknown, expired or already used (mfa_challenge_invalid,
+ *   mfa_challenge_expired, mfa_challenge_used)
+ * - 403 Forbidden: The account was deactivated or suspended since the password step
+ * - 429 Too Many Requests: Second factor locked after repeated wrong codes
+ *   (details.reason mfa_locked, Retry-After header)
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/mfa/verify', validateBody({
+  challengeToken: Joi.string().max(512).required(),
+  code: Joi.string().trim().max(16),
+  recoveryCode: Joi.string().trim().max(32)
+}, { rawFields: ['challengeToken', 'code', 'recoveryCode'] }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (Boolean(code) === Boolean(recoveryCode)) {
+      return next({
+        type: 'ValidationError',
+        message: 'Send either the code of your authenticator app or a recovery code',
+        statusCode: StatusCodes.BAD_REQUEST,
+        details: {
+          field: 'code',
+          reason: 'mfa_factor_required',
+          requestId
+        }
+      });
+    }
+
+    const client = { ip: req.ip || null, userAgent: req.get('User-Agent') || null };
+    const result = await authService.completeMfaLogin(challengeToken, recoveryCode ? { recoveryCode } : { code }, {
+      ...client,
+      requestId
+    });
+
+    if (result.reason) {
+      if (result.reason.startsWith('challenge_')) {
+        logger.info('MFA login rejected', { requestId, reason: result.reason, clientIp: client.ip });
+      }
+      return next(mfaLoginError(result, requestId));
+    }
+
+    const mfa = { method: result.method, recoveryCodesRemaining: result.recoveryCodesRemaining };
+    let data;
+
+    if (result.mode === 'cookie') {
+      res.cookie(config.security.session.name, result.token, sessionCookieOptions());
+      data = { ...describeCookieSession(result.session, result.user), mfa };
+    } else {
+      data = { ...result.tokens, mfa };
+    }
+
+    logger.info('User logged in', {
+      requestId,
+      userId: result.user.id,
+      sessionId: result.mode === 'cookie' ? result.session.id : result.tokens.user.sessionId,
+      mode: result.mode,
+      mfaMethod: result.method,
+      clientIp: client.ip
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data,
+      message: 'Login successful'
+    });
+
+  } catch (error) {
+    logger.error('Error in MFA verification endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Current Session Endpoint
+ *
+ * GET /api/auth/session
+ *
+ * Describes the cookie session of the request, including its CSRF token.
+ * Lets a browser application that was reloaded find out whether it is still
+ * signed in.
+ *
+ * Response Format: as for POST /api/auth/session, message
+ * "Session retrieved successfully"
+ *
+ * Status Codes:
+ * - 200 OK: Session described
+ * - 401 Unauthorized: No session cookie, or the session has ended
+ * - 404 Not Found: The request was not authenticated with a session cookie
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.get('/session', authenticate({ allowMfaEnrollment: true }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    if (req.authMethod !== 'session') {
+      return next({
+        type: 'NotFoundError',
+        message: 'The request was not authenticated with a session cookie',
+        statusCode: StatusCodes.NOT_FOUND,
+        details: {
+          reason: 'no_cookie_session',
+          requestId
+        }
+      });
+    }
+
+    const session = await sessionRepository.findById(req.user.sessionId);
+
+    res.set('Cache-Control', 'no-store');
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: describeCookieSession(session, req.user),
+      message: 'Session retrieved successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in session endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Logout Endpoint
+ *
+ * POST /api/auth/logout
+ *
+ * Ends a session: its refresh token is revoked and its access tokens stop
+ * being accepted. The session is identified by the refresh token in the body
+ * or, without one, by the access token or session cookie of the request; a
+ * cookie session is revoked on the server and its cookie cleared (the request
+ * needs the X-CSRF-Token header like any other unsafe cookie request).
+ * Logging out of a session that has already ended succeeds as well.
+ *
+ * Request Body:
+ * {
+ *   refreshToken: "string" (optional when an access token is sent)
+ * }
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: { sessionId: "uuid or null", revoked: true },
+ *   message: "Logged out successfully"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Session ended (or already ended)
+ * - 400 Bad Request: Neither a refresh token nor an access token or session
+ *   cookie was sent
+ * - 401 Unauthorized: Invalid access token or session cookie
+ * - 403 Forbidden: Session cookie without a valid CSRF token
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/logout', authenticate({ optional: true, allowMfaEnrollment: true }), validateBody({
+  refreshToken: Joi.string().max(512).optional()
+}, { rawFields: ['refreshToken'] }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken && !(req.user && req.user.sessionId)) {
+      return next({
+        type: 'ValidationError',
+        message: 'Send the refresh token of the session to end, or an access token',
+        statusCode: StatusCodes.BAD_REQUEST,
+        details: {
+          field: 'refreshToken',
+          reason: 'session_not_identified',
+          requestId
+        }
+      });
+    }
+
+    const session = await authService.logout({
+      refreshToken,
+      sessionId: req.user ? req.user.sessionId : undefined,
+      authMethod: req.authMethod
+    });
+
+    if (!refreshToken && req.authMethod === 'session') {
+      const { maxAge, ...cookieOptions } = sessionCookieOptions();
+      res.clearCookie(config.security.session.name, cookieOptions);
+    }
+
+    logger.info('User logged out', {
+      requestId,
+      sessionId: session ? session.id : null,
+      userId: session ? session.userId : null
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        sessionId: session ? session.id : null,
+        revoked: true
+      },
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in logout endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Forgot Password Endpoint
+ *
+ * POST /api/auth/forgot-password
+ *
+ * Mails a password reset link (<APP_URL>/reset-password?token=...) valid for
+ * config.auth.passwordResetTtl (1 hour by default) to the address, when it
+ * belongs to an active or pending user. The page behind the link posts the
+ * token and the new password to /api/auth/reset-password. Requesting a new
+ * link invalidates the previous one; at most one link is sent per
+ * config.auth.accountEmailInterval.
+ *
+ * The response is the same whether or not the address has an account.
+ *
+ * Request Body:
+ * {
+ *   email: "string" (required)
+ * }
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: { accepted: true },
+ *   message: "If an account exists for this address, a password reset link has been sent to it"
+ * }
+ *
+ * Status Codes:
+ * - 202 Accepted: Request taken (whether or not a link was sent)
+ * - 400 Bad Request: Missing or malformed email
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/forgot-password', validateBody({
+  email: Joi.string().email().trim().lowercase().required()
+}), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { sent, reason, user } = await accountService.requestPasswordReset(req.body.email);
+
+    logger.info('Password reset requested', {
+      requestId,
+      userId: user ? user.id : null,
+      sent,
+      reason: reason || null,
+      clientIp: req.ip || null
+    });
+
+    sendAccepted(res, 'If an account exists for this address, a password reset link has been sent to it');
+
+  } catch (error) {
+    logger.error('Error in forgot password endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Reset Password Endpoint
+ *
+ * POST /api/auth/reset-password
+ *
+ * Sets a new password with the token of a reset link. The token works once.
+ * Every session of the user ends, as with any password change; the user
+ * logs in again with the new password.
+ *
+ * Request Body:
+ * {
+ *   token: "string" (required, from the reset link),
+ *   password: "string" (required, 8-128 characters with a lowercase and an
+ *     uppercase letter, a digit and one of @$!%*?&)
+ * }
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: { userId: "uuid", passwordChangedAt: "ISO timestamp", sessionsEnded: true },
+ *   message: "Password reset successfully"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Password set
+ * - 400 Bad Request: Password too weak, or the token is not valid
+ *   (details.reason reset_token_invalid, reset_token_expired or
+ *   reset_token_used)
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/reset-password', validateBody({
+  token: Joi.string().max(512).required(),
+  password: userPasswordSchema.required()
+}, { rawFields: ['token', 'password'] }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { user, passwordChangedAt, reason } = await accountService.resetPassword(req.body.token, req.body.password);
+
+    if (reason) {
+      logger.warn('Password reset rejected', { requestId, reason, clientIp: req.ip || null });
+      return next(accountTokenError('reset', reason, requestId));
+    }
+
+    logger.info('Password reset', {
+      requestId,
+      userId: user.id,
+      clientIp: req.ip || null
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        userId: user.id,
+        passwordChangedAt,
+        sessionsEnded: true
+      },
+      message: 'Password reset successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in reset password endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Verify Email Endpoint
+ *
+ * POST /api/auth/verify-email
+ *
+ * Confirms an email address with the token of a verification link, mailed
+ * when a user is created with status "pending". A pending user becomes
+ * active and can log in (once a password is set). Users in another status
+ * keep it.
+ *
+ * Request Body:
+ * {
+ *   token: "string" (required, from the verification link)
+ * }
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: { userId: "uuid", status: "active", activated: true },
+ *   message: "Email address verified"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Address verified
+ * - 400 Bad Request: The token is not valid (details.reason
+ *   verification_token_invalid, verification_token_expired or
+ *   verification_token_used)
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/verify-email', validateBody({
+  token: Joi.string().max(512).required()
+}, { rawFields: ['token'] }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { user, activated, reason } = await accountService.verifyEmail(req.body.token, {
+      ip: req.ip || null,
+      requestId
+    });
+
+    if (reason) {
+      logger.warn('Email verification rejected', { requestId, reason, clientIp: req.ip || null });
+      return next(accountTokenError('verification', reason, requestId));
+    }
+
+    logger.info('Email address verified', {
+      requestId,
+      userId: user.id,
+      activated
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        userId: user.id,
+        status: user.status,
+        activated
+      },
+      message: 'Email address verified'
+    });
+
+  } catch (error) {
+    logger.error('Error in verify email endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Resend Verification Email Endpoint
+ *
+ * POST /api/auth/verify-email/resend
+ *
+ * Mails a new verification link to a pending user whose link expired or got
+ * lost; the previous link stops working. The response is the same whether
+ * or not the address belongs to a pending user.
+ *
+ * Request Body:
+ * {
+ *   email: "string" (required)
+ * }
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: { accepted: true },
+ *   message: "If a pending account exists for this address, a verification link has been sent to it"
+ * }
+ *
+ * Status Codes:
+ * - 202 Accepted: Request taken (whether or not a link was sent)
+ * - 400 Bad Request: Missing or malformed email
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/verify-email/resend', validateBody({
+  email: Joi.string().email().trim().lowercase().required()
+}), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { sent, reason, user } = await accountService.requestVerificationEmail(req.body.email);
+
+    logger.info('Verification email requested', {
+      requestId,
+      userId: user ? user.id : null,
+      sent,
+      reason: reason || null,
+      clientIp: req.ip || null
+    });
+
+    sendAccepted(res, 'If a pending account exists for this address, a verification link has been sent to it');
+
+  } catch (error) {
+    logger.error('Error in resend verification endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+module.exports = router;
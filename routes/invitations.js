@@ -0,0 +1,717 @@
+/**
+ * Invitation Routes Module
+ *
+ * Lets administrators invite people by email rather than create their
+ * accounts, and lets the invitees accept. Mounted at /api/invitations.
+ * Managing invitations requires the invitations:manage permission, which
+ * only the admin role holds; accepting one requires the token from the
+ * invitation email and nothing else.
+ *
+ * An invitation names the email address, optionally the invitee's name, and
+ * the role and status ("active" or "pending") of the user created when it is
+ * accepted. The email links to <APP_URL>/accept-invitation?token=...; the
+ * page behind it posts the token and the invitee's password to
+ * POST /api/invitations/accept. See services/invitationService.js for the
+ * rules on email addresses and expiry.
+ *
+ * Supported Endpoints:
+ * - POST /api/invitations - Create and mail an invitation
+ * - GET /api/invitations - List invitations
+ * - GET /api/invitations/:id - Show an invitation
+ * - POST /api/invitations/:id/resend - Mail an invitation again with a new link
+ * - DELETE /api/invitations/:id - Revoke an invitation
+ * - POST /api/invitations/accept - Create the invited user (public)
+ *
+ * Tokens are never returned by the API; they exist only in the emails (the
+ * outbox transport keeps them in MAIL_OUTBOX_DIR during development).
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { StatusCodes } = require('http-status-codes');
+const { v4: uuid } = require('uuid');
+
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const { validateBody, validateQuery, validateId } = require('../middleware/validation');
+const { idempotency } = require('../middleware/idempotency');
+const { authenticate } = require('../middleware/auth');
+const { authorize, authorizeFields } = require('../middleware/authorize');
+const { invitationRepository } = require('../repositories');
+const { duplicateEmailError } = require('../repositories/errors');
+const { USER_ROLES, userPasswordSchema } = require('../schemas/user');
+const invitationService = require('../services/invitationService');
+const { evaluateUserRules } = require('../services/userRules');
+
+const router = express.Router();
+
+/**
+ * Invitation states, as reported in the status field
+ */
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+/**
+ * Middleware of the endpoints managing invitations
+ */
+const manageInvitations = [authenticate(), authorize('invitations:manage')];
+
+/**
+ * Invitation representation shared by every endpoint
+ *
+ * {
+ *   id: "uuid",
+ *   email: "ada@example.com",
+ *   name: "Ada Lovelace",                  (null when the invitee chooses it)
+ *   role: "user",
+ *   userStatus: "active|pending",
+ *   status: "pending|accepted|revoked|expired",
+ *   createdAt: "ISO timestamp",
+ *   createdBy: "user id",
+ *   expiresAt: "ISO timestamp",
+ *   sentAt: "ISO timestamp or null",       (last delivery)
+ *   sendCount: 1,
+ *   acceptedAt, userId, revokedAt, revokedBy
+ *                                          (when applicable)
+ * }
+ */
+
+/**
+ * Add the computed status to an invitation
+ *
+ * @param {Object} invitation - Invitation from the repository
+ * @returns {Object} Invitation representation
+ */
+function describeInvitation(invitation) {
+  let status = 'pending';
+  if (invitation.acceptedAt) {
+    status = 'accepted';
+  } else if (invitation.revokedAt) {
+    status = 'revoked';
+  } else if (Date.parse(invitation.expiresAt) <= Date.now()) {
+    status = 'expired';
+  }
+  return { ...invitation, status };
+}
+
+/**
+ * Resolve the expiry of a new or resent invitation
+ *
+ * @param {Date} [requested] - expiresAt sent by the client
+ * @param {string} requestId - Request ID for error details
+ * @returns {Object} { expiresAt } as an ISO timestamp, or { error } when the
+ *   requested expiry is beyond config.auth.invitationMaxTtl
+ */
+function resolveExpiry(requested, requestId) {
+  const now = Date.now();
+  const latest = now + config.auth.invitationMaxTtl * 1000;
+  const expiresAt = requested ? requested.getTime() : now + config.auth.invitationTtl * 1000;
+
+  if (expiresAt > latest) {
+    return {
+      error: {
+        type: 'ValidationError',
+        message: 'expiresAt is further in the future than invitations may last',
+        statusCode: StatusCodes.BAD_REQUEST,
+        details: {
+          field: 'expiresAt',
+          reason: 'expiry_too_far',
+          maxExpiresAt: new Date(latest).toISOString(),
+          requestId
+        }
+      }
+    };
+  }
+
+  return { expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Build the 404 error for an unknown invitation
+ *
+ * @param {string} id - Invitation ID
+ * @param {string} requestId - Request ID for error details
+ * @returns {Object} Structured error for the global error handler
+ */
+function invitationNotFoundError(id, requestId) {
+  return {
+    type: 'ResourceNotFound',
+    message: `Invitation not found with ID: ${id}`,
+    statusCode: StatusCodes.NOT_FOUND,
+    details: {
+      resource: 'invitation',
+      id,
+      requestId
+    }
+  };
+}
+
+/**
+ * Build the error of a refused create or resend
+ *
+ * @param {Object} result - Failed result of invitationService ({ reason, invitation })
+ * @param {string} email - Invited email address
+ * @param {string} requestId - Request ID for error details
+ * @returns {Object} Structured error for the global error handler
+ */
+function invitationError(result, email, requestId) {
+  const { reason, invitation } = result;
+
+  if (reason === 'duplicate_email') {
+    const error = duplicateEmailError(email);
+    return { ...error, details: { ...error.details, requestId } };
+  }
+
+  if (reason === 'invitation_exists') {
+    return {
+      type: 'ResourceConflict',
+      message: 'The email address already has an open invitation; resend or revoke it',
+      statusCode: StatusCodes.CONFLICT,
+      details: {
+        resource: 'invitation',
+        id: invitation.id,
+        reason,
+        requestId
+      }
+    };
+  }
+
+  // accepted, revoked
+  return {
+    type: 'ResourceConflict',
+    message: `Invitation is ${reason} and cannot be resent; create a new one`,
+    statusCode: StatusCodes.CONFLICT,
+    details: {
+      resource: 'invitation',
+      id: invitation.id,
+      reason: `invitation_${reason}`,
+      requestId
+    }
+  };
+}
+
+/**
+ * Answer a create or resend with the invitation and whether it was mailed
+ *
+ * @param {Object} res - Express response object
+ * @param {number} statusCode - HTTP status
+ * @param {Object} result - { invitation, sent } from invitationService
+ * @param {string} message - Message when the email was sent
+ */
+function sendInvitation(res, statusCode, result, message) {
+  res.status(statusCode).json({
+    success: true,
+    data: describeInvitation(result.invitation),
+    message: result.sent ? message : 'Invitation saved, but the email could not be sent; resend it'
+  });
+}
+
+/**
+ * Accept Invitation Endpoint
+ *
+ * POST /api/invitations/accept
+ *
+ * Creates the user of an invitation with the role and status chosen by the
+ * administrator and the password chosen by the invitee. No authentication:
+ * the token from the invitation email is the proof. A user created as
+ * pending is mailed an email verification link before they can log in;
+ * an active user can log in right away.
+ *
+ * Request Body:
+ * {
+ *   token: "string" (required, from the invitation link),
+ *   password: "string" (required, 8-128 characters with a lowercase and an
+ *     uppercase letter, a digit and one of @$!%*?&),
+ *   name: "string" (2-100 characters; required when the invitation has no
+ *     name, otherwise replaces it)
+ * }
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: { user: { id, name, email, role, status, ... }, invitationId: "uuid" },
+ *   message: "Invitation accepted"
+ * }
+ *
+ * Status Codes:
+ * - 201 Created: User created
+ * - 400 Bad Request: Password too weak, name missing (details.reason
+ *   name_required), or the token is not valid (invitation_token_invalid,
+ *   invitation_token_expired, invitation_token_accepted or
+ *   invitation_token_revoked)
+ * - 409 Conflict: The invitation changed while it was being accepted; retry
+ * - 422 Unprocessable Entity: A user has taken the email address meanwhile, or
+ *   the user would break a business rule of services/userRules.js
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/accept', validateBody({
+  token: Joi.string().max(512).required(),
+  password: userPasswordSchema.required(),
+  name: Joi.string().min(2).max(100).trim().optional()
+}, { rawFields: ['token', 'password'] }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { token, password, name } = req.body;
+    const { user, invitation, reason, error } = await invitationService.acceptInvitation(token, { password, name }, {
+      ip: req.ip || null,
+      requestId
+    });
+
+    if (reason === 'duplicate_email') {
+      logger.warn('Invitation not accepted - email taken', {
+        requestId,
+        invitationId: invitation.id,
+        email: invitation.email
+      });
+      return next(invitationError({ reason }, invitation.email, requestId));
+    }
+
+    if (reason === 'rule_violation') {
+      return next(error);
+    }
+
+    if (reason === 'name_required') {
+      return next({
+        type: 'ValidationError',
+        message: 'The invitation has no name; send one',
+        statusCode: StatusCodes.BAD_REQUEST,
+        details: {
+          field: 'name',
+          reason,
+          requestId
+        }
+      });
+    }
+
+    if (reason) {
+      const messages = {
+        invalid: 'The invitation link is not valid',
+        expired: 'The invitation has expired; ask for a new one',
+        accepted: 'The invitation has already been accepted; log in instead',
+        revoked: 'The invitation has been withdrawn'
+      };
+
+      logger.warn('Invitation not accepted', {
+        requestId,
+        reason,
+        invitationId: invitation ? invitation.id : null,
+        clientIp: req.ip || null
+      });
+
+      return next({
+        type: 'ValidationError',
+        message: messages[reason],
+        statusCode: StatusCodes.BAD_REQUEST,
+        details: {
+          field: 'token',
+          reason: `invitation_token_${reason}`,
+          requestId
+        }
+      });
+    }
+
+    logger.info('Invitation accepted', {
+      requestId,
+      invitationId: invitation.id,
+      userId: user.id,
+      role: user.role,
+      status: user.status,
+      clientIp: req.ip || null
+    });
+
+    res.location(`/api/users/${user.id}`);
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: {
+        user,
+        invitationId: invitation.id
+      },
+      message: 'Invitation accepted'
+    });
+
+  } catch (error) {
+    logger.error('Error in accept invitation endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Create Invitation Endpoint
+ *
+ * POST /api/invitations
+ *
+ * Permission: invitations:manage (administrators only). Setting a role other
+ * than "user" or a userStatus other than "active" also takes the permission
+ * POST /api/users needs for the same fields.
+ *
+ * Request Body:
+ * {
+ *   email: "string" (required; no active user may have it),
+ *   name: "string" (optional, 2-100 characters; the invitee can change it),
+ *   role: "admin|moderator|user" (optional, default: user),
+ *   userStatus: "active|pending" (optional, default: active; pending users
+ *     verify their email address before they can log in),
+ *   expiresAt: "ISO timestamp" (optional, in the future and at most
+ *     INVITATION_MAX_TTL away; default: INVITATION_TTL from now)
+ * }
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: Invitation representation,
+ *   message: "Invitation sent"
+ * }
+ *
+ * Status Codes:
+ * - 201 Created: Invitation created (check the message: the email may have
+ *   failed, in which case resend it)
+ * - 400 Bad Request: Invalid fields or expiry
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage invitations or
+ *   assign the role or status
+ * - 409 Conflict: The address already has an open invitation
+ *   (details.reason invitation_exists, details.id names it)
+ * - 422 Unprocessable Entity: A user already has the email address, or the
+ *   user would break another business rule (details.rule), such as
+ *   email-domain
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/', manageInvitations, idempotency(), validateBody({
+  email: Joi.string().email().trim().lowercase().required(),
+  name: Joi.string().min(2).max(100).trim().optional(),
+  role: Joi.string().valid(...USER_ROLES).default('user'),
+  userStatus: Joi.string().valid('active', 'pending').default('active'),
+  expiresAt: Joi.date().iso().greater('now').optional()
+}), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { email, name, role, userStatus } = req.body;
+
+    const fieldError = authorizeFields(req, null, { role, status: userStatus });
+    if (fieldError) {
+      return next(fieldError);
+    }
+
+    const { expiresAt, error } = resolveExpiry(req.body.expiresAt, requestId);
+    if (error) {
+      return next(error);
+    }
+
+    // Refuse now what the rules would refuse when the invitation is accepted
+    const ruleError = await evaluateUserRules({
+      operation: 'create',
+      after: { email, role, status: userStatus },
+      actor: req.user,
+      requestId
+    });
+    if (ruleError) {
+      return next(ruleError);
+    }
+
+    const result = await invitationService.createInvitation({
+      email,
+      name: name || null,
+      role,
+      userStatus,
+      expiresAt
+    }, { createdBy: req.user ? req.user.id : null, requestId });
+
+    if (result.reason) {
+      logger.warn('Invitation not created', { requestId, email, reason: result.reason });
+      return next(invitationError(result, email, requestId));
+    }
+
+    logger.info('Invitation created', {
+      requestId,
+      invitationId: result.invitation.id,
+      email,
+      role,
+      userStatus,
+      expiresAt,
+      sent: result.sent,
+      createdBy: result.invitation.createdBy
+    });
+
+    res.location(`/api/invitations/${result.invitation.id}`);
+    sendInvitation(res, StatusCodes.CREATED, result, 'Invitation sent');
+
+  } catch (error) {
+    logger.error('Error in create invitation endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * List Invitations Endpoint
+ *
+ * GET /api/invitations
+ *
+ * Permission: invitations:manage
+ *
+ * Query Parameters:
+ * - status: Only invitations in this state (pending, accepted, revoked or
+ *   expired; default: all)
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: { invitations: [Invitation representation, ...], count: 1 },
+ *   message: "Invitations retrieved successfully"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Invitations listed, newest first
+ * - 400 Bad Request: Unknown status
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage invitations
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.get('/', manageInvitations, validateQuery({
+  status: Joi.string().valid(...INVITATION_STATUSES).optional()
+}), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const invitations = await invitationRepository.list({ status: req.query.status });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        invitations: invitations.map(describeInvitation),
+        count: invitations.length
+      },
+      message: 'Invitations retrieved successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in list invitations endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Get Invitation Endpoint
+ *
+ * GET /api/invitations/:id
+ *
+ * Permission: invitations:manage
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: Invitation representation,
+ *   message: "Invitation retrieved successfully"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Invitation found
+ * - 400 Bad Request: Invalid ID format
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage invitations
+ * - 404 Not Found: No invitation with this ID
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.get('/:id', manageInvitations, validateId('id', { type: 'uuid' }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const invitation = await invitationRepository.findById(req.params.id);
+
+    if (!invitation) {
+      return next(invitationNotFoundError(req.params.id, requestId));
+    }
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: describeInvitation(invitation),
+      message: 'Invitation retrieved successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in get invitation endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Resend Invitation Endpoint
+ *
+ * POST /api/invitations/:id/resend
+ *
+ * Permission: invitations:manage
+ *
+ * Mails a pending or expired invitation again with a new link; the previous
+ * link stops working. The invitation gets a new expiry.
+ *
+ * Request Body:
+ * {
+ *   expiresAt: "ISO timestamp" (optional, as for POST /api/invitations;
+ *     default: INVITATION_TTL from now)
+ * }
+ *
+ * Response Format: as GET /api/invitations/:id, message "Invitation resent"
+ *
+ * Status Codes:
+ * - 200 OK: Invitation resent (check the message as for POST)
+ * - 400 Bad Request: Invalid ID or expiry
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage invitations
+ * - 404 Not Found: No invitation with this ID
+ * - 409 Conflict: The invitation was accepted or revoked
+ *   (details.reason invitation_accepted, invitation_revoked), or a newer
+ *   invitation of the address is open (invitation_exists)
+ * - 422 Unprocessable Entity: A user has taken the email address meanwhile
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/:id/resend', manageInvitations, validateId('id', { type: 'uuid' }), validateBody({
+  expiresAt: Joi.date().iso().greater('now').optional()
+}), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { id } = req.params;
+    const { expiresAt, error } = resolveExpiry(req.body.expiresAt, requestId);
+
+    if (error) {
+      return next(error);
+    }
+
+    const result = await invitationService.resendInvitation(id, { expiresAt }, { requestId });
+
+    if (result.reason === 'not_found') {
+      return next(invitationNotFoundError(id, requestId));
+    }
+    if (result.reason) {
+      logger.warn('Invitation not resent', { requestId, invitationId: id, reason: result.reason });
+      return next(invitationError(result, result.invitation.email, requestId));
+    }
+
+    logger.info('Invitation resent', {
+      requestId,
+      invitationId: id,
+      expiresAt,
+      sent: result.sent,
+      sendCount: result.invitation.sendCount,
+      resentBy: req.user ? req.user.id : null
+    });
+
+    sendInvitation(res, StatusCodes.OK, result, 'Invitation resent');
+
+  } catch (error) {
+    logger.error('Error in resend invitation endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Revoke Invitation Endpoint
+ *
+ * DELETE /api/invitations/:id
+ *
+ * Permission: invitations:manage
+ *
+ * Withdraws an invitation; its link stops working. The invitation stays
+ * listed as revoked. Revoking a revoked invitation succeeds and changes
+ * nothing. Accepted invitations cannot be revoked; delete the user instead.
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: Invitation representation,
+ *   message: "Invitation revoked successfully"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Invitation revoked
+ * - 400 Bad Request: Invalid ID format
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage invitations
+ * - 404 Not Found: No invitation with this ID
+ * - 409 Conflict: The invitation was already accepted
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.delete('/:id', manageInvitations, validateId('id', { type: 'uuid' }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { id } = req.params;
+    const { outcome, invitation } = await invitationRepository.revoke(id, {
+      revokedBy: req.user ? req.user.id : null
+    });
+
+    if (outcome === 'not_found') {
+      return next(invitationNotFoundError(id, requestId));
+    }
+
+    if (outcome === 'accepted') {
+      return next({
+        type: 'ResourceConflict',
+        message: 'Invitation was already accepted; delete the user instead',
+        statusCode: StatusCodes.CONFLICT,
+        details: {
+          resource: 'invitation',
+          id,
+          reason: 'invitation_accepted',
+          userId: invitation.userId,
+          requestId
+        }
+      });
+    }
+
+    logger.info('Invitation revoked', {
+      requestId,
+      invitationId: id,
+      revokedBy: invitation.revokedBy
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: describeInvitation(invitation),
+      message: 'Invitation revoked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in revoke invitation endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,476 @@
+/**
+ * API Key Routes Module
+ *
+ * Lets administrators manage the API keys that batch jobs and partner
+ * integrations use instead of a person's password. Mounted at /api/keys;
+ * every endpoint requires the api-keys:manage permission, which only the
+ * admin role holds and no API key can be granted.
+ *
+ * Each key has a name, scopes (the permissions of config/permissions.js it
+ * acts with), an expiry and a last-used timestamp. The key itself
+ * ("hwk_<id>.<secret>") is returned only by the create and rotate endpoints,
+ * with Cache-Control: no-store; the service keeps nothing but a hash. These
+ * endpoints deliberately do not support Idempotency-Key, since a stored
+ * response would keep a copy of the key.
+ *
+ * Supported Endpoints:
+ * - POST /api/keys - Create a key
+ * - GET /api/keys - List keys
+ * - GET /api/keys/:id - Show a key
+ * - POST /api/keys/:id/rotate - Replace the key's secret
+ * - DELETE /api/keys/:id - Revoke a key
+ *
+ * Clients send a key as "Authorization: ApiKey <key>" or "X-API-Key: <key>"
+ * (see middleware/auth.js).
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { StatusCodes } = require('http-status-codes');
+const { v4: uuid } = require('uuid');
+
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const { validateBody, validateQuery, validateId } = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { apiKeyRepository } = require('../repositories');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+const router = express.Router();
+
+router.use(authenticate(), authorize('api-keys:manage'));
+
+/**
+ * Longest rotation grace period, in seconds
+ */
+const MAX_GRACE_PERIOD = 7 * 24 * 60 * 60;
+
+/**
+ * API key representation shared by every endpoint
+ *
+ * {
+ *   id: "uuid",
+ *   name: "nightly-export",
+ *   scopes: ["users:list", "users:export"],
+ *   status: "active|expired|revoked",
+ *   createdAt: "ISO timestamp",
+ *   createdBy: "user id",
+ *   expiresAt: "ISO timestamp",
+ *   lastUsedAt: "ISO timestamp or null",   (accurate to a minute)
+ *   rotatedAt, previousKeyExpiresAt, revokedAt, revokedBy, revokedReason
+ *                                          (when applicable)
+ * }
+ */
+
+/**
+ * Add the computed status to a key
+ *
+ * @param {Object} apiKey - API key from the repository
+ * @returns {Object} API key representation
+ */
+function describeKey(apiKey) {
+  let status = 'active';
+  if (apiKey.revokedAt) {
+    status = 'revoked';
+  } else if (Date.parse(apiKey.expiresAt) <= Date.now()) {
+    status = 'expired';
+  }
+  return { ...apiKey, status };
+}
+
+/**
+ * Resolve the expiry of a new or rotated key
+ *
+ * @param {Date} [requested] - expiresAt sent by the client
+ * @param {string} requestId - Request ID for error details
+ * @returns {Object} { expiresAt } as an ISO timestamp, or { error } when the
+ *   requested expiry is beyond config.auth.apiKeys.maxTtl
+ */
+function resolveExpiry(requested, requestId) {
+  const now = Date.now();
+  const latest = now + config.auth.apiKeys.maxTtl * 1000;
+  const expiresAt = requested ? requested.getTime() : now + config.auth.apiKeys.defaultTtl * 1000;
+
+  if (expiresAt > latest) {
+    return {
+      error: {
+        type: 'ValidationError',
+        message: 'expiresAt is further in the future than API keys may live',
+        statusCode: StatusCodes.BAD_REQUEST,
+        details: {
+          field: 'expiresAt',
+          reason: 'expiry_too_far',
+          maxExpiresAt: new Date(latest).toISOString(),
+          requestId
+        }
+      }
+    };
+  }
+
+  return { expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Build the 404 error for an unknown key
+ *
+ * @param {string} id - Key ID
+ * @param {string} requestId - Request ID for error details
+ * @returns {Object} Structured error for the global error handler
+ */
+function keyNotFoundError(id, requestId) {
+  return {
+    type: 'ResourceNotFound',
+    message: `API key not found with ID: ${id}`,
+    statusCode: StatusCodes.NOT_FOUND,
+    details: {
+      resource: 'api_key',
+      id,
+      requestId
+    }
+  };
+}
+
+/**
+ * Create API Key Endpoint
+ *
+ * POST /api/keys
+ *
+ * Request Body:
+ * {
+ *   name: "string" (required, 1-100 characters),
+ *   scopes: ["permission", ...] (required, at least one permission of
+ *     config/permissions.js other than api-keys:manage, users:reset-mfa
+ *     and mfa:policy),
+ *   expiresAt: "ISO timestamp" (optional, in the future and at most
+ *     API_KEY_MAX_TTL away; default: API_KEY_DEFAULT_TTL from now)
+ * }
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: { ...API key representation, key: "hwk_<id>.<secret>" },
+ *   message: "API key created; ..."
+ * }
+ *
+ * Status Codes:
+ * - 201 Created: Key created; data.key is shown this once
+ * - 400 Bad Request: Invalid name, scopes or expiry
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage API keys
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/', validateBody({
+  name: Joi.string().trim().min(1).max(100).required(),
+  scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().required(),
+  expiresAt: Joi.date().iso().greater('now').optional()
+}), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { name, scopes } = req.body;
+    const { expiresAt, error } = resolveExpiry(req.body.expiresAt, requestId);
+
+    if (error) {
+      return next(error);
+    }
+
+    const { key, apiKey } = await apiKeyRepository.create({
+      name,
+      scopes,
+      expiresAt,
+      createdBy: req.user ? req.user.id : null
+    });
+
+    logger.info('API key created', {
+      requestId,
+      apiKeyId: apiKey.id,
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      expiresAt: apiKey.expiresAt,
+      createdBy: apiKey.createdBy
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.location(`/api/keys/${apiKey.id}`);
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: { ...describeKey(apiKey), key },
+      message: 'API key created; store the key now, it cannot be shown again'
+    });
+
+  } catch (error) {
+    logger.error('Error in create API key endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * List API Keys Endpoint
+ *
+ * GET /api/keys
+ *
+ * Query Parameters:
+ * - includeRevoked: Include revoked keys (default: false); expired keys are
+ *   always listed
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: { keys: [API key representation, ...], count: 1 },
+ *   message: "API keys retrieved successfully"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Keys listed, newest first
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage API keys
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.get('/', validateQuery({
+  includeRevoked: Joi.boolean().default(false)
+}), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const keys = await apiKeyRepository.list({ includeRevoked: req.query.includeRevoked });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        keys: keys.map(describeKey),
+        count: keys.length
+      },
+      message: 'API keys retrieved successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in list API keys endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Get API Key Endpoint
+ *
+ * GET /api/keys/:id
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: API key representation,
+ *   message: "API key retrieved successfully"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Key found
+ * - 400 Bad Request: Invalid ID format
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage API keys
+ * - 404 Not Found: No key with this ID
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.get('/:id', validateId('id', { type: 'uuid' }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const apiKey = await apiKeyRepository.findById(req.params.id);
+
+    if (!apiKey) {
+      return next(keyNotFoundError(req.params.id, requestId));
+    }
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: describeKey(apiKey),
+      message: 'API key retrieved successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in get API key endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Rotate API Key Endpoint
+ *
+ * POST /api/keys/:id/rotate
+ *
+ * Issues a new secret for a key, keeping its ID, name and scopes. The old
+ * key stops working at once, or after the grace period, so that a client can
+ * be switched over without downtime.
+ *
+ * Request Body:
+ * {
+ *   gracePeriod: number (optional, seconds the old key keeps working,
+ *     0-604800, default: 0),
+ *   expiresAt: "ISO timestamp" (optional, new expiry; default: unchanged)
+ * }
+ *
+ * Response Format: as POST /api/keys, message "API key rotated; ..."
+ *
+ * Status Codes:
+ * - 200 OK: Key rotated; data.key is shown this once
+ * - 400 Bad Request: Invalid ID, grace period or expiry
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage API keys
+ * - 404 Not Found: No key with this ID
+ * - 409 Conflict: The key is revoked or expired; create a new one
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/:id/rotate', validateId('id', { type: 'uuid' }), validateBody({
+  gracePeriod: Joi.number().integer().min(0).max(MAX_GRACE_PERIOD).default(0),
+  expiresAt: Joi.date().iso().greater('now').optional()
+}), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { id } = req.params;
+    let expiresAt;
+
+    if (req.body.expiresAt) {
+      const expiry = resolveExpiry(req.body.expiresAt, requestId);
+      if (expiry.error) {
+        return next(expiry.error);
+      }
+      expiresAt = expiry.expiresAt;
+    }
+
+    const { outcome, key, apiKey } = await apiKeyRepository.rotate(id, {
+      expiresAt,
+      gracePeriodMs: req.body.gracePeriod * 1000
+    });
+
+    if (outcome === 'not_found') {
+      return next(keyNotFoundError(id, requestId));
+    }
+
+    if (outcome !== 'rotated') {
+      return next({
+        type: 'ResourceConflict',
+        message: `API key is ${outcome} and cannot be rotated; create a new key`,
+        statusCode: StatusCodes.CONFLICT,
+        details: {
+          resource: 'api_key',
+          id,
+          reason: `key_${outcome}`,
+          requestId
+        }
+      });
+    }
+
+    logger.info('API key rotated', {
+      requestId,
+      apiKeyId: apiKey.id,
+      gracePeriod: req.body.gracePeriod,
+      expiresAt: apiKey.expiresAt,
+      rotatedBy: req.user ? req.user.id : null
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: { ...describeKey(apiKey), key },
+      message: 'API key rotated; store the key now, it cannot be shown again'
+    });
+
+  } catch (error) {
+    logger.error('Error in rotate API key endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Revoke API Key Endpoint
+ *
+ * DELETE /api/keys/:id
+ *
+ * Revokes a key immediately. The key stays listed (with includeRevoked) so
+ * that actions recorded against it remain attributable. Revoking a revoked
+ * key succeeds and changes nothing.
+ *
+ * Query Parameters:
+ * - reason: Reason recorded with the revocation (optional, max 200 characters)
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: API key representation,
+ *   message: "API key revoked successfully"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Key revoked
+ * - 400 Bad Request: Invalid ID format
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage API keys
+ * - 404 Not Found: No key with this ID
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.delete('/:id', validateId('id', { type: 'uuid' }), validateQuery({
+  reason: Joi.string().max(200).trim().optional()
+}), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { id } = req.params;
+    const apiKey = await apiKeyRepository.revoke(id, {
+      reason: req.query.reason || null,
+      revokedBy: req.user ? req.user.id : null
+    });
+
+    if (!apiKey) {
+      return next(keyNotFoundError(id, requestId));
+    }
+
+    logger.info('API key revoked', {
+      requestId,
+      apiKeyId: apiKey.id,
+      revokedBy: apiKey.revokedBy,
+      reason: apiKey.revokedReason
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: describeKey(apiKey),
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in revoke API key endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+module.exports = router;
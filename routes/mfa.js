@@ -0,0 +1,674 @@
+/**
+ * MFA Routes Module
+ *
+ * Lets users manage the TOTP second factor of their own account, and
+ * administrators choose the roles that must use one. Mounted at /api/mfa.
+ * Logins of users with MFA turned on are completed at /api/auth/mfa/verify
+ * (routes/auth.js); administrators turn off the MFA of another user at
+ * DELETE /api/users/:id/mfa (routes/api.js).
+ *
+ * Enrolling takes two requests: POST /enrollment returns a secret and its
+ * otpauth:// provisioning URI (show it as a QR code for the authenticator
+ * app), and POST /enrollment/confirm with the first code shown by the app
+ * turns MFA on. The confirmation returns the recovery codes, each usable once
+ * in place of a code; they are shown only then and when replaced.
+ *
+ * Supported Endpoints:
+ * - GET /api/mfa - MFA status of the caller
+ * - POST /api/mfa/enrollment - Start (or restart) enrollment
+ * - POST /api/mfa/enrollment/confirm - Turn MFA on with a first code
+ * - POST /api/mfa/recovery-codes - Replace the recovery codes
+ * - POST /api/mfa/disable - Turn MFA off
+ * - GET /api/mfa/policy - Roles that must use MFA (mfa:policy)
+ * - PUT /api/mfa/policy - Set the roles that must use MFA (mfa:policy)
+ *
+ * The caller must be a signed-in user; API keys have no second factor. Users
+ * whose role requires MFA can reach the endpoints for their own factor before
+ * they have enrolled, but nothing else. The whole module answers 404 when MFA
+ * is switched off (MFA_ENABLED=false).
+ *
+ * Responses carrying secrets or recovery codes are sent with
+ * Cache-Control: no-store and never stored for Idempotency-Key replays.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { StatusCodes } = require('http-status-codes');
+const { v4: uuid } = require('uuid');
+
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const { validateBody } = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { credentialRepository } = require('../repositories');
+const { verifyPassword } = require('../utils/password');
+const { ROLE_PERMISSIONS } = require('../config/permissions');
+const mfaService = require('../services/mfaService');
+
+const router = express.Router();
+
+/**
+ * Answer 404 while MFA is switched off
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requireMfaEnabled(req, res, next) {
+  if (config.auth.mfa.enabled) {
+    return next();
+  }
+
+  next({
+    type: 'NotFoundError',
+    message: 'Multi-factor authentication is disabled',
+    statusCode: StatusCodes.NOT_FOUND,
+    details: {
+      reason: 'mfa_disabled',
+      requestId: req.id
+    }
+  });
+}
+
+/**
+ * Refuse callers that are not signed-in users
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requireUser(req, res, next) {
+  if (req.user && req.user.type !== 'api_key') {
+    return next();
+  }
+
+  next({
+    type: 'AUTHORIZATION_ERROR',
+    message: 'Multi-factor authentication is managed by signed-in users; API keys have none',
+    statusCode: StatusCodes.FORBIDDEN,
+    details: {
+      reason: 'user_required',
+      requestId: req.id
+    }
+  });
+}
+
+router.use(requireMfaEnabled);
+
+/**
+ * Middleware of the endpoints acting on the caller's own factor
+ */
+const ownFactor = [authenticate({ allowMfaEnrollment: true }), requireUser];
+
+/**
+ * Build the error of a rejected code
+ *
+ * @param {Object} result - Failed result of mfaService (reason, lockedUntil)
+ * @param {string} requestId - Request ID for error details
+ * @returns {Object} Structured error for the global error handler
+ */
+function codeError(result, requestId) {
+  if (result.reason === 'locked') {
+    return {
+      type: 'RATE_LIMIT_ERROR',
+      message: 'Too many wrong codes; try again later',
+      statusCode: StatusCodes.TOO_MANY_REQUESTS,
+      resetTime: Date.parse(result.lockedUntil),
+      details: {
+        reason: 'mfa_locked',
+        retryAt: result.lockedUntil,
+        requestId
+      }
+    };
+  }
+
+  return {
+    type: 'ValidationError',
+    message: 'The code is not valid',
+    statusCode: StatusCodes.BAD_REQUEST,
+    details: {
+      field: 'code',
+      reason: 'mfa_code_invalid',
+      requestId
+    }
+  };
+}
+
+/**
+ * Build the 409 error for a request that does not fit the caller's MFA state
+ *
+ * @param {string} message - Client-facing message
+ * @param {string} reason - Machine-readable reason
+ * @param {string} requestId - Request ID for error details
+ * @returns {Object} Structured error for the global error handler
+ */
+function stateError(message, reason, requestId) {
+  return {
+    type: 'ConflictError',
+    message,
+    statusCode: StatusCodes.CONFLICT,
+    details: {
+      reason,
+      requestId
+    }
+  };
+}
+
+/**
+ * MFA Status Endpoint
+ *
+ * GET /api/mfa
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: {
+ *     enabled: true,
+ *     enrollmentPending: false,
+ *     enabledAt: "ISO timestamp or null",
+ *     recoveryCodesRemaining: 9,
+ *     lockedUntil: "ISO timestamp or null",
+ *     required: true                       (the MFA policy covers the caller's role)
+ *   },
+ *   message: "MFA status retrieved successfully"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Status returned
+ * - 401 Unauthorized / 403 Forbidden: Not a signed-in user
+ * - 404 Not Found: MFA is switched off
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.get('/', ownFactor, async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const [status, policy] = await Promise.all([
+      mfaService.getStatus(req.user.id),
+      mfaService.getPolicy()
+    ]);
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        ...status,
+        required: policy.requiredRoles.includes(req.user.role)
+      },
+      message: 'MFA status retrieved successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in MFA status endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Start Enrollment Endpoint
+ *
+ * POST /api/mfa/enrollment
+ *
+ * Creates a new secret for the caller. Starting again before confirming
+ * replaces the secret, so only the last one returned can be confirmed.
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: {
+ *     secret: "BASE32SECRET",              (for manual entry in the app)
+ *     otpauthUrl: "otpauth://totp/...",    (render as a QR code)
+ *     algorithm: "SHA1", digits: 6, period: 30
+ *   },
+ *   message: "Enrollment started; confirm it with a code from your authenticator app"
+ * }
+ *
+ * Status Codes:
+ * - 201 Created: Enrollment started
+ * - 401 Unauthorized / 403 Forbidden: Not a signed-in user
+ * - 404 Not Found: MFA is switched off
+ * - 409 Conflict: MFA is already on (details.reason mfa_already_enabled)
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/enrollment', ownFactor, async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { secret, otpauthUrl, reason } = await mfaService.startEnrollment(req.user);
+
+    if (reason) {
+      return next(stateError('Multi-factor authentication is already on; turn it off first to enroll a new app',
+        'mfa_already_enabled', requestId));
+    }
+
+    logger.info('MFA enrollment started', { requestId, userId: req.user.id });
+
+    res.set('Cache-Control', 'no-store');
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl,
+        algorithm: 'SHA1',
+        digits: 6,
+        period: 30
+      },
+      message: 'Enrollment started; confirm it with a code from your authenticator app'
+    });
+
+  } catch (error) {
+    logger.error('Error in start MFA enrollment endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Confirm Enrollment Endpoint
+ *
+ * POST /api/mfa/enrollment/confirm
+ *
+ * Turns MFA on once the authenticator app shows the right code. From then on
+ * every login asks for a code. Store the recovery codes somewhere safe: they
+ * are the only way in without the app and are not shown again.
+ *
+ * Request Body:
+ * {
+ *   code: "string" (required, 6 digits from the app)
+ * }
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: {
+ *     enabled: true,
+ *     enabledAt: "ISO timestamp",
+ *     recoveryCodes: ["ABCDE-FGHJK", ...]
+ *   },
+ *   message: "Multi-factor authentication enabled; store your recovery codes now"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: MFA turned on
+ * - 400 Bad Request: Missing or wrong code (details.reason mfa_code_invalid)
+ * - 401 Unauthorized / 403 Forbidden: Not a signed-in user
+ * - 404 Not Found: MFA is switched off
+ * - 409 Conflict: No enrollment in progress (details.reason mfa_enrollment_not_started)
+ * - 429 Too Many Requests: Locked after repeated wrong codes (Retry-After header)
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/enrollment/confirm', ownFactor, validateBody({
+  code: Joi.string().trim().max(16).required()
+}, { rawFields: ['code'] }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const result = await mfaService.confirmEnrollment(req.user.id, req.body.code, { requestId, ip: req.ip || null });
+
+    if (result.reason === 'not_pending') {
+      return next(stateError('No enrollment in progress; start one at /api/mfa/enrollment',
+        'mfa_enrollment_not_started', requestId));
+    }
+    if (result.reason) {
+      return next(codeError(result, requestId));
+    }
+
+    logger.info('MFA enabled', { requestId, userId: req.user.id });
+
+    res.set('Cache-Control', 'no-store');
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        enabled: true,
+        enabledAt: result.enabledAt,
+        recoveryCodes: result.recoveryCodes
+      },
+      message: 'Multi-factor authentication enabled; store your recovery codes now'
+    });
+
+  } catch (error) {
+    logger.error('Error in confirm MFA enrollment endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Replace Recovery Codes Endpoint
+ *
+ * POST /api/mfa/recovery-codes
+ *
+ * Issues a new set of recovery codes, for example when most have been used.
+ * The previous codes stop working. Needs a current code from the app.
+ *
+ * Request Body:
+ * {
+ *   code: "string" (required, 6 digits from the app)
+ * }
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: { recoveryCodes: ["ABCDE-FGHJK", ...] },
+ *   message: "Recovery codes replaced; store them now"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Codes replaced
+ * - 400 Bad Request: Missing or wrong code
+ * - 401 Unauthorized / 403 Forbidden: Not a signed-in user
+ * - 404 Not Found: MFA is switched off
+ * - 409 Conflict: MFA is not on (details.reason mfa_not_enabled)
+ * - 429 Too Many Requests: Locked after repeated wrong codes
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/recovery-codes', ownFactor, validateBody({
+  code: Joi.string().trim().max(16).required()
+}, { rawFields: ['code'] }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const verified = await mfaService.verifySecondFactor(req.user.id, { code: req.body.code }, {
+      requestId,
+      ip: req.ip || null,
+      purpose: 'recovery_codes'
+    });
+
+    if (verified.reason === 'not_enabled') {
+      return next(stateError('Multi-factor authentication is not on', 'mfa_not_enabled', requestId));
+    }
+    if (verified.reason) {
+      return next(codeError(verified, requestId));
+    }
+
+    const recoveryCodes = await mfaService.regenerateRecoveryCodes(req.user.id);
+
+    logger.info('MFA recovery codes replaced', { requestId, userId: req.user.id });
+
+    res.set('Cache-Control', 'no-store');
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: { recoveryCodes },
+      message: 'Recovery codes replaced; store them now'
+    });
+
+  } catch (error) {
+    logger.error('Error in replace recovery codes endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Disable MFA Endpoint
+ *
+ * POST /api/mfa/disable
+ *
+ * Turns MFA off for the caller, or cancels an enrollment in progress. Needs
+ * the current password and, when MFA is on, a code from the app or a
+ * recovery code, so that a stolen session alone cannot remove the second
+ * factor. Users whose role requires MFA cannot turn it off; an administrator
+ * can reset it for them at DELETE /api/users/:id/mfa.
+ *
+ * Request Body:
+ * {
+ *   currentPassword: "string" (required),
+ *   code: "string" (required when MFA is on, unless recoveryCode is sent),
+ *   recoveryCode: "string"
+ * }
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: { enabled: false },
+ *   message: "Multi-factor authentication disabled"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: MFA turned off
+ * - 400 Bad Request: Missing fields or wrong code
+ * - 401 Unauthorized: Not signed in
+ * - 403 Forbidden: Wrong password (details.reason invalid_current_password),
+ *   the MFA policy covers the caller's role (mfa_required_by_policy), or the
+ *   caller is not a signed-in user
+ * - 404 Not Found: MFA is switched off
+ * - 409 Conflict: MFA is neither on nor being enrolled (mfa_not_enabled)
+ * - 429 Too Many Requests: Locked after repeated wrong codes
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/disable', ownFactor, validateBody({
+  currentPassword: Joi.string().max(128).required(),
+  code: Joi.string().trim().max(16),
+  recoveryCode: Joi.string().trim().max(32)
+}, { rawFields: ['currentPassword', 'code', 'recoveryCode'] }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { currentPassword, code, recoveryCode } = req.body;
+    const userId = req.user.id;
+
+    const credentials = await credentialRepository.findByUserId(userId);
+    if (!credentials || !await verifyPassword(currentPassword, credentials.passwordHash)) {
+      logger.warn('MFA disable rejected - current password mismatch', { requestId, userId });
+
+      return next({
+        type: 'AuthorizationError',
+        message: 'Current password is missing or incorrect',
+        statusCode: StatusCodes.FORBIDDEN,
+        details: {
+          field: 'currentPassword',
+          reason: 'invalid_current_password',
+          requestId
+        }
+      });
+    }
+
+    const [status, policy] = await Promise.all([mfaService.getStatus(userId), mfaService.getPolicy()]);
+
+    if (!status.enabled && !status.enrollmentPending) {
+      return next(stateError('Multi-factor authentication is not on', 'mfa_not_enabled', requestId));
+    }
+    if (status.enabled && policy.requiredRoles.includes(req.user.role)) {
+      return next({
+        type: 'AuthorizationError',
+        message: `Multi-factor authentication is required for the ${req.user.role} role and cannot be turned off`,
+        statusCode: StatusCodes.FORBIDDEN,
+        details: {
+          reason: 'mfa_required_by_policy',
+          requestId
+        }
+      });
+    }
+
+    if (status.enabled) {
+      if (!code && !recoveryCode) {
+        return next({
+          type: 'ValidationError',
+          message: 'Send the code of your authenticator app or a recovery code',
+          statusCode: StatusCodes.BAD_REQUEST,
+          details: {
+            field: 'code',
+            reason: 'mfa_factor_required',
+            requestId
+          }
+        });
+      }
+
+      const verified = await mfaService.verifySecondFactor(userId, recoveryCode ? { recoveryCode } : { code }, {
+        requestId,
+        ip: req.ip || null,
+        purpose: 'disable'
+      });
+      if (verified.reason) {
+        return next(codeError(verified, requestId));
+      }
+    }
+
+    await mfaService.disable(userId);
+
+    logger.warn('MFA disabled by user', {
+      requestId,
+      userId,
+      wasEnabled: status.enabled
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: { enabled: false },
+      message: 'Multi-factor authentication disabled'
+    });
+
+  } catch (error) {
+    logger.error('Error in disable MFA endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * MFA policy representation
+ *
+ * {
+ *   requiredRoles: ["admin"],
+ *   updatedAt: "ISO timestamp or null",
+ *   updatedBy: "user id or null",
+ *   source: "policy|config"        (config until a policy is set through the API)
+ * }
+ */
+
+/**
+ * Get MFA Policy Endpoint
+ *
+ * GET /api/mfa/policy
+ *
+ * Permission: mfa:policy
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: MFA policy representation,
+ *   message: "MFA policy retrieved successfully"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Policy returned
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage the MFA policy
+ * - 404 Not Found: MFA is switched off
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.get('/policy', authenticate(), authorize('mfa:policy'), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: await mfaService.getPolicy(),
+      message: 'MFA policy retrieved successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in get MFA policy endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Set MFA Policy Endpoint
+ *
+ * PUT /api/mfa/policy
+ *
+ * Permission: mfa:policy
+ *
+ * Sets the roles whose users must use MFA; it replaces MFA_REQUIRED_ROLES.
+ * Users of those roles who have not enrolled can, from the next request on,
+ * only enroll (see /api/mfa/enrollment) and log out. Requiring MFA for your
+ * own role before enrolling yourself therefore sends you to enrollment too.
+ *
+ * Request Body:
+ * {
+ *   requiredRoles: ["admin", ...] (required, may be empty)
+ * }
+ *
+ * Response Format: MFA policy representation, message "MFA policy updated successfully"
+ *
+ * Status Codes:
+ * - 200 OK: Policy stored
+ * - 400 Bad Request: Unknown role
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage the MFA policy
+ * - 404 Not Found: MFA is switched off
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.put('/policy', authenticate(), authorize('mfa:policy'), validateBody({
+  requiredRoles: Joi.array().items(Joi.string().valid(...Object.keys(ROLE_PERMISSIONS))).unique().required()
+}), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const previous = await mfaService.getPolicy();
+    const policy = await mfaService.setPolicy(req.body.requiredRoles, req.user ? req.user.id : null);
+
+    logger.info('MFA policy updated', {
+      requestId,
+      previousRequiredRoles: previous.requiredRoles,
+      requiredRoles: policy.requiredRoles,
+      updatedBy: policy.updatedBy
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: policy,
+      message: 'MFA policy updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in set MFA policy endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+module.exports = router;
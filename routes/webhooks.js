@@ -0,0 +1,676 @@
+/**
+ * Webhook Routes Module
+ *
+ * Lets integrations such as a CRM be told about user changes instead of
+ * polling GET /api/users. Mounted at /api/webhooks; every endpoint requires
+ * the webhooks:manage permission.
+ *
+ * A webhook subscribes a target URL to user events (see
+ * repositories/webhookDeliveryRepository.js for the list, or "*" for all of
+ * them). Each event is POSTed to the URL as JSON, signed with the webhook's
+ * secret in X-Webhook-Signature together with X-Webhook-Timestamp, and
+ * retried with exponential backoff until the receiver answers 2xx or the
+ * attempts run out (see services/webhookService.js). Deliveries that ran out
+ * of attempts form the dead letters, listed with status=dead, and can be
+ * redelivered.
+ *
+ * The signing secret ("whsec_<random>") is returned only when the webhook is
+ * created, with Cache-Control: no-store; like POST /api/keys, that endpoint
+ * does not support Idempotency-Key. Target URLs must use https, or http as
+ * well when WEBHOOK_ALLOW_HTTP is on (the default outside production), so
+ * that a local receiver can be used during development.
+ *
+ * Supported Endpoints:
+ * - POST /api/webhooks - Create a webhook
+ * - GET /api/webhooks - List webhooks
+ * - GET /api/webhooks/deliveries - List deliveries (status=dead for the dead letters)
+ * - GET /api/webhooks/deliveries/:deliveryId - Show a delivery with its payload
+ * - POST /api/webhooks/deliveries/:deliveryId/redeliver - Send a delivery again
+ * - GET /api/webhooks/:id - Show a webhook
+ * - PATCH /api/webhooks/:id - Change a webhook's URL, events, description or active flag
+ * - DELETE /api/webhooks/:id - Delete a webhook and its deliveries
+ * - POST /api/webhooks/:id/ping - Send a webhook.ping event to a webhook
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { StatusCodes } = require('http-status-codes');
+const { v4: uuid } = require('uuid');
+
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const { validateBody, validateQuery, validateId } = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { webhookRepository, webhookDeliveryRepository } = require('../repositories');
+const { WEBHOOK_EVENTS, DELIVERY_STATUSES } = require('../repositories/webhookDeliveryRepository');
+const { pingWebhook, redeliverDelivery } = require('../services/webhookService');
+const { isBlockedHost } = require('../utils/networkAddress');
+
+const router = express.Router();
+
+router.use(authenticate(), authorize('webhooks:manage'));
+
+/**
+ * Target URL of a webhook
+ *
+ * Loopback, link-local and private addresses are refused unless
+ * config.webhooks.allowPrivateNetworks is set; host names are checked again
+ * once resolved, when a delivery is sent.
+ */
+const urlSchema = Joi.string().trim()
+  .uri({ scheme: config.webhooks.allowHttp ? ['https', 'http'] : ['https'] })
+  .max(2048)
+  .custom((value, helpers) => (config.webhooks.allowPrivateNetworks || !isBlockedHost(new URL(value).hostname)
+    ? value
+    : helpers.message('{{#label}} must not point to a loopback, link-local or private network address')));
+
+/**
+ * Event filter of a webhook
+ */
+const eventsSchema = Joi.array().items(Joi.string().valid('*', ...WEBHOOK_EVENTS)).min(1).unique();
+
+/**
+ * Webhook representation shared by every endpoint
+ *
+ * {
+ *   id: "uuid",
+ *   url: "https://crm.example.com/hooks/users",
+ *   events: ["user.created", "user.deactivated"],
+ *   description: "string or null",
+ *   active: true,
+ *   createdAt: "ISO timestamp",
+ *   createdBy: "user id",
+ *   updatedAt: "ISO timestamp"
+ * }
+ */
+
+/**
+ * Build the 404 error for an unknown webhook
+ *
+ * @param {string} id - Webhook ID
+ * @param {string} requestId - Request ID for error details
+ * @returns {Object} Structured error for the global error handler
+ */
+function webhookNotFoundError(id, requestId) {
+  return {
+    type: 'ResourceNotFound',
+    message: `Webhook not found with ID: ${id}`,
+    statusCode: StatusCodes.NOT_FOUND,
+    details: {
+      resource: 'webhook',
+      id,
+      requestId
+    }
+  };
+}
+
+/**
+ * Build the 404 error for an unknown delivery
+ *
+ * @param {string} id - Delivery ID
+ * @param {string} requestId - Request ID for error details
+ * @returns {Object} Structured error for the global error handler
+ */
+function deliveryNotFoundError(id, requestId) {
+  return {
+    type: 'ResourceNotFound',
+    message: `Webhook delivery not found with ID: ${id}`,
+    statusCode: StatusCodes.NOT_FOUND,
+    details: {
+      resource: 'webhook_delivery',
+      id,
+      requestId
+    }
+  };
+}
+
+/**
+ * Create Webhook Endpoint
+ *
+ * POST /api/webhooks
+ *
+ * Request Body:
+ * {
+ *   url: "string" (required, https URL, or http when WEBHOOK_ALLOW_HTTP is on),
+ *   events: ["user.created", ...] (optional, event names or "*", default: ["*"]),
+ *   description: "string" (optional, at most 200 characters)
+ * }
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: { ...webhook representation, secret: "whsec_..." },
+ *   message: "Webhook created; ..."
+ * }
+ *
+ * Status Codes:
+ * - 201 Created: Webhook created; data.secret is shown this once
+ * - 400 Bad Request: Invalid URL, events or description
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage webhooks
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/', validateBody({
+  url: urlSchema.required(),
+  events: eventsSchema.default(['*']),
+  description: Joi.string().trim().max(200).allow('').optional()
+}, { rawFields: ['url'] }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { url, events, description } = req.body;
+
+    const { secret, webhook } = await webhookRepository.create({
+      url,
+      events,
+      description: description || null,
+      createdBy: req.user ? req.user.id : null
+    });
+
+    logger.info('Webhook created', {
+      requestId,
+      webhookId: webhook.id,
+      url: webhook.url,
+      events: webhook.events,
+      createdBy: webhook.createdBy
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.location(`/api/webhooks/${webhook.id}`);
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: { ...webhook, secret },
+      message: 'Webhook created; store the secret now, it cannot be shown again'
+    });
+
+  } catch (error) {
+    logger.error('Error in create webhook endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * List Webhooks Endpoint
+ *
+ * GET /api/webhooks
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: { webhooks: [webhook representation, ...], count: 1 },
+ *   message: "Webhooks retrieved successfully"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Webhooks listed, newest first
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage webhooks
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.get('/', async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const webhooks = await webhookRepository.list();
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        webhooks,
+        count: webhooks.length
+      },
+      message: 'Webhooks retrieved successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in list webhooks endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * List Webhook Deliveries Endpoint
+ *
+ * GET /api/webhooks/deliveries
+ *
+ * Query Parameters:
+ * - webhookId: Only deliveries to this webhook
+ * - status: pending, delivered or dead (the dead letters)
+ * - event: Only deliveries of this event
+ * - offset: Number of deliveries to skip (default: 0)
+ * - limit: Deliveries per page (default: 20, max: 100)
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: {
+ *     deliveries: [{
+ *       id, webhookId, eventId, event, status, attempts, nextAttemptAt,
+ *       lastAttemptAt, lastStatusCode, lastError, createdAt, deliveredAt
+ *     }],
+ *     pagination: { offset, limit, total, hasNext, hasPrev }
+ *   },
+ *   message: "Webhook deliveries retrieved successfully"
+ * }
+ *
+ * Deliveries are listed newest first, without their payloads. Delivered
+ * deliveries are removed after WEBHOOK_DELIVERY_RETENTION; pending and dead
+ * ones stay until their webhook is deleted.
+ *
+ * Status Codes:
+ * - 200 OK: Deliveries listed
+ * - 400 Bad Request: Invalid query parameters
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage webhooks
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.get('/deliveries', validateQuery({
+  webhookId: Joi.string().guid().optional(),
+  status: Joi.string().valid(...DELIVERY_STATUSES).optional(),
+  event: Joi.string().valid(...WEBHOOK_EVENTS, 'webhook.ping').optional(),
+  offset: Joi.number().integer().min(0).default(0),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+}), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { webhookId, status, event, offset, limit } = req.query;
+    const result = await webhookDeliveryRepository.list({ webhookId, status, event, offset, limit });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        deliveries: result.deliveries,
+        pagination: {
+          offset,
+          limit,
+          total: result.total,
+          hasNext: result.hasNext,
+          hasPrev: offset > 0
+        }
+      },
+      message: 'Webhook deliveries retrieved successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in list webhook deliveries endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Get Webhook Delivery Endpoint
+ *
+ * GET /api/webhooks/deliveries/:deliveryId
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: { ...delivery as listed, payload: { id, type, createdAt, data } },
+ *   message: "Webhook delivery retrieved successfully"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Delivery found
+ * - 400 Bad Request: Invalid ID format
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage webhooks
+ * - 404 Not Found: No delivery with this ID
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.get('/deliveries/:deliveryId', validateId('deliveryId', { type: 'uuid' }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const delivery = await webhookDeliveryRepository.findById(req.params.deliveryId);
+
+    if (!delivery) {
+      return next(deliveryNotFoundError(req.params.deliveryId, requestId));
+    }
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: delivery,
+      message: 'Webhook delivery retrieved successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in get webhook delivery endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Redeliver Webhook Delivery Endpoint
+ *
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ *
+ * Queues a delivery to be sent again right away with its original payload
+ * and delivery ID, whatever its status, starting over with a full set of
+ * attempts. Receivers should use X-Webhook-Delivery to ignore deliveries
+ * they have already processed.
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: delivery as listed, with status pending,
+ *   message: "Webhook delivery queued for redelivery"
+ * }
+ *
+ * Status Codes:
+ * - 202 Accepted: Delivery queued
+ * - 400 Bad Request: Invalid ID format
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage webhooks
+ * - 404 Not Found: No delivery with this ID
+ * - 409 Conflict: The delivery is being sent right now
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/deliveries/:deliveryId/redeliver', validateId('deliveryId', { type: 'uuid' }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { deliveryId } = req.params;
+    const { outcome, delivery } = await redeliverDelivery(deliveryId, {
+      redeliveredBy: req.user ? req.user.id : null,
+      requestId
+    });
+
+    if (outcome === 'not_found') {
+      return next(deliveryNotFoundError(deliveryId, requestId));
+    }
+
+    if (outcome === 'in_flight') {
+      return next({
+        type: 'ResourceConflict',
+        message: 'Webhook delivery is being sent; try again once the attempt has finished',
+        statusCode: StatusCodes.CONFLICT,
+        details: {
+          resource: 'webhook_delivery',
+          id: deliveryId,
+          reason: 'delivery_in_flight',
+          requestId
+        }
+      });
+    }
+
+    const { payload, ...listed } = delivery;
+    res.status(StatusCodes.ACCEPTED).json({
+      success: true,
+      data: listed,
+      message: 'Webhook delivery queued for redelivery'
+    });
+
+  } catch (error) {
+    logger.error('Error in redeliver webhook delivery endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Get Webhook Endpoint
+ *
+ * GET /api/webhooks/:id
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: webhook representation,
+ *   message: "Webhook retrieved successfully"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Webhook found
+ * - 400 Bad Request: Invalid ID format
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage webhooks
+ * - 404 Not Found: No webhook with this ID
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.get('/:id', validateId('id', { type: 'uuid' }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const webhook = await webhookRepository.findById(req.params.id);
+
+    if (!webhook) {
+      return next(webhookNotFoundError(req.params.id, requestId));
+    }
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: webhook,
+      message: 'Webhook retrieved successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in get webhook endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Update Webhook Endpoint
+ *
+ * PATCH /api/webhooks/:id
+ *
+ * Request Body (at least one field):
+ * {
+ *   url: "string" (as for POST /api/webhooks),
+ *   events: ["user.created", ...],
+ *   description: "string" (empty to clear),
+ *   active: boolean (inactive webhooks get no new events, and their pending
+ *     deliveries wait until they are active again)
+ * }
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: webhook representation,
+ *   message: "Webhook updated successfully"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Webhook updated
+ * - 400 Bad Request: Invalid ID or body
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage webhooks
+ * - 404 Not Found: No webhook with this ID
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.patch('/:id', validateId('id', { type: 'uuid' }), validateBody(Joi.object({
+  url: urlSchema.optional(),
+  events: eventsSchema.optional(),
+  description: Joi.string().trim().max(200).allow('').optional(),
+  active: Joi.boolean().optional()
+}).min(1), { rawFields: ['url'] }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const { id } = req.params;
+    const changes = { ...req.body };
+
+    if (changes.description !== undefined) {
+      changes.description = changes.description || null;
+    }
+
+    const webhook = await webhookRepository.update(id, changes);
+
+    if (!webhook) {
+      return next(webhookNotFoundError(id, requestId));
+    }
+
+    logger.info('Webhook updated', {
+      requestId,
+      webhookId: id,
+      fields: Object.keys(changes),
+      updatedBy: req.user ? req.user.id : null
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: webhook,
+      message: 'Webhook updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in update webhook endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Delete Webhook Endpoint
+ *
+ * DELETE /api/webhooks/:id
+ *
+ * Deletes the webhook together with its deliveries, including pending and
+ * dead ones.
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: webhook representation,
+ *   message: "Webhook deleted successfully"
+ * }
+ *
+ * Status Codes:
+ * - 200 OK: Webhook deleted
+ * - 400 Bad Request: Invalid ID format
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage webhooks
+ * - 404 Not Found: No webhook with this ID
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.delete('/:id', validateId('id', { type: 'uuid' }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const webhook = await webhookRepository.remove(req.params.id);
+
+    if (!webhook) {
+      return next(webhookNotFoundError(req.params.id, requestId));
+    }
+
+    logger.info('Webhook deleted', {
+      requestId,
+      webhookId: webhook.id,
+      url: webhook.url,
+      deletedBy: req.user ? req.user.id : null
+    });
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: webhook,
+      message: 'Webhook deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error in delete webhook endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+/**
+ * Ping Webhook Endpoint
+ *
+ * POST /api/webhooks/:id/ping
+ *
+ * Queues a webhook.ping event for the webhook, whatever its event filter, to
+ * check that the receiver is reachable and verifies signatures. The outcome
+ * shows up in the delivery, like any other.
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   data: delivery as listed,
+ *   message: "Ping queued"
+ * }
+ *
+ * Status Codes:
+ * - 202 Accepted: Ping queued
+ * - 400 Bad Request: Invalid ID format
+ * - 401 Unauthorized / 403 Forbidden: Caller may not manage webhooks
+ * - 404 Not Found: No webhook with this ID
+ * - 500 Internal Server Error: Unexpected server error
+ */
+router.post('/:id/ping', validateId('id', { type: 'uuid' }), async (req, res, next) => {
+  const requestId = req.id || uuid();
+
+  try {
+    const delivery = await pingWebhook(req.params.id, { actor: req.user, requestId });
+
+    if (!delivery) {
+      return next(webhookNotFoundError(req.params.id, requestId));
+    }
+
+    const { payload, ...listed } = delivery;
+    res.status(StatusCodes.ACCEPTED).json({
+      success: true,
+      data: listed,
+      message: 'Ping queued'
+    });
+
+  } catch (error) {
+    logger.error('Error in ping webhook endpoint', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      method: req.method,
+      path: req.path
+    });
+
+    next(error);
+  }
+});
+
+module.exports = router;
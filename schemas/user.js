@@ -0,0 +1,144 @@
+/**
+ * User Validation Schemas
+ *
+ * Joi rules for user payloads, shared by every endpoint that accepts user data
+ * so that the same constraints apply whether a user is created, replaced or
+ * patched. Each export is a plain object of Joi field definitions, the format
+ * accepted by validateBody() in middleware/validation.js; wrap it in
+ * Joi.object() to validate documents directly.
+ *
+ * Exports:
+ * - USER_ROLES / USER_STATUSES: Allowed role and status values
+ * - INITIAL_USER_STATUSES: Statuses a new user may be created with
+ * - EDITABLE_USER_FIELDS: Top-level fields clients may write
+ * - replaceProfileSchema: PUT /api/users/:id/profile body
+ * - profileSchema: Nested profile object rules for user documents
+ * - createUserSchema: POST /api/users body (role and status default)
+ * - userPasswordSchema: Rules for a new password (commonSchemas.password)
+ * - createUserWithPasswordSchema: POST /api/users body, which may also set a password
+ * - changePasswordSchema: PUT /api/users/:id/password body
+ * - replaceUserSchema: PUT /api/users/:id body and patched documents (all core fields required)
+ * - USER_SORT_FIELDS / USER_FILTER_FIELDS: Sort fields and filterable fields
+ *   (see utils/filterQuery.js) shared by the user list and export endpoints
+ */
+
+const Joi = require('joi');
+const { commonSchemas } = require('../middleware/validation');
+
+/**
+ * Allowed user roles
+ */
+const USER_ROLES = ['admin', 'moderator', 'user'];
+
+/**
+ * Allowed user statuses. Existing users move between them only through the
+ * transitions of services/userStatus.js.
+ */
+const USER_STATUSES = ['active', 'inactive', 'pending', 'suspended'];
+
+/**
+ * Statuses a new user may be created with; suspension needs an existing user
+ */
+const INITIAL_USER_STATUSES = ['active', 'inactive', 'pending'];
+
+/**
+ * Top-level user fields that clients are allowed to write. All other fields
+ * (id, timestamps, metadata) are maintained by the server.
+ */
+const EDITABLE_USER_FIELDS = ['name', 'email', 'role', 'status', 'profile'];
+
+/**
+ * Profile field rules: the PUT /api/users/:id/profile body
+ */
+const replaceProfileSchema = {
+  firstName: Joi.string().max(50).trim().allow(null).optional(),
+  lastName: Joi.string().max(50).trim().allow(null).optional(),
+  // Checked by scheme only: request sanitization HTML-escapes the slashes of a URL
+  avatar: Joi.string().max(500).pattern(/^https?:/i, 'http(s) URL').allow(null).optional(),
+  timezone: commonSchemas.timezone.allow(null).optional(),
+  language: commonSchemas.language.allow(null).optional()
+};
+
+/**
+ * Profile object rules for user documents
+ */
+const profileSchema = Joi.object(replaceProfileSchema);
+
+/**
+ * Request body rules for creating a user
+ */
+const createUserSchema = {
+  name: Joi.string().min(2).max(100).trim().required(),
+  email: Joi.string().email().trim().lowercase().required(),
+  role: Joi.string().valid(...USER_ROLES).default('user'),
+  status: Joi.string().valid(...INITIAL_USER_STATUSES).default('active'),
+  profile: profileSchema.optional()
+};
+
+/**
+ * Rules for a new password. Passwords are hashed (see utils/password.js) and
+ * kept out of user records, so they are not part of the user document rules;
+ * import uploads cannot carry them.
+ */
+const userPasswordSchema = commonSchemas.password;
+
+/**
+ * Request body rules for creating a user through POST /api/users
+ */
+const createUserWithPasswordSchema = {
+  ...createUserSchema,
+  password: userPasswordSchema.optional()
+};
+
+/**
+ * Request body rules for setting a user's password
+ */
+const changePasswordSchema = {
+  password: userPasswordSchema.required(),
+  currentPassword: Joi.string().max(128).optional()
+};
+
+/**
+ * Rules for a complete user document: the PUT request body and the result of
+ * applying a PATCH document
+ */
+const replaceUserSchema = {
+  name: Joi.string().min(2).max(100).trim().required(),
+  email: Joi.string().email().trim().lowercase().required(),
+  role: Joi.string().valid(...USER_ROLES).required(),
+  status: Joi.string().valid(...USER_STATUSES).required(),
+  profile: profileSchema.optional()
+};
+
+/**
+ * Fields a user listing may be sorted by
+ */
+const USER_SORT_FIELDS = ['id', 'name', 'email', 'createdAt', 'updatedAt'];
+
+/**
+ * Fields a user listing may be filtered on, in the format of utils/filterQuery.js
+ */
+const USER_FILTER_FIELDS = {
+  name: { type: 'string' },
+  email: { type: 'string' },
+  status: { type: 'string', values: USER_STATUSES },
+  role: { type: 'string', values: USER_ROLES },
+  createdAt: { type: 'date' },
+  updatedAt: { type: 'date' }
+};
+
+module.exports = {
+  USER_ROLES,
+  USER_STATUSES,
+  INITIAL_USER_STATUSES,
+  EDITABLE_USER_FIELDS,
+  replaceProfileSchema,
+  profileSchema,
+  createUserSchema,
+  userPasswordSchema,
+  createUserWithPasswordSchema,
+  changePasswordSchema,
+  replaceUserSchema,
+  USER_SORT_FIELDS,
+  USER_FILTER_FIELDS
+};
@@ -13,6 +13,7 @@
  * - Modular routing architecture with separate route modules
  * - Winston and Morgan logging integration for production monitoring
  * - Graceful shutdown handling for production deployment
+ * - Background jobs (trash purge, webhook delivery) started with the server and stopped on shutdown
  * - PM2 process manager compatibility with cluster mode support
  * - Backward compatibility with original "Hello, World!" endpoint
  */
@@ -39,8 +40,18 @@ const errorHandler = require('./middleware/errorHandler');
 // Route module imports  
 const rootRoutes = require('./routes/index');
 const apiRoutes = require('./routes/api');
+const authRoutes = require('./routes/auth');
+const keyRoutes = require('./routes/keys');
+const mfaRoutes = require('./routes/mfa');
+const invitationRoutes = require('./routes/invitations');
+const webhookRoutes = require('./routes/webhooks');
 const healthRoutes = require('./routes/health');
 
+// Background job imports
+const { startTrashPurge } = require('./jobs/trashPurge');
+const { startWebhookDelivery } = require('./jobs/webhookDelivery');
+const { ensureBootstrapAdmin } = require('./services/authService');
+
 /**
  * Express Application Initialization
  * 
@@ -61,6 +72,16 @@ if (config.api && config.api.enableTrustProxy) {
   app.set('trust proxy', 1);
 }
 
+/**
+ * ETag Configuration
+ *
+ * Express generates weak ETags for response bodies and answers matching
+ * If-None-Match requests with 304 Not Modified. Routes serving versioned
+ * resources set their own strong ETag first, which Express then uses.
+ * Disabling config.api.enableEtag turns off both.
+ */
+app.set('etag', config.api && config.api.enableEtag ? 'weak' : false);
+
 /**
  * Security Middleware Configuration
  * 
@@ -144,11 +165,11 @@ if (config.compression && config.compression.enabled) {
  */
 const maxPayloadSize = config.api ? config.api.maxPayloadSize : '10mb';
 
-// JSON body parsing with size limits
+// JSON body parsing with size limits (including the PATCH document formats)
 app.use(bodyParser.json({ 
   limit: maxPayloadSize,
   strict: true,
-  type: 'application/json'
+  type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json']
 }));
 
 // URL-encoded form data parsing
@@ -184,6 +205,11 @@ app.use(loggerMiddleware());
  * 
  * Modular routing architecture with separate concerns:
  * - Root routes: Backward compatibility and basic endpoints
+ * - Auth routes: Login, token refresh and logout mounted at /api/auth
+ * - Key routes: API key management mounted at /api/keys
+ * - MFA routes: Multi-factor authentication management mounted at /api/mfa
+ * - Invitation routes: User invitations mounted at /api/invitations
+ * - Webhook routes: Webhook subscriptions and deliveries mounted at /api/webhooks
  * - API routes: RESTful API endpoints mounted at /api
  * - Health routes: Health checks and monitoring endpoints
  */
@@ -191,6 +217,13 @@ app.use(loggerMiddleware());
 // Mount root routes (maintains backward compatibility)
 app.use('/', rootRoutes);
 
+// Mount authentication, API key, MFA, invitation and webhook routes ahead of the API router and its 404 handler
+app.use('/api/auth', authRoutes);
+app.use('/api/keys', keyRoutes);
+app.use('/api/mfa', mfaRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+
 // Mount API routes with /api prefix
 app.use('/api', apiRoutes);
 
@@ -236,6 +269,31 @@ const server = app.listen(serverPort, serverHostname, () => {
   console.log(`Server running at http://${serverHostname}:${serverPort}/`);
 });
 
+/**
+ * Background Jobs
+ * 
+ * Periodic maintenance tasks running alongside the server. Each start
+ * function returns a handle whose stop() method is called on shutdown.
+ */
+const backgroundJobs = [
+  startTrashPurge(),
+  startWebhookDelivery()
+];
+
+/**
+ * First Administrator
+ * 
+ * Every user endpoint requires authentication, so a fresh installation gets
+ * its first account from AUTH_BOOTSTRAP_ADMIN_EMAIL and
+ * AUTH_BOOTSTRAP_ADMIN_PASSWORD (see services/authService.js).
+ */
+ensureBootstrapAdmin().catch(error => {
+  logger.error('Failed to create bootstrap administrator', {
+    error: error.message,
+    stack: error.stack
+  });
+});
+
 /**
  * Server Configuration
  * 
@@ -268,6 +326,9 @@ function gracefulShutdown(signal) {
     timestamp: new Date().toISOString()
   });
   
+  // Stop background jobs before draining connections
+  backgroundJobs.forEach(job => job.stop());
+  
   // Close server and stop accepting new connections
   server.close((err) => {
     if (err) {
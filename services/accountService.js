@@ -0,0 +1,215 @@
+/**
+ * Account Service
+ *
+ * The email-based account flows of /api/auth: password reset and email
+ * verification. Both mail the user a link carrying a single-use token (see
+ * userTokenRepository.js) that the application page behind the link posts
+ * back to the API:
+ *
+ * - Password reset: POST /api/auth/forgot-password mails
+ *   <APP_URL>/reset-password?token=...; POST /api/auth/reset-password sets
+ *   the new password, ends every session of the user and lifts a login
+ *   lockout of their email (see lockoutService.js)
+ * - Email verification: creating a pending user mails
+ *   <APP_URL>/verify-email?token=...; POST /api/auth/verify-email moves the
+ *   user from pending to active
+ *
+ * Tokens expire (config.auth.passwordResetTtl, emailVerificationTtl), work
+ * once, and only while the user still has the address they were sent to.
+ * Requests for unknown addresses are answered like the others, so the
+ * endpoints do not reveal which addresses have accounts.
+ *
+ * Exports:
+ * - requestPasswordReset(email): Mail a password reset link
+ * - resetPassword(token, password): Set a new password with a reset token
+ * - sendVerificationEmail(user): Mail an email verification link
+ * - requestVerificationEmail(email): Mail a new verification link to a pending user
+ * - verifyEmail(token, audit): Confirm an address with a verification token
+ */
+
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const { userRepository, credentialRepository, userTokenRepository } = require('../repositories');
+const { hashPassword } = require('../utils/password');
+const { appLink, sendMail } = require('../mail');
+const lockoutService = require('./lockoutService');
+const { confirmEmailStatus } = require('./userStatus');
+
+/**
+ * Issue a token and mail it
+ *
+ * @param {Object} user - Recipient user
+ * @param {string} purpose - password_reset or email_verification
+ * @returns {Promise<Object>} { sent: true } or { sent: false, reason: 'throttled' }
+ */
+async function issueAndSend(user, purpose) {
+  const ttl = purpose === 'password_reset' ? config.auth.passwordResetTtl : config.auth.emailVerificationTtl;
+  const { token, throttled } = await userTokenRepository.issue(user.id, purpose, {
+    ttlMs: ttl * 1000,
+    email: user.email,
+    minIntervalMs: config.auth.accountEmailInterval * 1000
+  });
+
+  if (throttled) {
+    logger.info('Account email not sent - previous one too recent', { userId: user.id, purpose });
+    return { sent: false, reason: 'throttled' };
+  }
+
+  if (purpose === 'password_reset') {
+    await sendMail({
+      template: 'password-reset',
+      to: user.email,
+      variables: { name: user.name, resetUrl: appLink('reset-password', token), expiresInMinutes: Math.round(ttl / 60) }
+    });
+  } else {
+    await sendMail({
+      template: 'email-verification',
+      to: user.email,
+      variables: { name: user.name, verificationUrl: appLink('verify-email', token), expiresInHours: Math.round(ttl / 3600) }
+    });
+  }
+
+  return { sent: true };
+}
+
+/**
+ * Consume a token and load the user it was issued to
+ *
+ * @param {string} token - Token from the link
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object>} { user } or { reason } where reason is invalid,
+ *   expired or used
+ */
+async function redeem(token, purpose) {
+  const { outcome, record } = await userTokenRepository.consume(token, purpose);
+  if (outcome !== 'valid') {
+    return { reason: outcome };
+  }
+
+  // A link sent to an address the user no longer has must not act on the account
+  const user = await userRepository.findById(record.userId);
+  if (!user || user.email !== record.email) {
+    return { reason: 'invalid' };
+  }
+
+  return { user };
+}
+
+/**
+ * Mail a password reset link
+ *
+ * Active and pending users can reset their password; deactivated and
+ * suspended users cannot.
+ *
+ * @param {string} email - Address entered by the user
+ * @returns {Promise<Object>} { sent, reason } where reason explains why
+ *   nothing was sent (unknown_email, account_inactive, throttled); callers
+ *   must not show it to the client
+ */
+async function requestPasswordReset(email) {
+  const user = await userRepository.findByEmail(email);
+
+  if (!user) {
+    return { sent: false, reason: 'unknown_email' };
+  }
+  if (user.status === 'inactive' || user.status === 'suspended') {
+    return { sent: false, reason: 'account_inactive', user };
+  }
+
+  return { ...await issueAndSend(user, 'password_reset'), user };
+}
+
+/**
+ * Set a new password with a reset token
+ *
+ * Every session of the user ends, as with any password change. Holding the
+ * reset link proves control of the address, so a login lockout of the email
+ * is lifted too.
+ *
+ * @param {string} token - Token from the reset link
+ * @param {string} password - New password (already validated)
+ * @returns {Promise<Object>} { user, passwordChangedAt } or { reason } where
+ *   reason is invalid, expired or used
+ */
+async function resetPassword(token, password) {
+  const { user, reason } = await redeem(token, 'password_reset');
+  if (reason) {
+    return { reason };
+  }
+
+  const stored = await credentialRepository.setPassword(user.id, await hashPassword(password));
+  if (!stored) {
+    return { reason: 'invalid' };
+  }
+
+  await lockoutService.unlockAccount(user.email);
+
+  return { user, passwordChangedAt: stored.passwordChangedAt };
+}
+
+/**
+ * Mail an email verification link to a pending user
+ *
+ * @param {Object} user - User to verify
+ * @returns {Promise<Object>} { sent, reason }
+ */
+async function sendVerificationEmail(user) {
+  return issueAndSend(user, 'email_verification');
+}
+
+/**
+ * Mail a new verification link, for pending users whose link expired or got lost
+ *
+ * @param {string} email - Address entered by the user
+ * @returns {Promise<Object>} { sent, reason } as for requestPasswordReset()
+ */
+async function requestVerificationEmail(email) {
+  const user = await userRepository.findByEmail(email);
+
+  if (!user) {
+    return { sent: false, reason: 'unknown_email' };
+  }
+  if (user.status !== 'pending') {
+    return { sent: false, reason: 'not_pending', user };
+  }
+
+  return { ...await sendVerificationEmail(user), user };
+}
+
+/**
+ * Confirm an email address with a verification token
+ *
+ * A pending user becomes active (the only way out of pending, see
+ * userStatus.js); users in another status keep it, so a verification link
+ * cannot reactivate a deactivated or suspended account.
+ *
+ * @param {string} token - Token from the verification link
+ * @param {Object} audit - { ip, requestId } recorded in the user's history
+ * @returns {Promise<Object>} { user, activated } or { reason } where reason is
+ *   invalid, expired or used
+ */
+async function verifyEmail(token, audit = {}) {
+  const { user, reason } = await redeem(token, 'email_verification');
+  if (reason) {
+    return { reason };
+  }
+
+  if (user.status !== 'pending') {
+    return { user, activated: false };
+  }
+
+  const activated = await confirmEmailStatus(user, {
+    actor: { type: 'user', id: user.id, email: user.email, ip: audit.ip || null },
+    requestId: audit.requestId
+  });
+
+  return activated ? { user: activated, activated: true } : { reason: 'invalid' };
+}
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+  sendVerificationEmail,
+  requestVerificationEmail,
+  verifyEmail
+};
@@ -0,0 +1,555 @@
+/**
+ * Authentication Service
+ *
+ * Login, token refresh and logout for the /api/auth endpoints, kept apart
+ * from the HTTP layer so that every entry point applies the same rules:
+ *
+ * - Only users with a password, status "active" and not in the trash can
+ *   sign in; unknown emails and wrong passwords are indistinguishable, both
+ *   in the response and in the time taken to produce it
+ * - A login starts a refresh token family (see refreshTokenRepository.js)
+ *   and returns a short-lived access token (see utils/accessToken.js) with
+ *   the first refresh token of the family
+ * - A refresh rotates the family; a user that was deleted or deactivated in
+ *   the meantime cannot refresh
+ * - A cookie login checks credentials the same way but starts a server-side
+ *   cookie session (see sessionRepository.js) instead of a token family
+ * - Users with MFA turned on (see mfaService.js) get an MFA challenge from
+ *   either login instead; completeMfaLogin() starts the session once a code
+ *   or recovery code has been checked against the challenge
+ * - Both logins refuse emails and client IPs locked after repeated wrong
+ *   passwords before looking at the password (see lockoutService.js)
+ *
+ * Exports:
+ * - login(email, password, client): Check credentials and start a session
+ * - startCookieSession(email, password, client): Check credentials and start
+ *   a cookie session
+ * - completeMfaLogin(challengeToken, factor, context): Finish a login with a
+ *   second factor
+ * - refresh(refreshToken): Rotate a refresh token
+ * - logout(options): End the session of a refresh token, access token or
+ *   session cookie
+ * - listSessions(userId): Active token and cookie sessions of a user
+ * - revokeSession(userId, sessionId): End one session of a user
+ * - revokeSessions(userId, options): End every session of a user
+ * - toAuthenticatedUser(user, sessionId): Build the req.user object
+ * - ensureBootstrapAdmin(): Create the administrator configured in
+ *   config.auth.bootstrapAdmin when no user has that email yet
+ */
+
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const {
+  userRepository,
+  credentialRepository,
+  refreshTokenRepository,
+  sessionRepository,
+  userTokenRepository
+} = require('../repositories');
+const { hashPassword, verifyPassword, needsRehash } = require('../utils/password');
+const { issueAccessToken } = require('../utils/accessToken');
+const { sanitizeInput } = require('../middleware/validation');
+const { buildUserRecord } = require('./userService');
+const { userPasswordSchema } = require('../schemas/user');
+const mfaService = require('./mfaService');
+const lockoutService = require('./lockoutService');
+
+/**
+ * Hash checked when the email is unknown, so that the response takes as long
+ * as for a known email with a wrong password
+ */
+const decoyHash = hashPassword('decoy-password-for-unknown-users');
+
+/**
+ * Build the object describing the authenticated user of a request (req.user)
+ *
+ * @param {Object} user - User representation
+ * @param {string} sessionId - Refresh token family or cookie session
+ * @returns {Object} { id, name, email, role, status, sessionId }
+ */
+function toAuthenticatedUser(user, sessionId) {
+  const { id, name, email, role, status } = user;
+  return { id, name, email, role, status, sessionId };
+}
+
+/**
+ * Whether a user may hold a session
+ *
+ * @param {Object|null} user - User representation
+ * @returns {boolean} True for active users outside the trash
+ */
+function canSignIn(user) {
+  return Boolean(user) && !user.deletedAt && user.status === 'active';
+}
+
+/**
+ * Build the token response of a login or refresh
+ *
+ * @param {Object} user - User representation
+ * @param {string} refreshToken - Refresh token to hand out
+ * @param {Object} session - Refresh token family
+ * @returns {Object} Token response
+ */
+function tokenResponse(user, refreshToken, session) {
+  const accessToken = issueAccessToken(user, session.id);
+
+  return {
+    tokenType: 'Bearer',
+    accessToken: accessToken.token,
+    expiresIn: accessToken.expiresIn,
+    accessTokenExpiresAt: accessToken.expiresAt,
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    user: toAuthenticatedUser(user, session.id)
+  };
+}
+
+/**
+ * Check an email and password
+ *
+ * Upgrades the stored hash when it was made with weaker parameters than the
+ * current ones.
+ *
+ * @param {string} email - Email address
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object>} { user } when the user may sign in, otherwise
+ *   { reason, user } where reason is invalid_credentials, email_not_verified
+ *   (status pending), account_suspended or account_inactive
+ */
+async function checkCredentials(email, password) {
+  const user = await userRepository.findByEmail(email);
+  const credentials = user ? await credentialRepository.findByUserId(user.id) : null;
+
+  if (!credentials) {
+    await verifyPassword(password, await decoyHash);
+    return { reason: 'invalid_credentials' };
+  }
+
+  if (!await verifyPassword(password, credentials.passwordHash)) {
+    return { reason: 'invalid_credentials', user };
+  }
+
+  if (user.status === 'pending') {
+    return { reason: 'email_not_verified', user };
+  }
+  if (user.status === 'suspended') {
+    return { reason: 'account_suspended', user };
+  }
+  if (!canSignIn(user)) {
+    return { reason: 'account_inactive', user };
+  }
+
+  if (needsRehash(credentials.passwordHash)) {
+    await credentialRepository.setPassword(user.id, await hashPassword(password), {
+      keepSessions: true,
+      timestamp: credentials.passwordChangedAt
+    });
+  }
+
+  return { user };
+}
+
+/**
+ * Check an email and password under the login lockout
+ *
+ * A wrong password counts against the email and the client IP; the failure
+ * that locks either of them is answered as locked already.
+ *
+ * @param {string} email - Email address
+ * @param {string} password - Plain text password
+ * @param {Object} client - { ip, requestId } of the login
+ * @returns {Promise<Object>} As for checkCredentials(), or { reason: 'locked',
+ *   lockReason, lockedUntil, user } where lockReason is account_locked or
+ *   ip_locked
+ */
+async function checkLoginAttempt(email, password, client) {
+  const lock = await lockoutService.checkLogin({ email, ip: client.ip });
+  if (lock) {
+    return { reason: 'locked', lockReason: lock.reason, lockedUntil: lock.lockedUntil };
+  }
+
+  const result = await checkCredentials(email, password);
+
+  if (result.reason === 'invalid_credentials') {
+    const newLock = await lockoutService.recordFailedLogin({
+      email,
+      ip: client.ip,
+      userId: result.user ? result.user.id : null,
+      requestId: client.requestId
+    });
+
+    if (newLock) {
+      return { reason: 'locked', lockReason: newLock.reason, lockedUntil: newLock.lockedUntil, user: result.user };
+    }
+  } else if (!result.reason) {
+    await lockoutService.recordSuccessfulLogin(email);
+  }
+
+  return result;
+}
+
+/**
+ * Start a refresh token family for a user
+ *
+ * @param {Object} user - User representation
+ * @param {Object} client - { ip, userAgent } recorded with the session
+ * @returns {Promise<Object>} Token response
+ */
+async function startTokenSession(user, client) {
+  const { token, session } = await refreshTokenRepository.issue(user.id, {
+    ttlMs: config.auth.refreshTokenTtl * 1000,
+    client
+  });
+
+  return tokenResponse(user, token, session);
+}
+
+/**
+ * Start a cookie session for a user
+ *
+ * The session lasts config.security.session.maxAge past its last use.
+ *
+ * @param {Object} user - User representation
+ * @param {Object} client - { ip, userAgent } recorded with the session
+ * @returns {Promise<Object>} { token, session, user } where token is the
+ *   cookie value and user the req.user object of the session
+ */
+async function openCookieSession(user, client) {
+  const { token, session } = await sessionRepository.create(user.id, {
+    ttlMs: config.security.session.maxAge,
+    client
+  });
+
+  return { token, session, user: toAuthenticatedUser(user, session.id) };
+}
+
+/**
+ * Hand out an MFA challenge in place of a session
+ *
+ * A user holds one challenge at a time; logging in again replaces it.
+ *
+ * @param {Object} user - User who passed the password step
+ * @param {string} mode - Session to start once the challenge is met: token or cookie
+ * @returns {Promise<Object>} { mfaRequired, challengeToken, challengeExpiresAt, methods }
+ */
+async function issueMfaChallenge(user, mode) {
+  const { token, record } = await userTokenRepository.issue(user.id, 'mfa_challenge', {
+    ttlMs: config.auth.mfa.challengeTtl * 1000,
+    email: user.email,
+    data: { mode }
+  });
+
+  return {
+    mfaRequired: true,
+    challengeToken: token,
+    challengeExpiresAt: record.expiresAt,
+    methods: ['totp', 'recovery_code']
+  };
+}
+
+/**
+ * Whether a login needs a second factor
+ *
+ * @param {Object} user - User who passed the password step
+ * @returns {Promise<boolean>} True when MFA is on for the server and the user
+ */
+async function needsSecondFactor(user) {
+  return config.auth.mfa.enabled && mfaService.isEnabledFor(user.id);
+}
+
+/**
+ * Check credentials and start a session
+ *
+ * @param {string} email - Email address
+ * @param {string} password - Plain text password
+ * @param {Object} client - { ip, userAgent } recorded with the session, and
+ *   the requestId of the login
+ * @returns {Promise<Object>} { tokens } on success, { challenge } when the
+ *   user has to complete an MFA challenge first, otherwise { reason } as for
+ *   checkLoginAttempt()
+ */
+async function login(email, password, client = {}) {
+  const attempt = await checkLoginAttempt(email, password, client);
+  if (attempt.reason) {
+    return attempt;
+  }
+
+  const { user } = attempt;
+
+  if (await needsSecondFactor(user)) {
+    return { challenge: await issueMfaChallenge(user, 'token'), user };
+  }
+
+  return { tokens: await startTokenSession(user, client), user };
+}
+
+/**
+ * Check credentials and start a cookie session
+ *
+ * @param {string} email - Email address
+ * @param {string} password - Plain text password
+ * @param {Object} client - { ip, userAgent, requestId } as for login()
+ * @returns {Promise<Object>} { token, session, user } on success (see
+ *   openCookieSession()), { challenge, user } when the user has to complete
+ *   an MFA challenge first, otherwise { reason } as for login()
+ */
+async function startCookieSession(email, password, client = {}) {
+  const attempt = await checkLoginAttempt(email, password, client);
+  if (attempt.reason) {
+    return attempt;
+  }
+
+  const { user } = attempt;
+
+  if (await needsSecondFactor(user)) {
+    return { challenge: await issueMfaChallenge(user, 'cookie'), user };
+  }
+
+  return openCookieSession(user, client);
+}
+
+/**
+ * Finish a login with a second factor
+ *
+ * The challenge survives wrong codes, so that a typo does not send the user
+ * back to the password step; the factor's own lockout limits guessing.
+ *
+ * @param {string} challengeToken - Challenge returned by the password step
+ * @param {Object} factor - { code } from the authenticator app or { recoveryCode }
+ * @param {Object} context - { ip, userAgent, requestId }
+ * @returns {Promise<Object>} { mode: 'token', tokens, user } or
+ *   { mode: 'cookie', token, session, user } on success, otherwise { reason }
+ *   where reason is challenge_invalid, challenge_expired, challenge_used,
+ *   account_inactive, invalid_code or locked (with lockedUntil)
+ */
+async function completeMfaLogin(challengeToken, factor, context = {}) {
+  const { ip = null, userAgent = null, requestId } = context;
+  const checked = await userTokenRepository.check(challengeToken, 'mfa_challenge');
+
+  if (checked.outcome !== 'valid') {
+    return { reason: `challenge_${checked.outcome}` };
+  }
+
+  const user = await userRepository.findById(checked.record.userId);
+  if (!canSignIn(user)) {
+    return { reason: 'account_inactive', user };
+  }
+
+  const verified = await mfaService.verifySecondFactor(user.id, factor, { requestId, ip, purpose: 'login' });
+  if (verified.reason) {
+    // MFA turned off since the password step: the challenge cannot be met any more
+    const reason = verified.reason === 'not_enabled' ? 'challenge_invalid' : verified.reason;
+    return { reason, lockedUntil: verified.lockedUntil, user };
+  }
+
+  // Two requests may have passed the check with the same challenge; only one gets a session
+  const consumed = await userTokenRepository.consume(challengeToken, 'mfa_challenge');
+  if (consumed.outcome !== 'valid') {
+    return { reason: `challenge_${consumed.outcome}`, user };
+  }
+
+  const client = { ip, userAgent };
+  const { method, recoveryCodesRemaining } = verified;
+
+  if (consumed.record.data.mode === 'cookie') {
+    return { mode: 'cookie', method, recoveryCodesRemaining, ...await openCookieSession(user, client) };
+  }
+  return { mode: 'token', method, recoveryCodesRemaining, tokens: await startTokenSession(user, client), user };
+}
+
+/**
+ * Rotate a refresh token
+ *
+ * @param {string} refreshToken - Current refresh token of a session
+ * @returns {Promise<Object>} { tokens } on success, otherwise { reason } where
+ *   reason is the rotation outcome (invalid, expired, revoked, reused) or
+ *   account_inactive
+ */
+async function refresh(refreshToken) {
+  const { outcome, token, session } = await refreshTokenRepository.rotate(refreshToken, {
+    ttlMs: config.auth.refreshTokenTtl * 1000
+  });
+
+  if (outcome !== 'rotated') {
+    return { reason: outcome, session };
+  }
+
+  const user = await userRepository.findById(session.userId);
+  if (!canSignIn(user)) {
+    await refreshTokenRepository.revoke(session.id, 'account_inactive');
+    return { reason: 'account_inactive', session };
+  }
+
+  return { tokens: tokenResponse(user, token, session), session };
+}
+
+/**
+ * End a session
+ *
+ * @param {Object} options - Session to end
+ * @param {string} options.refreshToken - Current refresh token of the session
+ * @param {string} options.sessionId - Session of the credentials used for the request
+ * @param {string} options.authMethod - How the request authenticated
+ *   (req.authMethod); session means sessionId is a cookie session
+ * @returns {Promise<Object|null>} The revoked session, or null when there was none
+ */
+async function logout(options = {}) {
+  const { refreshToken, sessionId, authMethod } = options;
+
+  if (refreshToken) {
+    return refreshTokenRepository.revokeToken(refreshToken, 'logout');
+  }
+  if (!sessionId) {
+    return null;
+  }
+  return authMethod === 'session'
+    ? sessionRepository.revoke(sessionId, 'logout')
+    : refreshTokenRepository.revoke(sessionId, 'logout');
+}
+
+/**
+ * Describe a token family or cookie session for session listings
+ *
+ * @param {Object} session - Refresh token family or cookie session
+ * @param {string} type - token or cookie
+ * @returns {Object} { id, type, createdAt, lastSeenAt, expiresAt, client }
+ */
+function describeSession(session, type) {
+  return {
+    id: session.id,
+    type,
+    createdAt: session.createdAt,
+    lastSeenAt: type === 'token' ? session.rotatedAt : session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    client: session.client
+  };
+}
+
+/**
+ * List the active sessions of a user
+ *
+ * Token sessions (refresh token families) report the last refresh as
+ * lastSeenAt, since their access tokens are not tracked.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Sessions, most recently used first
+ */
+async function listSessions(userId) {
+  const [families, cookieSessions] = await Promise.all([
+    refreshTokenRepository.listByUser(userId),
+    sessionRepository.listByUser(userId)
+  ]);
+
+  return [
+    ...families.map(family => describeSession(family, 'token')),
+    ...cookieSessions.map(session => describeSession(session, 'cookie'))
+  ].sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+}
+
+/**
+ * End one session of a user
+ *
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId - Token family or cookie session ID
+ * @returns {Promise<Object|null>} The session as listed by listSessions(),
+ *   or null when the user has no active session with this ID
+ */
+async function revokeSession(userId, sessionId) {
+  const session = (await listSessions(userId)).find(candidate => candidate.id === sessionId);
+  if (!session) {
+    return null;
+  }
+
+  if (session.type === 'cookie') {
+    await sessionRepository.revoke(sessionId, 'revoked');
+  } else {
+    await refreshTokenRepository.revoke(sessionId, 'revoked');
+  }
+  return session;
+}
+
+/**
+ * End every session of a user
+ *
+ * @param {string} userId - User ID
+ * @param {Object} options - Revocation options
+ * @param {string} options.except - Session to keep, typically the caller's own
+ * @returns {Promise<Array>} The ended sessions
+ */
+async function revokeSessions(userId, options = {}) {
+  const sessions = (await listSessions(userId)).filter(session => session.id !== options.except);
+
+  for (const session of sessions) {
+    await revokeSession(userId, session.id);
+  }
+  return sessions;
+}
+
+/**
+ * Create the administrator configured in config.auth.bootstrapAdmin
+ *
+ * Gives a fresh installation a way in: every user endpoint requires
+ * authentication, so the first account cannot be created through the API.
+ * Nothing happens when no bootstrap email is configured or a user with that
+ * email already exists, so this is safe to run on every start and in every
+ * PM2 worker. A password that does not meet the password rules is refused.
+ *
+ * @returns {Promise<Object|null>} The created user, or null
+ */
+async function ensureBootstrapAdmin() {
+  const { password, name } = config.auth.bootstrapAdmin;
+
+  if (!config.auth.bootstrapAdmin.email || !password) {
+    return null;
+  }
+
+  // Stored the way request sanitization stores emails, so that logins match
+  const email = sanitizeInput(config.auth.bootstrapAdmin.email);
+
+  if (await userRepository.findByEmail(email, { includeDeleted: true })) {
+    return null;
+  }
+
+  const { error: passwordError } = userPasswordSchema.validate(password);
+  if (passwordError) {
+    logger.error('Bootstrap administrator not created - AUTH_BOOTSTRAP_ADMIN_PASSWORD is too weak', {
+      email,
+      reason: passwordError.message
+    });
+    return null;
+  }
+
+  const admin = buildUserRecord({ name, email, role: 'admin', status: 'active' }, {
+    source: 'bootstrap',
+    createdBy: 'system'
+  });
+
+  try {
+    const created = await userRepository.create(admin, {
+      credentials: { passwordHash: await hashPassword(password) },
+      audit: { actor: { type: 'system', id: 'bootstrap' } }
+    });
+
+    logger.info('Bootstrap administrator created', { userId: created.id, email: created.email });
+    return created;
+  } catch (error) {
+    // Another worker created the administrator first
+    if (error.statusCode === 409 || error.statusCode === 422) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  login,
+  startCookieSession,
+  completeMfaLogin,
+  refresh,
+  logout,
+  listSessions,
+  revokeSession,
+  revokeSessions,
+  toAuthenticatedUser,
+  ensureBootstrapAdmin
+};
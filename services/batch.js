@@ -0,0 +1,303 @@
+/**
+ * Batch Request Service
+ *
+ * Executes the operations of a POST /api/batch request one after another by
+ * dispatching each as an in-process sub-request through the API router (see
+ * utils/subRequest.js), so every operation is validated and handled exactly
+ * like the equivalent individual call.
+ *
+ * References:
+ * An operation can use the response of an earlier operation through
+ * {{<operation id>.<path>}} placeholders in its path, headers or body, where
+ * path walks the captured response { status, headers, body }. For example
+ * "{{newUser.body.data.id}}" is the ID returned by the operation with id
+ * "newUser". A string that consists of a single placeholder is replaced by
+ * the referenced value itself (keeping numbers and objects intact); a
+ * placeholder embedded in a longer string is interpolated as text. An
+ * operation whose references point at a failed operation, or at a value that
+ * does not exist, is not executed and fails with 424 Failed Dependency.
+ *
+ * Transactions:
+ * In transaction mode the batch runs inside a unit of work (see
+ * repositories/unitOfWork.js): operations see each other's changes, other
+ * requests see none of them until the batch commits, and the first operation
+ * that fails stops the batch and discards every change. Mail that an
+ * operation triggers, such as a verification link for a new pending user, is
+ * only sent once the batch commits (driver.afterCommit()).
+ *
+ * Nesting:
+ * An operation may not be a batch itself. The route rejects batch paths up
+ * front, and they are checked again once references are resolved, since a
+ * placeholder can produce one. Paths are compared as Express routes them:
+ * decoded, with repeated slashes collapsed and regardless of case.
+ *
+ * Exports:
+ * - findReferences(value): List the operation IDs referenced in a value
+ * - isBatchPath(path): Whether an operation path addresses POST /api/batch
+ * - runBatch(operations, options): Execute a batch and report every operation
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const logger = require('../utils/logger');
+const { driver } = require('../repositories');
+const { dispatchSubRequest, respondWithError } = require('../utils/subRequest');
+
+/**
+ * Placeholder syntax: {{operationId.path.to.value}}
+ */
+const REFERENCE_PATTERN = /\{\{\s*([A-Za-z][\w-]*)((?:\.[\w-]+)*)\s*\}\}/g;
+
+/**
+ * Whether an operation path addresses the batch endpoint
+ *
+ * @param {string} path - Absolute operation path, possibly with a query string
+ * @returns {boolean} True for /api/batch in any letter case or encoding
+ */
+function isBatchPath(path) {
+  const pathname = String(path).split(/[?#]/)[0];
+  let decoded;
+
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    decoded = pathname;
+  }
+
+  return /^\/api\/batch(?:\/|$)/i.test(decoded.replace(/\/{2,}/g, '/'));
+}
+
+/**
+ * Apply a function to every string inside a value (objects and arrays are copied)
+ *
+ * @param {any} value - Value to walk
+ * @param {Function} transform - Called with each string; returns its replacement
+ * @returns {any} Transformed copy of the value
+ */
+function mapStrings(value, transform) {
+  if (typeof value === 'string') {
+    return transform(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => mapStrings(item, transform));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, transform)]));
+  }
+  return value;
+}
+
+/**
+ * List the operation IDs referenced in a value
+ *
+ * @param {any} value - Operation path, headers or body
+ * @returns {Array<string>} Referenced operation IDs, in order of appearance
+ */
+function findReferences(value) {
+  const references = [];
+  mapStrings(value, text => {
+    for (const match of text.matchAll(REFERENCE_PATTERN)) {
+      references.push(match[1]);
+    }
+    return text;
+  });
+  return references;
+}
+
+/**
+ * Replace the placeholders in a value with data from earlier responses
+ *
+ * @param {any} value - Operation path, headers or body
+ * @param {Map<string, Object>} responses - Captured responses keyed by operation ID
+ * @returns {any} Resolved copy of the value
+ * @throws {Object} 424 error when a reference cannot be resolved
+ */
+function resolveReferences(value, responses) {
+  const lookup = (operationId, path, placeholder) => {
+    const response = responses.get(operationId);
+
+    if (!response || response.status >= StatusCodes.BAD_REQUEST) {
+      throw {
+        type: 'FailedDependency',
+        message: `Operation "${operationId}" did not succeed, so ${placeholder} cannot be resolved`,
+        statusCode: StatusCodes.FAILED_DEPENDENCY,
+        details: { reason: 'dependency_failed', dependsOn: operationId, reference: placeholder }
+      };
+    }
+
+    const resolved = path.split('.').filter(Boolean).reduce(
+      (current, key) => (current === null || current === undefined ? undefined : current[key]),
+      response
+    );
+
+    if (resolved === undefined) {
+      throw {
+        type: 'FailedDependency',
+        message: `${placeholder} does not match any value in the response of operation "${operationId}"`,
+        statusCode: StatusCodes.FAILED_DEPENDENCY,
+        details: { reason: 'unresolved_reference', dependsOn: operationId, reference: placeholder }
+      };
+    }
+
+    return resolved;
+  };
+
+  return mapStrings(value, text => {
+    const exact = text.match(new RegExp(`^${REFERENCE_PATTERN.source}$`));
+    if (exact) {
+      return lookup(exact[1], exact[2], text);
+    }
+
+    return text.replace(REFERENCE_PATTERN, (placeholder, operationId, path) => {
+      const resolved = lookup(operationId, path, placeholder);
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  });
+}
+
+/**
+ * Execute the operations in order, recording one result per operation
+ *
+ * @param {Array<Object>} operations - Validated operations
+ * @param {Object} context - { handler, parentReq, stopOnFailure }
+ * @returns {Promise<Array<Object>>} Results in operation order
+ */
+async function executeOperations(operations, context) {
+  const { handler, parentReq, stopOnFailure } = context;
+  const responses = new Map();
+  const results = [];
+  let failed = false;
+
+  for (const [index, operation] of operations.entries()) {
+    const { id, method } = operation;
+
+    if (failed && stopOnFailure) {
+      results.push({ index, ...(id && { id }), status: null, skipped: true });
+      continue;
+    }
+
+    let request = { method, path: operation.path, headers: operation.headers, body: operation.body };
+    let response;
+
+    try {
+      request = {
+        method,
+        path: resolveReferences(operation.path, responses),
+        headers: resolveReferences(operation.headers, responses),
+        body: resolveReferences(operation.body, responses)
+      };
+
+      if (isBatchPath(request.path)) {
+        throw {
+          type: 'ValidationError',
+          message: `Operation ${index} is a batch request; batches cannot be nested`,
+          statusCode: StatusCodes.BAD_REQUEST,
+          details: { reason: 'nested_batch', path: request.path }
+        };
+      }
+
+      response = await dispatchSubRequest(handler, parentReq, request);
+    } catch (error) {
+      response = await respondWithError(parentReq, request, error);
+    }
+
+    if (id) {
+      responses.set(id, response);
+    }
+    failed = failed || response.status >= StatusCodes.BAD_REQUEST;
+
+    results.push({ index, ...(id && { id }), ...response });
+  }
+
+  return results;
+}
+
+/**
+ * Summarize batch results
+ *
+ * @param {Array<Object>} results - Operation results
+ * @param {boolean} transaction - Whether the batch ran as a transaction
+ * @param {boolean} committed - Whether the changes were kept
+ * @returns {Object} Summary counts
+ */
+function summarize(results, transaction, committed) {
+  return {
+    total: results.length,
+    succeeded: results.filter(result => result.status !== null && result.status < StatusCodes.BAD_REQUEST).length,
+    failed: results.filter(result => result.status >= StatusCodes.BAD_REQUEST).length,
+    skipped: results.filter(result => result.skipped).length,
+    transaction,
+    committed
+  };
+}
+
+/**
+ * Execute a batch and report every operation
+ *
+ * Without a transaction every operation runs, and each one succeeds or fails
+ * independently. With a transaction a failure stops the batch and the
+ * changes of the operations that already ran are discarded; the report is
+ * then delivered as a 422 error.
+ *
+ * @param {Array<Object>} operations - Validated operations { id, method, path, headers, body }
+ * @param {Object} options - Batch options
+ * @param {Function} options.handler - Router that serves the operations
+ * @param {Object} options.parentReq - The batch request
+ * @param {boolean} options.transaction - Run all operations as one transaction
+ * @returns {Promise<Object>} Report { results, summary }
+ * @throws {Object} 422 error with the report when a transaction was rolled
+ *   back, or 409 when concurrent changes prevented the commit
+ */
+async function runBatch(operations, options) {
+  const { handler, parentReq, transaction = false } = options;
+  const requestId = parentReq.id;
+
+  if (!transaction) {
+    const results = await executeOperations(operations, { handler, parentReq, stopOnFailure: false });
+    const summary = summarize(results, false, true);
+
+    logger.info('Batch request processed', { requestId, ...summary });
+    return { results, summary };
+  }
+
+  const results = await driver.unitOfWork(async () => {
+    const executed = await executeOperations(operations, { handler, parentReq, stopOnFailure: true });
+    const failure = executed.find(result => result.status >= StatusCodes.BAD_REQUEST);
+
+    if (failure) {
+      const summary = summarize(executed, true, false);
+
+      logger.warn('Batch transaction rolled back', {
+        requestId,
+        failedIndex: failure.index,
+        failedStatus: failure.status,
+        ...summary
+      });
+
+      throw {
+        type: 'BusinessLogicError',
+        message: `Batch transaction rolled back: operation ${failure.index}${failure.id ? ` ("${failure.id}")` : ''} failed with status ${failure.status}`,
+        statusCode: StatusCodes.UNPROCESSABLE_ENTITY,
+        details: {
+          reason: 'batch_aborted',
+          failedOperation: failure.index,
+          results: executed,
+          summary,
+          requestId
+        }
+      };
+    }
+
+    return executed;
+  });
+
+  const summary = summarize(results, true, true);
+  logger.info('Batch transaction committed', { requestId, ...summary });
+
+  return { results, summary };
+}
+
+module.exports = {
+  findReferences,
+  isBatchPath,
+  runBatch
+};
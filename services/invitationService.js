@@ -0,0 +1,207 @@
+/**
+ * Invitation Service
+ *
+ * Lets administrators invite people by email instead of creating their
+ * accounts for them. The invitee gets a link to <APP_URL>/accept-invitation
+ * carrying a single-use token (see invitationRepository.js); the page behind
+ * it posts the token and a password to POST /api/invitations/accept, which
+ * creates the user with the role and status chosen by the administrator:
+ *
+ * - Email addresses follow the rule of POST /api/users: an invitation cannot
+ *   be sent to, or accepted for, an address an active user already has
+ * - An address has one open invitation at a time; resending replaces its
+ *   token, so only the latest link works, and extends its expiry
+ * - Accepting closes the invitation and creates the user in one unit of
+ *   work; a user created as pending is mailed an email verification link,
+ *   as with POST /api/users
+ * - The business rules of userRules.js are checked again on acceptance,
+ *   as the rules may have changed after the invitation was sent
+ *
+ * Mail goes through mail/index.js, so the outbox transport captures the
+ * invitations in development and testing.
+ *
+ * Exports:
+ * - createInvitation(data, context): Create and mail an invitation
+ * - resendInvitation(id, options, context): Mail an invitation again with a new token
+ * - acceptInvitation(token, data, audit): Create the user of an invitation
+ */
+
+const logger = require('../utils/logger');
+const { driver, userRepository, invitationRepository } = require('../repositories');
+const { hashPassword } = require('../utils/password');
+const { appLink, sendMail } = require('../mail');
+const { buildUserRecord } = require('./userService');
+const { sendVerificationEmail } = require('./accountService');
+const { evaluateUserRules } = require('./userRules');
+
+/**
+ * Milliseconds in a day, for the expiry announced in the email
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Mail an invitation and record the delivery
+ *
+ * A failed delivery is logged and reported rather than thrown, so that the
+ * invitation stays in place to be resent.
+ *
+ * @param {Object} invitation - Invitation to mail
+ * @param {string} token - Token of the invitation link
+ * @param {string} requestId - Request ID for the logs
+ * @returns {Promise<Object>} { invitation, sent }
+ */
+async function deliver(invitation, token, requestId) {
+  try {
+    await sendMail({
+      template: 'invitation',
+      to: invitation.email,
+      variables: {
+        name: invitation.name || invitation.email,
+        role: invitation.role,
+        acceptUrl: appLink('accept-invitation', token),
+        expiresInDays: Math.max(1, Math.round((Date.parse(invitation.expiresAt) - Date.now()) / DAY_MS))
+      }
+    });
+  } catch (error) {
+    logger.error('Invitation email not sent', {
+      requestId,
+      invitationId: invitation.id,
+      error: error.message
+    });
+    return { invitation, sent: false };
+  }
+
+  return { invitation: await invitationRepository.markSent(invitation.id), sent: true };
+}
+
+/**
+ * Create and mail an invitation
+ *
+ * @param {Object} data - { email, name, role, userStatus, expiresAt } (validated)
+ * @param {Object} context - { createdBy, requestId }
+ * @returns {Promise<Object>} { invitation, sent } or { reason, invitation }
+ *   where reason is duplicate_email or invitation_exists (with the open
+ *   invitation of the address)
+ */
+async function createInvitation(data, context = {}) {
+  const { createdBy = null, requestId } = context;
+
+  if (await userRepository.findByEmail(data.email)) {
+    return { reason: 'duplicate_email' };
+  }
+
+  const { outcome, token, invitation } = await invitationRepository.create({ ...data, createdBy });
+  if (outcome !== 'created') {
+    return { reason: outcome, invitation };
+  }
+
+  return deliver(invitation, token, requestId);
+}
+
+/**
+ * Mail an invitation again with a new token
+ *
+ * Works for open and expired invitations; the previous link stops working.
+ *
+ * @param {string} id - Invitation ID
+ * @param {Object} options - { expiresAt } new expiry (validated)
+ * @param {Object} context - { requestId }
+ * @returns {Promise<Object>} { invitation, sent } or { reason, invitation }
+ *   where reason is not_found, accepted, revoked, invitation_exists or
+ *   duplicate_email (a user took the address since it was invited)
+ */
+async function resendInvitation(id, options, context = {}) {
+  const current = await invitationRepository.findById(id);
+  if (!current) {
+    return { reason: 'not_found', invitation: null };
+  }
+
+  if (!current.acceptedAt && await userRepository.findByEmail(current.email)) {
+    return { reason: 'duplicate_email', invitation: current };
+  }
+
+  const { outcome, token, invitation } = await invitationRepository.reissue(id, { expiresAt: options.expiresAt });
+  if (outcome !== 'reissued') {
+    return { reason: outcome, invitation };
+  }
+
+  return deliver(invitation, token, context.requestId);
+}
+
+/**
+ * Create the user of an invitation
+ *
+ * @param {string} token - Token from the invitation link
+ * @param {Object} data - { password, name } where name overrides the one
+ *   given by the administrator and is required when there is none
+ * @param {Object} audit - { ip, requestId } recorded in the user's history
+ * @returns {Promise<Object>} { user, invitation } or { reason, invitation }
+ *   where reason is invalid, expired, accepted, revoked, name_required,
+ *   duplicate_email or rule_violation (with the rule's error)
+ */
+async function acceptInvitation(token, data, audit = {}) {
+  const checked = await invitationRepository.check(token);
+  if (checked.outcome !== 'valid') {
+    return { reason: checked.outcome, invitation: checked.invitation };
+  }
+
+  const { invitation } = checked;
+  const name = data.name || invitation.name;
+  if (!name) {
+    return { reason: 'name_required', invitation };
+  }
+
+  if (await userRepository.findByEmail(invitation.email)) {
+    return { reason: 'duplicate_email', invitation };
+  }
+
+  const record = buildUserRecord({
+    name,
+    email: invitation.email,
+    role: invitation.role,
+    status: invitation.userStatus
+  }, { requestId: audit.requestId, source: 'invitation', createdBy: invitation.createdBy || 'api' });
+  record.metadata.invitationId = invitation.id;
+
+  const ruleError = await evaluateUserRules({ operation: 'create', after: record, requestId: audit.requestId });
+  if (ruleError) {
+    return { reason: 'rule_violation', error: ruleError, invitation };
+  }
+
+  const passwordHash = await hashPassword(data.password);
+
+  // The invitation closes only if the user is created, and the other way round
+  const result = await driver.unitOfWork(async () => {
+    const accepted = await invitationRepository.accept(token, record.id);
+    if (accepted.outcome !== 'valid') {
+      return { reason: accepted.outcome, invitation: accepted.invitation };
+    }
+
+    const user = await userRepository.create(record, {
+      credentials: { passwordHash },
+      audit: {
+        actor: { type: 'user', id: record.id, email: record.email, ip: audit.ip || null },
+        requestId: audit.requestId
+      }
+    });
+    return { user, invitation: accepted.invitation };
+  });
+
+  if (result.user && result.user.status === 'pending') {
+    driver.afterCommit(() => sendVerificationEmail(result.user).catch(error => {
+      logger.error('Verification email for invited user not sent', {
+        requestId: audit.requestId,
+        userId: result.user.id,
+        error: error.message
+      });
+    }));
+  }
+
+  return result;
+}
+
+module.exports = {
+  createInvitation,
+  resendInvitation,
+  acceptInvitation
+};
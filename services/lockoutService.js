@@ -0,0 +1,241 @@
+/**
+ * Lockout Service
+ *
+ * Protects the password step of the logins against guessing. Failed logins
+ * are counted per account (by email, whether or not an account exists, so
+ * that locks do not reveal which addresses are registered) and per client
+ * IP (across accounts, against password spraying):
+ *
+ * - config.auth.lockout.maxFailures failures for one email within
+ *   config.auth.lockout.window lock that email
+ * - config.auth.lockout.ipMaxFailures failures from one IP within the window
+ *   lock that IP
+ * - The first lock lasts config.auth.lockout.duration; each further lock of
+ *   the same key doubles it, up to config.auth.lockout.maxDuration. The
+ *   doubling starts over after config.auth.lockout.resetAfter without failures
+ *
+ * While the email or the IP is locked, logins are refused without checking
+ * the password. A successful login clears the failures of the account, as do
+ * a password reset and an administrator's unlock (POST /api/users/:id/unlock).
+ * IP locks expire, or are lifted by an administrator through the same
+ * endpoint.
+ *
+ * The IP is req.ip, which behind a reverse proxy is the proxy's own address
+ * unless config.api.enableTrustProxy (API_TRUST_PROXY) is set; every client
+ * then shares one IP count, and one client guessing passwords locks out all.
+ *
+ * Counts and locks are stored through loginAttemptRepository, so PM2 workers
+ * sharing the file backend enforce them together.
+ *
+ * Exports:
+ * - checkLogin(attempt): Active lock blocking a login, or null
+ * - recordFailedLogin(attempt): Count a failed login
+ * - recordSuccessfulLogin(email): Clear the failures of an account
+ * - getAccountLock(email): Failure and lock state of an account
+ * - unlockAccount(email): Clear the failures and lock of an account
+ * - unlockIp(ip): Clear the failures and lock of a client IP
+ */
+
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const { loginAttemptRepository } = require('../repositories');
+
+/**
+ * Storage key of an account
+ *
+ * @param {string} email - Email address as used to log in
+ * @returns {string} Key
+ */
+function accountKey(email) {
+  return `account:${String(email).toLowerCase()}`;
+}
+
+/**
+ * Storage key of a client IP
+ *
+ * IPv4 addresses seen on an IPv6 socket (::ffff:203.0.113.7) share the key of
+ * the plain IPv4 address, so an unlock finds them under either form.
+ *
+ * @param {string} ip - Client IP
+ * @returns {string} Key
+ */
+function ipKey(ip) {
+  return `ip:${String(ip).toLowerCase().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '')}`;
+}
+
+/**
+ * Build the recordFailure() policy of a key type
+ *
+ * @param {number} maxFailures - Failures that lock the key
+ * @returns {Object} Policy in milliseconds
+ */
+function failurePolicy(maxFailures) {
+  const { window, duration, maxDuration, resetAfter } = config.auth.lockout;
+  return {
+    maxFailures,
+    windowMs: window * 1000,
+    durationMs: duration * 1000,
+    maxDurationMs: maxDuration * 1000,
+    resetAfterMs: resetAfter * 1000
+  };
+}
+
+/**
+ * Describe the lock that ends last
+ *
+ * @param {Array} locks - [{ key, lockedUntil }]
+ * @returns {Object|null} { reason, lockedUntil } where reason is
+ *   account_locked or ip_locked, or null without locks
+ */
+function latestLock(locks) {
+  if (locks.length === 0) {
+    return null;
+  }
+
+  const lock = locks.reduce((latest, candidate) =>
+    (Date.parse(candidate.lockedUntil) > Date.parse(latest.lockedUntil) ? candidate : latest));
+  return {
+    reason: lock.key.startsWith('ip:') ? 'ip_locked' : 'account_locked',
+    lockedUntil: lock.lockedUntil
+  };
+}
+
+/**
+ * Find a lock blocking a login
+ *
+ * @param {Object} attempt - { email, ip } of the login
+ * @returns {Promise<Object|null>} { reason, lockedUntil } or null
+ */
+async function checkLogin(attempt) {
+  if (!config.auth.lockout.enabled) {
+    return null;
+  }
+
+  const keys = [accountKey(attempt.email)];
+  if (attempt.ip) {
+    keys.push(ipKey(attempt.ip));
+  }
+
+  return latestLock(await loginAttemptRepository.findLocks(keys));
+}
+
+/**
+ * Count a failed login against its account and IP
+ *
+ * @param {Object} attempt - { email, ip, userId, requestId } of the login
+ * @returns {Promise<Object|null>} { reason, lockedUntil } when this failure
+ *   locked the account or IP, otherwise null
+ */
+async function recordFailedLogin(attempt) {
+  if (!config.auth.lockout.enabled) {
+    return null;
+  }
+
+  const { email, ip, userId = null, requestId } = attempt;
+  const locks = [];
+
+  const account = await loginAttemptRepository.recordFailure(accountKey(email),
+    failurePolicy(config.auth.lockout.maxFailures));
+  if (account.locked) {
+    locks.push({ key: accountKey(email), lockedUntil: account.lockedUntil });
+    logger.warn('Account locked after repeated failed logins', {
+      requestId,
+      email,
+      userId,
+      lockCount: account.lockCount,
+      lockedUntil: account.lockedUntil,
+      clientIp: ip || null
+    });
+  }
+
+  if (ip) {
+    const client = await loginAttemptRepository.recordFailure(ipKey(ip),
+      failurePolicy(config.auth.lockout.ipMaxFailures));
+    if (client.locked) {
+      locks.push({ key: ipKey(ip), lockedUntil: client.lockedUntil });
+      logger.warn('Client IP locked after repeated failed logins', {
+        requestId,
+        clientIp: ip,
+        lockCount: client.lockCount,
+        lockedUntil: client.lockedUntil
+      });
+    }
+  }
+
+  return latestLock(locks);
+}
+
+/**
+ * Clear the failures of an account after a successful login
+ *
+ * @param {string} email - Email address the user logged in with
+ * @returns {Promise<void>}
+ */
+async function recordSuccessfulLogin(email) {
+  if (!config.auth.lockout.enabled) {
+    return;
+  }
+
+  await loginAttemptRepository.clear(accountKey(email));
+}
+
+/**
+ * Describe the failure and lock state of a key
+ *
+ * @param {string} key - Account or IP key
+ * @returns {Promise<Object>} { locked, lockedUntil, failures, lockCount }
+ */
+async function lockState(key) {
+  const record = await loginAttemptRepository.find(key);
+  const locked = Boolean(record && record.lockedUntil) && Date.parse(record.lockedUntil) > Date.now();
+
+  return {
+    locked,
+    lockedUntil: locked ? record.lockedUntil : null,
+    failures: record ? record.failures : 0,
+    lockCount: record ? record.lockCount : 0
+  };
+}
+
+/**
+ * Describe the failure and lock state of an account
+ *
+ * @param {string} email - Email address of the account
+ * @returns {Promise<Object>} { locked, lockedUntil, failures, lockCount }
+ */
+async function getAccountLock(email) {
+  return lockState(accountKey(email));
+}
+
+/**
+ * Clear the failures and lock of an account
+ *
+ * @param {string} email - Email address of the account
+ * @returns {Promise<Object>} State before the unlock, as for getAccountLock()
+ */
+async function unlockAccount(email) {
+  const previous = await getAccountLock(email);
+  await loginAttemptRepository.clear(accountKey(email));
+  return previous;
+}
+
+/**
+ * Clear the failures and lock of a client IP
+ *
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object>} State before the unlock, as for getAccountLock()
+ */
+async function unlockIp(ip) {
+  const previous = await lockState(ipKey(ip));
+  await loginAttemptRepository.clear(ipKey(ip));
+  return previous;
+}
+
+module.exports = {
+  checkLogin,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  getAccountLock,
+  unlockAccount,
+  unlockIp
+};
@@ -0,0 +1,328 @@
+/**
+ * MFA Service
+ *
+ * TOTP multi-factor authentication (RFC 6238, see utils/totp.js) for user
+ * accounts:
+ *
+ * - Enrollment: a user starts enrollment, adds the returned provisioning URI to
+ *   an authenticator app and confirms with a first code; confirmation turns
+ *   MFA on and returns one-time recovery codes (config.auth.mfa.recoveryCodes)
+ *   for when the app is lost. Only hashes of the codes are kept.
+ * - Login: users with MFA turned on get a challenge instead of a session from
+ *   the password step (see authService.js) and finish the login with a code
+ *   from the app or a recovery code.
+ * - Policy: administrators may require MFA for roles. Users of such a role
+ *   without MFA can only reach the enrollment endpoints until they enroll (see
+ *   middleware/auth.js). Until a policy is stored, config.auth.mfa.requiredRoles
+ *   applies.
+ *
+ * Each code (time step) is accepted once. After config.auth.mfa.maxAttempts
+ * wrong codes in a row the factor is locked for config.auth.mfa.lockout,
+ * during which even correct codes are refused. Failures are logged.
+ *
+ * TOTP secrets are sealed with utils/secretBox.js before they are stored.
+ *
+ * Exports:
+ * - isEnabledFor(userId): Whether a user has MFA turned on
+ * - getStatus(userId): MFA status of a user
+ * - startEnrollment(user): Create a pending secret and its provisioning URI
+ * - confirmEnrollment(userId, code, context): Turn MFA on with a first code
+ * - verifySecondFactor(userId, factor, context): Check a code or recovery code
+ * - regenerateRecoveryCodes(userId): Replace the recovery codes
+ * - disable(userId): Turn MFA off
+ * - getPolicy() / setPolicy(requiredRoles, actorId): Roles that must use MFA
+ * - enrollmentRequired(user): Whether a user must enroll before using the API
+ */
+
+const crypto = require('crypto');
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const { mfaRepository } = require('../repositories');
+const { seal, open } = require('../utils/secretBox');
+const { generateSecret, provisioningUri, verifyCode } = require('../utils/totp');
+
+/**
+ * Characters of recovery codes (no 0/O or 1/I/L, which are easily confused)
+ */
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Hash a recovery code, ignoring case and separators
+ *
+ * @param {string} code - Recovery code as entered
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generate a set of recovery codes
+ *
+ * @returns {Object} { codes, hashes } where codes are "XXXXX-XXXXX" strings
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: config.auth.mfa.recoveryCodes }, () => {
+    const chars = Array.from({ length: 10 }, () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]);
+    return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Whether a factor is locked after too many wrong codes
+ *
+ * @param {Object} factor - Stored factor
+ * @returns {boolean} True while lockedUntil lies in the future
+ */
+function isLocked(factor) {
+  return Boolean(factor.lockedUntil) && Date.parse(factor.lockedUntil) > Date.now();
+}
+
+/**
+ * Whether a user has MFA turned on
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True when the user's factor is enabled
+ */
+async function isEnabledFor(userId) {
+  const factor = await mfaRepository.findByUserId(userId);
+  return Boolean(factor) && factor.status === 'enabled';
+}
+
+/**
+ * Describe the MFA status of a user
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { enabled, enrollmentPending, enabledAt,
+ *   recoveryCodesRemaining, lockedUntil }
+ */
+async function getStatus(userId) {
+  const factor = await mfaRepository.findByUserId(userId);
+
+  return {
+    enabled: Boolean(factor) && factor.status === 'enabled',
+    enrollmentPending: Boolean(factor) && factor.status === 'pending',
+    enabledAt: factor ? factor.enabledAt : null,
+    recoveryCodesRemaining: factor ? factor.recoveryCodes.filter(code => !code.usedAt).length : 0,
+    lockedUntil: factor && isLocked(factor) ? factor.lockedUntil : null
+  };
+}
+
+/**
+ * Start (or restart) enrollment
+ *
+ * @param {Object} user - req.user of the enrolling user
+ * @returns {Promise<Object>} { secret, otpauthUrl } or { reason: 'already_enabled' }
+ */
+async function startEnrollment(user) {
+  const secret = generateSecret();
+  const { outcome } = await mfaRepository.startEnrollment(user.id, seal(secret));
+
+  if (outcome === 'already_enabled') {
+    return { reason: 'already_enabled' };
+  }
+
+  return {
+    secret,
+    otpauthUrl: provisioningUri(secret, { issuer: config.auth.mfa.issuer, account: user.email })
+  };
+}
+
+/**
+ * Record a wrong code and log it
+ *
+ * @param {string} userId - Owner of the factor
+ * @param {string} method - totp or recovery_code
+ * @param {Object} context - { requestId, ip, purpose } for the log
+ * @returns {Promise<Object>} { reason: 'invalid_code' } or, when this attempt
+ *   locked the factor, { reason: 'locked', lockedUntil }
+ */
+async function recordFailure(userId, method, context) {
+  const { failedAttempts, lockedUntil } = await mfaRepository.recordFailure(userId, {
+    maxAttempts: config.auth.mfa.maxAttempts,
+    lockoutMs: config.auth.mfa.lockout * 1000
+  });
+  const locked = failedAttempts >= config.auth.mfa.maxAttempts;
+
+  logger.warn(locked ? 'MFA locked after repeated failures' : 'MFA verification failed', {
+    requestId: context.requestId,
+    userId,
+    method,
+    purpose: context.purpose,
+    failedAttempts,
+    lockedUntil: locked ? lockedUntil : null,
+    clientIp: context.ip || null
+  });
+
+  return locked ? { reason: 'locked', lockedUntil } : { reason: 'invalid_code' };
+}
+
+/**
+ * Confirm enrollment with the first code of the app
+ *
+ * @param {string} userId - Enrolling user
+ * @param {string} code - Code shown by the app
+ * @param {Object} context - { requestId, ip } for logs
+ * @returns {Promise<Object>} { recoveryCodes, enabledAt } or { reason } where
+ *   reason is not_pending, invalid_code or locked (with lockedUntil)
+ */
+async function confirmEnrollment(userId, code, context = {}) {
+  const factor = await mfaRepository.findByUserId(userId);
+
+  if (!factor || factor.status !== 'pending') {
+    return { reason: 'not_pending' };
+  }
+  if (isLocked(factor)) {
+    return { reason: 'locked', lockedUntil: factor.lockedUntil };
+  }
+
+  const step = verifyCode(open(factor.secret), code);
+  if (step === null) {
+    return recordFailure(userId, 'totp', { ...context, purpose: 'enrollment' });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  const enabled = await mfaRepository.enable(userId, { step, recoveryCodeHashes: hashes });
+  if (!enabled) {
+    return { reason: 'not_pending' };
+  }
+
+  return { recoveryCodes: codes, enabledAt: enabled.enabledAt };
+}
+
+/**
+ * Check a second factor
+ *
+ * @param {string} userId - User whose factor to check
+ * @param {Object} factorInput - { code } from the app or { recoveryCode }
+ * @param {Object} context - { requestId, ip, purpose } for logs
+ * @returns {Promise<Object>} { method, recoveryCodesRemaining } on success,
+ *   otherwise { reason } where reason is not_enabled, invalid_code or locked
+ *   (with lockedUntil)
+ */
+async function verifySecondFactor(userId, factorInput, context = {}) {
+  const factor = await mfaRepository.findByUserId(userId);
+
+  if (!factor || factor.status !== 'enabled') {
+    return { reason: 'not_enabled' };
+  }
+  if (isLocked(factor)) {
+    logger.warn('MFA attempt while locked', {
+      requestId: context.requestId,
+      userId,
+      purpose: context.purpose,
+      lockedUntil: factor.lockedUntil,
+      clientIp: context.ip || null
+    });
+    return { reason: 'locked', lockedUntil: factor.lockedUntil };
+  }
+
+  if (factorInput.recoveryCode) {
+    const remaining = await mfaRepository.useRecoveryCode(userId, hashRecoveryCode(factorInput.recoveryCode));
+    if (remaining === null) {
+      return recordFailure(userId, 'recovery_code', context);
+    }
+
+    logger.info('MFA recovery code used', { requestId: context.requestId, userId, recoveryCodesRemaining: remaining });
+    return { method: 'recovery_code', recoveryCodesRemaining: remaining };
+  }
+
+  const step = verifyCode(open(factor.secret), factorInput.code);
+  // A code that was already accepted once counts as wrong: only a copy can be sent twice
+  if (step === null || !await mfaRepository.acceptStep(userId, step)) {
+    return recordFailure(userId, 'totp', context);
+  }
+
+  return {
+    method: 'totp',
+    recoveryCodesRemaining: factor.recoveryCodes.filter(code => !code.usedAt).length
+  };
+}
+
+/**
+ * Replace the recovery codes of a user; the previous ones stop working
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Array|null>} New recovery codes, or null when MFA is not enabled
+ */
+async function regenerateRecoveryCodes(userId) {
+  if (!await isEnabledFor(userId)) {
+    return null;
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await mfaRepository.replaceRecoveryCodes(userId, hashes);
+  return codes;
+}
+
+/**
+ * Turn MFA off for a user, or cancel a pending enrollment
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} The removed factor, or null when there was none
+ */
+async function disable(userId) {
+  return mfaRepository.remove(userId);
+}
+
+/**
+ * Roles that must use MFA
+ *
+ * @returns {Promise<Object>} { requiredRoles, updatedAt, updatedBy, source }
+ *   where source is policy (set through the API) or config
+ */
+async function getPolicy() {
+  const policy = await mfaRepository.getPolicy();
+
+  if (policy) {
+    return { ...policy, source: 'policy' };
+  }
+  return { requiredRoles: config.auth.mfa.requiredRoles, updatedAt: null, updatedBy: null, source: 'config' };
+}
+
+/**
+ * Set the roles that must use MFA
+ *
+ * @param {Array} requiredRoles - Role names
+ * @param {string} actorId - Administrator setting the policy
+ * @returns {Promise<Object>} Stored policy, as returned by getPolicy()
+ */
+async function setPolicy(requiredRoles, actorId) {
+  const policy = await mfaRepository.setPolicy({
+    requiredRoles: [...new Set(requiredRoles)],
+    updatedAt: new Date().toISOString(),
+    updatedBy: actorId
+  });
+  return { ...policy, source: 'policy' };
+}
+
+/**
+ * Whether a user must enroll before using the API
+ *
+ * @param {Object} user - req.user of a person (not an API key)
+ * @returns {Promise<boolean>} True when the policy covers the user's role and
+ *   the user has not turned MFA on
+ */
+async function enrollmentRequired(user) {
+  if (!config.auth.mfa.enabled) {
+    return false;
+  }
+
+  const { requiredRoles } = await getPolicy();
+  return requiredRoles.includes(user.role) && !await isEnabledFor(user.id);
+}
+
+module.exports = {
+  isEnabledFor,
+  getStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable,
+  getPolicy,
+  setPolicy,
+  enrollmentRequired
+};
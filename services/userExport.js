@@ -0,0 +1,114 @@
+/**
+ * User Export Service
+ *
+ * Streams the users matching a list query to a writable stream as CSV,
+ * NDJSON or a JSON array. The query is evaluated once and the matching users
+ * are read from the repository in batches (userRepository.scan) and written
+ * one batch at a time, waiting for the stream to drain, so the full export is
+ * never held in memory and slow clients cannot make the response buffer grow
+ * without bound.
+ *
+ * Exports:
+ * - EXPORT_FORMATS: Supported formats with their content type and file extension
+ * - EXPORT_FIELDS: Fields that may be selected for export
+ * - DEFAULT_EXPORT_FIELDS: Fields exported when no selection is given
+ * - writeUserExport(stream, options): Stream the export, resolving with the row count
+ */
+
+const { once } = require('events');
+const config = require('../config/index');
+const { userRepository } = require('../repositories');
+const { getField } = require('../repositories/query');
+const { formatCsvRow } = require('../utils/csv');
+const { projectFields } = require('../utils/projection');
+
+/**
+ * Supported export formats
+ */
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+/**
+ * Fields that may be selected for export (dot notation for profile fields)
+ */
+const EXPORT_FIELDS = [
+  'id', 'name', 'email', 'role', 'status', 'version', 'createdAt', 'updatedAt',
+  'profile.firstName', 'profile.lastName', 'profile.avatar', 'profile.timezone', 'profile.language'
+];
+
+/**
+ * Fields exported when no selection is given
+ */
+const DEFAULT_EXPORT_FIELDS = ['id', 'name', 'email', 'role', 'status', 'createdAt', 'updatedAt'];
+
+/**
+ * Write a chunk, waiting for the stream to drain when its buffer is full
+ *
+ * @param {Object} stream - Writable stream (an Express response)
+ * @param {string} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+  }
+}
+
+/**
+ * Stream the users matching a query in the requested format
+ *
+ * Stops early, without error, when the client disconnects.
+ *
+ * @param {Object} stream - Writable stream (an Express response with headers set)
+ * @param {Object} options - Export options
+ * @param {string} options.format - Key of EXPORT_FORMATS
+ * @param {Array<string>} options.fields - Selected fields
+ * @param {Object} options.query - Repository query { search, filter, sort, order }
+ * @returns {Promise<number>} Number of users written
+ */
+async function writeUserExport(stream, options) {
+  const { format, fields, query } = options;
+  let count = 0;
+
+  if (format === 'csv') {
+    await write(stream, formatCsvRow(fields));
+  } else if (format === 'json') {
+    await write(stream, '[');
+  }
+
+  for await (const batch of userRepository.scan({ ...query, batchSize: config.users.export.batchSize })) {
+    if (stream.destroyed) {
+      return count;
+    }
+
+    const chunk = batch.map(user => {
+      const position = count++;
+      switch (format) {
+        case 'csv':
+          return formatCsvRow(fields.map(field => getField(user, field)));
+        case 'json':
+          return `${position > 0 ? ',' : ''}\n${JSON.stringify(projectFields(user, fields))}`;
+        default:
+          return `${JSON.stringify(projectFields(user, fields))}\n`;
+      }
+    }).join('');
+
+    await write(stream, chunk);
+  }
+
+  if (format === 'json') {
+    await write(stream, count > 0 ? '\n]\n' : ']\n');
+  }
+
+  return count;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_FIELDS,
+  DEFAULT_EXPORT_FIELDS,
+  writeUserExport
+};
@@ -0,0 +1,212 @@
+/**
+ * User Rules
+ *
+ * Business invariants that every change to a user must keep. They are
+ * declared here once and checked before a user is created, updated or
+ * deleted, by each endpoint that does so; a broken rule is answered with
+ * 422 BusinessLogicError naming the rule in details.rule.
+ *
+ * Rules, in the order they are checked:
+ * - unique-email: No two users share an email address (create, update)
+ * - email-domain: Email addresses belong to a domain of
+ *   config.users.rules.emailDomains, when that list is not empty (create, update)
+ * - role-ceiling: Callers cannot give a user a role ranked above their own,
+ *   so moderators cannot promote anyone to admin (create, update)
+ * - admin-deletion: Administrators cannot be deleted; demote them first (delete)
+ * - last-active-admin: At least one active administrator remains (update, delete)
+ *
+ * Rules named in config.users.rules.disabled are skipped.
+ *
+ * A change is described as:
+ *   {
+ *     operation: 'create' | 'update' | 'delete',
+ *     before: stored user (null for create),
+ *     after: resulting user record (null for delete),
+ *     actor: authenticated caller (req.user), null for system changes,
+ *     requestId
+ *   }
+ *
+ * Each rule's check resolves with null when the change keeps the rule, or
+ * with a violation { message, details }. The storage layer still enforces
+ * email uniqueness and the last active administrator atomically, inside its
+ * write transactions; the rules catch everything earlier with the same error.
+ *
+ * Exports:
+ * - USER_RULES: The declared rules
+ * - evaluateUserRules(change, options): First broken rule as an error, or null
+ */
+
+const { StatusCodes } = require('http-status-codes');
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const { ROLE_RANKS } = require('../config/permissions');
+const { userRepository } = require('../repositories');
+const { duplicateEmailError, lastActiveAdminError } = require('../repositories/errors');
+const { isActiveAdmin } = require('../repositories/userRepository');
+
+/**
+ * Whether a change sets the email address
+ *
+ * @param {Object} change - Change being checked
+ * @returns {boolean} True for creates and for updates with a new address
+ */
+function setsEmail({ before, after }) {
+  return !before || before.email !== after.email;
+}
+
+/**
+ * Declared rules
+ */
+const USER_RULES = [
+  {
+    name: 'unique-email',
+    operations: ['create', 'update'],
+    async check(change) {
+      if (!setsEmail(change)) {
+        return null;
+      }
+
+      const owner = await userRepository.findByEmail(change.after.email);
+      if (!owner || owner.id === change.after.id) {
+        return null;
+      }
+
+      const { message, details } = duplicateEmailError(change.after.email);
+      return { message, details };
+    }
+  },
+  {
+    name: 'email-domain',
+    operations: ['create', 'update'],
+    async check(change) {
+      const allowed = config.users.rules.emailDomains;
+      if (allowed.length === 0 || !setsEmail(change)) {
+        return null;
+      }
+
+      const domain = change.after.email.split('@').pop().toLowerCase();
+      if (allowed.includes(domain)) {
+        return null;
+      }
+
+      return {
+        message: `Email addresses must belong to one of these domains: ${allowed.join(', ')}`,
+        details: {
+          field: 'email',
+          value: change.after.email,
+          reason: 'email_domain_not_allowed',
+          allowedDomains: allowed
+        }
+      };
+    }
+  },
+  {
+    name: 'role-ceiling',
+    operations: ['create', 'update'],
+    async check({ before, after, actor }) {
+      // API keys are bounded by their scopes alone, as in middleware/authorize.js
+      if (!actor || actor.type === 'api_key' || (before && before.role === after.role)) {
+        return null;
+      }
+      if ((ROLE_RANKS[after.role] || 0) <= (ROLE_RANKS[actor.role] || 0)) {
+        return null;
+      }
+
+      return {
+        message: `Your role (${actor.role}) cannot give users the ${after.role} role`,
+        details: {
+          field: 'role',
+          value: after.role,
+          reason: 'role_above_caller',
+          callerRole: actor.role
+        }
+      };
+    }
+  },
+  {
+    name: 'admin-deletion',
+    operations: ['delete'],
+    async check({ before }) {
+      if (before.role !== 'admin') {
+        return null;
+      }
+
+      return {
+        message: 'Admin users cannot be deleted',
+        details: {
+          resource: 'user',
+          id: before.id,
+          role: before.role,
+          reason: 'admin_protection'
+        }
+      };
+    }
+  },
+  {
+    name: 'last-active-admin',
+    operations: ['update', 'delete'],
+    async check({ before, after }) {
+      if (!isActiveAdmin(before) || isActiveAdmin(after)) {
+        return null;
+      }
+
+      const { users } = await userRepository.list({ filter: { role: 'admin', status: 'active' }, limit: 2 });
+      if (users.some(user => user.id !== before.id)) {
+        return null;
+      }
+
+      const { message, details } = lastActiveAdminError(before.id);
+      return { message, details };
+    }
+  }
+];
+
+/**
+ * Check a change against the rules
+ *
+ * @param {Object} change - { operation, before, after, actor, requestId }
+ * @param {Object} options - Evaluation options
+ * @param {Array<string>} options.except - Rules the caller enforces itself
+ * @returns {Promise<Object|null>} 422 BusinessLogicError for the first
+ *   broken rule, or null when the change keeps every rule
+ */
+async function evaluateUserRules(change, options = {}) {
+  const { except = [] } = options;
+  const { operation, before = null, after = null, actor = null, requestId } = change;
+  const skipped = [...config.users.rules.disabled, ...except];
+
+  for (const rule of USER_RULES) {
+    if (!rule.operations.includes(operation) || skipped.includes(rule.name)) {
+      continue;
+    }
+
+    const violation = await rule.check({ operation, before, after, actor });
+    if (violation) {
+      logger.warn('User change rejected by business rule', {
+        requestId,
+        rule: rule.name,
+        operation,
+        userId: (after || before).id,
+        reason: violation.details.reason
+      });
+
+      return {
+        type: 'BusinessLogicError',
+        message: violation.message,
+        statusCode: StatusCodes.UNPROCESSABLE_ENTITY,
+        details: {
+          rule: rule.name,
+          ...violation.details,
+          requestId
+        }
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  USER_RULES,
+  evaluateUserRules
+};
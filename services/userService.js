@@ -0,0 +1,192 @@
+/**
+ * User Service
+ *
+ * Business operations on users that are shared by more than one endpoint.
+ * Route handlers stay responsible for HTTP concerns (parsing, status codes,
+ * headers); this module decides what a new user looks like and how a batch
+ * of incoming rows turns into created, skipped and failed users.
+ *
+ * Exports:
+ * - buildUserRecord(data, context): Build the stored record for a new user
+ * - importUsers(rows, options): Validate and create users from parsed import rows
+ */
+
+const Joi = require('joi');
+const { v4: uuid } = require('uuid');
+const logger = require('../utils/logger');
+const { sanitizeInput } = require('../middleware/validation');
+const { userRepository } = require('../repositories');
+const { createUserSchema } = require('../schemas/user');
+const { evaluateUserRules } = require('./userRules');
+
+/**
+ * Compiled rules for a new user, shared with POST /api/users
+ */
+const newUserSchema = Joi.object(createUserSchema);
+
+/**
+ * Build the stored record for a new user
+ *
+ * @param {Object} data - Validated user fields (see schemas/user.js createUserSchema)
+ * @param {Object} context - Creation context
+ * @param {string} context.requestId - Request that created the user
+ * @param {string} context.source - How the user was created (default: 'direct_creation')
+ * @param {string} context.createdBy - Actor recorded in the metadata (default: 'api')
+ * @returns {Object} User record ready for the repository
+ */
+function buildUserRecord(data, context = {}) {
+  const { requestId, source = 'direct_creation', createdBy = 'api' } = context;
+  const { name, email, role, status, profile } = data;
+  const currentTimestamp = new Date().toISOString();
+
+  return {
+    id: uuid(),
+    name: name.trim(),
+    email: email.trim().toLowerCase(),
+    role: role || 'user',
+    status: status || 'active',
+    ...(profile && { profile }),
+    createdAt: currentTimestamp,
+    updatedAt: currentTimestamp,
+    metadata: {
+      createdBy,
+      source,
+      requestId
+    }
+  };
+}
+
+/**
+ * Validate one import row with the POST /api/users rules
+ *
+ * @param {Object} data - Parsed row data
+ * @returns {Object} { value } on success or { errors } keyed by field
+ */
+function validateImportRow(data) {
+  const result = newUserSchema.validate(sanitizeInput(data), {
+    abortEarly: false,
+    allowUnknown: false,
+    convert: true
+  });
+
+  if (!result.error) {
+    return { value: result.value };
+  }
+
+  const errors = {};
+  result.error.details.forEach(detail => {
+    errors[detail.path.join('.')] = detail.message;
+  });
+  return { errors };
+}
+
+/**
+ * Validate and create users from parsed import rows
+ *
+ * Each row ends up in exactly one state:
+ * - created: The user was created (or would be, in a dry run)
+ * - skipped: The email belongs to an existing user or an earlier row, or the
+ *   import was aborted in atomic mode
+ * - failed: The row could not be parsed, did not pass validation or broke a
+ *   business rule of userRules.js
+ *
+ * Valid rows are written in a single repository transaction. In atomic mode a
+ * single failed row aborts the import and nothing is written. Duplicate emails
+ * are skipped rather than failed, in both modes.
+ *
+ * @param {Array<Object>} rows - Parsed rows as { row, line, data, error }
+ * @param {Object} options - Import options
+ * @param {boolean} options.dryRun - Report the outcome without writing anything
+ * @param {boolean} options.atomic - Abort the whole import when any row fails
+ * @param {string} options.requestId - Request performing the import
+ * @param {Object} options.actor - Actor recorded in the user history
+ * @param {Object} options.caller - Authenticated caller (req.user), for the business rules
+ * @returns {Promise<Object>} Report { summary, rows }
+ */
+async function importUsers(rows, options = {}) {
+  const { dryRun = false, atomic = false, requestId, actor, caller = null } = options;
+  const report = [];
+  const candidates = [];
+
+  for (const { row, line, data, error } of rows) {
+    if (error) {
+      report.push({ row, line, status: 'failed', reason: 'parse_error', message: error });
+      continue;
+    }
+
+    const { value, errors } = validateImportRow(data);
+    if (errors) {
+      report.push({ row, line, status: 'failed', reason: 'validation_failed', email: data && data.email, errors });
+      continue;
+    }
+
+    const record = buildUserRecord(value, { requestId, source: 'import' });
+
+    // Duplicate emails are skipped by createMany() below rather than failed
+    const ruleError = await evaluateUserRules({ operation: 'create', after: record, actor: caller, requestId }, {
+      except: ['unique-email']
+    });
+    if (ruleError) {
+      report.push({
+        row,
+        line,
+        status: 'failed',
+        reason: 'rule_violation',
+        email: record.email,
+        rule: ruleError.details.rule,
+        message: ruleError.message
+      });
+      continue;
+    }
+
+    candidates.push({ row, line, record });
+  }
+
+  const failedCount = report.length;
+  const aborted = atomic && failedCount > 0;
+
+  // An aborted import still reports which rows would have been skipped as duplicates
+  const results = await userRepository.createMany(candidates.map(candidate => candidate.record), {
+    dryRun: dryRun || aborted,
+    audit: { actor, requestId }
+  });
+
+  results.forEach((result, index) => {
+    const { row, line } = candidates[index];
+
+    if (!result.created) {
+      const duplicateOf = typeof result.duplicateOf === 'number'
+        ? { row: candidates[result.duplicateOf].row }
+        : { userId: result.duplicateOf };
+      report.push({ row, line, status: 'skipped', reason: result.reason, email: result.user.email, duplicateOf });
+    } else if (aborted) {
+      report.push({ row, line, status: 'skipped', reason: 'import_aborted', email: result.user.email });
+    } else {
+      report.push({ row, line, status: 'created', ...(!dryRun && { id: result.user.id }), email: result.user.email });
+    }
+  });
+
+  report.sort((a, b) => a.row - b.row);
+
+  const summary = {
+    total: rows.length,
+    created: report.filter(entry => entry.status === 'created').length,
+    skipped: report.filter(entry => entry.status === 'skipped').length,
+    failed: failedCount,
+    mode: atomic ? 'atomic' : 'partial',
+    dryRun,
+    committed: !dryRun && !aborted
+  };
+
+  logger.info('User import processed', {
+    requestId,
+    ...summary
+  });
+
+  return { summary, rows: report };
+}
+
+module.exports = {
+  buildUserRecord,
+  importUsers
+};
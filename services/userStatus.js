@@ -0,0 +1,181 @@
+/**
+ * User Status
+ *
+ * The status of an existing user changes only through the transitions below,
+ * each requested at POST /api/users/:id/<action> with a reason:
+ *
+ *   action       to          from
+ *   activate     active      inactive, suspended
+ *   deactivate   inactive    active, pending, suspended
+ *   suspend      suspended   active
+ *
+ * Guards:
+ * - A pending user has not confirmed their email address yet and becomes
+ *   active only by doing so (POST /api/auth/verify-email); activate refuses
+ *   pending users
+ * - Callers cannot deactivate or suspend their own account
+ * - Deactivating or suspending a user ends all of their sessions
+ * - The business rules of userRules.js apply as to any update, so the last
+ *   active administrator keeps their status
+ *
+ * Every transition is written with the "status" action to the user's change
+ * history, which keeps the reason and the actor. Creating a user picks its
+ * first status (see INITIAL_USER_STATUSES in schemas/user.js); PUT and PATCH
+ * cannot change it.
+ *
+ * Exports:
+ * - STATUS_TRANSITIONS: The transitions by action
+ * - allowedTransitions(status, options): Transitions open to a user in a status
+ * - changeStatus(id, action, options): Apply a transition
+ * - confirmEmailStatus(user, audit): Activate a pending user whose email was verified
+ */
+
+const { userRepository } = require('../repositories');
+const { revokeSessions } = require('./authService');
+const { evaluateUserRules } = require('./userRules');
+
+/**
+ * Transitions by action
+ */
+const STATUS_TRANSITIONS = {
+  activate: { to: 'active', from: ['inactive', 'suspended'] },
+  deactivate: { to: 'inactive', from: ['active', 'pending', 'suspended'] },
+  suspend: { to: 'suspended', from: ['active'] }
+};
+
+/**
+ * Actions that lock a user out
+ */
+const LOCKING_ACTIONS = ['deactivate', 'suspend'];
+
+/**
+ * List the transitions open to a user in a status
+ *
+ * @param {string} status - Current status
+ * @param {Object} options - Listing options
+ * @param {boolean} options.ownAccount - Whether the caller is the user, who
+ *   cannot deactivate or suspend themselves
+ * @returns {Array<Object>} [{ action, to }]
+ */
+function allowedTransitions(status, options = {}) {
+  const { ownAccount = false } = options;
+
+  return Object.entries(STATUS_TRANSITIONS)
+    .filter(([action, transition]) => transition.from.includes(status) &&
+      !(ownAccount && LOCKING_ACTIONS.includes(action)))
+    .map(([action, transition]) => ({ action, to: transition.to }));
+}
+
+/**
+ * Apply a transition to a user
+ *
+ * @param {string} id - User ID
+ * @param {string} action - Key of STATUS_TRANSITIONS
+ * @param {Object} options - Transition options
+ * @param {string} options.reason - Why the status changes (recorded in the history)
+ * @param {Object} options.actor - Authenticated caller (req.user), if any
+ * @param {string} options.updatedBy - Actor recorded in the user's metadata
+ * @param {Object} options.audit - { actor, requestId } of the change
+ * @param {number|Array<number>} options.expectedVersion - Versions the change applies to
+ * @returns {Promise<Object>} { user, from, sessionsEnded } on success,
+ *   { reason: 'rule_violation', error } when a business rule refuses it,
+ *   otherwise { reason, user, allowed } where reason is not_found,
+ *   own_account, verification_required or transition_not_allowed and
+ *   allowed lists the transitions the caller may still apply to the user
+ */
+async function changeStatus(id, action, options) {
+  const { reason, actor = null, updatedBy, audit = {}, expectedVersion } = options;
+  const transition = STATUS_TRANSITIONS[action];
+
+  if (!transition) {
+    throw new Error(`Unknown status transition: ${action}`);
+  }
+
+  const current = await userRepository.findById(id);
+  if (!current) {
+    return { reason: 'not_found', user: null, allowed: [] };
+  }
+
+  const actorUserId = actor && actor.type !== 'api_key' ? actor.id : null;
+  const ownAccount = actorUserId === id;
+  const refuse = (refusal, user) => ({ reason: refusal, user, allowed: allowedTransitions(user.status, { ownAccount }) });
+
+  if (LOCKING_ACTIONS.includes(action) && ownAccount) {
+    return refuse('own_account', current);
+  }
+  if (action === 'activate' && current.status === 'pending') {
+    return refuse('verification_required', current);
+  }
+
+  const ruleError = await evaluateUserRules({
+    operation: 'update',
+    before: current,
+    after: { ...current, status: transition.to },
+    actor,
+    requestId: audit.requestId
+  });
+  if (ruleError) {
+    return { reason: 'rule_violation', error: ruleError };
+  }
+
+  let result;
+  try {
+    result = await userRepository.transitionStatus(id, {
+      from: transition.from,
+      to: transition.to,
+      reason,
+      updatedBy,
+      requestId: audit.requestId
+    }, { expectedVersion, audit });
+  } catch (error) {
+    // The repository repeats the last-active-admin check atomically
+    if (error.details && error.details.rule) {
+      return { reason: 'rule_violation', error: { ...error, details: { ...error.details, requestId: audit.requestId } } };
+    }
+    throw error;
+  }
+
+  const { outcome, user } = result;
+
+  if (outcome === 'not_found') {
+    return { reason: 'not_found', user: null, allowed: [] };
+  }
+  if (outcome === 'not_allowed') {
+    return refuse('transition_not_allowed', user);
+  }
+
+  let sessionsEnded = false;
+  if (LOCKING_ACTIONS.includes(action)) {
+    await revokeSessions(id);
+    sessionsEnded = true;
+  }
+
+  return { user, from: current.status, sessionsEnded };
+}
+
+/**
+ * Activate a pending user whose email address was verified
+ *
+ * @param {Object} user - User who confirmed their address
+ * @param {Object} audit - { actor, requestId } of the confirmation
+ * @returns {Promise<Object|null>} Activated user, or null when the user is no
+ *   longer pending
+ */
+async function confirmEmailStatus(user, audit) {
+  const { outcome, user: activated } = await userRepository.transitionStatus(user.id, {
+    from: ['pending'],
+    to: 'active',
+    reason: 'Email address verified',
+    updatedBy: user.id,
+    requestId: audit.requestId
+  }, { audit });
+
+  return outcome === 'changed' ? activated : null;
+}
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  allowedTransitions,
+  changeStatus,
+  confirmEmailStatus
+};
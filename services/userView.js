@@ -0,0 +1,221 @@
+/**
+ * User Views
+ *
+ * Shapes the user representations returned by GET /api/users and
+ * GET /api/users/:id according to two query parameters:
+ *
+ * - fields: sparse fieldset in dot notation (?fields=id,name,profile.timezone)
+ * - expand: related resources to inline (?expand=profile,history)
+ *
+ * Without expand, related resources are left to their own endpoints
+ * (/api/users/:id/profile, /api/users/:id/history); the user only carries
+ * its profile fields. Expanding inlines the full resource in place:
+ *
+ * - profile: the versioned profile resource { userId, ...fields, version, updatedAt }
+ * - history: { total, entries } with the most recent change history entries
+ *
+ * An expansion may need a permission of its own, the one its endpoint
+ * requires (history: users:history); the routes check it before rendering.
+ *
+ * Expansion happens before projection, so fields may select inside an
+ * expanded resource (fields=id,profile.version&expand=profile). An expanded
+ * resource that fields does not mention is returned whole.
+ *
+ * Exports:
+ * - USER_FIELDS: Fields that may be selected on every user read
+ * - USER_EXPANSIONS: Names of the resources that may be expanded
+ * - userViewQuery: Joi rules for the fields and expand query parameters
+ * - resolveUserView(query): validateQuery() custom validator that checks both
+ *   parameters and replaces them with arrays
+ * - expansionPermissions(expand): Permissions needed by a list of expansions
+ * - renderUser(user, view) / renderUsers(users, view): Apply a resolved view
+ */
+
+const Joi = require('joi');
+const { profileRepository, historyRepository } = require('../repositories');
+const { PROFILE_FIELDS } = require('../repositories/profileRepository');
+const { parseFieldList, projectFields } = require('../utils/projection');
+
+/**
+ * Fields that may be selected on every user read (dot notation for nested fields)
+ */
+const USER_FIELDS = [
+  'id', 'name', 'email', 'role', 'status', 'version', 'createdAt', 'updatedAt',
+  'profile', ...PROFILE_FIELDS.map(field => `profile.${field}`),
+  'metadata', 'metadata.createdBy', 'metadata.source', 'metadata.requestId',
+  'metadata.updatedBy', 'metadata.lastUpdated',
+  'restoration'
+];
+
+/**
+ * Number of history entries inlined by expand=history
+ */
+const HISTORY_EXPANSION_LIMIT = 10;
+
+/**
+ * Expandable resources: the sub-fields they add, the permission they need
+ * beyond reading the user, and how to load them
+ */
+const EXPANSIONS = {
+  profile: {
+    permission: null,
+    fields: ['userId', ...PROFILE_FIELDS, 'version', 'updatedAt'],
+    load: user => profileRepository.findByUserId(user.id)
+  },
+  history: {
+    permission: 'users:history',
+    fields: ['total', 'entries'],
+    load: async user => {
+      const { total, entries } = await historyRepository.list(user.id, {
+        limit: HISTORY_EXPANSION_LIMIT,
+        order: 'desc'
+      });
+      return { total, entries };
+    }
+  }
+};
+
+const USER_EXPANSIONS = Object.keys(EXPANSIONS);
+
+/**
+ * Query parameter rules, combined with the other rules of an endpoint
+ */
+const userViewQuery = {
+  fields: Joi.string().max(1000).optional(),
+  expand: Joi.string().max(200).optional()
+};
+
+/**
+ * Build the fields that may be selected for a set of expansions
+ *
+ * @param {Array<string>} expand - Requested expansions
+ * @returns {Array<string>} Selectable fields
+ */
+function selectableFields(expand) {
+  const expanded = expand.flatMap(name => [name, ...EXPANSIONS[name].fields.map(field => `${name}.${field}`)]);
+  return [...new Set([...USER_FIELDS, ...expanded])];
+}
+
+/**
+ * Describe each unknown entry of a fields list as a Joi-style error detail
+ *
+ * @param {Array<string>} fields - Requested field names
+ * @param {Array<string>} allowed - Field names that may be selected
+ * @returns {Object} Custom validation result with one detail per unknown field
+ */
+function unknownFieldsError(fields, allowed) {
+  const details = fields
+    .map((field, index) => ({ field, index }))
+    .filter(({ field }) => !allowed.includes(field))
+    .map(({ field, index }) => ({
+      path: ['fields', index],
+      message: `Unknown field ${field}. Allowed fields: ${USER_FIELDS.join(', ')}`,
+      type: 'fields.unknown',
+      context: { value: field }
+    }));
+
+  return { message: 'Unknown fields', details };
+}
+
+/**
+ * Check the fields and expand query parameters and resolve them to arrays
+ *
+ * Intended as the customValidator of validateQuery(); returns true when the
+ * view is valid and an error otherwise: a message, or for unknown fields one
+ * error detail per field (reported under details.fields, keyed fields.<index>).
+ * On success query.expand is an array (possibly empty) and query.fields an
+ * array or undefined.
+ *
+ * @param {Object} query - Validated query parameters (modified in place)
+ * @returns {boolean|string|Object} true, or the validation error
+ */
+function resolveUserView(query) {
+  const expand = query.expand === undefined ? [] : parseFieldList(query.expand);
+  const unknownExpansions = expand.filter(name => !USER_EXPANSIONS.includes(name));
+
+  if (unknownExpansions.length > 0) {
+    return `Unknown expansions: ${unknownExpansions.join(', ')}. Allowed expansions: ${USER_EXPANSIONS.join(', ')}`;
+  }
+
+  query.expand = expand;
+  if (query.fields === undefined) {
+    return true;
+  }
+
+  const fields = parseFieldList(query.fields);
+  if (fields.length === 0) {
+    return 'At least one field is required';
+  }
+
+  const allowed = selectableFields(expand);
+  const unknownFields = fields.filter(field => !allowed.includes(field));
+  const unexpanded = unknownFields.find(field => selectableFields(USER_EXPANSIONS).includes(field));
+
+  if (unexpanded) {
+    return `Field ${unexpanded} requires expand=${unexpanded.split('.')[0]}`;
+  }
+  if (unknownFields.length > 0) {
+    return unknownFieldsError(fields, allowed);
+  }
+
+  // An expanded resource is returned whole unless fields selects inside it
+  expand.forEach(name => {
+    if (!fields.some(field => field === name || field.startsWith(`${name}.`))) {
+      fields.push(name);
+    }
+  });
+
+  query.fields = fields;
+  return true;
+}
+
+/**
+ * Permissions needed by a list of expansions
+ *
+ * @param {Array<string>} expand - Resolved expansions
+ * @returns {Array<string>} Permissions to check, without duplicates
+ */
+function expansionPermissions(expand = []) {
+  return [...new Set(expand.map(name => EXPANSIONS[name].permission).filter(Boolean))];
+}
+
+/**
+ * Apply a resolved view to a list of users
+ *
+ * @param {Array<Object>} users - User representations from the repository
+ * @param {Object} view - Resolved view { fields, expand }
+ * @returns {Promise<Array<Object>>} Users with expansions inlined and fields projected
+ */
+async function renderUsers(users, view = {}) {
+  const { fields, expand = [] } = view;
+
+  return Promise.all(users.map(async user => {
+    const expanded = { ...user };
+    for (const name of expand) {
+      expanded[name] = await EXPANSIONS[name].load(user);
+    }
+    return fields ? projectFields(expanded, fields) : expanded;
+  }));
+}
+
+/**
+ * Apply a resolved view to a single user
+ *
+ * @param {Object} user - User representation from the repository
+ * @param {Object} view - Resolved view { fields, expand }
+ * @returns {Promise<Object>} User with expansions inlined and fields projected
+ */
+async function renderUser(user, view = {}) {
+  const [rendered] = await renderUsers([user], view);
+  return rendered;
+}
+
+module.exports = {
+  USER_FIELDS,
+  USER_EXPANSIONS,
+  userViewQuery,
+  resolveUserView,
+  expansionPermissions,
+  renderUser,
+  renderUsers
+};
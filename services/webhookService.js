@@ -0,0 +1,338 @@
+/**
+ * Webhook Service
+ *
+ * Sends the queued webhook deliveries (see webhookDeliveryRepository.js) to
+ * their target URLs. Each delivery is an HTTP POST of the event as JSON:
+ *
+ *   POST <webhook url>
+ *   Content-Type: application/json
+ *   X-Webhook-Event: user.created
+ *   X-Webhook-Delivery: <delivery id>
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ *   { "id": "<event id>", "type": "user.created", "createdAt": "...", "data": { ... } }
+ *
+ * The signature uses the webhook's secret, so a receiver can check that a
+ * request came from this API and, through the timestamp, reject replays of
+ * old requests.
+ *
+ * Retries:
+ * A delivery succeeds when the receiver answers 2xx within
+ * config.webhooks.timeout. Otherwise it is retried after
+ * config.webhooks.retryDelay, doubling for every further attempt up to
+ * config.webhooks.retryMaxDelay; after config.webhooks.maxAttempts attempts
+ * it becomes dead and stays in the dead letters (status=dead) until it is
+ * redelivered. Redirects are not followed and count as failures.
+ *
+ * Target addresses:
+ * Unless config.webhooks.allowPrivateNetworks is set, a delivery is never
+ * sent to a loopback, link-local or private address (see
+ * utils/networkAddress.js). The host is checked as it is resolved for the
+ * connection, so a name that later resolves to an internal address fails
+ * with EADDRBLOCKED instead of reaching it.
+ *
+ * Exports:
+ * - signPayload(secret, timestamp, body): Signature of a request body
+ * - retryDelayFor(attempts): Seconds to wait after a failed attempt
+ * - sendDelivery(delivery): Send one claimed delivery and record the outcome
+ * - dispatchDueDeliveries(): Send every due delivery, one batch at a time
+ * - pingWebhook(id, options): Queue a webhook.ping event for a webhook
+ * - redeliverDelivery(id, options): Queue a delivery again
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { v4: uuid } = require('uuid');
+const config = require('../config/index');
+const logger = require('../utils/logger');
+const { isBlockedHost, guardedLookup } = require('../utils/networkAddress');
+const { webhookRepository, webhookDeliveryRepository } = require('../repositories');
+
+/**
+ * User-Agent of webhook requests
+ */
+const USER_AGENT = 'HelloWorldAPI-Webhooks/1.0';
+
+/**
+ * Dispatch currently running in this process, if any
+ */
+let activeDispatch = null;
+
+/**
+ * Sign a request body
+ *
+ * @param {string} secret - Webhook signing secret
+ * @param {number} timestamp - Unix time in seconds, as sent in X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Compute the wait before the next attempt
+ *
+ * @param {number} attempts - Attempts made so far (at least 1)
+ * @returns {number} Seconds until the next attempt
+ */
+function retryDelayFor(attempts) {
+  const { retryDelay, retryMaxDelay } = config.webhooks;
+  return Math.min(retryDelay * 2 ** Math.max(attempts - 1, 0), retryMaxDelay);
+}
+
+/**
+ * Describe a failed request
+ *
+ * @param {Error} error - Error raised by postJson()
+ * @returns {string} Short reason stored in lastError
+ */
+function describeFailure(error) {
+  if (error.cause && error.cause.name === 'TimeoutError') {
+    return `Timed out after ${config.webhooks.timeout}s`;
+  }
+  return error.code || error.message;
+}
+
+/**
+ * POST a body to a URL and resolve with the response status
+ *
+ * Redirects are not followed, and the response body is discarded.
+ *
+ * @param {string} url - Target URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - Request body
+ * @returns {Promise<number>} HTTP status code
+ */
+function postJson(url, headers, body) {
+  const target = new URL(url);
+  const guarded = !config.webhooks.allowPrivateNetworks;
+
+  // IP literals are connected to without a lookup
+  if (guarded && isBlockedHost(target.hostname)) {
+    const blocked = new Error(`${target.hostname} is a blocked address`);
+    blocked.code = 'EADDRBLOCKED';
+    return Promise.reject(blocked);
+  }
+
+  return new Promise((resolve, reject) => {
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      ...(guarded && { lookup: guardedLookup }),
+      signal: AbortSignal.timeout(config.webhooks.timeout * 1000)
+    }, response => {
+      // Only the status matters; release the connection
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * POST a delivery to its webhook
+ *
+ * @param {Object} delivery - Claimed delivery
+ * @param {Object} webhook - Target webhook
+ * @returns {Promise<Object>} { ok, statusCode, error }
+ */
+async function postDelivery(delivery, webhook) {
+  const secret = await webhookRepository.signingSecret(webhook.id);
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const statusCode = await postJson(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': USER_AGENT,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+    }, body);
+
+    return {
+      ok: statusCode >= 200 && statusCode < 300,
+      statusCode,
+      error: `HTTP ${statusCode}`
+    };
+  } catch (error) {
+    return { ok: false, statusCode: null, error: describeFailure(error) };
+  }
+}
+
+/**
+ * Send one claimed delivery and record the outcome
+ *
+ * @param {Object} delivery - Delivery returned by claimDue(), with its claimId
+ * @returns {Promise<Object|null>} Updated delivery, or null when the
+ *   delivery was redelivered or removed meanwhile
+ */
+async function sendDelivery(delivery) {
+  const webhook = await webhookRepository.findById(delivery.webhookId);
+  if (!webhook) {
+    return null;
+  }
+
+  const result = await postDelivery(delivery, webhook);
+  const attempts = delivery.attempts + 1;
+  let outcome;
+
+  if (result.ok) {
+    outcome = { status: 'delivered', statusCode: result.statusCode };
+  } else if (attempts >= config.webhooks.maxAttempts) {
+    outcome = { status: 'dead', statusCode: result.statusCode, error: result.error };
+  } else {
+    outcome = {
+      status: 'pending',
+      statusCode: result.statusCode,
+      error: result.error,
+      nextAttemptAt: new Date(Date.now() + retryDelayFor(attempts) * 1000).toISOString()
+    };
+  }
+
+  const updated = await webhookDeliveryRepository.recordAttempt(delivery.id, delivery.claimId, outcome);
+  const details = {
+    deliveryId: delivery.id,
+    webhookId: webhook.id,
+    event: delivery.event,
+    attempts,
+    statusCode: result.statusCode
+  };
+
+  if (outcome.status === 'delivered') {
+    logger.info('Webhook delivered', details);
+  } else if (outcome.status === 'dead') {
+    logger.warn('Webhook delivery failed for the last time', { ...details, error: result.error });
+  } else {
+    logger.warn('Webhook delivery failed', { ...details, error: result.error, nextAttemptAt: outcome.nextAttemptAt });
+  }
+
+  return updated;
+}
+
+/**
+ * Send due deliveries until none is left, then drop old delivered ones
+ *
+ * Concurrent calls in one process share the running dispatch; other
+ * processes are kept off the same deliveries by their claims.
+ *
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+function dispatchDueDeliveries() {
+  if (activeDispatch) {
+    return activeDispatch;
+  }
+
+  activeDispatch = (async () => {
+    const { batchSize, timeout, deliveryRetention } = config.webhooks;
+    let attempted = 0;
+
+    for (;;) {
+      // The lease outlasts the request timeout, so a claim only expires if its process died
+      const batch = await webhookDeliveryRepository.claimDue({ limit: batchSize, leaseMs: timeout * 2000 + 5000 });
+      if (batch.length === 0) {
+        break;
+      }
+
+      await Promise.all(batch.map(delivery => sendDelivery(delivery).catch(error => {
+        logger.error('Webhook delivery could not be recorded', {
+          deliveryId: delivery.id,
+          error: error.message,
+          stack: error.stack
+        });
+      })));
+      attempted += batch.length;
+    }
+
+    const pruned = await webhookDeliveryRepository.prune(new Date(Date.now() - deliveryRetention * 1000));
+    if (pruned > 0) {
+      logger.info('Old webhook deliveries removed', { prunedCount: pruned });
+    }
+
+    return attempted;
+  })().finally(() => {
+    activeDispatch = null;
+  });
+
+  return activeDispatch;
+}
+
+/**
+ * Start a dispatch without waiting for it
+ *
+ * @param {string} requestId - Request that queued the deliveries, for the logs
+ */
+function dispatchSoon(requestId) {
+  dispatchDueDeliveries().catch(error => {
+    logger.error('Webhook dispatch failed', { requestId, error: error.message, stack: error.stack });
+  });
+}
+
+/**
+ * Queue a webhook.ping event for a webhook, whatever its event filter
+ *
+ * @param {string} id - Webhook ID
+ * @param {Object} options - { actor, requestId }
+ * @returns {Promise<Object|null>} Queued delivery, or null when the webhook does not exist
+ */
+async function pingWebhook(id, options = {}) {
+  const { actor = null, requestId } = options;
+  const event = {
+    id: uuid(),
+    type: 'webhook.ping',
+    createdAt: new Date().toISOString(),
+    data: {
+      webhookId: id,
+      actor: actor ? { type: actor.type, id: actor.id } : null,
+      requestId
+    }
+  };
+
+  const delivery = await webhookDeliveryRepository.queue(id, event);
+  if (delivery && config.webhooks.enabled) {
+    dispatchSoon(requestId);
+  }
+  return delivery;
+}
+
+/**
+ * Queue a delivery again from its first attempt
+ *
+ * @param {string} id - Delivery ID
+ * @param {Object} options - { redeliveredBy, requestId }
+ * @returns {Promise<Object>} { outcome, delivery } as returned by the repository
+ */
+async function redeliverDelivery(id, options = {}) {
+  const { redeliveredBy = null, requestId } = options;
+  const result = await webhookDeliveryRepository.redeliver(id, { redeliveredBy });
+
+  if (result.outcome === 'queued') {
+    logger.info('Webhook delivery queued again', {
+      requestId,
+      deliveryId: id,
+      webhookId: result.delivery.webhookId,
+      redeliveredBy
+    });
+    if (config.webhooks.enabled) {
+      dispatchSoon(requestId);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  signPayload,
+  retryDelayFor,
+  sendDelivery,
+  dispatchDueDeliveries,
+  pingWebhook,
+  redeliverDelivery
+};
@@ -0,0 +1,280 @@
+/**
+ * API Tests
+ *
+ * Runs server.js in a child process with the in-memory backend and checks
+ * the behaviour that only shows over HTTP: refresh token rotation, CSRF
+ * protection of cookie sessions, nested batch detection, the status
+ * transitions offered to a caller and per-field validation errors.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ADMIN = { email: 'admin@example.com', password: 'Adm1n-Passw0rd!' };
+const MEMBER = { email: 'member@example.com', password: 'Memb3r-Passw0rd!' };
+
+let server;
+let baseUrl;
+let dataDir;
+let admin;
+let member;
+
+/**
+ * Find a free local port
+ *
+ * @returns {Promise<number>} Port number
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Send a request to the server
+ *
+ * @param {string} method - HTTP method
+ * @param {string} url - Path below the server root
+ * @param {Object} options - { token, body, headers }; bodies are sent as JSON,
+ *   or as a JSON merge patch for PATCH
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+async function request(method, url, options = {}) {
+  const { token, body, headers = {} } = options;
+  const contentType = method === 'PATCH' ? 'application/merge-patch+json' : 'application/json';
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': contentType }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+
+  return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+}
+
+/**
+ * Log in with an email and password
+ *
+ * @param {Object} credentials - { email, password }
+ * @returns {Promise<Object>} Response
+ */
+function login(credentials) {
+  return request('POST', '/api/auth/login', { body: credentials });
+}
+
+/**
+ * Wait until the server answers and the bootstrap administrator can log in
+ *
+ * @returns {Promise<Object>} Token response data of the administrator
+ */
+async function waitForServer() {
+  const deadline = Date.now() + 20000;
+
+  while (Date.now() < deadline) {
+    try {
+      const response = await login(ADMIN);
+      if (response.status === 200) {
+        return response.body.data;
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Server did not start');
+}
+
+before(async () => {
+  const port = await freePort();
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-test-'));
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      HOSTNAME: '127.0.0.1',
+      DB_CLIENT: 'memory',
+      MAIL_OUTBOX_DIR: path.join(dataDir, 'outbox'),
+      AUTH_BOOTSTRAP_ADMIN_EMAIL: ADMIN.email,
+      AUTH_BOOTSTRAP_ADMIN_PASSWORD: ADMIN.password
+    },
+    stdio: 'ignore'
+  });
+
+  const tokens = await waitForServer();
+  admin = { id: tokens.user.id, token: tokens.accessToken };
+
+  const created = await request('POST', '/api/users', {
+    token: admin.token,
+    body: { name: 'Member', email: MEMBER.email, role: 'user', status: 'active', password: MEMBER.password }
+  });
+  assert.equal(created.status, 201);
+  member = { id: created.body.data.id, token: (await login(MEMBER)).body.data.accessToken };
+});
+
+after(() => {
+  if (server) {
+    server.kill();
+  }
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('refresh token rotation', () => {
+  it('rotates the token and revokes the session when an old token comes back', async () => {
+    const { refreshToken: first } = (await login(MEMBER)).body.data;
+
+    const rotated = await request('POST', '/api/auth/refresh', { body: { refreshToken: first } });
+    assert.equal(rotated.status, 200);
+    const second = rotated.body.data.refreshToken;
+    assert.notEqual(second, first);
+
+    const reused = await request('POST', '/api/auth/refresh', { body: { refreshToken: first } });
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.error.details.reason, 'refresh_token_reused');
+
+    const afterReuse = await request('POST', '/api/auth/refresh', { body: { refreshToken: second } });
+    assert.equal(afterReuse.status, 401);
+    assert.equal(afterReuse.body.error.details.reason, 'refresh_token_revoked');
+  });
+
+  it('stops the access tokens of a session that was logged out', async () => {
+    const { accessToken, refreshToken } = (await login(MEMBER)).body.data;
+    assert.equal((await request('GET', `/api/users/${member.id}`, { token: accessToken })).status, 200);
+
+    await request('POST', '/api/auth/logout', { body: { refreshToken } });
+
+    assert.equal((await request('GET', `/api/users/${member.id}`, { token: accessToken })).status, 401);
+  });
+});
+
+describe('cookie sessions', () => {
+  let cookie;
+  let csrfToken;
+
+  before(async () => {
+    const response = await request('POST', '/api/auth/session', { body: MEMBER });
+    assert.equal(response.status, 200);
+    cookie = response.headers.get('set-cookie').split(';')[0];
+    csrfToken = response.body.data.csrfToken;
+  });
+
+  it('serves safe requests without a CSRF token', async () => {
+    assert.equal((await request('GET', `/api/users/${member.id}`, { headers: { Cookie: cookie } })).status, 200);
+  });
+
+  it('refuses unsafe requests without the session\'s CSRF token', async () => {
+    const missing = await request('PATCH', `/api/users/${member.id}`, { headers: { Cookie: cookie }, body: { name: 'Forged' } });
+    assert.equal(missing.status, 403);
+    assert.equal(missing.body.error.details.reason, 'csrf_token_missing');
+
+    const wrong = await request('PATCH', `/api/users/${member.id}`, {
+      headers: { Cookie: cookie, 'X-CSRF-Token': `${csrfToken.slice(0, -1)}x` },
+      body: { name: 'Forged' }
+    });
+    assert.equal(wrong.status, 403);
+    assert.equal(wrong.body.error.details.reason, 'csrf_token_invalid');
+  });
+
+  it('accepts unsafe requests with the CSRF token', async () => {
+    const response = await request('PATCH', `/api/users/${member.id}`, {
+      headers: { Cookie: cookie, 'X-CSRF-Token': csrfToken },
+      body: { name: 'Member M.' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.name, 'Member M.');
+  });
+});
+
+describe('batch requests', () => {
+  for (const nestedPath of ['/api//batch', '/api/%62atch', '/api/Batch?x=1']) {
+    it(`rejects the nested batch path ${nestedPath}`, async () => {
+      const response = await request('POST', '/api/batch', {
+        token: admin.token,
+        body: { operations: [{ method: 'POST', path: nestedPath, body: { operations: [] } }] }
+      });
+
+      assert.equal(response.status, 400);
+    });
+  }
+
+  it('rejects a batch path produced by a reference', async () => {
+    const response = await request('POST', '/api/batch', {
+      token: admin.token,
+      body: {
+        operations: [
+          { id: 'created', method: 'POST', path: '/api/users', body: { name: 'batch', email: 'batch@example.com', role: 'user' } },
+          { method: 'POST', path: '/api/{{created.body.data.name}}', body: { operations: [] } }
+        ]
+      }
+    });
+
+    assert.equal(response.status, 200);
+    const [, nested] = response.body.data.results;
+    assert.equal(nested.status, 400);
+    assert.equal(nested.body.error.details.reason, 'nested_batch');
+  });
+});
+
+describe('status changes through PATCH', () => {
+  it('lists the transitions an administrator may apply', async () => {
+    const response = await request('PATCH', `/api/users/${member.id}`, { token: admin.token, body: { status: 'inactive' } });
+
+    assert.equal(response.status, 409);
+    assert.deepEqual(response.body.error.details.allowedTransitions, [
+      { action: 'deactivate', to: 'inactive' },
+      { action: 'suspend', to: 'suspended' }
+    ]);
+  });
+
+  it('refuses callers who cannot change statuses without listing transitions', async () => {
+    const response = await request('PATCH', `/api/users/${member.id}`, { token: member.token, body: { status: 'inactive' } });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error.details.reason, 'field_not_permitted');
+    assert.equal(response.body.error.details.allowedTransitions, undefined);
+  });
+
+  it('leaves out transitions that would lock administrators out of their own account', async () => {
+    const response = await request('PATCH', `/api/users/${admin.id}`, { token: admin.token, body: { status: 'suspended' } });
+
+    assert.equal(response.status, 409);
+    assert.deepEqual(response.body.error.details.allowedTransitions, []);
+  });
+});
+
+describe('user views', () => {
+  it('reports each unknown field under its position in the list', async () => {
+    const response = await request('GET', '/api/users?fields=nope,name,also.nope', { token: admin.token });
+
+    assert.equal(response.status, 400);
+    const { fields } = response.body.error.details;
+    assert.deepEqual(Object.keys(fields).sort(), ['fields.0', 'fields.2']);
+    assert.equal(fields['fields.0'].type, 'fields.unknown');
+  });
+
+  it('expands the history only for callers who may read it', async () => {
+    const own = await request('GET', `/api/users/${member.id}?expand=history`, { token: member.token });
+    assert.equal(own.status, 200);
+    assert.ok(own.body.data.history.total >= 1);
+
+    const listed = await request('GET', '/api/users?expand=history', { token: member.token });
+    assert.equal(listed.status, 403);
+  });
+});
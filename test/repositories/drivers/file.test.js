@@ -0,0 +1,171 @@
+/**
+ * File Storage Driver Tests
+ *
+ * Collection files, the manifest, sharing between driver instances (as
+ * between PM2 workers) and the write lock (repositories/drivers/file.js).
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createFileDriver = require('../../../repositories/drivers/file');
+
+let directory;
+let filePath;
+
+/**
+ * Names of the collection files on disk
+ *
+ * @returns {Array<string>} File names, sorted
+ */
+function collectionFiles() {
+  return fs.readdirSync(`${filePath}.d`).sort();
+}
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-driver-'));
+  filePath = path.join(directory, 'data.json');
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('file storage driver', () => {
+  it('stores each collection in a file of its own behind a manifest', async () => {
+    const driver = createFileDriver({ filePath });
+
+    await driver.transaction(state => {
+      state.users = { u1: { id: 'u1' } };
+      state.sessions = { s1: { id: 's1' } };
+    });
+
+    const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8')).$collections;
+    assert.deepEqual(Object.keys(manifest).sort(), ['sessions', 'users']);
+    assert.deepEqual(collectionFiles(), Object.values(manifest).sort());
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(`${filePath}.d`, manifest.users), 'utf8')), { u1: { id: 'u1' } });
+  });
+
+  it('rewrites only the collections a transaction uses', async () => {
+    const driver = createFileDriver({ filePath });
+    await driver.transaction(state => {
+      state.users = { u1: { id: 'u1' } };
+      state.sessions = {};
+    });
+    const before = JSON.parse(fs.readFileSync(filePath, 'utf8')).$collections;
+
+    await driver.transaction(state => {
+      state.sessions.s1 = { id: 's1' };
+    });
+
+    const after = JSON.parse(fs.readFileSync(filePath, 'utf8')).$collections;
+    assert.equal(after.users, before.users);
+    assert.notEqual(after.sessions, before.sessions);
+    assert.deepEqual(collectionFiles(), Object.values(after).sort());
+  });
+
+  it('removes deleted collections', async () => {
+    const driver = createFileDriver({ filePath });
+    await driver.transaction(state => {
+      state.users = {};
+      state.invitations = {};
+    });
+
+    await driver.transaction(state => {
+      delete state.invitations;
+    });
+
+    assert.deepEqual(driver.read(state => Object.keys(state)), ['users']);
+    assert.equal(collectionFiles().length, 1);
+  });
+
+  it('writes nothing when a transaction fails', async () => {
+    const driver = createFileDriver({ filePath });
+    await driver.transaction(state => {
+      state.users = { u1: { id: 'u1', name: 'Ada' } };
+    });
+
+    await assert.rejects(driver.transaction(state => {
+      state.users.u1.name = 'Changed';
+      throw new Error('stop');
+    }), /stop/);
+
+    assert.equal(createFileDriver({ filePath }).read(state => state.users.u1.name), 'Ada');
+    assert.equal(fs.existsSync(`${filePath}.lock`), false);
+  });
+
+  it('shares the data between driver instances', async () => {
+    const first = createFileDriver({ filePath });
+    const second = createFileDriver({ filePath });
+
+    await first.transaction(state => {
+      state.users = { u1: { id: 'u1' } };
+    });
+    await second.transaction(state => {
+      state.users.u2 = { id: 'u2' };
+    });
+
+    assert.deepEqual(Object.keys(first.read(state => state.users)).sort(), ['u1', 'u2']);
+  });
+
+  it('splits a single document of earlier versions on the first write', async () => {
+    fs.writeFileSync(filePath, JSON.stringify({ users: { u1: { id: 'u1' } }, sessions: { s1: { id: 's1' } } }));
+    const driver = createFileDriver({ filePath });
+
+    assert.deepEqual(driver.read(state => state.sessions), { s1: { id: 's1' } });
+    await driver.transaction(state => {
+      state.users.u2 = { id: 'u2' };
+    });
+
+    const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8')).$collections;
+    assert.deepEqual(Object.keys(manifest).sort(), ['sessions', 'users']);
+    assert.deepEqual(createFileDriver({ filePath }).read(state => [Object.keys(state.users), state.sessions]),
+      [['u1', 'u2'], { s1: { id: 's1' } }]);
+  });
+
+  it('sweeps files left behind by an interrupted write', async () => {
+    await createFileDriver({ filePath }).transaction(state => {
+      state.users = {};
+    });
+    fs.writeFileSync(path.join(`${filePath}.d`, 'users-000000000000.json'), '{}');
+
+    await createFileDriver({ filePath }).transaction(state => {
+      state.sessions = {};
+    });
+
+    assert.equal(collectionFiles().includes('users-000000000000.json'), false);
+  });
+
+  it('waits for the lock without blocking the event loop', async () => {
+    const driver = createFileDriver({ filePath, lockTimeout: 2000 });
+    fs.writeFileSync(`${filePath}.lock`, 'another worker');
+
+    let ticks = 0;
+    const ticker = setInterval(() => { ticks++; }, 5);
+    const write = driver.transaction(state => {
+      state.users = {};
+    });
+    setTimeout(() => fs.unlinkSync(`${filePath}.lock`), 100);
+
+    await write;
+    clearInterval(ticker);
+    assert.ok(ticks >= 5, `event loop ran ${ticks} timer callbacks while waiting`);
+    assert.deepEqual(driver.read(state => state.users), {});
+  });
+
+  it('gives up on a lock held too long and recovers abandoned locks', async () => {
+    const driver = createFileDriver({ filePath, lockTimeout: 50, staleLockAge: 60000 });
+    fs.writeFileSync(`${filePath}.lock`, 'another worker');
+
+    await assert.rejects(driver.transaction(() => {}), /Timed out waiting for storage lock/);
+
+    const old = new Date(Date.now() - 120000);
+    fs.utimesSync(`${filePath}.lock`, old, old);
+    await driver.transaction(state => {
+      state.users = {};
+    });
+    assert.equal(fs.existsSync(`${filePath}.lock`), false);
+  });
+});
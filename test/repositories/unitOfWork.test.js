@@ -0,0 +1,216 @@
+/**
+ * Unit of Work Tests
+ *
+ * Staging, committing and conflict detection of units of work
+ * (repositories/unitOfWork.js) over the in-memory driver.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('assert/strict');
+const createMemoryDriver = require('../../repositories/drivers/memory');
+const withUnitOfWork = require('../../repositories/unitOfWork');
+
+let driver;
+
+/**
+ * Open a unit of work that stays open until released
+ *
+ * @param {Function} work - Repository calls made inside the unit
+ * @returns {Object} { done, release } where done settles with the unit
+ */
+function openUnit(work) {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const done = driver.unitOfWork(async () => {
+    const result = await work();
+    await gate;
+    return result;
+  });
+
+  return { done, release };
+}
+
+/**
+ * Let pending work run, such as a just opened unit up to its gate or the
+ * effects of a commit
+ *
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Rename a user in its own transaction
+ *
+ * @param {string} id - User ID
+ * @param {string} name - New name
+ * @returns {Promise<void>}
+ */
+function rename(id, name) {
+  return driver.transaction(state => {
+    state.users[id].name = name;
+  });
+}
+
+beforeEach(() => {
+  driver = withUnitOfWork(createMemoryDriver({
+    initialState: {
+      users: { u1: { id: 'u1', name: 'Ada' }, u2: { id: 'u2', name: 'Grace' } },
+      sessions: {}
+    }
+  }));
+});
+
+describe('unit of work', () => {
+  it('keeps its changes private until it commits', async () => {
+    const unit = openUnit(async () => {
+      await rename('u1', 'Ada L.');
+      return driver.read(state => state.users.u1.name);
+    });
+    await settle();
+
+    assert.equal(driver.read(state => state.users.u1.name), 'Ada');
+    unit.release();
+    assert.equal(await unit.done, 'Ada L.');
+    assert.equal(driver.read(state => state.users.u1.name), 'Ada L.');
+  });
+
+  it('discards its changes when the work fails', async () => {
+    await assert.rejects(driver.unitOfWork(async () => {
+      await rename('u1', 'Ada L.');
+      throw new Error('stop');
+    }), /stop/);
+
+    assert.equal(driver.read(state => state.users.u1.name), 'Ada');
+  });
+
+  it('commits when other requests change records it did not use', async () => {
+    const unit = openUnit(() => rename('u1', 'Ada L.'));
+    await settle();
+
+    await rename('u2', 'Grace H.');
+    await driver.transaction(state => {
+      state.sessions.s1 = { id: 's1' };
+    });
+    unit.release();
+    await unit.done;
+
+    assert.deepEqual(driver.read(state => [state.users.u1.name, state.users.u2.name, Object.keys(state.sessions)]),
+      ['Ada L.', 'Grace H.', ['s1']]);
+  });
+
+  it('rejects the commit when another request changed a record it wrote', async () => {
+    const unit = openUnit(() => rename('u1', 'Ada L.'));
+    await settle();
+
+    await rename('u1', 'Ada King');
+    unit.release();
+    await assert.rejects(unit.done, error => error.statusCode === 409 && error.details.reason === 'concurrent_modification');
+
+    assert.equal(driver.read(state => state.users.u1.name), 'Ada King');
+  });
+
+  it('rejects the commit when another request changed a record it only read', async () => {
+    const unit = openUnit(async () => {
+      const name = driver.read(state => state.users.u2.name);
+      await rename('u1', `after ${name}`);
+    });
+    await settle();
+
+    await rename('u2', 'Grace H.');
+    unit.release();
+    await assert.rejects(unit.done, error => error.statusCode === 409);
+
+    assert.equal(driver.read(state => state.users.u1.name), 'Ada');
+  });
+
+  it('rejects the commit when a record is added to a collection it listed', async () => {
+    const unit = openUnit(async () => {
+      const count = driver.read(state => Object.values(state.users).length);
+      await rename('u1', `one of ${count}`);
+    });
+    await settle();
+
+    await driver.transaction(state => {
+      state.users.u3 = { id: 'u3', name: 'Linus' };
+    });
+    unit.release();
+    await assert.rejects(unit.done, error => error.statusCode === 409);
+  });
+
+  it('writes removed records and new collections back', async () => {
+    await driver.unitOfWork(async () => {
+      await driver.transaction(state => {
+        delete state.users.u2;
+        state.invitations = { i1: { id: 'i1' } };
+      });
+    });
+
+    assert.deepEqual(driver.read(state => [Object.keys(state.users), state.invitations]), [['u1'], { i1: { id: 'i1' } }]);
+  });
+
+  it('joins nested units of work to the enclosing one', async () => {
+    await assert.rejects(driver.unitOfWork(async () => {
+      await driver.unitOfWork(() => rename('u1', 'Ada L.'));
+      throw new Error('stop');
+    }), /stop/);
+
+    assert.equal(driver.read(state => state.users.u1.name), 'Ada');
+  });
+
+  describe('afterCommit', () => {
+    it('runs effects right away outside a unit of work', async () => {
+      const effects = [];
+      driver.afterCommit(() => effects.push('sent'));
+      await settle();
+
+      assert.deepEqual(effects, ['sent']);
+    });
+
+    it('runs effects in order once the unit commits', async () => {
+      const effects = [];
+
+      await driver.unitOfWork(async () => {
+        await rename('u1', 'Ada L.');
+        driver.afterCommit(() => effects.push('first'));
+        driver.afterCommit(() => effects.push('second'));
+        assert.deepEqual(effects, []);
+      });
+      await settle();
+
+      assert.deepEqual(effects, ['first', 'second']);
+    });
+
+    it('drops effects when the unit rolls back or conflicts', async () => {
+      const effects = [];
+
+      await assert.rejects(driver.unitOfWork(async () => {
+        driver.afterCommit(() => effects.push('rolled back'));
+        throw new Error('stop');
+      }));
+
+      const unit = openUnit(async () => {
+        await rename('u1', 'Ada L.');
+        driver.afterCommit(() => effects.push('conflicted'));
+      });
+      await settle();
+      await rename('u1', 'Ada King');
+      unit.release();
+      await assert.rejects(unit.done);
+      await settle();
+
+      assert.deepEqual(effects, []);
+    });
+
+    it('keeps the commit when an effect fails', async () => {
+      await driver.unitOfWork(async () => {
+        await rename('u1', 'Ada L.');
+        driver.afterCommit(() => Promise.reject(new Error('mail server down')));
+        driver.afterCommit(() => { throw new Error('mail server down'); });
+      });
+
+      assert.equal(driver.read(state => state.users.u1.name), 'Ada L.');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * User Repository Tests
+ *
+ * The last-active-admin rule enforced inside user writes and the batched
+ * scan used by exports (repositories/userRepository.js), over the in-memory
+ * driver.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('assert/strict');
+const createMemoryDriver = require('../../repositories/drivers/memory');
+const withUnitOfWork = require('../../repositories/unitOfWork');
+const createUserRepository = require('../../repositories/userRepository');
+
+let users;
+
+/**
+ * Build a stored user record
+ *
+ * @param {string} id - User ID
+ * @param {Object} fields - Fields to set
+ * @returns {Object} User record
+ */
+function userRecord(id, fields = {}) {
+  const createdAt = new Date(Date.UTC(2024, 0, Number(id.slice(1)))).toISOString();
+  return { id, name: `User ${id}`, email: `${id}@example.com`, role: 'user', status: 'active', createdAt, updatedAt: createdAt, ...fields };
+}
+
+/**
+ * Assert that a promise rejects with the last-active-admin error
+ *
+ * @param {Promise} write - User write
+ * @returns {Promise<void>}
+ */
+function rejectsLastAdmin(write) {
+  return assert.rejects(write, error => error.statusCode === 422 && error.details.reason === 'last_active_admin');
+}
+
+beforeEach(() => {
+  users = createUserRepository(withUnitOfWork(createMemoryDriver()));
+});
+
+describe('last active administrator', () => {
+  beforeEach(async () => {
+    await users.create(userRecord('u1', { role: 'admin' }));
+    await users.create(userRecord('u2'));
+  });
+
+  it('refuses to demote, deactivate or delete the only active admin', async () => {
+    await rejectsLastAdmin(users.update('u1', { role: 'user' }));
+    await rejectsLastAdmin(users.transitionStatus('u1', { from: ['active'], to: 'inactive', reason: 'leaving' }));
+    await rejectsLastAdmin(users.softDelete('u1'));
+    await rejectsLastAdmin(users.hardDelete('u1'));
+
+    const admin = await users.findById('u1');
+    assert.deepEqual([admin.role, admin.status], ['admin', 'active']);
+  });
+
+  it('allows it once another user is an active admin', async () => {
+    await users.update('u2', { role: 'admin' });
+
+    assert.equal((await users.update('u1', { role: 'user' })).role, 'user');
+    await rejectsLastAdmin(users.update('u2', { role: 'user' }));
+  });
+
+  it('does not count suspended or deleted admins', async () => {
+    await users.create(userRecord('u3', { role: 'admin', status: 'suspended' }));
+    await users.create(userRecord('u4', { role: 'admin' }));
+    await users.softDelete('u4');
+
+    await rejectsLastAdmin(users.update('u1', { role: 'user' }));
+  });
+});
+
+describe('scan', () => {
+  beforeEach(async () => {
+    for (let day = 1; day <= 12; day++) {
+      await users.create(userRecord(`u${day}`, { role: day % 3 === 0 ? 'admin' : 'user', name: `User ${13 - day}` }));
+    }
+    await users.softDelete('u4');
+  });
+
+  /**
+   * Collect the batches of a scan
+   *
+   * @param {Object} options - scan() options
+   * @returns {Promise<Array<Array<string>>>} User IDs by batch
+   */
+  async function scanIds(options) {
+    const batches = [];
+    for await (const batch of users.scan(options)) {
+      batches.push(batch.map(user => user.id));
+    }
+    return batches;
+  }
+
+  it('returns the users of a list query in batches', async () => {
+    const options = { sort: 'name', order: 'desc', filter: { role: 'user' } };
+    const { users: listed } = await users.list({ ...options, limit: 100 });
+
+    const batches = await scanIds({ ...options, batchSize: 3 });
+
+    assert.deepEqual(batches.map(batch => batch.length), [3, 3, 1]);
+    assert.deepEqual(batches.flat(), listed.map(user => user.id));
+  });
+
+  it('leaves out users deleted while the scan runs', async () => {
+    const batches = [];
+    for await (const batch of users.scan({ batchSize: 5 })) {
+      batches.push(batch.map(user => user.id));
+      if (batches.length === 1) {
+        await users.softDelete('u8');
+      }
+    }
+
+    assert.deepEqual(batches, [['u1', 'u2', 'u3', 'u5', 'u6'], ['u7', 'u9', 'u10', 'u11'], ['u12']]);
+  });
+
+  it('scans the trash with onlyDeleted', async () => {
+    assert.deepEqual(await scanIds({ onlyDeleted: true }), [['u4']]);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Batch Service Tests
+ *
+ * Detection of nested batch operations and of references between operations
+ * (services/batch.js). Running batches is covered by test/api.test.js.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const { isBatchPath, findReferences } = require('../../services/batch');
+
+describe('isBatchPath', () => {
+  for (const path of ['/api/batch', '/api/batch/', '/api/batch?x=1', '/API/Batch', '/api//batch', '//api///batch',
+    '/api/%62atch', '/api%2Fbatch', '/api/batch#top']) {
+    it(`recognises ${path}`, () => {
+      assert.equal(isBatchPath(path), true);
+    });
+  }
+
+  for (const path of ['/api/users', '/api/batches', '/api/users/batch', '/batch', '/api/%E0%A4%A']) {
+    it(`does not flag ${path}`, () => {
+      assert.equal(isBatchPath(path), false);
+    });
+  }
+});
+
+describe('findReferences', () => {
+  it('lists the operations referenced anywhere in a value, in order', () => {
+    const body = {
+      name: '{{first.body.data.name}}',
+      tags: ['{{ second.status }}', 'plain'],
+      note: 'from {{first.body.data.id}} and {{third.headers.etag}}'
+    };
+
+    assert.deepEqual(findReferences(body), ['first', 'second', 'first', 'third']);
+  });
+
+  it('ignores text that is not a placeholder', () => {
+    assert.deepEqual(findReferences('{{1st.body}} {{ }} {single}'), []);
+    assert.deepEqual(findReferences(42), []);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Lockout Service Tests
+ *
+ * Account and client IP locks after failed logins, and lifting them
+ * (services/lockoutService.js).
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const config = require('../../config/index');
+const lockoutService = require('../../services/lockoutService');
+
+const { maxFailures, ipMaxFailures } = config.auth.lockout;
+
+/**
+ * Fail a number of logins
+ *
+ * @param {number} count - Failed logins
+ * @param {Function} attemptAt - Builds the { email, ip } of the nth login
+ * @returns {Promise<Object|null>} Lock reported by the last failure
+ */
+async function failLogins(count, attemptAt) {
+  let lock = null;
+  for (let index = 0; index < count; index++) {
+    lock = await lockoutService.recordFailedLogin(attemptAt(index));
+  }
+  return lock;
+}
+
+describe('login lockout', () => {
+  it('locks an email after repeated failures and lifts the lock on unlock', async () => {
+    const lock = await failLogins(maxFailures, index => ({ email: 'Ada@Example.com', ip: `198.51.100.${index}` }));
+
+    assert.equal(lock.reason, 'account_locked');
+    assert.equal((await lockoutService.checkLogin({ email: 'ada@example.com', ip: '198.51.100.99' })).reason, 'account_locked');
+
+    const previous = await lockoutService.unlockAccount('ada@example.com');
+    assert.equal(previous.locked, true);
+    assert.equal(await lockoutService.checkLogin({ email: 'ada@example.com', ip: '198.51.100.99' }), null);
+  });
+
+  it('locks a client IP across emails and lifts the lock on unlock', async () => {
+    const lock = await failLogins(ipMaxFailures, index => ({ email: `user${index}@example.com`, ip: '::ffff:203.0.113.7' }));
+
+    assert.equal(lock.reason, 'ip_locked');
+    assert.equal((await lockoutService.checkLogin({ email: 'new@example.com', ip: '203.0.113.7' })).reason, 'ip_locked');
+
+    const previous = await lockoutService.unlockIp('203.0.113.7');
+    assert.equal(previous.locked, true);
+    assert.equal(await lockoutService.checkLogin({ email: 'new@example.com', ip: '::ffff:203.0.113.7' }), null);
+  });
+
+  it('leaves the IP locked when only the account is unlocked', async () => {
+    await failLogins(ipMaxFailures, index => ({ email: `other${index}@example.com`, ip: '203.0.113.8' }));
+
+    await lockoutService.unlockAccount('other0@example.com');
+
+    assert.equal((await lockoutService.checkLogin({ email: 'other0@example.com', ip: '203.0.113.8' })).reason, 'ip_locked');
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * User Status Tests
+ *
+ * The status transitions offered for a user (services/userStatus.js).
+ * Applying them is covered by test/api.test.js.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const { allowedTransitions } = require('../../services/userStatus');
+
+describe('allowedTransitions', () => {
+  it('lists the transitions leaving each status', () => {
+    assert.deepEqual(allowedTransitions('active'), [
+      { action: 'deactivate', to: 'inactive' },
+      { action: 'suspend', to: 'suspended' }
+    ]);
+    assert.deepEqual(allowedTransitions('suspended'), [
+      { action: 'activate', to: 'active' },
+      { action: 'deactivate', to: 'inactive' }
+    ]);
+    assert.deepEqual(allowedTransitions('inactive'), [{ action: 'activate', to: 'active' }]);
+    assert.deepEqual(allowedTransitions('pending'), [{ action: 'deactivate', to: 'inactive' }]);
+  });
+
+  it('leaves out the transitions that would lock callers out of their own account', () => {
+    assert.deepEqual(allowedTransitions('active', { ownAccount: true }), []);
+    assert.deepEqual(allowedTransitions('suspended', { ownAccount: true }), [{ action: 'activate', to: 'active' }]);
+  });
+
+  it('offers nothing for unknown statuses', () => {
+    assert.deepEqual(allowedTransitions('archived'), []);
+  });
+});
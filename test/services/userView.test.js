@@ -0,0 +1,53 @@
+/**
+ * User View Tests
+ *
+ * Resolution of the fields and expand query parameters of user reads
+ * (services/userView.js).
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const { resolveUserView, expansionPermissions } = require('../../services/userView');
+
+describe('resolveUserView', () => {
+  it('resolves the parameters to arrays', () => {
+    const query = { fields: 'id, name,profile.firstName', expand: 'profile' };
+
+    assert.equal(resolveUserView(query), true);
+    assert.deepEqual(query, { fields: ['id', 'name', 'profile.firstName'], expand: ['profile'] });
+  });
+
+  it('selects an expansion whole when no field selects inside it', () => {
+    const query = { fields: 'id', expand: 'history' };
+
+    assert.equal(resolveUserView(query), true);
+    assert.deepEqual(query.fields, ['id', 'history']);
+  });
+
+  it('reports each unknown field as its own error detail', () => {
+    const result = resolveUserView({ fields: 'nope,name,also.nope' });
+
+    assert.equal(result.message, 'Unknown fields');
+    assert.deepEqual(result.details.map(({ path, type, context }) => ({ path, type, value: context.value })), [
+      { path: ['fields', 0], type: 'fields.unknown', value: 'nope' },
+      { path: ['fields', 2], type: 'fields.unknown', value: 'also.nope' }
+    ]);
+    result.details.forEach(detail => assert.match(detail.message, /^Unknown field .+\. Allowed fields: id, name/));
+  });
+
+  it('asks for the expansion a field belongs to', () => {
+    assert.equal(resolveUserView({ fields: 'history.total' }), 'Field history.total requires expand=history');
+  });
+
+  it('rejects unknown expansions and empty field lists', () => {
+    assert.match(resolveUserView({ expand: 'profile,secrets' }), /^Unknown expansions: secrets\./);
+    assert.equal(resolveUserView({ fields: ' , ' }), 'At least one field is required');
+  });
+});
+
+describe('expansionPermissions', () => {
+  it('requires users:history for the history expansion only', () => {
+    assert.deepEqual(expansionPermissions(['profile']), []);
+    assert.deepEqual(expansionPermissions(['profile', 'history']), ['users:history']);
+  });
+});
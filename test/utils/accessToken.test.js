@@ -0,0 +1,105 @@
+/**
+ * Access Token Tests
+ *
+ * Signing and verification of the JWT access tokens (utils/accessToken.js).
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const config = require('../../config/index');
+const { issueAccessToken, verifyAccessToken } = require('../../utils/accessToken');
+
+const user = { id: 'c5a8e1f0-4c1e-4d7a-9d8e-0a1b2c3d4e5f', role: 'user' };
+
+/**
+ * Encode a JSON value as a token segment
+ *
+ * @param {Object} value - Value to encode
+ * @returns {string} base64url encoded JSON
+ */
+function segment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign a token with the server's secret, whatever its header and claims
+ *
+ * @param {Object} header - Token header
+ * @param {Object} claims - Token claims
+ * @returns {string} Signed token
+ */
+function signToken(header, claims) {
+  const signingInput = `${segment(header)}.${segment(claims)}`;
+  const signature = crypto.createHmac('sha256', config.auth.jwtSecret).update(signingInput).digest('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+/**
+ * Claims as issueAccessToken() would produce them
+ *
+ * @param {Object} overrides - Claims to replace
+ * @returns {Object} Claims
+ */
+function claims(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return { iss: config.auth.issuer, sub: user.id, sid: 'session-1', role: 'user', iat: now, exp: now + 60, jti: 'j1', ...overrides };
+}
+
+describe('access tokens', () => {
+  it('verifies a token it issued', () => {
+    const { token, expiresIn } = issueAccessToken(user, 'session-1');
+    const { claims: verified, reason } = verifyAccessToken(token);
+
+    assert.equal(reason, undefined);
+    assert.equal(verified.sub, user.id);
+    assert.equal(verified.sid, 'session-1');
+    assert.equal(verified.iss, config.auth.issuer);
+    assert.equal(verified.exp - verified.iat, expiresIn);
+  });
+
+  it('rejects a token whose claims were changed', () => {
+    const [header, , signature] = issueAccessToken(user, 'session-1').token.split('.');
+    const forged = `${header}.${segment(claims({ role: 'admin' }))}.${signature}`;
+
+    assert.deepEqual(verifyAccessToken(forged), { reason: 'invalid_signature' });
+  });
+
+  it('rejects a token signed with another secret', () => {
+    const signingInput = `${segment({ alg: 'HS256', typ: 'JWT' })}.${segment(claims())}`;
+    const signature = crypto.createHmac('sha256', 'another-secret').update(signingInput).digest('base64url');
+
+    assert.deepEqual(verifyAccessToken(`${signingInput}.${signature}`), { reason: 'invalid_signature' });
+  });
+
+  it('rejects unsigned tokens', () => {
+    const unsigned = `${segment({ alg: 'none', typ: 'JWT' })}.${segment(claims())}.`;
+
+    assert.deepEqual(verifyAccessToken(unsigned), { reason: 'malformed' });
+  });
+
+  it('rejects a correctly signed token that names another algorithm', () => {
+    assert.deepEqual(verifyAccessToken(signToken({ alg: 'none', typ: 'JWT' }, claims())), { reason: 'malformed' });
+  });
+
+  it('rejects tokens from another issuer or without a session', () => {
+    const header = { alg: 'HS256', typ: 'JWT' };
+
+    assert.deepEqual(verifyAccessToken(signToken(header, claims({ iss: 'someone-else' }))), { reason: 'invalid_claims' });
+    assert.deepEqual(verifyAccessToken(signToken(header, claims({ sid: undefined }))), { reason: 'invalid_claims' });
+  });
+
+  it('rejects expired tokens once the clock tolerance has passed', () => {
+    const header = { alg: 'HS256', typ: 'JWT' };
+    const now = Math.floor(Date.now() / 1000);
+
+    assert.ok(verifyAccessToken(signToken(header, claims({ exp: now - 10 }))).claims);
+    assert.deepEqual(verifyAccessToken(signToken(header, claims({ exp: now - 60 }))), { reason: 'expired' });
+  });
+
+  it('rejects malformed input', () => {
+    assert.deepEqual(verifyAccessToken(undefined), { reason: 'malformed' });
+    assert.deepEqual(verifyAccessToken('a.b'), { reason: 'malformed' });
+    assert.deepEqual(verifyAccessToken('a..c'), { reason: 'malformed' });
+  });
+});
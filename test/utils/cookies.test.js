@@ -0,0 +1,41 @@
+/**
+ * Cookie Utility Tests
+ *
+ * Cookie parsing and the CSRF tokens of cookie sessions (utils/cookies.js).
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const { parseCookies, csrfTokenFor, csrfTokenMatches } = require('../../utils/cookies');
+
+describe('parseCookies', () => {
+  it('parses and decodes cookie values, keeping the first occurrence', () => {
+    assert.deepEqual(parseCookies('sid=abc%20def; theme=dark; sid=second'), { sid: 'abc def', theme: 'dark' });
+  });
+
+  it('ignores malformed pairs and missing headers', () => {
+    assert.deepEqual(parseCookies('novalue; a=1'), { a: '1' });
+    assert.deepEqual(parseCookies(undefined), {});
+  });
+});
+
+describe('CSRF tokens', () => {
+  it('derives a stable token per session', () => {
+    assert.equal(csrfTokenFor('session-1'), csrfTokenFor('session-1'));
+    assert.notEqual(csrfTokenFor('session-1'), csrfTokenFor('session-2'));
+  });
+
+  it('accepts the token of the session only', () => {
+    assert.equal(csrfTokenMatches('session-1', csrfTokenFor('session-1')), true);
+    assert.equal(csrfTokenMatches('session-1', csrfTokenFor('session-2')), false);
+  });
+
+  it('rejects missing, truncated and padded tokens', () => {
+    const token = csrfTokenFor('session-1');
+
+    assert.equal(csrfTokenMatches('session-1', undefined), false);
+    assert.equal(csrfTokenMatches('session-1', ''), false);
+    assert.equal(csrfTokenMatches('session-1', token.slice(0, -1)), false);
+    assert.equal(csrfTokenMatches('session-1', `${token}A`), false);
+  });
+});
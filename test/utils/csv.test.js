@@ -0,0 +1,82 @@
+/**
+ * CSV Tests
+ *
+ * Parsing of imported CSV documents, including header paths that would reach
+ * an object prototype, and formatting of exported cells (utils/csv.js).
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('assert/strict');
+const { parseCsv, formatCsvRow } = require('../../utils/csv');
+
+describe('parseCsv', () => {
+  it('parses quoted fields, doubled quotes and line breaks inside quotes', () => {
+    const { columns, rows } = parseCsv('name,bio\r\n"Lovelace, Ada","Said ""hi""\nthen left"\r\nGrace,\r\n');
+
+    assert.deepEqual(columns, ['name', 'bio']);
+    assert.deepEqual(rows, [
+      { line: 2, data: { name: 'Lovelace, Ada', bio: 'Said "hi"\nthen left' }, error: null },
+      { line: 4, data: { name: 'Grace' }, error: null }
+    ]);
+  });
+
+  it('skips a byte order mark and blank lines', () => {
+    const { columns, rows } = parseCsv('\ufeffname\n\nAda\n');
+
+    assert.deepEqual(columns, ['name']);
+    assert.deepEqual(rows.map(row => row.data), [{ name: 'Ada' }]);
+  });
+
+  it('expands dotted columns into nested objects', () => {
+    const { rows } = parseCsv('name,profile.firstName,profile.address.city\nAda,Ada,London\n');
+
+    assert.deepEqual(rows[0].data, { name: 'Ada', profile: { firstName: 'Ada', address: { city: 'London' } } });
+  });
+
+  it('reports records with more fields than the header', () => {
+    const { rows } = parseCsv('name\nAda,extra\n');
+
+    assert.equal(rows[0].data, null);
+    assert.match(rows[0].error, /at most 1 fields but found 2/);
+  });
+
+  it('rejects empty documents, empty column names and unterminated quotes', () => {
+    assert.throws(() => parseCsv(''), /header row is required/);
+    assert.throws(() => parseCsv('name,,email\n'), /empty column name/);
+    assert.throws(() => parseCsv('name\n"Ada\n'), /Unterminated quoted field starting on line 2/);
+  });
+
+  describe('prototype paths', () => {
+    afterEach(() => {
+      assert.equal({}.polluted, undefined);
+      assert.equal(typeof Object.prototype.toString, 'function');
+    });
+
+    for (const column of ['__proto__.polluted', 'constructor.prototype.polluted', 'profile.__proto__.polluted', 'prototype', 'profile..name']) {
+      it(`rejects the column ${column}`, () => {
+        assert.throws(() => parseCsv(`name,${column}\nAda,yes\n`), /invalid column name/);
+      });
+    }
+
+    it('keeps inherited property names as own fields', () => {
+      const { rows } = parseCsv('toString.polluted,hasOwnProperty\nyes,no\n');
+
+      assert.deepEqual(rows[0].data, { toString: { polluted: 'yes' }, hasOwnProperty: 'no' });
+    });
+  });
+});
+
+describe('formatCsvRow', () => {
+  it('quotes cells with separators, quotes or line breaks', () => {
+    assert.equal(formatCsvRow(['Ada', 'a,b', 'say "hi"', 'two\nlines']), 'Ada,"a,b","say ""hi""","two\nlines"\r\n');
+  });
+
+  it('writes null and undefined as empty cells and objects as JSON', () => {
+    assert.equal(formatCsvRow([null, undefined, 3, { a: 1 }]), ',,3,"{""a"":1}"\r\n');
+  });
+
+  it('neutralises cells a spreadsheet would evaluate as formulas', () => {
+    assert.equal(formatCsvRow(['=1+1', '+1', '-1', '@SUM(A1)', '\tx']), '\'=1+1,\'+1,\'-1,\'@SUM(A1),\'\tx\r\n');
+    assert.equal(formatCsvRow([-1]), '-1\r\n');
+  });
+});
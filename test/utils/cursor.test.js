@@ -0,0 +1,66 @@
+/**
+ * Pagination Cursor Tests
+ *
+ * Signing and verification of the keyset pagination cursors (utils/cursor.js).
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const { encodeCursor, decodeCursor, fingerprintQuery, cursorFor } = require('../../utils/cursor');
+
+/**
+ * Encode a payload and sign it with some secret
+ *
+ * @param {Object} payload - Cursor payload
+ * @param {string} secret - Signing secret
+ * @returns {string} Cursor token
+ */
+function signWith(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${crypto.createHmac('sha256', secret).update(body).digest('base64url')}`;
+}
+
+describe('pagination cursors', () => {
+  it('round-trips a cursor built from a boundary record', () => {
+    const record = { id: 'u1', createdAt: '2024-01-01T00:00:00.000Z', profile: { city: 'London' } };
+    const fingerprint = fingerprintQuery({ search: 'ada' });
+
+    assert.deepEqual(decodeCursor(cursorFor(record, 'next', { sort: 'profile.city', order: 'asc', fingerprint })), {
+      v: 1, d: 'next', k: 'London', id: 'u1', s: 'profile.city', o: 'asc', q: fingerprint
+    });
+    assert.equal(decodeCursor(cursorFor({ id: 'u2' }, 'prev', { sort: 'name', order: 'desc', fingerprint })).k, null);
+  });
+
+  it('rejects a cursor whose payload was changed', () => {
+    const [, signature] = encodeCursor({ d: 'next', k: 'a', id: 'u1' }).split('.');
+    const body = Buffer.from(JSON.stringify({ v: 1, d: 'next', k: 'z', id: 'u9' })).toString('base64url');
+
+    assert.equal(decodeCursor(`${body}.${signature}`), null);
+  });
+
+  it('rejects a cursor signed with another secret', () => {
+    assert.equal(decodeCursor(signWith({ v: 1, d: 'next', k: 'a', id: 'u1' }, 'another-secret')), null);
+  });
+
+  it('rejects malformed tokens', () => {
+    const token = encodeCursor({ d: 'next', k: 'a', id: 'u1' });
+
+    assert.equal(decodeCursor(undefined), null);
+    assert.equal(decodeCursor('abc'), null);
+    assert.equal(decodeCursor(`${token}.extra`), null);
+    assert.equal(decodeCursor(token.slice(0, -2)), null);
+  });
+
+  it('rejects signed payloads of another version or direction', () => {
+    assert.equal(decodeCursor(encodeCursor({ v: 2, d: 'next', k: 'a', id: 'u1' })), null);
+    assert.equal(decodeCursor(encodeCursor({ d: 'sideways', k: 'a', id: 'u1' })), null);
+    assert.equal(decodeCursor(encodeCursor({ d: 'next', k: 'a' })), null);
+  });
+
+  it('fingerprints search and filter only', () => {
+    assert.equal(fingerprintQuery({ search: 'ada', limit: 10 }), fingerprintQuery({ search: 'ada', limit: 50 }));
+    assert.notEqual(fingerprintQuery({ search: 'ada' }), fingerprintQuery({ search: 'grace' }));
+    assert.notEqual(fingerprintQuery({ filter: { role: 'admin' } }), fingerprintQuery({}));
+  });
+});
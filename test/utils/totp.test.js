@@ -0,0 +1,72 @@
+/**
+ * TOTP Tests
+ *
+ * Code generation against the RFC 4226 / RFC 6238 test vectors and code
+ * verification (utils/totp.js).
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert/strict');
+const { generateSecret, provisioningUri, generateCode, verifyCode } = require('../../utils/totp');
+
+/**
+ * The RFC test secret "12345678901234567890" in base32
+ */
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('generateCode', () => {
+  it('matches the RFC test vectors', () => {
+    assert.equal(generateCode(RFC_SECRET, 0), '755224');
+    assert.equal(generateCode(RFC_SECRET, 59 * 1000), '287082');
+    assert.equal(generateCode(RFC_SECRET, 1111111109 * 1000), '081804');
+    assert.equal(generateCode(RFC_SECRET, 1234567890 * 1000), '005924');
+  });
+
+  it('accepts lower-case and padded secrets', () => {
+    assert.equal(generateCode(`${RFC_SECRET.toLowerCase()}====`, 59 * 1000), '287082');
+  });
+});
+
+describe('verifyCode', () => {
+  const time = 1111111109 * 1000;
+  const step = Math.floor(time / 30000);
+
+  it('returns the matched step', () => {
+    assert.equal(verifyCode(RFC_SECRET, '081804', { time }), step);
+    assert.equal(verifyCode(RFC_SECRET, '081 804', { time }), step);
+  });
+
+  it('accepts the neighbouring steps within the window only', () => {
+    const previous = generateCode(RFC_SECRET, time - 30000);
+    const twoBack = generateCode(RFC_SECRET, time - 60000);
+
+    assert.equal(verifyCode(RFC_SECRET, previous, { time }), step - 1);
+    assert.equal(verifyCode(RFC_SECRET, twoBack, { time }), null);
+    assert.equal(verifyCode(RFC_SECRET, previous, { time, window: 0 }), null);
+  });
+
+  it('rejects wrong and malformed codes', () => {
+    assert.equal(verifyCode(RFC_SECRET, '000000', { time }), null);
+    assert.equal(verifyCode(RFC_SECRET, '81804', { time }), null);
+    assert.equal(verifyCode(RFC_SECRET, '0818045', { time }), null);
+    assert.equal(verifyCode(RFC_SECRET, 'abcdef', { time }), null);
+    assert.equal(verifyCode(RFC_SECRET, undefined, { time }), null);
+  });
+});
+
+describe('generateSecret', () => {
+  it('creates distinct 160-bit base32 secrets that round-trip through the codes', () => {
+    const secret = generateSecret();
+
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(secret, generateSecret());
+    assert.equal(verifyCode(secret, generateCode(secret)), Math.floor(Date.now() / 30000));
+  });
+
+  it('builds an otpauth URI carrying the secret', () => {
+    const uri = provisioningUri(RFC_SECRET, { issuer: 'Example', account: 'ada@example.com' });
+
+    assert.match(uri, /^otpauth:\/\/totp\//);
+    assert.equal(new URL(uri).searchParams.get('secret'), RFC_SECRET);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Access Token Utilities
+ *
+ * Issues and verifies the short-lived access tokens returned by
+ * POST /api/auth/login and POST /api/auth/refresh. Tokens are JSON Web Tokens
+ * (RFC 7519) signed with HMAC-SHA256 using config.auth.jwtSecret:
+ *
+ *   base64url(header) + '.' + base64url(claims) + '.' + base64url(signature)
+ *
+ * Claims:
+ * - sub: ID of the authenticated user
+ * - sid: Login session (refresh token family) the token was issued for, so
+ *   that logging out also stops the access tokens of that session
+ * - role: Role of the user when the token was issued (informational; the
+ *   authentication middleware reloads the user on every request)
+ * - iss, iat, exp, jti: Issuer, issue time, expiry (seconds) and token ID
+ *
+ * Only HS256 tokens issued by this server are accepted; the algorithm in the
+ * header is checked rather than trusted.
+ *
+ * Exports:
+ * - issueAccessToken(user, sessionId): Sign a token for a user
+ * - verifyAccessToken(token): Check a token, returning { claims } or { reason }
+ */
+
+const crypto = require('crypto');
+const { v4: uuid } = require('uuid');
+const config = require('../config/index');
+
+/**
+ * Fixed token header
+ */
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+/**
+ * Allowed clock difference between servers, in seconds
+ */
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+/**
+ * Encode a JSON value as base64url
+ *
+ * @param {Object} value - Value to encode
+ * @returns {string} base64url encoded JSON
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign the header and claims segments of a token
+ *
+ * @param {string} signingInput - "<header>.<claims>"
+ * @returns {string} base64url encoded HMAC-SHA256 signature
+ */
+function sign(signingInput) {
+  return crypto.createHmac('sha256', config.auth.jwtSecret).update(signingInput).digest('base64url');
+}
+
+/**
+ * Sign an access token for a user
+ *
+ * @param {Object} user - User representation ({ id, role })
+ * @param {string} sessionId - Refresh token family the token belongs to
+ * @returns {Object} { token, expiresIn (seconds), expiresAt (ISO timestamp) }
+ */
+function issueAccessToken(user, sessionId) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const expiresIn = config.auth.accessTokenTtl;
+  const claims = {
+    iss: config.auth.issuer,
+    sub: user.id,
+    sid: sessionId,
+    role: user.role,
+    iat: issuedAt,
+    exp: issuedAt + expiresIn,
+    jti: uuid()
+  };
+
+  const signingInput = `${encodeSegment(HEADER)}.${encodeSegment(claims)}`;
+
+  return {
+    token: `${signingInput}.${sign(signingInput)}`,
+    expiresIn,
+    expiresAt: new Date(claims.exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Verify an access token
+ *
+ * @param {string} token - Token from the Authorization header
+ * @returns {Object} { claims } when valid, otherwise { reason } where reason
+ *   is malformed, invalid_signature, invalid_claims or expired
+ */
+function verifyAccessToken(token) {
+  const segments = typeof token === 'string' ? token.split('.') : [];
+  if (segments.length !== 3 || segments.some(segment => !segment)) {
+    return { reason: 'malformed' };
+  }
+
+  const [header, body, signature] = segments;
+  const expected = Buffer.from(sign(`${header}.${body}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { reason: 'invalid_signature' };
+  }
+
+  let claims;
+  try {
+    const decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    if (decodedHeader.alg !== HEADER.alg) {
+      return { reason: 'malformed' };
+    }
+    claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { reason: 'malformed' };
+  }
+
+  if (!claims || claims.iss !== config.auth.issuer || typeof claims.sub !== 'string' ||
+      typeof claims.sid !== 'string' || !Number.isInteger(claims.exp)) {
+    return { reason: 'invalid_claims' };
+  }
+
+  if (claims.exp + CLOCK_TOLERANCE_SECONDS <= Math.floor(Date.now() / 1000)) {
+    return { reason: 'expired' };
+  }
+
+  return { claims };
+}
+
+module.exports = {
+  issueAccessToken,
+  verifyAccessToken
+};
@@ -0,0 +1,108 @@
+/**
+ * Cookie Utilities
+ *
+ * Reads request cookies (Express sets cookies with res.cookie() but does not
+ * parse them) and derives the CSRF token of a cookie session.
+ *
+ * CSRF tokens follow the synchronizer token pattern without storage: the
+ * token of a session is an HMAC of the session ID under
+ * config.security.session.secret. A page on another origin can make the
+ * browser send the session cookie, but cannot read the token, so requiring
+ * it in a header on unsafe requests proves they came from the application.
+ *
+ * Exports:
+ * - parseCookies(header): Parse a Cookie header into { name: value }
+ * - sessionCookieOptions(): res.cookie() options of the session cookie
+ * - csrfTokenFor(sessionId): CSRF token of a session
+ * - csrfTokenMatches(sessionId, token): Check a CSRF token in constant time
+ */
+
+const crypto = require('crypto');
+const config = require('../config/index');
+
+/**
+ * Parse a Cookie header
+ *
+ * Values are URI-decoded where possible; the first occurrence of a name wins.
+ *
+ * @param {string} header - Cookie request header
+ * @returns {Object} Cookie values by name
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (typeof header !== 'string') {
+    return cookies;
+  }
+
+  header.split(';').forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator === -1) {
+      return;
+    }
+
+    const name = pair.slice(0, separator).trim();
+    let value = pair.slice(separator + 1).trim();
+    if (value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1);
+    }
+
+    if (name && !(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[name] = value;
+      }
+    }
+  });
+
+  return cookies;
+}
+
+/**
+ * Options of the session cookie, from config.security.session
+ *
+ * The cookie is only sent to the API (path /api); maxAge matches the idle
+ * timeout of the session and is renewed whenever a new cookie is set.
+ *
+ * @returns {Object} Options for res.cookie() and res.clearCookie()
+ */
+function sessionCookieOptions() {
+  const { secure, httpOnly, sameSite, maxAge } = config.security.session;
+  return { httpOnly, secure, sameSite, maxAge, path: '/api' };
+}
+
+/**
+ * Derive the CSRF token of a cookie session
+ *
+ * @param {string} sessionId - Session ID
+ * @returns {string} base64url HMAC-SHA256 of the session ID
+ */
+function csrfTokenFor(sessionId) {
+  return crypto.createHmac('sha256', config.security.session.secret)
+    .update(`csrf:${sessionId}`)
+    .digest('base64url');
+}
+
+/**
+ * Check a CSRF token in constant time
+ *
+ * @param {string} sessionId - Session ID
+ * @param {string} token - Token sent by the client
+ * @returns {boolean} True when the token belongs to the session
+ */
+function csrfTokenMatches(sessionId, token) {
+  if (typeof token !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(csrfTokenFor(sessionId));
+  const actual = Buffer.from(token);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  parseCookies,
+  sessionCookieOptions,
+  csrfTokenFor,
+  csrfTokenMatches
+};
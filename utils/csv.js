@@ -0,0 +1,205 @@
+/**
+ * CSV Utilities
+ *
+ * Minimal RFC 4180 CSV support for user import and export:
+ * - Fields are separated by commas and records by CRLF or LF
+ * - Fields containing commas, quotes or line breaks are enclosed in double
+ *   quotes, with embedded quotes doubled ("")
+ * - The first record is a header row naming the columns
+ *
+ * Column names may use dot notation (for example profile.firstName) to address
+ * nested fields; parsed rows are expanded into nested objects accordingly.
+ * Path segments that would reach an object prototype (__proto__, constructor,
+ * prototype) are rejected.
+ *
+ * Formatted cells that a spreadsheet would evaluate as a formula (starting
+ * with =, +, -, @, tab or carriage return) are prefixed with a single quote,
+ * because exported files are routinely opened in spreadsheet applications.
+ */
+
+/**
+ * Split CSV text into records of raw field values
+ *
+ * @param {string} text - CSV document
+ * @returns {Array<Object>} Records as { line, fields } where line is the
+ *   1-based line number on which the record starts
+ * @throws {Error} When a quoted field is not terminated
+ */
+function parseRecords(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  let index = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Skip a byte order mark
+
+  const endRecord = () => {
+    fields.push(field);
+    // Ignore blank lines
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (; index < text.length; index++) {
+    const char = text[index];
+
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+
+  if (field !== '' || fields.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+/**
+ * Path segments that would write to an object prototype instead of a field
+ */
+const FORBIDDEN_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Whether a dot-separated path is safe to expand into nested objects
+ *
+ * @param {string} path - Dot-separated field path
+ * @returns {boolean} True when no segment is empty or forbidden
+ */
+function isSafePath(path) {
+  return path.split('.').every(key => key !== '' && !FORBIDDEN_SEGMENTS.includes(key));
+}
+
+/**
+ * Set a possibly nested value on an object using a dot-separated path
+ *
+ * @param {Object} target - Object to modify
+ * @param {string} path - Dot-separated field path
+ * @param {any} value - Value to set
+ * @throws {Error} When the path is not safe (see isSafePath())
+ */
+function setPath(target, path, value) {
+  if (!isSafePath(path)) {
+    throw new Error(`Invalid field path: ${path}`);
+  }
+
+  const keys = path.split('.');
+  keys.slice(0, -1).reduce((node, key) => {
+    const child = Object.prototype.hasOwnProperty.call(node, key) ? node[key] : undefined;
+    if (child === undefined || child === null || typeof child !== 'object') {
+      node[key] = {};
+    }
+    return node[key];
+  }, target)[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Parse a CSV document with a header row into objects
+ *
+ * Empty cells are omitted so that defaults apply, and records with more
+ * cells than the header are reported through the error property.
+ *
+ * @param {string} text - CSV document
+ * @returns {Object} { columns, rows } where each row is { line, data, error }
+ * @throws {Error} When the document is malformed or has no header row
+ */
+function parseCsv(text) {
+  const records = parseRecords(text);
+
+  if (records.length === 0) {
+    throw new Error('CSV document is empty; a header row is required');
+  }
+
+  const columns = records[0].fields.map(column => column.trim());
+  if (columns.some(column => column === '')) {
+    throw new Error('CSV header contains an empty column name');
+  }
+
+  const unsafe = columns.find(column => !isSafePath(column));
+  if (unsafe) {
+    throw new Error(`CSV header contains an invalid column name: ${unsafe}`);
+  }
+
+  const rows = records.slice(1).map(({ line, fields }) => {
+    if (fields.length > columns.length) {
+      return { line, data: null, error: `Expected at most ${columns.length} fields but found ${fields.length}` };
+    }
+
+    const data = {};
+    fields.forEach((value, index) => {
+      if (value !== '') {
+        setPath(data, columns[index], value);
+      }
+    });
+    return { line, data, error: null };
+  });
+
+  return { columns, rows };
+}
+
+/**
+ * Format one value as a CSV cell
+ *
+ * @param {any} value - Cell value (null and undefined become empty cells)
+ * @returns {string} Escaped cell
+ */
+function formatCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let cell = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(cell)) {
+    cell = `'${cell}`;
+  }
+
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/**
+ * Format one CSV record
+ *
+ * @param {Array<any>} values - Cell values in column order
+ * @returns {string} CSV record terminated by CRLF
+ */
+function formatCsvRow(values) {
+  return `${values.map(formatCsvCell).join(',')}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  formatCsvRow
+};
@@ -0,0 +1,128 @@
+/**
+ * Pagination Cursor Utilities
+ *
+ * Encodes and verifies the opaque cursors used by cursor-based pagination.
+ * A cursor records the sort key and ID of the record at a page boundary, so
+ * the next page starts strictly after that record no matter how many records
+ * were inserted or deleted in the meantime (keyset pagination).
+ *
+ * Cursor Format:
+ *   base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature)
+ *
+ * Payload Fields:
+ * - d: Direction relative to the boundary record ('next' or 'prev')
+ * - k: Sort key value of the boundary record
+ * - id: ID of the boundary record (tie-breaker for equal sort keys)
+ * - s: Sort field the cursor was issued for
+ * - o: Sort order the cursor was issued for
+ * - q: Fingerprint of the search and filter parameters
+ *
+ * Cursors are signed with config.api.cursorSecret so clients cannot forge
+ * positions or reuse a cursor with a different sort order.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/index');
+const { getField } = require('../repositories/query');
+
+/**
+ * Current cursor payload version
+ */
+const CURSOR_VERSION = 1;
+
+/**
+ * Compute the signature for an encoded cursor body
+ *
+ * @param {string} body - base64url encoded payload
+ * @returns {string} base64url encoded HMAC-SHA256 signature
+ */
+function sign(body) {
+  return crypto.createHmac('sha256', config.api.cursorSecret).update(body).digest('base64url');
+}
+
+/**
+ * Encode and sign a cursor payload
+ *
+ * @param {Object} payload - Cursor payload
+ * @returns {string} Opaque cursor token
+ */
+function encodeCursor(payload) {
+  const body = Buffer.from(JSON.stringify({ v: CURSOR_VERSION, ...payload })).toString('base64url');
+  return `${body}.${sign(body)}`;
+}
+
+/**
+ * Verify and decode a cursor token
+ *
+ * @param {string} token - Opaque cursor token supplied by a client
+ * @returns {Object|null} Decoded payload, or null when malformed or tampered with
+ */
+function decodeCursor(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [body, signature, ...rest] = token.split('.');
+  if (!body || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (payload.v !== CURSOR_VERSION || !['next', 'prev'].includes(payload.d) || payload.id === undefined) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Fingerprint the search and filter parameters a cursor belongs to
+ *
+ * @param {Object} query - Validated query parameters
+ * @returns {string} Short stable hash of the search and filter parameters
+ */
+function fingerprintQuery(query = {}) {
+  const { search = null, filter = null } = query;
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ search, filter }))
+    .digest('base64url')
+    .slice(0, 16);
+}
+
+/**
+ * Build the cursor pointing before or after a boundary record
+ *
+ * @param {Object} record - Boundary record (first or last record of a page)
+ * @param {string} direction - 'next' for records after, 'prev' for records before
+ * @param {Object} options - { sort, order, fingerprint } of the current query
+ * @returns {string} Opaque cursor token
+ */
+function cursorFor(record, direction, options) {
+  const { sort, order, fingerprint } = options;
+  const key = getField(record, sort);
+
+  return encodeCursor({
+    d: direction,
+    k: key === undefined ? null : key,
+    id: record.id,
+    s: sort,
+    o: order,
+    q: fingerprint
+  });
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  fingerprintQuery,
+  cursorFor
+};
@@ -0,0 +1,82 @@
+/**
+ * Record Diff Utilities
+ *
+ * Computes field-level differences between two versions of a record for the
+ * change history. Nested plain objects are compared field by field and
+ * reported with dot-separated paths (for example deletion.reason); arrays and
+ * other values are compared as a whole.
+ *
+ * A change is reported as:
+ *   { field: "email", op: "changed", from: "old@example.com", to: "new@example.com" }
+ *   { field: "deletedAt", op: "added", to: "2024-01-01T00:00:00.000Z" }
+ *   { field: "restoration", op: "removed", from: { ... } }
+ */
+
+/**
+ * Check whether a value is a plain object (and not an array or null)
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Flatten a record into a map of dot-separated paths to leaf values
+ *
+ * @param {Object} record - Record to flatten
+ * @param {string} prefix - Path prefix for nested calls
+ * @param {Object} target - Accumulator for nested calls
+ * @returns {Object} Leaf values keyed by path
+ */
+function flatten(record, prefix = '', target = {}) {
+  Object.entries(record || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flatten(value, path, target);
+    } else if (value !== undefined) {
+      target[path] = value;
+    }
+  });
+  return target;
+}
+
+/**
+ * Compute the field-level differences between two versions of a record
+ *
+ * @param {Object|null} before - Previous version (null for a new record)
+ * @param {Object|null} after - New version (null for a removed record)
+ * @param {Object} options - Diff options
+ * @param {Array<string>} options.ignore - Top-level fields left out of the diff
+ * @returns {Array<Object>} Changes sorted by field path
+ */
+function diffRecords(before, after, options = {}) {
+  const { ignore = [] } = options;
+  const isIgnored = (path) => ignore.includes(path.split('.')[0]);
+
+  const previous = flatten(before);
+  const next = flatten(after);
+  const paths = [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    .filter(path => !isIgnored(path))
+    .sort();
+
+  return paths.reduce((changes, field) => {
+    const inPrevious = Object.prototype.hasOwnProperty.call(previous, field);
+    const inNext = Object.prototype.hasOwnProperty.call(next, field);
+
+    if (!inPrevious) {
+      changes.push({ field, op: 'added', to: next[field] });
+    } else if (!inNext) {
+      changes.push({ field, op: 'removed', from: previous[field] });
+    } else if (JSON.stringify(previous[field]) !== JSON.stringify(next[field])) {
+      changes.push({ field, op: 'changed', from: previous[field], to: next[field] });
+    }
+
+    return changes;
+  }, []);
+}
+
+module.exports = {
+  diffRecords
+};
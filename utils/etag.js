@@ -0,0 +1,81 @@
+/**
+ * Entity Tag Utilities
+ *
+ * Builds strong ETags for versioned records and evaluates the If-Match and
+ * If-None-Match request headers against them (RFC 9110, section 13.1).
+ *
+ * Every versioned record carries an integer version that the repository
+ * increments on each write. Its ETag combines the record ID and version:
+ *
+ *   ETag: "<id>.<version>"
+ *
+ * so a client can send the tag back in If-Match and the repository can check
+ * the version atomically inside the write transaction.
+ */
+
+/**
+ * Build the strong ETag of a versioned record
+ *
+ * @param {Object} record - Record with id and version fields
+ * @returns {string} Quoted entity tag
+ */
+function entityTag(record) {
+  return `"${record.id}.${record.version || 1}"`;
+}
+
+/**
+ * Parse an If-Match or If-None-Match header value
+ *
+ * @param {string} header - Raw header value
+ * @returns {string|Array<Object>|null} '*', a list of { weak, tag } entries,
+ *   or null when the header is absent
+ */
+function parseETagList(header) {
+  if (header === undefined || header === null || header.trim() === '') {
+    return null;
+  }
+
+  if (header.trim() === '*') {
+    return '*';
+  }
+
+  const entries = [];
+  const pattern = /(W\/)?"([^"]*)"/g;
+  let match;
+  while ((match = pattern.exec(header)) !== null) {
+    entries.push({ weak: !!match[1], tag: match[2] });
+  }
+  return entries;
+}
+
+/**
+ * Determine the record versions an If-Match condition accepts
+ *
+ * If-Match uses strong comparison, so weak tags never match. Tags issued for
+ * a different record are ignored as well.
+ *
+ * @param {string|Array<Object>|null} ifMatch - Parsed If-Match header
+ * @param {string} id - ID of the record being modified
+ * @returns {Array<number>|undefined} Accepted versions (possibly empty), or
+ *   undefined when no version check applies (header absent or '*')
+ */
+function expectedVersions(ifMatch, id) {
+  if (ifMatch === null || ifMatch === '*') {
+    return undefined;
+  }
+
+  return ifMatch
+    .filter(entry => !entry.weak)
+    .map(entry => {
+      const separator = entry.tag.lastIndexOf('.');
+      const version = Number(entry.tag.slice(separator + 1));
+      return separator > 0 && entry.tag.slice(0, separator) === id && Number.isInteger(version) ? version : null;
+    })
+    .filter(version => version !== null);
+}
+
+module.exports = {
+  entityTag,
+  parseETagList,
+  expectedVersions
+};
@@ -0,0 +1,370 @@
+/**
+ * Filter Query Language
+ *
+ * Parses and validates the filters accepted by collection endpoints. Two
+ * syntaxes are supported and may be combined (both must match):
+ *
+ * Bracket syntax, one condition per parameter, all conditions combined with AND:
+ *   filter[status]=active                      equality
+ *   filter[status][ne]=inactive                negation
+ *   filter[role][in]=admin,moderator           in / not-in (nin), comma-separated
+ *   filter[createdAt][gte]=2024-01-01          ranges: gt, gte, lt, lte
+ *   filter[createdAt][from]=...&[to]=...       inclusive range (aliases of gte and lte)
+ *   filter[email][prefix]=ann                  case-insensitive prefix match
+ *
+ * Expression syntax (?q=), RQL-style, adding boolean combinations:
+ *   q=and(eq(status,active),or(in(role,admin,moderator),not(prefix(email,ann))))
+ *
+ * Expression operators take the field first and then the value(s); and() and
+ * or() take any number of expressions and not() exactly one. Values end at
+ * the next comma or parenthesis; percent-encode those characters inside a
+ * value (%2C, %28, %29).
+ *
+ * Each resource declares the fields it can be filtered on:
+ *
+ *   { status: { type: 'string', values: ['active', 'inactive'] },
+ *     createdAt: { type: 'date' } }
+ *
+ * Supported types are string, number and date. The operators of a field
+ * default to those that make sense for its type and may be narrowed with an
+ * operators list. Invalid filters fail Joi validation, so they are reported
+ * like any other query parameter error: field by field for the bracket
+ * syntax (filter.status.in.1) and with a message naming the problem for q.
+ *
+ * Both syntaxes produce the same filter expression, evaluated by
+ * repositories/query.js:
+ *   { and: [expression, ...] }, { or: [expression, ...] }, { not: expression }
+ *   { field, op, value }     (value is an array for in and nin)
+ *
+ * Exports:
+ * - FILTER_OPERATORS: Comparison operators of the language
+ * - buildFilterSchema(fields): Joi schema for filter[...] resolving to an expression
+ * - buildExpressionSchema(fields): Joi schema for q resolving to an expression
+ * - combineFilters(...expressions): AND several optional expressions together
+ */
+
+const Joi = require('joi');
+
+/**
+ * Comparison operators of the language
+ */
+const FILTER_OPERATORS = ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'prefix'];
+
+/**
+ * Boolean operators of the expression syntax
+ */
+const LOGICAL_OPERATORS = ['and', 'or', 'not'];
+
+/**
+ * Operators available by default for each field type
+ */
+const TYPE_OPERATORS = {
+  string: ['eq', 'ne', 'in', 'nin', 'prefix'],
+  number: ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte'],
+  date: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte']
+};
+
+/**
+ * Range aliases accepted by the bracket syntax
+ */
+const OPERATOR_ALIASES = {
+  from: 'gte',
+  to: 'lte'
+};
+
+/**
+ * Maximum number of values of an in or nin condition
+ */
+const MAX_LIST_VALUES = 100;
+
+/**
+ * Joi with a list type that also accepts a comma-separated string
+ */
+const ListJoi = Joi.extend({
+  type: 'list',
+  base: Joi.array(),
+  coerce: {
+    from: 'string',
+    method: value => ({ value: value.split(',').map(item => item.trim()) })
+  }
+});
+
+/**
+ * Resolve the operators a field supports
+ *
+ * Enumerated string fields do not support prefix matching.
+ *
+ * @param {Object} definition - Field definition { type, values, operators }
+ * @returns {Array<string>} Supported operators
+ */
+function operatorsFor(definition) {
+  if (definition.operators) {
+    return definition.operators;
+  }
+  const defaults = TYPE_OPERATORS[definition.type] || TYPE_OPERATORS.string;
+  return definition.values ? defaults.filter(op => op !== 'prefix') : defaults;
+}
+
+/**
+ * Build the schema of a single value compared with a field
+ *
+ * @param {Object} definition - Field definition { type, values }
+ * @returns {Object} Joi schema
+ */
+function valueSchema(definition) {
+  switch (definition.type) {
+    case 'number':
+      return Joi.number();
+    case 'date':
+      return Joi.date().iso();
+    default: {
+      const schema = Joi.string().max(200);
+      return definition.values ? schema.valid(...definition.values) : schema;
+    }
+  }
+}
+
+/**
+ * Build the schema of the value(s) an operator takes
+ *
+ * @param {Object} definition - Field definition
+ * @param {string} op - Comparison operator
+ * @returns {Object} Joi schema
+ */
+function operandSchema(definition, op) {
+  if (op === 'in' || op === 'nin') {
+    return ListJoi.list().items(valueSchema(definition)).min(1).max(MAX_LIST_VALUES);
+  }
+  if (op === 'prefix') {
+    return Joi.string().max(200);
+  }
+  return valueSchema(definition);
+}
+
+/**
+ * Check whether a bracket filter condition is an operator object
+ *
+ * @param {any} condition - Validated condition
+ * @returns {boolean} True for { op: value } objects
+ */
+function isOperatorObject(condition) {
+  return condition !== null && typeof condition === 'object' &&
+    !Array.isArray(condition) && !(condition instanceof Date);
+}
+
+/**
+ * Build the Joi schema for the bracket syntax (filter[...] parameters)
+ *
+ * The validated value is the filter expression ({ and: [...] }).
+ *
+ * @param {Object} fields - Filterable fields keyed by name
+ * @returns {Object} Joi object schema
+ */
+function buildFilterSchema(fields) {
+  const keys = Object.entries(fields).reduce((schemas, [field, definition]) => {
+    const operators = operatorsFor(definition);
+    const operatorKeys = operators.reduce((operatorSchemas, op) => {
+      operatorSchemas[op] = operandSchema(definition, op);
+      return operatorSchemas;
+    }, {});
+
+    Object.entries(OPERATOR_ALIASES).forEach(([alias, op]) => {
+      if (operators.includes(op)) {
+        operatorKeys[alias] = operandSchema(definition, op);
+      }
+    });
+
+    schemas[field] = Joi.alternatives().conditional(Joi.object().unknown(), {
+      then: Joi.object(operatorKeys).min(1).unknown(false),
+      otherwise: operators.includes('eq') ? valueSchema(definition) : Joi.forbidden()
+    });
+    return schemas;
+  }, {});
+
+  return Joi.object(keys).unknown(false).custom(filter => {
+    const conditions = Object.entries(filter).flatMap(([field, condition]) => {
+      if (!isOperatorObject(condition)) {
+        return [{ field, op: 'eq', value: condition }];
+      }
+      return Object.entries(condition).map(([op, value]) => ({ field, op: OPERATOR_ALIASES[op] || op, value }));
+    });
+    return { and: conditions };
+  });
+}
+
+/**
+ * Parse the expression syntax into a raw syntax tree
+ *
+ * @param {string} text - Expression text
+ * @returns {Object} Tree of { and|or: [...] }, { not } and { field, op, args } nodes
+ * @throws {SyntaxError} When the expression is malformed
+ */
+function parseExpression(text) {
+  let position = 0;
+
+  const fail = (message) => {
+    throw new SyntaxError(`${message} at position ${position + 1}`);
+  };
+
+  const skipSpace = () => {
+    while (position < text.length && /\s/.test(text[position])) {
+      position++;
+    }
+  };
+
+  const readToken = () => {
+    skipSpace();
+    const start = position;
+    while (position < text.length && !'(),'.includes(text[position])) {
+      position++;
+    }
+    return text.slice(start, position).trim();
+  };
+
+  const expect = (char) => {
+    skipSpace();
+    if (text[position] !== char) {
+      fail(position < text.length ? `expected "${char}" but found "${text[position]}"` : `expected "${char}"`);
+    }
+    position++;
+  };
+
+  const nextIs = (char) => {
+    skipSpace();
+    return text[position] === char;
+  };
+
+  const decode = (token) => {
+    try {
+      return decodeURIComponent(token);
+    } catch (error) {
+      return fail(`malformed percent-encoding in "${token}"`);
+    }
+  };
+
+  const parseNode = () => {
+    const name = readToken();
+    if (!name) {
+      fail('expected an operator');
+    }
+    expect('(');
+
+    if (LOGICAL_OPERATORS.includes(name)) {
+      const operands = [parseNode()];
+      while (nextIs(',')) {
+        position++;
+        operands.push(parseNode());
+      }
+      expect(')');
+
+      if (name === 'not') {
+        if (operands.length !== 1) {
+          fail('not() takes exactly one expression');
+        }
+        return { not: operands[0] };
+      }
+      return { [name]: operands };
+    }
+
+    const field = readToken();
+    const args = [];
+    while (nextIs(',')) {
+      position++;
+      args.push(decode(readToken()));
+    }
+    expect(')');
+
+    return { op: name, field, args };
+  };
+
+  const tree = parseNode();
+  skipSpace();
+  if (position < text.length) {
+    fail(`unexpected "${text[position]}"`);
+  }
+  return tree;
+}
+
+/**
+ * Check a raw syntax tree against the filterable fields and build the expression
+ *
+ * @param {Object} node - Node returned by parseExpression
+ * @param {Object} fields - Filterable fields keyed by name
+ * @returns {Object} Filter expression
+ * @throws {TypeError} When a condition uses an unknown field or operator or an invalid value
+ */
+function toExpression(node, fields) {
+  if (node.and || node.or) {
+    const key = node.and ? 'and' : 'or';
+    return { [key]: node[key].map(child => toExpression(child, fields)) };
+  }
+  if (node.not) {
+    return { not: toExpression(node.not, fields) };
+  }
+
+  const { op, field, args } = node;
+  const definition = Object.prototype.hasOwnProperty.call(fields, field) ? fields[field] : null;
+
+  if (!FILTER_OPERATORS.includes(op)) {
+    throw new TypeError(`unknown operator "${op}"; allowed operators: ${[...FILTER_OPERATORS, ...LOGICAL_OPERATORS].join(', ')}`);
+  }
+  if (!definition) {
+    throw new TypeError(`unknown field "${field}"; allowed fields: ${Object.keys(fields).join(', ')}`);
+  }
+  if (!operatorsFor(definition).includes(op)) {
+    throw new TypeError(`operator "${op}" is not supported for field "${field}"`);
+  }
+
+  const isList = op === 'in' || op === 'nin';
+  if (isList ? args.length === 0 : args.length !== 1) {
+    throw new TypeError(`${op}(${field}, ...) takes ${isList ? 'at least one value' : 'exactly one value'}`);
+  }
+
+  const { value, error } = operandSchema(definition, op)
+    .label(field)
+    .validate(isList ? args : args[0], { convert: true });
+  if (error) {
+    throw new TypeError(error.details[0].message);
+  }
+
+  return { field, op, value };
+}
+
+/**
+ * Build the Joi schema for the expression syntax (q parameter)
+ *
+ * The validated value is the filter expression.
+ *
+ * @param {Object} fields - Filterable fields keyed by name
+ * @returns {Object} Joi string schema
+ */
+function buildExpressionSchema(fields) {
+  return Joi.string().max(2000).custom((text, helpers) => {
+    try {
+      return toExpression(parseExpression(text), fields);
+    } catch (error) {
+      return helpers.message({ custom: '{{#label}} is not a valid filter expression: {{#reason}}' }, { reason: error.message });
+    }
+  }, 'filter expression');
+}
+
+/**
+ * Combine optional filter expressions so that all of them must match
+ *
+ * @param {...Object} expressions - Filter expressions (undefined entries are ignored)
+ * @returns {Object|undefined} Combined expression, or undefined when there is none
+ */
+function combineFilters(...expressions) {
+  const present = expressions.filter(expression => expression !== undefined && expression !== null);
+  if (present.length <= 1) {
+    return present[0];
+  }
+  return { and: present };
+}
+
+module.exports = {
+  FILTER_OPERATORS,
+  buildFilterSchema,
+  buildExpressionSchema,
+  combineFilters
+};
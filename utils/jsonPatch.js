@@ -0,0 +1,409 @@
+/**
+ * JSON Patch Utilities
+ *
+ * Applies the two standard PATCH document formats to plain JSON documents:
+ * - JSON Merge Patch (RFC 7396, application/merge-patch+json): an object whose
+ *   members replace the matching members of the target; null removes a member
+ * - JSON Patch (RFC 6902, application/json-patch+json): an ordered array of
+ *   add, remove, replace, move, copy and test operations addressed by JSON
+ *   Pointers (RFC 6901)
+ *
+ * Both functions return a new document and never modify their inputs. A JSON
+ * Patch is applied atomically: if any operation fails, an error is thrown and
+ * none of the operations take effect.
+ *
+ * Errors are thrown as structured objects for the global error handler:
+ * - 400 InvalidPatch: The patch document is malformed
+ * - 409 PatchTestFailed: A test operation did not match the current document
+ * - 422 UnprocessablePatch: An operation addresses a location that does not exist
+ */
+
+const { StatusCodes } = require('http-status-codes');
+
+/**
+ * Media types of the supported PATCH document formats
+ */
+const PATCH_MEDIA_TYPES = {
+  MERGE_PATCH: 'application/merge-patch+json',
+  JSON_PATCH: 'application/json-patch+json'
+};
+
+/**
+ * JSON Patch operations and the members each one requires
+ */
+const OPERATION_MEMBERS = {
+  add: ['path', 'value'],
+  remove: ['path'],
+  replace: ['path', 'value'],
+  move: ['from', 'path'],
+  copy: ['from', 'path'],
+  test: ['path', 'value']
+};
+
+/**
+ * Build a structured patch error
+ *
+ * @param {string} type - Error type
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Human-readable message
+ * @param {Object} details - Additional error details
+ * @returns {Object} Structured error for the global error handler
+ */
+function patchError(type, statusCode, message, details = {}) {
+  return { type, message, statusCode, details };
+}
+
+/**
+ * Check whether a value is a plain JSON object (not null or an array)
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Compare two JSON values structurally
+ *
+ * @param {any} left - First value
+ * @param {any} right - Second value
+ * @returns {boolean} True when both values are equal JSON
+ */
+function jsonEqual(left, right) {
+  if (left === right) {
+    return true;
+  }
+  if (Array.isArray(left) && Array.isArray(right)) {
+    return left.length === right.length && left.every((item, index) => jsonEqual(item, right[index]));
+  }
+  if (isObject(left) && isObject(right)) {
+    const leftKeys = Object.keys(left);
+    return leftKeys.length === Object.keys(right).length &&
+      leftKeys.every(key => Object.prototype.hasOwnProperty.call(right, key) && jsonEqual(left[key], right[key]));
+  }
+  return false;
+}
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396) to a document
+ *
+ * @param {any} target - Document to patch
+ * @param {any} patch - Merge patch document
+ * @returns {any} Patched copy of the document
+ */
+function applyMergePatch(target, patch) {
+  if (!isObject(patch)) {
+    return structuredClone(patch);
+  }
+
+  const result = isObject(target) ? structuredClone(target) : {};
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse a JSON Pointer (RFC 6901) into reference tokens
+ *
+ * @param {string} pointer - JSON Pointer such as '/profile/firstName'
+ * @param {number} index - Index of the operation, for error reporting
+ * @returns {Array<string>} Unescaped reference tokens
+ */
+function parsePointer(pointer, index) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw patchError('InvalidPatch', StatusCodes.BAD_REQUEST, `Invalid JSON Pointer in operation ${index}`, {
+      operation: index,
+      pointer,
+      reason: 'invalid_pointer'
+    });
+  }
+
+  if (pointer === '') {
+    return [];
+  }
+
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Resolve an array index token
+ *
+ * @param {Array} array - Array being addressed
+ * @param {string} token - Reference token
+ * @param {boolean} allowEnd - Whether '-' and length (append position) are valid
+ * @returns {number} Array index, or -1 when the token does not address an element
+ */
+function arrayIndex(array, token, allowEnd) {
+  if (token === '-') {
+    return allowEnd ? array.length : -1;
+  }
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+    return -1;
+  }
+
+  const index = Number(token);
+  const maxIndex = allowEnd ? array.length : array.length - 1;
+  return index <= maxIndex ? index : -1;
+}
+
+/**
+ * Locate the parent container of the value addressed by a pointer
+ *
+ * @param {any} document - Document being patched
+ * @param {Array<string>} tokens - Parsed pointer tokens (at least one)
+ * @returns {Object|null} { parent, key } or null when the parent does not exist
+ */
+function locate(document, tokens) {
+  let parent = document;
+
+  for (const token of tokens.slice(0, -1)) {
+    if (Array.isArray(parent)) {
+      const index = arrayIndex(parent, token, false);
+      if (index === -1) {
+        return null;
+      }
+      parent = parent[index];
+    } else if (isObject(parent) && Object.prototype.hasOwnProperty.call(parent, token)) {
+      parent = parent[token];
+    } else {
+      return null;
+    }
+  }
+
+  return (Array.isArray(parent) || isObject(parent)) ? { parent, key: tokens[tokens.length - 1] } : null;
+}
+
+/**
+ * Build the error raised when an operation addresses a missing location
+ *
+ * @param {Object} operation - Failing operation
+ * @param {number} index - Index of the operation
+ * @param {string} pointer - Pointer that could not be resolved
+ * @returns {Object} Structured error
+ */
+function missingTargetError(operation, index, pointer) {
+  return patchError('UnprocessablePatch', StatusCodes.UNPROCESSABLE_ENTITY,
+    `Operation ${index} (${operation.op}) targets a location that does not exist: ${pointer}`, {
+      operation: index,
+      op: operation.op,
+      path: pointer,
+      reason: 'path_not_found'
+    });
+}
+
+/**
+ * Read the value addressed by a pointer
+ *
+ * @param {any} document - Document being patched
+ * @param {Array<string>} tokens - Parsed pointer tokens
+ * @returns {Object} { found, value }
+ */
+function getValue(document, tokens) {
+  if (tokens.length === 0) {
+    return { found: true, value: document };
+  }
+
+  const location = locate(document, tokens);
+  if (!location) {
+    return { found: false };
+  }
+
+  const { parent, key } = location;
+  if (Array.isArray(parent)) {
+    const index = arrayIndex(parent, key, false);
+    return index === -1 ? { found: false } : { found: true, value: parent[index] };
+  }
+
+  return Object.prototype.hasOwnProperty.call(parent, key)
+    ? { found: true, value: parent[key] }
+    : { found: false };
+}
+
+/**
+ * Add a value at a pointer, inserting into arrays and setting object members
+ *
+ * @param {any} document - Document being patched
+ * @param {Array<string>} tokens - Parsed pointer tokens
+ * @param {any} value - Value to add
+ * @param {Object} operation - Operation being applied
+ * @param {number} index - Index of the operation
+ * @param {string} pointer - Pointer being resolved, for error reporting
+ * @returns {any} New document root
+ */
+function addValue(document, tokens, value, operation, index, pointer) {
+  if (tokens.length === 0) {
+    return value;
+  }
+
+  const location = locate(document, tokens);
+  if (!location) {
+    throw missingTargetError(operation, index, pointer);
+  }
+
+  const { parent, key } = location;
+  if (Array.isArray(parent)) {
+    const position = arrayIndex(parent, key, true);
+    if (position === -1) {
+      throw missingTargetError(operation, index, pointer);
+    }
+    parent.splice(position, 0, value);
+  } else {
+    parent[key] = value;
+  }
+
+  return document;
+}
+
+/**
+ * Remove the value at a pointer
+ *
+ * @param {any} document - Document being patched
+ * @param {Array<string>} tokens - Parsed pointer tokens
+ * @param {Object} operation - Operation being applied
+ * @param {number} index - Index of the operation
+ * @param {string} pointer - Pointer being resolved, for error reporting
+ * @returns {any} New document root
+ */
+function removeValue(document, tokens, operation, index, pointer) {
+  if (tokens.length === 0) {
+    return null;
+  }
+
+  const location = locate(document, tokens);
+  if (!location || !getValue(document, tokens).found) {
+    throw missingTargetError(operation, index, pointer);
+  }
+
+  const { parent, key } = location;
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, false), 1);
+  } else {
+    delete parent[key];
+  }
+
+  return document;
+}
+
+/**
+ * Check that an operation carries the members its op requires
+ *
+ * @param {Object} operation - Operation to check
+ * @param {number} index - Index of the operation
+ */
+function assertOperationShape(operation, index) {
+  if (!isObject(operation) || !Object.prototype.hasOwnProperty.call(OPERATION_MEMBERS, operation.op)) {
+    throw patchError('InvalidPatch', StatusCodes.BAD_REQUEST, `Unsupported or missing op in operation ${index}`, {
+      operation: index,
+      op: isObject(operation) ? operation.op : undefined,
+      allowedOps: Object.keys(OPERATION_MEMBERS),
+      reason: 'invalid_operation'
+    });
+  }
+
+  const missing = OPERATION_MEMBERS[operation.op].filter(member => !Object.prototype.hasOwnProperty.call(operation, member));
+  if (missing.length > 0) {
+    throw patchError('InvalidPatch', StatusCodes.BAD_REQUEST, `Operation ${index} (${operation.op}) is missing: ${missing.join(', ')}`, {
+      operation: index,
+      op: operation.op,
+      missing,
+      reason: 'invalid_operation'
+    });
+  }
+}
+
+/**
+ * Apply a JSON Patch (RFC 6902) to a document
+ *
+ * @param {any} document - Document to patch
+ * @param {Array<Object>} operations - JSON Patch operations
+ * @returns {any} Patched copy of the document
+ */
+function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw patchError('InvalidPatch', StatusCodes.BAD_REQUEST, 'A JSON Patch document must be an array of operations', {
+      reason: 'invalid_patch_document'
+    });
+  }
+
+  let result = structuredClone(document);
+
+  operations.forEach((operation, index) => {
+    assertOperationShape(operation, index);
+
+    const tokens = parsePointer(operation.path, index);
+
+    switch (operation.op) {
+      case 'add':
+        result = addValue(result, tokens, structuredClone(operation.value), operation, index, operation.path);
+        break;
+
+      case 'remove':
+        result = removeValue(result, tokens, operation, index, operation.path);
+        break;
+
+      case 'replace':
+        if (!getValue(result, tokens).found) {
+          throw missingTargetError(operation, index, operation.path);
+        }
+        result = removeValue(result, tokens, operation, index, operation.path);
+        result = addValue(result, tokens, structuredClone(operation.value), operation, index, operation.path);
+        break;
+
+      case 'move':
+      case 'copy': {
+        const fromTokens = parsePointer(operation.from, index);
+        const source = getValue(result, fromTokens);
+        if (!source.found) {
+          throw missingTargetError(operation, index, operation.from);
+        }
+
+        if (operation.op === 'move') {
+          if (operation.path.startsWith(`${operation.from}/`)) {
+            throw patchError('InvalidPatch', StatusCodes.BAD_REQUEST, `Operation ${index} (move) cannot move a value into one of its children`, {
+              operation: index,
+              op: operation.op,
+              from: operation.from,
+              path: operation.path,
+              reason: 'invalid_move'
+            });
+          }
+          result = removeValue(result, fromTokens, operation, index, operation.from);
+        }
+
+        result = addValue(result, tokens, structuredClone(source.value), operation, index, operation.path);
+        break;
+      }
+
+      case 'test': {
+        const target = getValue(result, tokens);
+        if (!target.found || !jsonEqual(target.value, operation.value)) {
+          throw patchError('PatchTestFailed', StatusCodes.CONFLICT, `Test operation ${index} failed: value at ${operation.path || '/'} does not match`, {
+            operation: index,
+            op: operation.op,
+            path: operation.path,
+            expected: operation.value,
+            actual: target.found ? target.value : undefined,
+            reason: 'test_failed'
+          });
+        }
+        break;
+      }
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  PATCH_MEDIA_TYPES,
+  applyMergePatch,
+  applyJsonPatch
+};
@@ -0,0 +1,121 @@
+/**
+ * Network Address Utilities
+ *
+ * Decides whether the server may open a connection to an address that an
+ * API client chose, such as a webhook URL. Without the check a client could
+ * make the server call its own loopback interface, the cloud metadata
+ * service (169.254.169.254) or other hosts of the internal network, and read
+ * the outcome back from the delivery status.
+ *
+ * Blocked addresses: unspecified, loopback, private (RFC 1918 and IPv6
+ * unique local), link-local, carrier-grade NAT, NAT64, benchmarking,
+ * multicast and reserved ranges, including IPv4 addresses written as
+ * IPv4-mapped IPv6 (::ffff:127.0.0.1). Hosts named localhost or *.localhost
+ * are blocked without resolving them.
+ *
+ * Exports:
+ * - isBlockedAddress(address): Whether an IP address is blocked
+ * - isBlockedHost(hostname): Whether a URL hostname is blocked before
+ *   resolving it (IP literals and localhost names)
+ * - guardedLookup(hostname, options, callback): dns.lookup() replacement for
+ *   http.request() that fails with code EADDRBLOCKED when the host resolves
+ *   to a blocked address
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Blocked ranges as [network, prefix length, family]
+ */
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 96, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([network, prefix, family]) => blockList.addSubnet(network, prefix, family));
+
+/**
+ * Whether an IP address is blocked
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for blocked addresses; false for anything that is
+ *   not an IP address
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Whether a URL hostname is blocked before it is resolved
+ *
+ * @param {string} hostname - Hostname as in URL.hostname ([::1] for IPv6)
+ * @returns {boolean} True for blocked IP literals and localhost names
+ */
+function isBlockedHost(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '').toLowerCase();
+
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return true;
+  }
+  return isBlockedAddress(host);
+}
+
+/**
+ * Resolve a hostname like dns.lookup(), refusing blocked addresses
+ *
+ * Passed as the lookup option of http.request(), so the addresses checked
+ * are the ones the connection is made to; a DNS answer that changes between
+ * a check and the request cannot get around it. A host with any blocked
+ * address is refused as a whole.
+ *
+ * @param {string} hostname - Hostname to resolve
+ * @param {Object} options - dns.lookup() options
+ * @param {Function} callback - dns.lookup() callback
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      const blocked = new Error(`${hostname} resolves to a blocked address`);
+      blocked.code = 'EADDRBLOCKED';
+      callback(blocked);
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+module.exports = {
+  isBlockedAddress,
+  isBlockedHost,
+  guardedLookup
+};
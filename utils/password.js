@@ -0,0 +1,123 @@
+/**
+ * Password Hashing Utilities
+ *
+ * Hashes user passwords with scrypt (Node's built-in memory-hard key
+ * derivation function) and verifies them in constant time. Every hash carries
+ * its own parameters and random salt, so the cost can be raised later without
+ * invalidating stored hashes; needsRehash() tells when a hash was made with
+ * older parameters.
+ *
+ * Hash Format:
+ *   scrypt$<N>$<r>$<p>$<base64 salt>$<base64 key>
+ *
+ * Exports:
+ * - hashPassword(password): Hash a password with the current parameters
+ * - verifyPassword(password, hash): Check a password against a stored hash
+ * - needsRehash(hash): Whether a stored hash uses outdated parameters
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Current scrypt parameters (N = CPU/memory cost, r = block size, p = parallelism)
+ */
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Salt and derived key lengths in bytes
+ */
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Derive a key with explicit scrypt parameters
+ *
+ * @param {string} password - Plain text password
+ * @param {Buffer} salt - Random salt
+ * @param {Object} params - { N, r, p }
+ * @returns {Promise<Buffer>} Derived key
+ */
+function deriveKey(password, salt, params) {
+  const { N, r, p } = params;
+  return scrypt(password.normalize('NFKC'), salt, KEY_LENGTH, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r
+  });
+}
+
+/**
+ * Split a stored hash into its parts
+ *
+ * @param {string} hash - Stored hash
+ * @returns {Object|null} { params, salt, key }, or null when the hash is not in the scrypt format
+ */
+function parseHash(hash) {
+  const parts = typeof hash === 'string' ? hash.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return null;
+  }
+
+  const [N, r, p] = parts.slice(1, 4).map(Number);
+  if (![N, r, p].every(Number.isInteger)) {
+    return null;
+  }
+
+  return {
+    params: { N, r, p },
+    salt: Buffer.from(parts[4], 'base64'),
+    key: Buffer.from(parts[5], 'base64')
+  };
+}
+
+/**
+ * Hash a password with the current parameters and a new random salt
+ *
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Hash in the scrypt$N$r$p$salt$key format
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const key = await deriveKey(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash
+ *
+ * @param {string} password - Plain text password supplied by a client
+ * @param {string} hash - Stored hash
+ * @returns {Promise<boolean>} True when the password matches
+ */
+async function verifyPassword(password, hash) {
+  const parsed = parseHash(hash);
+  if (!parsed || typeof password !== 'string') {
+    return false;
+  }
+
+  const key = await deriveKey(password, parsed.salt, parsed.params);
+  return key.length === parsed.key.length && crypto.timingSafeEqual(key, parsed.key);
+}
+
+/**
+ * Whether a stored hash was made with parameters other than the current ones
+ *
+ * @param {string} hash - Stored hash
+ * @returns {boolean} True when the password should be hashed again on next login
+ */
+function needsRehash(hash) {
+  const parsed = parseHash(hash);
+  return !parsed || Object.keys(SCRYPT_PARAMS).some(name => parsed.params[name] !== SCRYPT_PARAMS[name]);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  needsRehash
+};
@@ -0,0 +1,68 @@
+/**
+ * Field Projection Utilities
+ *
+ * Helpers for the comma-separated field lists accepted by the user read and
+ * export endpoints (?fields=id,name,profile.timezone). Fields use the same
+ * dot notation as sorting and filtering; a projection keeps the nesting of
+ * the source record, so profile.timezone is returned as { profile: { timezone } }.
+ *
+ * Exports:
+ * - parseFieldList(value): Split a comma-separated list into unique names
+ * - projectFields(record, fields): Copy the selected fields of a record
+ */
+
+const { getField } = require('../repositories/query');
+
+/**
+ * Split a comma-separated field list into unique, trimmed names
+ *
+ * @param {string|Array<string>} value - Raw list (a repeated query parameter arrives as an array)
+ * @returns {Array<string>} Field names in the order given, without duplicates or blanks
+ */
+function parseFieldList(value) {
+  const names = [].concat(value)
+    .join(',')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return [...new Set(names)];
+}
+
+/**
+ * Copy the selected fields of a record
+ *
+ * Fields missing from the record are left out. When a field and one of its
+ * sub-fields are both selected (profile and profile.timezone), the whole
+ * field wins.
+ *
+ * @param {Object} record - Source record
+ * @param {Array<string>} fields - Selected fields in dot notation
+ * @returns {Object} Object containing only the selected fields, nested as in the record
+ */
+function projectFields(record, fields) {
+  const projected = {};
+  const selected = fields.filter(field =>
+    !fields.some(other => field.startsWith(`${other}.`))
+  );
+
+  selected.forEach(field => {
+    const value = getField(record, field);
+    if (value === undefined) {
+      return;
+    }
+
+    const keys = field.split('.');
+    keys.slice(0, -1).reduce((node, key) => {
+      node[key] = node[key] || {};
+      return node[key];
+    }, projected)[keys[keys.length - 1]] = value;
+  });
+
+  return projected;
+}
+
+module.exports = {
+  parseFieldList,
+  projectFields
+};
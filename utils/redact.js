@@ -0,0 +1,42 @@
+/**
+ * Log Redaction
+ *
+ * Masks credentials before request data is written to the logs. Used by the
+ * request logger and the global error handler, which both log request
+ * headers and, in development, request bodies.
+ *
+ * Exports:
+ * - REDACTED_HEADERS: Request headers carrying credentials (lower case)
+ * - REDACTED_BODY_FIELDS: Top-level body fields carrying credentials
+ * - redactFields(source, fields): Copy an object with some fields masked
+ */
+
+/**
+ * Request headers and top-level body fields masked in logged request context
+ */
+const REDACTED_HEADERS = ['authorization', 'cookie', 'x-api-key'];
+const REDACTED_BODY_FIELDS = ['password', 'currentPassword', 'refreshToken', 'token', 'challengeToken', 'code', 'recoveryCode'];
+
+/**
+ * Copy an object with the values of some top-level fields masked
+ *
+ * @param {Object} source - Headers or parsed body
+ * @param {Array<string>} fields - Fields to mask
+ * @returns {Object} Copy safe to log (non-objects are returned unchanged)
+ */
+function redactFields(source, fields) {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return source;
+  }
+
+  return Object.keys(source).reduce((copy, key) => {
+    copy[key] = fields.includes(key) ? '[REDACTED]' : source[key];
+    return copy;
+  }, {});
+}
+
+module.exports = {
+  REDACTED_HEADERS,
+  REDACTED_BODY_FIELDS,
+  redactFields
+};
@@ -0,0 +1,65 @@
+/**
+ * Secret Box
+ *
+ * Encrypts secrets that the server must be able to read back, such as TOTP
+ * secrets and webhook signing secrets, before they are stored. Unlike passwords they cannot be hashed,
+ * and a copy of the data file must not be enough to generate a user's codes.
+ *
+ * AES-256-GCM under a key derived from config.auth.mfa.encryptionKey
+ * (MFA_ENCRYPTION_KEY, falling back to SESSION_SECRET). Sealed values look
+ * like "v1.<iv>.<auth tag>.<ciphertext>" in base64url. Changing the key makes
+ * existing values unreadable.
+ *
+ * Exports:
+ * - seal(plaintext): Encrypt a string
+ * - open(sealed): Decrypt a sealed string, throwing when it was tampered with
+ *   or sealed under another key
+ */
+
+const crypto = require('crypto');
+const config = require('../config/index');
+
+/**
+ * Derive the AES key from the configured key material
+ *
+ * @returns {Buffer} 32-byte key
+ */
+function encryptionKey() {
+  return crypto.createHash('sha256').update(`secret-box:${config.auth.mfa.encryptionKey}`).digest();
+}
+
+/**
+ * Encrypt a string
+ *
+ * @param {string} plaintext - Value to protect
+ * @returns {string} Sealed value
+ */
+function seal(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => (typeof part === 'string' ? part : part.toString('base64url'))).join('.');
+}
+
+/**
+ * Decrypt a sealed string
+ *
+ * @param {string} sealed - Value produced by seal()
+ * @returns {string} Plaintext
+ */
+function open(sealed) {
+  const [version, iv, tag, ciphertext] = String(sealed).split('.');
+  if (version !== 'v1' || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Malformed sealed value');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  seal,
+  open
+};
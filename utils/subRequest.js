@@ -0,0 +1,184 @@
+/**
+ * Sub-Request Dispatch
+ *
+ * Runs an HTTP-like request through an Express router in-process, without a
+ * network round trip, and captures the response. The sub-request inherits
+ * the parent request (client IP, app settings) and passes through the same
+ * route-level middleware as a real request: validation, preconditions,
+ * sanitization and the route handlers themselves. Application-level
+ * middleware (helmet, CORS, compression, body parsing, access logging) has
+ * already run for the parent request and is not repeated.
+ *
+ * Errors passed to next() are rendered by the global error handler, so a
+ * failed sub-request produces exactly the body a direct call would.
+ *
+ * Exports:
+ * - dispatchSubRequest(handler, parentReq, request): Run a request through a router
+ * - respondWithError(parentReq, request, error): Render an error as a sub-response
+ */
+
+const http = require('http');
+const { v4: uuid } = require('uuid');
+const { StatusCodes } = require('http-status-codes');
+const errorHandler = require('../middleware/errorHandler');
+
+/**
+ * Parent request headers that describe the parent's own body, preconditions
+ * or idempotency key and therefore must not leak into sub-requests
+ */
+const REQUEST_SPECIFIC_HEADERS = [
+  'content-length', 'content-type', 'content-encoding', 'transfer-encoding',
+  'if-match', 'if-none-match', 'if-modified-since', 'if-unmodified-since',
+  'idempotency-key'
+];
+
+/**
+ * Create the request object for a sub-request
+ *
+ * @param {Object} parentReq - Express request the sub-request belongs to
+ * @param {Object} request - Sub-request { method, path, headers, body }
+ * @returns {Object} Express request
+ */
+function createSubRequest(parentReq, request) {
+  const { method, path, headers = {}, body } = request;
+  const baseUrl = parentReq.baseUrl || '';
+  const url = path.slice(baseUrl.length) || '/';
+  const queryIndex = url.indexOf('?');
+  const queryParser = parentReq.app.get('query parser fn');
+
+  const subReq = Object.create(parentReq);
+
+  subReq.id = uuid();
+  subReq.method = method.toUpperCase();
+  subReq.url = url;
+  subReq.originalUrl = path;
+  subReq.baseUrl = baseUrl;
+  subReq.params = {};
+  subReq.query = queryParser && queryIndex !== -1 ? queryParser(url.slice(queryIndex + 1)) : {};
+  subReq.body = body === undefined ? {} : body;
+  subReq._body = true; // The body is already parsed; route-level body parsers skip it
+
+  subReq.headers = { ...parentReq.headers };
+  REQUEST_SPECIFIC_HEADERS.forEach(name => delete subReq.headers[name]);
+  Object.entries(headers).forEach(([name, value]) => {
+    subReq.headers[name.toLowerCase()] = value;
+  });
+  if (body !== undefined) {
+    // Content negotiation (req.is) only considers requests that declare a body length
+    subReq.headers['content-type'] = subReq.headers['content-type'] || 'application/json';
+    subReq.headers['content-length'] = String(Buffer.byteLength(typeof body === 'string' ? body : JSON.stringify(body)));
+  }
+
+  return subReq;
+}
+
+/**
+ * Create a response object that captures what the route sends
+ *
+ * @param {Object} subReq - Sub-request created by createSubRequest
+ * @returns {Object} { res, finished } where finished resolves with the
+ *   captured response { status, headers, body }
+ */
+function createSubResponse(subReq) {
+  const res = new http.ServerResponse(subReq);
+  Object.setPrototypeOf(res, subReq.app.response);
+
+  const chunks = [];
+  let started = false;
+  let resolveFinished;
+  const finished = new Promise(resolve => {
+    resolveFinished = resolve;
+  });
+
+  res.req = subReq;
+  res.locals = {};
+  subReq.res = res;
+
+  Object.defineProperty(res, 'headersSent', { get: () => started });
+
+  res.write = (chunk, encoding) => {
+    started = true;
+    if (chunk !== undefined && chunk !== null && typeof chunk !== 'function') {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+    }
+    return true;
+  };
+
+  res.end = (chunk, encoding) => {
+    if (typeof chunk !== 'function') {
+      res.write(chunk, encoding);
+    }
+    started = true;
+
+    const headers = res.getHeaders();
+    delete headers['content-length'];
+
+    const text = Buffer.concat(chunks).toString('utf8');
+    let body = text === '' ? null : text;
+    if (body !== null && /[/+]json\b/.test(headers['content-type'] || '')) {
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        // Keep malformed JSON as text
+      }
+    }
+
+    resolveFinished({ status: res.statusCode, headers, body });
+    return res;
+  };
+
+  return { res, finished };
+}
+
+/**
+ * Run a request through a router and capture the response
+ *
+ * A request that no route handles is answered with 404.
+ *
+ * @param {Function} handler - Express router (or any (req, res, next) handler)
+ * @param {Object} parentReq - Express request the sub-request belongs to
+ * @param {Object} request - Sub-request { method, path, headers, body }; path
+ *   is absolute and starts with the router's mount path (e.g. /api/users?limit=5)
+ * @returns {Promise<Object>} Captured response { status, headers, body }
+ */
+function dispatchSubRequest(handler, parentReq, request) {
+  const subReq = createSubRequest(parentReq, request);
+  const { res, finished } = createSubResponse(subReq);
+
+  handler(subReq, res, error => {
+    if (res.headersSent) {
+      return;
+    }
+
+    errorHandler(error || {
+      type: 'NotFound',
+      message: `Route ${subReq.method} ${request.path} not found`,
+      statusCode: StatusCodes.NOT_FOUND,
+      details: { reason: 'route_not_found' }
+    }, subReq, res, () => {});
+  });
+
+  return finished;
+}
+
+/**
+ * Render an error as the response of a sub-request that was never dispatched
+ *
+ * @param {Object} parentReq - Express request the sub-request belongs to
+ * @param {Object} request - Sub-request { method, path, headers, body }
+ * @param {Object} error - Error for the global error handler
+ * @returns {Promise<Object>} Captured response { status, headers, body }
+ */
+function respondWithError(parentReq, request, error) {
+  const subReq = createSubRequest(parentReq, request);
+  const { res, finished } = createSubResponse(subReq);
+
+  errorHandler(error, subReq, res, () => {});
+
+  return finished;
+}
+
+module.exports = {
+  dispatchSubRequest,
+  respondWithError
+};
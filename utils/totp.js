@@ -0,0 +1,192 @@
+/**
+ * TOTP Utilities
+ *
+ * Time-based one-time passwords (RFC 6238) as produced by authenticator
+ * apps: HMAC-SHA1 over the number of 30-second steps since the Unix epoch,
+ * truncated to 6 digits (RFC 4226). Secrets are 160 random bits, exchanged
+ * with the app as base32 in an otpauth:// provisioning URI (usually shown as
+ * a QR code).
+ *
+ * Exports:
+ * - generateSecret(): New random secret, base32-encoded
+ * - provisioningUri(secret, options): otpauth://totp/... URI for enrollment
+ * - generateCode(secret, time): Code of the step containing time (ms)
+ * - verifyCode(secret, code, options): Step matched by a code, or null
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Length of a time step in seconds
+ */
+const STEP_SECONDS = 30;
+
+/**
+ * Digits per code
+ */
+const DIGITS = 6;
+
+/**
+ * Encode bytes as unpadded base32 (RFC 4648)
+ *
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ *
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Compute the HOTP value of a counter (RFC 4226)
+ *
+ * @param {Buffer} key - Decoded secret
+ * @param {number} counter - Moving factor (time step)
+ * @returns {string} Zero-padded code
+ */
+function hotp(key, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Generate a new TOTP secret
+ *
+ * @returns {string} 160-bit secret, base32-encoded
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Build the provisioning URI of a secret
+ *
+ * @param {string} secret - Base32 secret
+ * @param {Object} options - URI options
+ * @param {string} options.issuer - Service name shown by the app
+ * @param {string} options.account - Account name shown by the app (email)
+ * @returns {string} otpauth://totp/ URI
+ */
+function provisioningUri(secret, options) {
+  const { issuer, account } = options;
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Time step containing a point in time
+ *
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number} Step number
+ */
+function stepAt(time) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Generate the code of a secret at a point in time
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} time - Milliseconds since the epoch (default: now)
+ * @returns {string} Code
+ */
+function generateCode(secret, time = Date.now()) {
+  return hotp(base32Decode(secret), stepAt(time));
+}
+
+/**
+ * Check a code against a secret
+ *
+ * Codes of the neighbouring steps are accepted too (options.window), to
+ * allow for clock drift and codes entered just as they change. The matched
+ * step is returned so that callers can refuse to accept a step twice.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - Verification options
+ * @param {number} options.window - Steps accepted on either side (default: 1)
+ * @param {number} options.time - Milliseconds since the epoch (default: now)
+ * @returns {number|null} Matched step, or null when the code does not match
+ */
+function verifyCode(secret, code, options = {}) {
+  const { window = 1, time = Date.now() } = options;
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = stepAt(time);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = Buffer.from(hotp(key, current + offset));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return current + offset;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  generateSecret,
+  provisioningUri,
+  generateCode,
+  verifyCode
+};